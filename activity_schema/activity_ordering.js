@@ -0,0 +1,212 @@
+/**
+ * Activity Ordering
+ * Stamps ActivitySchema ordering fields on events at enqueue: an event-time
+ * ts, a per-customer sequence number and the activity_occurrence of each
+ * customer/activity pair. activity_repeated_at is only known once the next
+ * occurrence arrives, so the uploader fills it in (see repeatedAtSql).
+ *
+ * State is saved with the position in current.ndjson it covers; on startup
+ * the events written after that position are read back, so counters never
+ * go backwards after a crash.
+ */
+
+const fs = require('fs');
+
+class ActivityOrdering {
+    constructor(config = {}) {
+        this.stateFile = config.stateFile;
+        this.state = this.readState();
+        this.dirty = false;
+    }
+    
+    /**
+     * Read saved counters: { file: { ino, offset }, customers: { [customer]: { sequence, activities } } }
+     */
+    readState() {
+        if (this.stateFile && fs.existsSync(this.stateFile)) {
+            try {
+                return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            } catch (err) {
+                console.error('Error reading activity ordering state, starting counters from the queue files:', err.message);
+            }
+        }
+        return { file: null, customers: {} };
+    }
+    
+    /**
+     * Save counters atomically, recording the end of current.ndjson they cover
+     */
+    save(queueFile, offset) {
+        if (!this.stateFile) return;
+        
+        const ino = fs.existsSync(queueFile) ? fs.statSync(queueFile).ino : null;
+        const file = this.state.file || {};
+        if (!this.dirty && file.ino === ino && file.offset === offset) return;
+        
+        this.state.file = { ino, offset };
+        const tempFile = this.stateFile + '.tmp';
+        fs.writeFileSync(tempFile, JSON.stringify(this.state));
+        fs.renameSync(tempFile, this.stateFile);
+        this.dirty = false;
+    }
+    
+    /**
+     * Catch up with events written to current.ndjson after the last save.
+     * A different inode means the file was rotated since, so all of it is new.
+     */
+    recover(queueFile) {
+        if (!fs.existsSync(queueFile)) return 0;
+        
+        const { ino, size } = fs.statSync(queueFile);
+        const saved = this.state.file;
+        const start = saved && saved.ino === ino && saved.offset <= size ? saved.offset : 0;
+        if (start >= size) return 0;
+        
+        const buffer = Buffer.alloc(size - start);
+        const fd = fs.openSync(queueFile, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, start);
+        } finally {
+            fs.closeSync(fd);
+        }
+        
+        let observed = 0;
+        for (const line of buffer.toString('utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                if (this.observe(JSON.parse(line))) observed++;
+            } catch (err) {
+                // Unparseable lines are dead-lettered by the uploader
+            }
+        }
+        return observed;
+    }
+    
+    customerState(customer) {
+        if (!this.state.customers[customer]) {
+            this.state.customers[customer] = { sequence: 0, activities: {} };
+        }
+        return this.state.customers[customer];
+    }
+    
+    /**
+     * Advance counters to cover an event that was already stamped
+     */
+    observe(event) {
+        if (!event || !event.customer || !Number.isInteger(event.customer_sequence)) return false;
+        
+        const customer = this.customerState(event.customer);
+        customer.sequence = Math.max(customer.sequence, event.customer_sequence);
+        if (event.activity && Number.isInteger(event.activity_occurrence)) {
+            customer.activities[event.activity] = Math.max(customer.activities[event.activity] || 0, event.activity_occurrence);
+        }
+        this.dirty = true;
+        return true;
+    }
+    
+    /**
+     * Add ts (the enqueue time unless the producer set one), customer_sequence
+     * and activity_occurrence. Events that already carry a sequence keep it.
+     */
+    stamp(event) {
+        const stamped = event.ts ? event : { ...event, ts: event.queued_at || new Date().toISOString() };
+        if (!stamped.customer) return stamped;
+        if (Number.isInteger(stamped.customer_sequence)) {
+            this.observe(stamped);
+            return stamped;
+        }
+        
+        const customer = this.customerState(stamped.customer);
+        customer.sequence++;
+        const occurrence = (customer.activities[stamped.activity] || 0) + 1;
+        customer.activities[stamped.activity] = occurrence;
+        this.dirty = true;
+        
+        return {
+            ...stamped,
+            customer_sequence: customer.sequence,
+            activity_occurrence: occurrence
+        };
+    }
+    
+    getStats() {
+        return {
+            customers: Object.keys(this.state.customers).length,
+            pairs: Object.values(this.state.customers).reduce((sum, customer) => sum + Object.keys(customer.activities).length, 0)
+        };
+    }
+}
+
+/**
+ * MERGE source rows that set activity_repeated_at on earlier occurrences.
+ * batchName is a CTE holding the batch's rows; each row whose previous
+ * occurrence is already in the target yields an update row keyed on that
+ * occurrence's activity_id. Previous occurrences inside the batch are left
+ * out, since their own rows already carry activity_repeated_at.
+ * extraColumns are the stream's routed columns, which these rows leave NULL.
+ */
+function repeatedAtSql(targetTable, batchName, extraColumns = []) {
+    return `
+                SELECT
+                    previous.activity_id as activity_id, NULL as ts, NULL as activity, NULL as customer,
+                    NULL as anonymous_customer_id, NULL as feature_json, NULL as revenue_impact, NULL as link,
+                    NULL as customer_sequence, NULL as activity_occurrence,
+                    ${batchName}.ts as activity_repeated_at,${extraColumns.map(name => ` NULL as ${name},`).join('')} TRUE as is_repeat
+                FROM ${batchName}
+                JOIN ${targetTable} previous
+                  ON previous.customer = ${batchName}.customer
+                 AND previous.activity = ${batchName}.activity
+                 AND previous.activity_occurrence = ${batchName}.activity_occurrence - 1
+                WHERE previous.activity_repeated_at IS NULL
+                  AND previous.activity_id NOT IN (SELECT activity_id FROM ${batchName})`;
+}
+
+/**
+ * MERGE actions shared by the merge and stage load modes: insert new rows,
+ * and fill activity_repeated_at on existing ones that do not have it yet.
+ * extraColumns are inserted after the ActivitySchema columns.
+ */
+function orderingMergeActions(extraColumns = []) {
+    const columns = extraColumns.map(name => `, ${name}`).join('');
+    const values = extraColumns.map(name => `, source.${name}`).join('');
+    return `
+            WHEN MATCHED AND target.activity_repeated_at IS NULL AND source.activity_repeated_at IS NOT NULL THEN
+                UPDATE SET activity_repeated_at = source.activity_repeated_at
+            WHEN NOT MATCHED AND NOT source.is_repeat THEN
+                INSERT (
+                    activity_id, ts, activity, customer,
+                    anonymous_customer_id, feature_json,
+                    revenue_impact, link,
+                    customer_sequence, activity_occurrence, activity_repeated_at${columns}
+                ) VALUES (
+                    source.activity_id, source.ts, source.activity,
+                    source.customer, source.anonymous_customer_id,
+                    source.feature_json, source.revenue_impact, source.link,
+                    source.customer_sequence, source.activity_occurrence, source.activity_repeated_at${values}
+                )`;
+}
+
+/**
+ * Fill activity_repeated_at on rows whose next occurrence is in the same batch
+ */
+function linkRepeats(rows) {
+    const byOccurrence = new Map();
+    for (const row of rows) {
+        if (Number.isInteger(row.activity_occurrence)) {
+            byOccurrence.set(`${row.customer}\u0000${row.activity}\u0000${row.activity_occurrence}`, row);
+        }
+    }
+    for (const row of rows) {
+        if (!(row.activity_occurrence > 1)) continue;
+        const previous = byOccurrence.get(`${row.customer}\u0000${row.activity}\u0000${row.activity_occurrence - 1}`);
+        if (previous && !previous.activity_repeated_at) {
+            previous.activity_repeated_at = row.ts;
+        }
+    }
+    return rows;
+}
+
+module.exports = ActivityOrdering;
+module.exports.repeatedAtSql = repeatedAtSql;
+module.exports.orderingMergeActions = orderingMergeActions;
+module.exports.linkRepeats = linkRepeats;
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * Archive Backfill
+ * Re-sends archived events to Snowflake after a bad migration or truncated table
+ *
+ * Events are selected by time range, activity and customer, and uploaded through
+ * SnowpipeUploader.uploadBatch, so the MERGE on activity_id skips rows that are
+ * still present and the report tells inserted from already-present events.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SnowpipeUploader = require('./snowpipe_uploader');
+const compression = require('./compression');
+const framing = require('./record_framing');
+const { readLines } = require('./line_ingest');
+
+class ArchiveBackfill {
+    constructor(config = {}) {
+        this.queueDir = config.queueDir || '/var/claude/queue';
+        this.archiveDir = path.join(this.queueDir, 'archive');
+        this.batchSize = config.batchSize || 1000;
+        
+        // Upload-only uploader: same executor, row mapping and MERGE, no queue consumption
+        this.uploader = config.uploader || new SnowpipeUploader({
+            ...config,
+            queueDir: this.queueDir,
+            loadMode: 'merge',
+            consumeQueue: false
+        });
+    }
+    
+    /**
+     * Build a predicate from filter options:
+     *   from, to         ISO timestamps, inclusive; compared against timeField
+     *   timeField        'queued_at' (default) or 'ts'
+     *   activities       activity names to include
+     *   customers        customers to include
+     */
+    matcher(filters = {}) {
+        const timeField = filters.timeField || 'queued_at';
+        const from = filters.from ? Date.parse(filters.from) : null;
+        const to = filters.to ? Date.parse(filters.to) : null;
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+            throw new Error('from and to must be ISO timestamps');
+        }
+        if (!['queued_at', 'ts'].includes(timeField)) {
+            throw new Error(`Unknown time field: ${timeField}`);
+        }
+        const activities = filters.activities && filters.activities.length > 0 ? new Set(filters.activities) : null;
+        const customers = filters.customers && filters.customers.length > 0 ? new Set(filters.customers) : null;
+        
+        return event => {
+            if (activities && !activities.has(event.activity)) return false;
+            if (customers && !customers.has(event.customer)) return false;
+            if (from !== null || to !== null) {
+                const time = Date.parse(event[timeField]);
+                if (Number.isNaN(time)) return false;
+                if (from !== null && time < from) return false;
+                if (to !== null && time > to) return false;
+            }
+            return true;
+        };
+    }
+    
+    /**
+     * Archive files that may hold matching events, oldest first. A file is
+     * archived after every event in it was queued, so one last modified before
+     * a queued_at range starts cannot match.
+     */
+    archiveFiles(filters = {}) {
+        if (!fs.existsSync(this.archiveDir)) return [];
+        
+        const from = filters.from && (filters.timeField || 'queued_at') === 'queued_at'
+            ? Date.parse(filters.from)
+            : null;
+        
+        return fs.readdirSync(this.archiveDir)
+            .filter(file => /\.ndjson(\.gz|\.zst)?$/.test(file))
+            .map(file => ({ file: path.join(this.archiveDir, file), mtime: fs.statSync(path.join(this.archiveDir, file)).mtimeMs }))
+            .filter(archive => from === null || archive.mtime >= from)
+            .sort((a, b) => a.mtime - b.mtime)
+            .map(archive => archive.file);
+    }
+    
+    /**
+     * Select and re-upload archived events; dryRun only counts matches
+     */
+    async run(filters = {}, options = {}) {
+        const matches = this.matcher(filters);
+        const report = {
+            filesScanned: 0,
+            eventsScanned: 0,
+            eventsMatched: 0,
+            inserted: 0,
+            alreadyPresent: 0,
+            rejected: 0,
+            unparseableLines: 0,
+            corruptRecords: 0,
+            dryRun: !!options.dryRun
+        };
+        
+        // Events can be archived more than once (e.g. after a replay); send each id once
+        const seen = new Set();
+        let batch = [];
+        
+        const flush = async () => {
+            if (batch.length === 0 || options.dryRun) {
+                batch = [];
+                return;
+            }
+            const before = { ...this.uploader.stats };
+            await this.uploader.uploadBatch(batch);
+            report.inserted += this.uploader.stats.eventsUploaded - before.eventsUploaded;
+            report.alreadyPresent += this.uploader.stats.duplicatesSkipped - before.duplicatesSkipped;
+            report.rejected += this.uploader.stats.eventsRejected - before.eventsRejected;
+            batch = [];
+        };
+        
+        for (const file of this.archiveFiles(filters)) {
+            report.filesScanned++;
+            for await (const { line, offset } of readLines(compression.createReadStream(file))) {
+                if (!line.trim()) continue;
+                report.eventsScanned++;
+                
+                // Archives keep their framing; records failing their checksum are quarantined, not uploaded
+                const check = framing.verify(line);
+                if (check.status === 'corrupt') {
+                    report.corruptRecords++;
+                    if (!options.dryRun) {
+                        this.uploader.quarantineCorruptRecord(file, { offset, raw: line, error: check.reason });
+                    }
+                    continue;
+                }
+                
+                let event;
+                try {
+                    event = framing.unframe(JSON.parse(line));
+                } catch (err) {
+                    report.unparseableLines++;
+                    continue;
+                }
+                if (!matches(event) || seen.has(event.activity_id)) continue;
+                
+                seen.add(event.activity_id);
+                report.eventsMatched++;
+                batch.push(event);
+                if (batch.length >= this.batchSize) {
+                    await flush();
+                }
+            }
+        }
+        await flush();
+        
+        return report;
+    }
+}
+
+module.exports = ArchiveBackfill;
+
+// If run directly, backfill from the queue's archive
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : undefined;
+    };
+    const options = name => args.flatMap((arg, i) => (arg === name && args[i + 1] ? [args[i + 1]] : []));
+    
+    if (args.includes('--help')) {
+        console.error('Usage: archive_backfill.js [--from <iso>] [--to <iso>] [--time-field queued_at|ts]');
+        console.error('                           [--activity <name>]... [--customer <id>]... [--dry-run]');
+        process.exit(1);
+    }
+    
+    const backfill = new ArchiveBackfill({
+        queueDir: process.env.QUEUE_DIR || '/tmp/claude_queue',
+        snowConnection: process.env.SNOW_CONNECTION || 'poc',
+        executor: process.env.UPLOADER_EXECUTOR || 'snow',
+        recordDir: process.env.UPLOADER_RECORD_DIR,
+        localTableFile: process.env.UPLOADER_LOCAL_TABLE,
+        routesFile: process.env.UPLOADER_ROUTES_FILE
+    });
+    
+    backfill.run({
+        from: option('--from'),
+        to: option('--to'),
+        timeField: option('--time-field'),
+        activities: options('--activity'),
+        customers: options('--customer')
+    }, { dryRun: args.includes('--dry-run') })
+        .then(report => {
+            console.log(JSON.stringify(report));
+            process.exit(0);
+        })
+        .catch(err => {
+            console.error(`Backfill failed: ${err.message}`);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Durability Benchmark
+ * Reports events/sec and append latency percentiles for each queue durability mode
+ *
+ * Usage: node activity_schema/benchmark_durability.js [events] [concurrency]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DurableNDJSONQueue = require('./ndjson_queue');
+const { DURABILITY_MODES } = DurableNDJSONQueue;
+
+function percentile(sorted, p) {
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+async function benchmarkMode(mode, totalEvents, concurrency) {
+    const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), `claude_bench_${mode}_`));
+    const queue = new DurableNDJSONQueue({
+        queueDir,
+        durability: mode,
+        // Measure the append path alone
+        validation: false,
+        enrichment: false,
+        sessionization: false,
+        shedding: false,
+        maxQueueSize: 1024 * 1024 * 1024,
+        rotationInterval: 60 * 60 * 1000
+    });
+    
+    const latencies = [];
+    let next = 0;
+    
+    // Each worker appends sequentially; workers run concurrently
+    const worker = async () => {
+        while (next < totalEvents) {
+            const i = next++;
+            const start = process.hrtime.bigint();
+            await queue.appendEvent({
+                activity: 'claude_tool_call',
+                customer: 'benchmark',
+                feature_json: { tool_name: 'Read', success: true, sequence: i, payload: 'x'.repeat(200) }
+            });
+            latencies.push(Number(process.hrtime.bigint() - start) / 1e6);
+        }
+    };
+    
+    const started = Date.now();
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    const elapsedMs = Date.now() - started;
+    const { fsyncs } = queue.getStats();
+    
+    const log = console.log;
+    console.log = () => {};
+    await queue.shutdown();
+    console.log = log;
+    fs.rmSync(queueDir, { recursive: true, force: true });
+    
+    latencies.sort((a, b) => a - b);
+    return {
+        mode,
+        events: totalEvents,
+        concurrency,
+        events_per_sec: Math.round(totalEvents / (elapsedMs / 1000)),
+        p50_ms: +percentile(latencies, 50).toFixed(3),
+        p99_ms: +percentile(latencies, 99).toFixed(3),
+        fsyncs
+    };
+}
+
+async function main() {
+    const totalEvents = parseInt(process.argv[2] || '5000', 10);
+    const concurrency = parseInt(process.argv[3] || '16', 10);
+    const results = [];
+    
+    for (const mode of DURABILITY_MODES) {
+        results.push(await benchmarkMode(mode, totalEvents, concurrency));
+    }
+    
+    console.table(results);
+}
+
+main().catch(err => {
+    console.error('Benchmark failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,114 @@
+/**
+ * Circuit Breaker
+ * Stops the uploader from hammering Snowflake during an outage, and publishes
+ * its state to <queueDir>/uploader_state.json so the queue can apply backpressure
+ *
+ *   closed     requests flow; consecutive transient failures are counted
+ *   open       requests are refused until resetTimeoutMs has passed
+ *   half_open  one trial request; success closes the circuit, failure reopens it
+ */
+
+const fs = require('fs');
+
+class CircuitBreaker {
+    constructor(config = {}) {
+        this.failureThreshold = config.failureThreshold || 5;
+        this.resetTimeoutMs = config.resetTimeoutMs || 30000; // 30 seconds
+        this.stateFile = config.stateFile || null;
+        
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.halted = false;
+        this.stats = { opened: 0, rejected: 0 };
+        
+        this.publish();
+    }
+    
+    /**
+     * Whether a request may go out now; moves an expired open circuit to half_open
+     */
+    canRequest() {
+        if (this.halted) return false;
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.transition('half_open');
+        }
+        if (this.state === 'open') {
+            this.stats.rejected++;
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * When an open circuit will allow its trial request
+     */
+    retryAt() {
+        return this.openedAt + this.resetTimeoutMs;
+    }
+    
+    recordSuccess() {
+        this.failures = 0;
+        if (this.state !== 'closed') {
+            this.transition('closed');
+        }
+    }
+    
+    recordFailure(err) {
+        this.failures++;
+        this.lastError = err.message;
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+            this.stats.opened++;
+            this.transition('open');
+        }
+    }
+    
+    /**
+     * Stop all requests until the process restarts, e.g. after an auth failure
+     */
+    halt(err) {
+        this.halted = true;
+        this.lastError = err.message;
+        this.publish();
+    }
+    
+    transition(state) {
+        if (state !== this.state) {
+            console.warn(`Upload circuit ${this.state} -> ${state}${state === 'open' ? ` (${this.lastError})` : ''}`);
+        }
+        this.state = state;
+        this.publish();
+    }
+    
+    /**
+     * Write the state atomically for other processes
+     */
+    publish() {
+        if (!this.stateFile) return;
+        const tempFile = this.stateFile + '.tmp';
+        fs.writeFileSync(tempFile, JSON.stringify({
+            pid: process.pid,
+            state: this.state,
+            halted: this.halted,
+            failures: this.failures,
+            opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            last_error: this.lastError,
+            updated_at: new Date().toISOString()
+        }));
+        fs.renameSync(tempFile, this.stateFile);
+    }
+    
+    getStats() {
+        return {
+            state: this.state,
+            halted: this.halted,
+            failures: this.failures,
+            lastError: this.lastError,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
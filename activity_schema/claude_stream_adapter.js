@@ -0,0 +1,460 @@
+#!/usr/bin/env node
+/**
+ * Claude Stream Adapter
+ * Turns Claude Code `--output-format stream-json` output into schema-conformant
+ * events and appends them straight to the queue
+ *
+ *   claude -p "..." --output-format stream-json --verbose | node activity_schema/claude_stream_adapter.js
+ *
+ * tool_use blocks are paired with their tool_result to measure real tool latency,
+ * and token counts come from each assistant message's usage metadata.
+ */
+
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const readline = require('readline');
+
+// Tool name -> tool_category in schemas/event_schemas.json
+const TOOL_CATEGORIES = {
+    Read: 'file',
+    Write: 'file',
+    Edit: 'file',
+    MultiEdit: 'file',
+    NotebookEdit: 'file',
+    Glob: 'search',
+    Grep: 'search',
+    LS: 'search',
+    WebSearch: 'search',
+    WebFetch: 'search',
+    Bash: 'execute',
+    BashOutput: 'execute',
+    KillShell: 'execute',
+    Task: 'execute',
+    TodoWrite: 'transform'
+};
+
+// File tools -> file_event operation
+const FILE_OPERATIONS = {
+    Read: 'read',
+    Write: 'write',
+    Edit: 'edit',
+    MultiEdit: 'edit',
+    NotebookEdit: 'edit'
+};
+
+const MAX_PARAMETER_CHARS = 256;
+
+// Claude families in the llm_event model enum
+const MODEL_FAMILIES = [
+    'claude-3-opus',
+    'claude-3-sonnet',
+    'claude-3-haiku',
+    'claude-3-5-sonnet',
+    'claude-3-5-haiku',
+    'claude-3-7-sonnet',
+    'claude-opus-4',
+    'claude-sonnet-4',
+    'claude-haiku-4'
+];
+
+/**
+ * Map a model id such as claude-sonnet-4-5-20250929 onto the model family
+ * the llm_event schema enumerates; the exact id is kept as model_id.
+ * Ids from an unknown family map to 'other'.
+ */
+function modelFamily(modelId) {
+    const id = String(modelId || '').toLowerCase();
+    
+    // claude-opus-4-1, claude-sonnet-4-5, ... (family before version)
+    const current = id.match(/claude-(opus|sonnet|haiku)-(\d+)/);
+    if (current) return knownFamily(`claude-${current[1]}-${current[2]}`);
+    
+    // claude-3-opus, claude-3-5-sonnet, claude-3-7-sonnet, ... (version before family)
+    const legacy = id.match(/claude-(\d+(?:-\d)?)-(opus|sonnet|haiku)/);
+    if (legacy) return knownFamily(`claude-${legacy[1]}-${legacy[2]}`);
+    
+    if (id.startsWith('gpt-4')) return 'gpt-4';
+    if (id.startsWith('gpt-3.5')) return 'gpt-3.5-turbo';
+    return 'other';
+}
+
+function knownFamily(family) {
+    return MODEL_FAMILIES.includes(family) ? family : 'other';
+}
+
+/**
+ * Shorten long string parameters (file contents, edits) before they are queued
+ */
+function summarizeInput(value) {
+    if (typeof value === 'string') {
+        return value.length > MAX_PARAMETER_CHARS
+            ? `${value.slice(0, MAX_PARAMETER_CHARS)}...[${value.length - MAX_PARAMETER_CHARS} more chars]`
+            : value;
+    }
+    if (Array.isArray(value)) return value.map(summarizeInput);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, summarizeInput(child)]));
+    }
+    return value;
+}
+
+function countLines(text) {
+    return typeof text === 'string' && text.length > 0 ? text.split('\n').length : 0;
+}
+
+class ClaudeStreamAdapter {
+    constructor(config = {}) {
+        // Anything with appendEvent(event): a DurableNDJSONQueue or HttpQueueClient
+        this.queue = config.queue;
+        this.now = config.now || (() => Date.now());
+        
+        this.sessionId = config.sessionId || process.env.CLAUDE_SESSION_ID || null;
+        this.sessionStartedAt = null;
+        this.sessionEnded = false;
+        this.lastInputAt = null;
+        this.pendingTools = new Map();      // tool_use id -> { name, input, startedAt }
+        this.pendingMessage = null;         // assistant message awaiting its final usage
+        
+        this.stats = {
+            linesRead: 0,
+            linesSkipped: 0,
+            eventsEmitted: 0,
+            emitErrors: 0,
+            toolCalls: 0,
+            totalTokens: 0
+        };
+    }
+    
+    /**
+     * Handle one line of stream-json output; non-JSON lines are ignored
+     */
+    async handleLine(line) {
+        this.stats.linesRead++;
+        if (!line.trim()) return;
+        
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (err) {
+            this.stats.linesSkipped++;
+            return;
+        }
+        
+        if (message.session_id && !this.sessionId) {
+            this.sessionId = message.session_id;
+        }
+        
+        // One assistant message arrives as several lines, one per content block
+        if (message.type !== 'assistant' || !message.message || this.isNewMessage(message.message)) {
+            await this.flushMessage();
+        }
+        
+        switch (message.type) {
+            case 'system':
+                if (message.subtype === 'init') await this.handleInit(message);
+                break;
+            case 'assistant':
+                await this.handleAssistant(message.message || {});
+                break;
+            case 'user':
+                await this.handleUser(message);
+                break;
+            case 'result':
+                await this.handleResult(message);
+                break;
+            default:
+                this.stats.linesSkipped++;
+        }
+    }
+    
+    isNewMessage(message) {
+        return !this.pendingMessage || this.pendingMessage.id !== message.id;
+    }
+    
+    async handleInit(message) {
+        this.sessionStartedAt = this.now();
+        this.lastInputAt = this.sessionStartedAt;
+        
+        await this.emit('claude_session_start', {
+            session_id: this.sessionId,
+            event_type: 'start',
+            project_path: message.cwd || process.cwd(),
+            user: process.env.USER || os.userInfo().username,
+            host: os.hostname(),
+            cli_version: message.claude_code_version || 'unknown',
+            model_id: message.model
+        });
+    }
+    
+    async handleAssistant(message) {
+        if (this.isNewMessage(message)) {
+            this.pendingMessage = {
+                id: message.id,
+                model: message.model,
+                usage: message.usage || {},
+                receivedAt: this.now()
+            };
+        } else if (message.usage) {
+            // Later lines of the same message carry the most complete usage
+            this.pendingMessage.usage = message.usage;
+        }
+        
+        for (const block of message.content || []) {
+            if (block.type === 'tool_use') {
+                this.pendingTools.set(block.id, {
+                    name: block.name,
+                    input: block.input || {},
+                    startedAt: this.now()
+                });
+            }
+        }
+    }
+    
+    async handleUser(message) {
+        const content = (message.message && message.message.content) || [];
+        
+        for (const block of Array.isArray(content) ? content : []) {
+            if (block.type === 'tool_result') {
+                await this.completeTool(block, message.tool_use_result);
+            }
+        }
+        this.lastInputAt = this.now();
+    }
+    
+    async handleResult(message) {
+        await this.endSession({
+            session_duration_ms: message.duration_ms,
+            api_duration_ms: message.duration_api_ms,
+            num_turns: message.num_turns,
+            cost_usd: message.total_cost_usd,
+            success: !message.is_error
+        });
+    }
+    
+    /**
+     * Emit the llm_event for the buffered assistant message
+     */
+    async flushMessage() {
+        const message = this.pendingMessage;
+        if (!message) return;
+        this.pendingMessage = null;
+        
+        const usage = message.usage;
+        const promptTokens = (usage.input_tokens || 0)
+            + (usage.cache_creation_input_tokens || 0)
+            + (usage.cache_read_input_tokens || 0);
+        const completionTokens = usage.output_tokens || 0;
+        this.stats.totalTokens += promptTokens + completionTokens;
+        
+        await this.emit('claude_responded', {
+            model: modelFamily(message.model),
+            model_id: message.model,
+            message_id: message.id,
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens,
+            cache_read_tokens: usage.cache_read_input_tokens || 0,
+            cache_creation_tokens: usage.cache_creation_input_tokens || 0,
+            ...(this.lastInputAt !== null ? { latency_ms: message.receivedAt - this.lastInputAt } : {}),
+            stream: true
+        });
+    }
+    
+    /**
+     * Pair a tool_result with its tool_use and emit tool (and file) events
+     */
+    async completeTool(block, toolUseResult) {
+        const tool = this.pendingTools.get(block.tool_use_id);
+        if (!tool) return;
+        this.pendingTools.delete(block.tool_use_id);
+        
+        const success = !block.is_error;
+        const resultText = typeof block.content === 'string' ? block.content : JSON.stringify(block.content || '');
+        await this.emitTool(tool, {
+            success,
+            latency_ms: this.now() - tool.startedAt,
+            result_size: Buffer.byteLength(resultText),
+            result_type: typeof block.content === 'string' ? 'text' : 'structured',
+            ...(success ? {} : { error: resultText.slice(0, 1000) })
+        }, toolUseResult);
+    }
+    
+    async emitTool(tool, outcome, toolUseResult) {
+        this.stats.toolCalls++;
+        await this.emit('claude_tool_call', {
+            tool_name: tool.name,
+            ...(TOOL_CATEGORIES[tool.name] ? { tool_category: TOOL_CATEGORIES[tool.name] } : {}),
+            parameters: summarizeInput(tool.input),
+            ...outcome
+        }, tool.startedAt);
+        
+        const operation = FILE_OPERATIONS[tool.name];
+        const filePath = tool.input.file_path || tool.input.notebook_path;
+        if (!operation || !filePath) return;
+        
+        const fileEvent = {
+            operation: tool.name === 'Write' && toolUseResult && toolUseResult.type === 'create' ? 'create' : operation,
+            file_path: filePath,
+            file_type: path.extname(filePath).slice(1) || 'none',
+            success: outcome.success
+        };
+        if (tool.name === 'Write') {
+            fileEvent.lines_affected = countLines(tool.input.content);
+            fileEvent.bytes_after = Buffer.byteLength(tool.input.content || '');
+        } else if (tool.name === 'Edit') {
+            fileEvent.lines_affected = Math.max(countLines(tool.input.old_string), countLines(tool.input.new_string));
+        } else if (tool.name === 'MultiEdit') {
+            fileEvent.lines_affected = (tool.input.edits || []).reduce(
+                (sum, edit) => sum + Math.max(countLines(edit.old_string), countLines(edit.new_string)), 0);
+        } else if (tool.name === 'Read' && toolUseResult && toolUseResult.file) {
+            fileEvent.lines_affected = toolUseResult.file.numLines;
+        }
+        
+        await this.emit('claude_file_operation', fileEvent, tool.startedAt);
+    }
+    
+    /**
+     * Flush anything pending and emit the session end; safe to call more than once
+     */
+    async finish() {
+        await this.flushMessage();
+        await this.endSession({});
+    }
+    
+    async endSession(fields) {
+        if (this.sessionEnded) return;
+        await this.flushMessage();
+        
+        // Tools still waiting for a result never completed
+        for (const [id, tool] of this.pendingTools) {
+            this.pendingTools.delete(id);
+            await this.emitTool(tool, {
+                success: false,
+                latency_ms: this.now() - tool.startedAt,
+                error: 'no tool_result received before the stream ended'
+            });
+        }
+        
+        this.sessionEnded = true;
+        await this.emit('claude_session_end', {
+            session_id: this.sessionId,
+            event_type: 'end',
+            total_activities: this.stats.eventsEmitted,
+            total_tokens: this.stats.totalTokens,
+            session_duration_ms: fields.session_duration_ms !== undefined
+                ? fields.session_duration_ms
+                : (this.sessionStartedAt !== null ? this.now() - this.sessionStartedAt : 0),
+            ...Object.fromEntries(Object.entries(fields).filter(([key, value]) => key !== 'session_duration_ms' && value !== undefined))
+        });
+    }
+    
+    /**
+     * Append one event; a rejected event is logged and counted, never fatal
+     */
+    async emit(activity, featureJson, startedAt = this.now()) {
+        const event = {
+            activity,
+            ts: new Date(startedAt).toISOString(),
+            ...(this.sessionId ? { customer: this.sessionId } : {}),
+            feature_json: featureJson
+        };
+        
+        try {
+            await this.queue.appendEvent(event);
+            this.stats.eventsEmitted++;
+        } catch (err) {
+            this.stats.emitErrors++;
+            console.error(`Failed to queue ${activity}: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * Minimal appendEvent client for a queue started with --http
+ */
+class HttpQueueClient {
+    constructor(url) {
+        this.url = new URL('/events', url);
+    }
+    
+    appendEvent(event) {
+        const body = JSON.stringify(event);
+        return new Promise((resolve, reject) => {
+            const req = http.request(this.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+            }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('error', reject);
+                res.on('end', () => {
+                    const text = Buffer.concat(chunks).toString('utf8');
+                    let payload;
+                    try {
+                        payload = JSON.parse(text || '{}');
+                    } catch (err) {
+                        // e.g. an HTML error page from a proxy in front of the queue
+                        return reject(new Error(`HTTP ${res.statusCode}: response is not JSON: ${text.slice(0, 200)}`));
+                    }
+                    if (res.statusCode >= 300) {
+                        return reject(new Error(payload.error || `HTTP ${res.statusCode}`));
+                    }
+                    resolve(payload.activity_id);
+                });
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+}
+
+module.exports = ClaudeStreamAdapter;
+module.exports.HttpQueueClient = HttpQueueClient;
+module.exports.modelFamily = modelFamily;
+
+// If run directly, adapt stdin and pass it through to stdout
+if (require.main === module) {
+    const DurableNDJSONQueue = require('./ndjson_queue');
+    const quiet = process.argv.includes('--quiet');
+    
+    // stdout carries the passthrough; the in-process queue logs to stderr instead
+    console.log = console.error;
+    console.info = console.error;
+    
+    // Send to a running queue over HTTP when QUEUE_HTTP_URL is set, otherwise own the queue
+    const queue = process.env.QUEUE_HTTP_URL
+        ? new HttpQueueClient(process.env.QUEUE_HTTP_URL)
+        : new DurableNDJSONQueue({ queueDir: process.env.QUEUE_DIR || '/tmp/claude_queue' });
+    const adapter = new ClaudeStreamAdapter({ queue });
+    
+    const finish = async () => {
+        await adapter.finish();
+        if (queue instanceof DurableNDJSONQueue) {
+            if (queue.currentFileSize > 0) {
+                await queue.rotateQueue();
+            }
+            await queue.shutdown();
+        }
+        console.error(`Claude stream adapter: ${JSON.stringify(adapter.stats)}`);
+    };
+    
+    process.on('SIGINT', async () => {
+        await finish();
+        process.exit(130);
+    });
+    
+    (async () => {
+        // Pass stdin through unchanged, line endings and all
+        if (!quiet) process.stdin.pipe(process.stdout, { end: false });
+        const rl = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+        for await (const line of rl) {
+            await adapter.handleLine(line);
+        }
+        await finish();
+        process.exit(adapter.stats.emitErrors > 0 ? 2 : 0);
+    })().catch(err => {
+        console.error(`Claude stream adapter failed: ${err.message}`);
+        process.exit(1);
+    });
+}
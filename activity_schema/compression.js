@@ -0,0 +1,214 @@
+/**
+ * Compression
+ * gzip/zstd storage for rotated and archived queue files, with reads that
+ * yield the uncompressed NDJSON stream from any offset within it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { spawn, spawnSync } = require('child_process');
+const { Duplex, Transform, pipeline } = require('stream');
+
+const pipelineAsync = promisify(pipeline);
+
+const EXTENSIONS = {
+    gzip: '.gz',
+    zstd: '.zst'
+};
+
+/**
+ * Compression format of a file from its extension, or null for plain NDJSON
+ */
+function formatOf(filePath) {
+    for (const [format, ext] of Object.entries(EXTENSIONS)) {
+        if (filePath.endsWith(ext)) return format;
+    }
+    return null;
+}
+
+/**
+ * Throw unless format can be used here. zstd uses zlib where Node provides it
+ * and falls back to the zstd command line tool.
+ */
+function checkFormat(format) {
+    if (!EXTENSIONS[format]) {
+        throw new Error(`Unknown compression format: ${format}`);
+    }
+    if (format === 'zstd' && !zlib.createZstdCompress && spawnSync('zstd', ['--version']).status !== 0) {
+        throw new Error('zstd compression needs Node with zlib zstd support or the zstd command');
+    }
+    return format;
+}
+
+/**
+ * A zstd child process as a duplex stream: writes go to its stdin, reads come
+ * from its stdout, and a non-zero exit destroys the stream
+ */
+class ZstdProcess extends Duplex {
+    constructor(args) {
+        super();
+        this.child = spawn('zstd', [...args, '-q', '-c'], { stdio: ['pipe', 'pipe', 'pipe'] });
+        
+        let stderr = '';
+        this.child.stderr.on('data', chunk => { stderr += chunk; });
+        this.child.stdout.on('data', chunk => {
+            if (!this.push(chunk)) this.child.stdout.pause();
+        });
+        this.child.stdin.on('error', err => this.destroy(err));
+        this.child.on('error', err => this.destroy(err));
+        // End the stream on exit rather than at the end of stdout, so a failure is never read as a short file
+        this.child.on('close', code => {
+            if (code !== 0) return this.destroy(new Error(`zstd exited with ${code}: ${stderr.trim()}`));
+            this.push(null);
+        });
+    }
+    
+    _write(chunk, encoding, callback) {
+        this.child.stdin.write(chunk, callback);
+    }
+    
+    _final(callback) {
+        this.child.stdin.end(callback);
+    }
+    
+    _read() {
+        this.child.stdout.resume();
+    }
+    
+    _destroy(err, callback) {
+        // Stop a process abandoned mid-stream; one that finished exits by itself
+        if (err || !this.readableEnded) this.child.kill();
+        callback(err);
+    }
+}
+
+function createCompressor(format) {
+    if (format === 'gzip') return zlib.createGzip();
+    return zlib.createZstdCompress ? zlib.createZstdCompress() : new ZstdProcess([]);
+}
+
+function createDecompressor(format) {
+    if (format === 'gzip') return zlib.createGunzip();
+    return zlib.createZstdDecompress ? zlib.createZstdDecompress() : new ZstdProcess(['-d']);
+}
+
+/**
+ * Drop the first n bytes of a stream
+ */
+class SkipBytes extends Transform {
+    constructor(bytes) {
+        super();
+        this.remaining = bytes;
+    }
+    
+    _transform(chunk, encoding, callback) {
+        if (this.remaining >= chunk.length) {
+            this.remaining -= chunk.length;
+            return callback();
+        }
+        const rest = chunk.subarray(this.remaining);
+        this.remaining = 0;
+        callback(null, rest);
+    }
+}
+
+/**
+ * Read the uncompressed contents of a queue file from start (an offset in the
+ * uncompressed stream). end (inclusive) only applies to plain files, which may
+ * still be growing; compressed files are complete once written.
+ */
+function createReadStream(filePath, options = {}) {
+    const format = formatOf(filePath);
+    if (!format) {
+        return fs.createReadStream(filePath, options);
+    }
+    
+    const output = new SkipBytes(options.start || 0);
+    pipeline(fs.createReadStream(filePath), createDecompressor(format), output, () => {});
+    return output;
+}
+
+/**
+ * Compress a file to <file><ext> via a temp file and remove the original.
+ * Resolves with the new path and the byte counts before and after.
+ */
+async function compressFile(filePath, format) {
+    const target = filePath + EXTENSIONS[format];
+    const tempFile = path.join(path.dirname(target), `.${path.basename(target)}.tmp`);
+    const bytesIn = fs.statSync(filePath).size;
+    
+    try {
+        await pipelineAsync(fs.createReadStream(filePath), createCompressor(format), fs.createWriteStream(tempFile));
+        const fd = fs.openSync(tempFile, 'r');
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+        fs.renameSync(tempFile, target);
+    } catch (err) {
+        fs.rmSync(tempFile, { force: true });
+        throw err;
+    }
+    fs.unlinkSync(filePath);
+    
+    return { file: target, bytesIn, bytesOut: fs.statSync(target).size };
+}
+
+/**
+ * Total size of the files under dir
+ */
+function diskUsage(dir) {
+    if (!fs.existsSync(dir)) return 0;
+    let bytes = 0;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        try {
+            bytes += entry.isDirectory() ? diskUsage(entryPath) : fs.statSync(entryPath).size;
+        } catch (err) {
+            // Moved or deleted while we were counting
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Compression counters shared by the queue and the uploader
+ */
+class CompressionStats {
+    constructor(format) {
+        this.format = format || null;
+        this.filesCompressed = 0;
+        this.bytesIn = 0;
+        this.bytesOut = 0;
+        this.failures = 0;
+    }
+    
+    record({ bytesIn, bytesOut }) {
+        this.filesCompressed++;
+        this.bytesIn += bytesIn;
+        this.bytesOut += bytesOut;
+    }
+    
+    toJSON() {
+        return {
+            format: this.format,
+            filesCompressed: this.filesCompressed,
+            bytesIn: this.bytesIn,
+            bytesOut: this.bytesOut,
+            ratio: this.bytesOut > 0 ? Math.round((this.bytesIn / this.bytesOut) * 100) / 100 : null,
+            failures: this.failures
+        };
+    }
+}
+
+module.exports = {
+    EXTENSIONS,
+    CompressionStats,
+    formatOf,
+    checkFormat,
+    createCompressor,
+    createDecompressor,
+    createReadStream,
+    compressFile,
+    diskUsage
+};
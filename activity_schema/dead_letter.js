@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+/**
+ * Dead Letter Store
+ * Holds poison lines, corrupt records, permanently failed upload batches and rejected events
+ * under <queueDir>/dead_letter, and replays them back into the queue
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readLines } = require('./line_ingest');
+const { v4: uuidv4 } = require('uuid');
+const ReadyQueue = require('./ready_queue');
+const compression = require('./compression');
+const framing = require('./record_framing');
+const EventValidator = require('./event_validator');
+const Redactor = require('./redactor');
+
+const KINDS = ['poison_line', 'corrupt_record', 'failed_batch', 'validation'];
+
+class DeadLetterStore {
+    constructor(config = {}) {
+        this.queueDir = config.queueDir || '/var/claude/queue';
+        this.dir = path.join(this.queueDir, 'dead_letter');
+        this.files = {
+            poison_line: path.join(this.dir, 'poison.ndjson'),
+            corrupt_record: path.join(this.dir, 'corrupt.ndjson'),
+            failed_batch: path.join(this.dir, 'batches.ndjson'),
+            // Written by DurableNDJSONQueue for rejected and quarantined events
+            validation: path.join(this.dir, 'validation.ndjson')
+        };
+        this.replayedFile = path.join(this.dir, 'replayed.ndjson');
+    }
+    
+    /**
+     * Record a line that could not be parsed as an event
+     */
+    writePoisonLine(file, { offset, raw, error }) {
+        this.append('poison_line', {
+            id: `poison_line:${path.basename(file)}:${offset}`,
+            kind: 'poison_line',
+            source_file: file,
+            offset,
+            raw,
+            error,
+            dead_lettered_at: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Quarantine a framed record that failed its checksum, or a torn write
+     * cut off during crash recovery. Recovery passes recoveredAt, since
+     * current.ndjson offsets repeat across restarts.
+     */
+    writeCorruptRecord(file, { offset, raw, error, recoveredAt }) {
+        this.append('corrupt_record', {
+            id: `corrupt_record:${path.basename(file)}:${offset}${recoveredAt ? `@${recoveredAt}` : ''}`,
+            kind: 'corrupt_record',
+            source_file: file,
+            offset,
+            raw,
+            error,
+            dead_lettered_at: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Record a batch of events that could not be uploaded within the retry limit
+     */
+    writeFailedBatch(file, { startOffset, endOffset, events, error, attempts, firstFailedAt }) {
+        const now = new Date().toISOString();
+        this.append('failed_batch', {
+            id: `failed_batch:${path.basename(file)}:${startOffset}-${endOffset}`,
+            kind: 'failed_batch',
+            source_file: file,
+            start_offset: startOffset,
+            end_offset: endOffset,
+            error,
+            attempts,
+            first_failed_at: firstFailedAt || now,
+            dead_lettered_at: now,
+            events
+        });
+    }
+    
+    /**
+     * Record a single event Snowflake refused, isolated by bisecting its batch.
+     * target names the routed table that refused it, if not the activity stream.
+     */
+    writeRejectedEvent(file, { event, error, target = null }) {
+        const now = new Date().toISOString();
+        this.append('failed_batch', {
+            id: `failed_batch:${event.activity_id}${target ? `:${target}` : ''}`,
+            kind: 'failed_batch',
+            source_file: file,
+            ...(target ? { target } : {}),
+            error,
+            attempts: 1,
+            first_failed_at: now,
+            dead_lettered_at: now,
+            events: [event]
+        });
+    }
+    
+    append(kind, record) {
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true, mode: 0o755 });
+        }
+        fs.appendFileSync(this.files[kind], JSON.stringify(record) + '\n');
+    }
+    
+    /**
+     * Dead-lettered records, oldest first. A record written twice (e.g. a poison
+     * line seen again after a crash) is listed once; replayed records are hidden
+     * unless includeReplayed is set.
+     */
+    list(options = {}) {
+        const kinds = options.kind ? [options.kind] : KINDS;
+        const replayed = options.includeReplayed ? new Set() : this.replayedIds();
+        const records = new Map();
+        
+        for (const kind of kinds) {
+            for (const record of this.readLines(this.files[kind])) {
+                const normalized = this.normalize(kind, record);
+                if (!replayed.has(normalized.id)) {
+                    records.set(normalized.id, normalized);
+                }
+            }
+        }
+        
+        const ids = options.ids && options.ids.length > 0 ? new Set(options.ids) : null;
+        return [...records.values()].filter(record => !ids || ids.has(record.id));
+    }
+    
+    /**
+     * Give validation records, which the queue writes in its own shape, an id and kind
+     */
+    normalize(kind, record) {
+        if (kind !== 'validation') return record;
+        return {
+            id: `validation:${record.event && record.event.activity_id}`,
+            kind,
+            error: (record.errors || []).join('; '),
+            dead_lettered_at: record.failed_at,
+            ...record
+        };
+    }
+    
+    /**
+     * Events a record holds; poison lines and corrupt records hold none until they are edited
+     */
+    eventsOf(record) {
+        if (record.kind === 'failed_batch') return record.events;
+        if (record.kind === 'validation') return [record.event];
+        return [];
+    }
+    
+    readLines(file) {
+        if (!fs.existsSync(file)) return [];
+        return fs.readFileSync(file, 'utf8').split('\n').filter(l => l.trim()).flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch (err) {
+                // A torn final line from a crash mid-append
+                return [];
+            }
+        });
+    }
+    
+    replayedIds() {
+        return new Set(this.readLines(this.replayedFile).map(entry => entry.id));
+    }
+    
+    /**
+     * Remember records as replayed; the dead-letter files themselves are append-only
+     */
+    markReplayed(ids, replayFile) {
+        const now = new Date().toISOString();
+        const lines = ids.map(id => JSON.stringify({ id, replay_file: replayFile, replayed_at: now }) + '\n');
+        fs.appendFileSync(this.replayedFile, lines.join(''));
+    }
+    
+    /**
+     * Re-inject dead-lettered events into the queue as a new ready file.
+     * edit(event, record) may return a changed event, or null to leave it dead-lettered;
+     * for poison lines and corrupt records it is called with event null and must
+     * rebuild the event from record.raw.
+     * Replayed events are redacted and validated as at enqueue, under the same
+     * per-type policies: events that fail under reject or quarantine stay
+     * dead-lettered and count as invalid, while the rest of their record replays.
+     * Events keep their activity_id and ordering fields, so replaying something
+     * already loaded is a no-op thanks to the uploader's MERGE.
+     */
+    replay(options = {}) {
+        const edit = options.edit || (event => event);
+        const validator = options.validate === false ? null : new EventValidator(options.validation || {});
+        const redactor = options.redaction === false ? null : new Redactor(options.redaction || {});
+        const records = this.list({ kind: options.kind, ids: options.ids });
+        
+        const summary = { records: records.length, replayed: 0, events: 0, skipped: 0, invalid: 0, file: null };
+        const lines = [];
+        const replayedIds = [];
+        const heldBack = [];
+        
+        for (const record of records) {
+            const sources = ['poison_line', 'corrupt_record'].includes(record.kind) ? [null] : this.eventsOf(record);
+            const edited = sources.map(event => edit(event ? JSON.parse(JSON.stringify(event)) : null, record));
+            
+            if (edited.some(event => !event || typeof event !== 'object' || Array.isArray(event))) {
+                summary.skipped++;
+                continue;
+            }
+            
+            const replayedEvents = [];
+            const held = [];
+            edited.forEach((event, i) => {
+                const withMetadata = {
+                    ...event,
+                    activity_id: event.activity_id || uuidv4(),
+                    queued_at: event.queued_at || new Date().toISOString(),
+                    queue_version: 2,
+                    replayed_from: record.id
+                };
+                const replayedEvent = redactor ? redactor.redact(withMetadata) : withMetadata;
+                
+                const errors = validator ? this.validationErrors(validator, replayedEvent) : [];
+                if (errors.length > 0) {
+                    held.push({ event: sources[i], error: `${replayedEvent.activity_id}: ${errors.join('; ')}` });
+                } else {
+                    replayedEvents.push(replayedEvent);
+                }
+            });
+            summary.invalid += held.length;
+            
+            // Nothing to replay: the record stays dead-lettered as it is
+            if (replayedEvents.length === 0) continue;
+            
+            // Only the events that still fail stay dead-lettered, in a record of their own
+            if (held.length > 0) {
+                heldBack.push({
+                    ...record,
+                    id: `${record.id}:invalid`,
+                    error: held.map(item => item.error).join(' | '),
+                    dead_lettered_at: new Date().toISOString(),
+                    events: held.map(item => item.event)
+                });
+            }
+            
+            lines.push(...replayedEvents.map(event => JSON.stringify(event) + '\n'));
+            replayedIds.push(record.id);
+            summary.replayed++;
+            summary.events += replayedEvents.length;
+        }
+        
+        if (options.dryRun || lines.length === 0) {
+            return summary;
+        }
+        
+        // Write the replay file in full before marking it, like a rotated queue file
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const replayFile = path.join(this.queueDir, `replay_${timestamp}_${process.pid}.ndjson`);
+        const tempFile = path.join(this.queueDir, `.${path.basename(replayFile)}.tmp`);
+        fs.writeFileSync(tempFile, lines.join(''));
+        fs.renameSync(tempFile, replayFile);
+        
+        new ReadyQueue(this.queueDir).mark(replayFile, 0, { replay: true });
+        for (const record of heldBack) {
+            this.append('failed_batch', record);
+        }
+        this.markReplayed(replayedIds, replayFile);
+        summary.file = replayFile;
+        return summary;
+    }
+    
+    /**
+     * Validation errors that would keep an event out of the queue at enqueue;
+     * failures under the warn policy are only logged
+     */
+    validationErrors(validator, event) {
+        const { eventType, valid, errors } = validator.validate(event);
+        if (valid) return [];
+        if (validator.policyFor(eventType) === 'warn') {
+            console.warn(`Replayed event ${event.activity_id} failed ${eventType} validation: ${errors.join('; ')}`);
+            return [];
+        }
+        return errors;
+    }
+    
+    /**
+     * Outstanding record counts by kind
+     */
+    getStats() {
+        const counts = Object.fromEntries(KINDS.map(kind => [kind, 0]));
+        for (const record of this.list()) {
+            counts[record.kind]++;
+        }
+        return counts;
+    }
+}
+
+/**
+ * Read a queue file from offset and dead-letter everything in it: events in
+ * batchSize chunks as failed batches, unparseable lines as poison lines
+ */
+async function deadLetterFileRemainder(store, filePath, offset, options = {}) {
+    const batchSize = options.batchSize || 1000;
+    const summary = { events: 0, poisonLines: 0, corruptRecords: 0 };
+    if (!fs.existsSync(filePath)) {
+        return summary;
+    }
+    
+    let position = offset;
+    let batchStart = offset;
+    let batch = [];
+    const flush = () => {
+        if (batch.length === 0) return;
+        store.writeFailedBatch(filePath, {
+            startOffset: batchStart,
+            endOffset: position,
+            events: batch,
+            error: options.error,
+            attempts: options.attempts,
+            firstFailedAt: options.firstFailedAt
+        });
+        summary.events += batch.length;
+        batch = [];
+        batchStart = position;
+    };
+    
+    const input = compression.createReadStream(filePath, { start: offset });
+    for await (const { line, offset: lineOffset, length } of readLines(input, offset)) {
+        position = lineOffset + length;
+        if (!line.trim()) continue;
+        
+        const check = framing.verify(line);
+        if (check.status === 'corrupt') {
+            store.writeCorruptRecord(filePath, { offset: lineOffset, raw: line, error: check.reason });
+            summary.corruptRecords++;
+            continue;
+        }
+        try {
+            batch.push(framing.unframe(JSON.parse(line)));
+        } catch (err) {
+            store.writePoisonLine(filePath, { offset: lineOffset, raw: line, error: err.message });
+            summary.poisonLines++;
+            continue;
+        }
+        if (batch.length >= batchSize) flush();
+    }
+    flush();
+    
+    return summary;
+}
+
+module.exports = DeadLetterStore;
+module.exports.deadLetterFileRemainder = deadLetterFileRemainder;
+
+// If run directly, list or replay dead-lettered records
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const command = args[0];
+    const option = name => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : undefined;
+    };
+    const ids = args.flatMap((arg, i) => (arg === '--id' && args[i + 1] ? [args[i + 1]] : []));
+    const kind = option('--kind');
+    
+    if (!['list', 'replay'].includes(command) || (kind && !KINDS.includes(kind))) {
+        console.error('Usage: dead_letter.js list [--kind poison_line|corrupt_record|failed_batch|validation] [--json]');
+        console.error('       dead_letter.js replay [--kind <kind>] [--id <id>]... [--edit <module.js>] [--dry-run]');
+        process.exit(1);
+    }
+    
+    const store = new DeadLetterStore({ queueDir: process.env.QUEUE_DIR || '/tmp/claude_queue' });
+    
+    if (command === 'list') {
+        const records = store.list({ kind, ids });
+        if (args.includes('--json')) {
+            records.forEach(record => console.log(JSON.stringify(record)));
+        } else {
+            for (const record of records) {
+                const count = ['poison_line', 'corrupt_record'].includes(record.kind) ? 'raw line' : `${store.eventsOf(record).length} events`;
+                console.log(`${record.id}  ${record.dead_lettered_at}  ${count}  ${record.error}`);
+            }
+            console.log(`${records.length} dead-lettered records`);
+        }
+    } else {
+        // --edit names a module exporting (event, record) => event | null
+        const editModule = option('--edit');
+        const summary = store.replay({
+            kind,
+            ids,
+            edit: editModule ? require(path.resolve(editModule)) : undefined,
+            dryRun: args.includes('--dry-run')
+        });
+        console.log(JSON.stringify(summary));
+        if (summary.invalid > 0) {
+            console.warn(`${summary.invalid} events left dead-lettered: they still fail schema validation`);
+        }
+    }
+}
@@ -0,0 +1,249 @@
+/**
+ * Enrichment Pipeline
+ * Middleware chain run on every event before it is serialized to the queue
+ *
+ * A middleware is an async function (event) => event. Returning a new event
+ * replaces it, returning undefined keeps it unchanged and returning null or
+ * false drops it. A middleware that throws or times out is skipped for that
+ * event, and disabled after too many consecutive failures.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const DROP = Symbol('drop');
+
+/**
+ * Fill customer from the producer's Claude session when the event has none
+ */
+function sessionEnricher(options = {}) {
+    const sessionId = options.sessionId || process.env.CLAUDE_SESSION_ID;
+    
+    return async event => {
+        if (event.customer || !sessionId) return undefined;
+        return { ...event, customer: sessionId };
+    };
+}
+
+/**
+ * Fill anonymous_customer_id with the hostname and record host context
+ */
+function hostEnricher(options = {}) {
+    const hostname = options.hostname || process.env.HOSTNAME || os.hostname();
+    const user = options.user || process.env.USER || os.userInfo().username;
+    
+    return async event => ({
+        ...event,
+        anonymous_customer_id: event.anonymous_customer_id || hostname,
+        feature_json: addContext(event.feature_json, { hostname, user })
+    });
+}
+
+/**
+ * Record the git repo/branch/commit of a configured directory. Off unless
+ * enrichment.git.dir is set; the project_path or cwd a producer sends is
+ * never used, since it arrives over HTTP and would let any caller pick
+ * where git runs.
+ */
+function gitEnricher(options = {}) {
+    if (!options.dir) {
+        throw new Error('The git enricher needs a trusted directory in enrichment.git.dir');
+    }
+    const dir = path.resolve(options.dir);
+    const cacheMs = options.cacheMs || 30000;
+    let cached = null;
+    
+    const lookup = () => {
+        if (cached && Date.now() - cached.at < cacheMs) {
+            return cached.info;
+        }
+        
+        const info = new Promise(resolve => {
+            execFile('git', ['rev-parse', '--show-toplevel', 'HEAD', '--abbrev-ref', 'HEAD'],
+                { cwd: dir, timeout: 1000 },
+                (err, stdout) => {
+                    if (err) return resolve(null);
+                    const [toplevel, commit, branch] = stdout.trim().split('\n');
+                    resolve({ git_repo: path.basename(toplevel), git_branch: branch, git_commit: commit.slice(0, 12) });
+                });
+        });
+        cached = { at: Date.now(), info };
+        return info;
+    };
+    
+    return async event => {
+        const git = fs.existsSync(dir) ? await lookup() : null;
+        return {
+            ...event,
+            feature_json: addContext(event.feature_json, { cwd: homeRelative(dir), ...(git || {}) })
+        };
+    };
+}
+
+const BUILT_IN_ENRICHERS = {
+    session: sessionEnricher,
+    host: hostEnricher,
+    git: gitEnricher
+};
+
+/**
+ * Merge fields into feature_json._context without overwriting what the producer set.
+ * A payload that is not a plain object (a string, an array) is left as it is.
+ */
+function addContext(featureJson, fields) {
+    if (featureJson === undefined || featureJson === null) {
+        return { _context: fields };
+    }
+    if (typeof featureJson !== 'object' || Array.isArray(featureJson)) {
+        return featureJson;
+    }
+    return { ...featureJson, _context: { ...fields, ...(featureJson._context || {}) } };
+}
+
+function homeRelative(dir) {
+    const home = os.homedir();
+    return dir === home || dir.startsWith(home + path.sep) ? '~' + dir.slice(home.length) : dir;
+}
+
+class EnrichmentPipeline {
+    constructor(config = {}) {
+        this.timeoutMs = config.timeoutMs || 250;
+        this.maxConsecutiveErrors = config.maxConsecutiveErrors || 10;
+        this.middleware = [];
+        
+        // git runs only when a directory is configured for it
+        const defaults = config.git && config.git.dir ? ['session', 'host', 'git'] : ['session', 'host'];
+        for (const name of config.builtins || defaults) {
+            if (!BUILT_IN_ENRICHERS[name]) {
+                throw new Error(`Unknown built-in enricher: ${name}`);
+            }
+            this.use(BUILT_IN_ENRICHERS[name](config[name] || {}), { name });
+        }
+        
+        if (config.pluginFile) {
+            this.loadPlugins(config.pluginFile);
+        }
+    }
+    
+    /**
+     * Register a middleware at the end of the chain
+     */
+    use(fn, options = {}) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('Middleware must be a function');
+        }
+        this.middleware.push({
+            name: options.name || fn.name || `middleware_${this.middleware.length}`,
+            fn,
+            timeoutMs: options.timeoutMs || this.timeoutMs,
+            disabled: false,
+            consecutiveErrors: 0,
+            errors: 0,
+            dropped: 0
+        });
+        return this;
+    }
+    
+    /**
+     * Load plugins listed in a JSON config file:
+     *   { "plugins": [{ "name", "module", "options", "timeoutMs", "enabled" }] }
+     * Modules export a factory (options) => middleware and resolve relative to
+     * the config file. A plugin that fails to load is logged and skipped.
+     */
+    loadPlugins(pluginFile) {
+        const config = JSON.parse(fs.readFileSync(pluginFile, 'utf8'));
+        const baseDir = path.dirname(path.resolve(pluginFile));
+        
+        for (const plugin of config.plugins || []) {
+            if (plugin.enabled === false) continue;
+            
+            const name = plugin.name || plugin.module;
+            try {
+                const modulePath = plugin.module.startsWith('.')
+                    ? path.resolve(baseDir, plugin.module)
+                    : plugin.module;
+                const factory = require(modulePath);
+                this.use(factory(plugin.options || {}), { name, timeoutMs: plugin.timeoutMs });
+            } catch (err) {
+                console.error(`Failed to load enrichment plugin ${name}: ${err.message.split('\n')[0]}`);
+            }
+        }
+    }
+    
+    /**
+     * Run the chain; resolves with the enriched event or null if it was dropped
+     */
+    async run(event) {
+        let current = event;
+        
+        for (const mw of this.middleware) {
+            if (mw.disabled) continue;
+            
+            let result;
+            try {
+                result = await this.callWithTimeout(mw, current);
+            } catch (err) {
+                this.recordError(mw, err);
+                continue;
+            }
+            mw.consecutiveErrors = 0;
+            
+            if (result === DROP) {
+                mw.dropped++;
+                return null;
+            }
+            if (result !== undefined) {
+                current = result;
+            }
+        }
+        
+        return current;
+    }
+    
+    async callWithTimeout(mw, event) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${mw.timeoutMs}ms`)), mw.timeoutMs);
+        });
+        
+        try {
+            // Each middleware gets its own copy so a failed one cannot leave half-applied changes
+            const result = await Promise.race([mw.fn(JSON.parse(JSON.stringify(event))), timeout]);
+            if (result === null || result === false) return DROP;
+            if (result !== undefined && (typeof result !== 'object' || Array.isArray(result))) {
+                throw new Error('middleware must return an event object, undefined, or null to drop');
+            }
+            return result;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
+    recordError(mw, err) {
+        mw.errors++;
+        mw.consecutiveErrors++;
+        
+        // Log the first failure of a streak only, so a broken plugin cannot flood stderr
+        if (mw.consecutiveErrors === 1) {
+            console.error(`Enrichment middleware ${mw.name} failed, passing event through: ${err.message}`);
+        }
+        if (mw.consecutiveErrors >= this.maxConsecutiveErrors) {
+            mw.disabled = true;
+            console.error(`Disabling enrichment middleware ${mw.name} after ${mw.consecutiveErrors} consecutive failures`);
+        }
+    }
+    
+    getStats() {
+        return this.middleware.map(mw => ({
+            name: mw.name,
+            disabled: mw.disabled,
+            errors: mw.errors,
+            dropped: mw.dropped
+        }));
+    }
+}
+
+module.exports = EnrichmentPipeline;
+module.exports.BUILT_IN_ENRICHERS = BUILT_IN_ENRICHERS;
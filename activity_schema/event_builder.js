@@ -0,0 +1,76 @@
+/**
+ * Event Builder
+ * Runtime for the generated event SDK (event_sdk.js): builds events from
+ * schema field names and appends them to the queue
+ */
+
+class EventBuilder {
+    /**
+     * eventTypes and optionFields come from the generated SDK; config.queue is
+     * anything with appendEvent(event), otherwise a DurableNDJSONQueue is
+     * opened from config.queueConfig
+     */
+    constructor(eventTypes, optionFields, config = {}) {
+        this.eventTypes = eventTypes;
+        this.optionFields = optionFields;
+        
+        if (config.queue) {
+            this.queue = config.queue;
+        } else {
+            const DurableNDJSONQueue = require('./ndjson_queue');
+            this.queue = new DurableNDJSONQueue(config.queueConfig || {});
+        }
+        this.customer = config.customer || null;
+    }
+    
+    /**
+     * Activity for an event: options.activity if given, else the schema's default_activity
+     */
+    resolveActivity(eventType, featureJson, activity) {
+        const { activities, defaultActivity } = this.eventTypes[eventType];
+        const resolved = activity
+            || (typeof defaultActivity === 'string' ? defaultActivity : defaultActivity.values[featureJson[defaultActivity.by]]);
+        
+        if (!resolved) {
+            throw new Error(`No default ${eventType} activity for ${defaultActivity.by}=${featureJson[defaultActivity.by]}; pass options.activity`);
+        }
+        if (!activities.includes(resolved)) {
+            throw new Error(`${resolved} is not a ${eventType} activity (${activities.join(', ')})`);
+        }
+        return resolved;
+    }
+    
+    /**
+     * Build and queue an event of the given type. Unknown field names are rejected
+     * so they cannot drift from the schema; options.extra adds fields outside it.
+     * Resolves with the activity_id.
+     */
+    async emit(eventType, fields = {}, options = {}) {
+        const type = this.eventTypes[eventType];
+        if (!type) {
+            throw new Error(`Unknown event type: ${eventType}`);
+        }
+        
+        const unknown = Object.keys(fields).filter(field => !type.fields.includes(field));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown ${eventType} field(s): ${unknown.join(', ')}`);
+        }
+        const featureJson = { ...type.defaults, ...fields, ...(options.extra || {}) };
+        const missing = type.required.filter(field => featureJson[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Missing required ${eventType} field(s): ${missing.join(', ')}`);
+        }
+        
+        const event = {
+            activity: this.resolveActivity(eventType, featureJson, options.activity),
+            ...(this.customer ? { customer: this.customer } : {}),
+            feature_json: featureJson
+        };
+        for (const field of this.optionFields) {
+            if (options[field] !== undefined) event[field] = options[field];
+        }
+        return this.queue.appendEvent(event);
+    }
+}
+
+module.exports = EventBuilder;
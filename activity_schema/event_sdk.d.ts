@@ -0,0 +1,245 @@
+/**
+ * Event SDK type declarations
+ * GENERATED by activity_schema/generate_sdk.js from schemas/event_schemas.json - do not edit.
+ * Run `npm run generate:sdk` after changing the schema.
+ *
+ * Schema sha256: 22a656cca2ab6ec5027f515ebbddc293e4df248a6402b7d5b835794b0649724a
+ */
+
+declare class EventSDK {
+    constructor(config?: EventSDK.EventSDKConfig);
+    emit(eventType: EventSDK.EventType, fields: Record<string, unknown>, options?: EventSDK.EmitOptions): Promise<string | null>;
+    /** SQL query execution event */
+    emitSqlEvent(fields: EventSDK.SqlEventFields, options?: EventSDK.EmitOptions<EventSDK.SqlEventActivity>): Promise<string | null>;
+    /** LLM interaction event */
+    emitLlmEvent(fields: EventSDK.LlmEventFields, options?: EventSDK.EmitOptions<EventSDK.LlmEventActivity>): Promise<string | null>;
+    /** Tool execution event */
+    emitToolEvent(fields: EventSDK.ToolEventFields, options?: EventSDK.EmitOptions<EventSDK.ToolEventActivity>): Promise<string | null>;
+    /** File operation event */
+    emitFileEvent(fields: EventSDK.FileEventFields, options?: EventSDK.EmitOptions<EventSDK.FileEventActivity>): Promise<string | null>;
+    /** Session lifecycle event */
+    emitSessionEvent(fields: EventSDK.SessionEventFields, options?: EventSDK.EmitOptions<EventSDK.SessionEventActivity>): Promise<string | null>;
+    /** MCP (Model Context Protocol) event */
+    emitMcpEvent(fields: EventSDK.McpEventFields, options?: EventSDK.EmitOptions<EventSDK.McpEventActivity>): Promise<string | null>;
+    /** System monitoring event */
+    emitSystemEvent(fields: EventSDK.SystemEventFields, options?: EventSDK.EmitOptions<EventSDK.SystemEventActivity>): Promise<string | null>;
+}
+
+declare namespace EventSDK {
+    const SCHEMA_VERSION: string;
+    const EVENT_TYPES: Record<EventType, EventTypeInfo>;
+    
+    interface EventSDKConfig {
+        /** Anything with appendEvent(event), e.g. a DurableNDJSONQueue */
+        queue?: { appendEvent(event: Record<string, unknown>): Promise<string | null> };
+        /** Config for a DurableNDJSONQueue when no queue is given */
+        queueConfig?: Record<string, unknown>;
+        /** customer set on every event */
+        customer?: string;
+    }
+    
+    interface EmitOptions<A extends string = string> {
+        /** Activity name; defaults to the schema's default_activity */
+        activity?: A;
+        /** Unique activity identifier (UUID) */
+        activity_id?: string;
+        /** Event time; the queue stamps the enqueue time when not given */
+        ts?: string;
+        /** Customer/session identifier */
+        customer?: string;
+        /** Anonymous customer identifier (hostname) */
+        anonymous_customer_id?: string;
+        /** Cost/revenue impact in credits */
+        revenue_impact?: number;
+        /** Link to artifact or external resource */
+        link?: string;
+        /** Fields outside the schema, added to feature_json as-is */
+        extra?: Record<string, unknown>;
+    }
+    
+    type EventType = "sql_event" | "llm_event" | "tool_event" | "file_event" | "session_event" | "mcp_event" | "system_event";
+    
+    interface EventTypeInfo {
+        activities: string[];
+        defaultActivity: string | { by: string; values: Record<string, string> };
+        required: string[];
+        fields: string[];
+        defaults: Record<string, unknown>;
+    }
+
+    /** SQL query execution event */
+    interface SqlEventFields {
+        /** Unique query identifier for QUERY_TAG tracking */
+        query_id: string;
+        /** SQL statement executed */
+        sql: string;
+        /** Snowflake warehouse used */
+        warehouse?: string;
+        /** Snowflake role used */
+        role?: string;
+        /** Target database */
+        database?: string;
+        /** Target schema */
+        schema?: string;
+        /** Number of rows returned */
+        rows?: number;
+        /** Bytes scanned during query */
+        bytes_scanned?: number;
+        /** Query execution time in milliseconds */
+        duration_ms?: number;
+        /** Snowflake credits consumed */
+        credits_used?: number;
+        /** Whether query succeeded */
+        success: boolean;
+        /** Error message if failed */
+        error?: string | null;
+        /** Snowflake error code if failed */
+        error_code?: string | null;
+    }
+    
+    type SqlEventActivity = "query_complete" | "query_submitted" | "sql_execution" | "claude_sql_execution";
+    
+    /** LLM interaction event */
+    interface LlmEventFields {
+        /** LLM model identifier */
+        model: "claude-3-opus" | "claude-3-sonnet" | "claude-3-haiku" | "claude-3-5-sonnet" | "claude-3-5-haiku" | "claude-3-7-sonnet" | "claude-opus-4" | "claude-sonnet-4" | "claude-haiku-4" | "gpt-4" | "gpt-3.5-turbo" | "other";
+        /** Hash of the prompt for deduplication */
+        prompt_hash?: string;
+        /** Number of tokens in prompt */
+        prompt_tokens: number;
+        /** Number of tokens in completion */
+        completion_tokens: number;
+        /** Total tokens used */
+        total_tokens?: number;
+        /** Time to first token in milliseconds */
+        latency_ms?: number;
+        /** Total completion time in milliseconds */
+        total_latency_ms?: number;
+        /** Cost in USD for this interaction */
+        cost_usd?: number;
+        /** Temperature parameter used */
+        temperature?: number;
+        /** Max tokens parameter */
+        max_tokens?: number;
+        /** Whether response was streamed */
+        stream?: boolean;
+    }
+    
+    type LlmEventActivity = "user_asked" | "claude_responded" | "llm_call" | "llm_response";
+    
+    /** Tool execution event */
+    interface ToolEventFields {
+        /** Name of the tool executed */
+        tool_name: string;
+        /** Category of tool */
+        tool_category?: "file" | "search" | "execute" | "analyze" | "transform";
+        /** Tool parameters */
+        parameters?: Record<string, unknown>;
+        /** Whether tool execution succeeded */
+        success: boolean;
+        /** Tool execution time in milliseconds */
+        latency_ms?: number;
+        /** Error message if failed */
+        error?: string | null;
+        /** Size of result in bytes */
+        result_size?: number;
+        /** Type of result returned */
+        result_type?: string;
+    }
+    
+    type ToolEventActivity = "claude_tool_call" | "tool_call" | "tool_execution";
+    
+    /** File operation event */
+    interface FileEventFields {
+        /** Type of file operation */
+        operation: "read" | "write" | "create" | "edit" | "delete" | "rename";
+        /** Path to the file */
+        file_path: string;
+        /** File extension or type */
+        file_type?: string;
+        /** Number of lines modified */
+        lines_affected?: number;
+        /** File size before operation */
+        bytes_before?: number;
+        /** File size after operation */
+        bytes_after?: number;
+        /** Whether operation succeeded */
+        success?: boolean;
+        /** Whether file is tracked by git */
+        git_tracked?: boolean;
+        /** Current git branch */
+        git_branch?: string;
+    }
+    
+    type FileEventActivity = "claude_file_operation" | "file_op" | "file_operation";
+    
+    /** Session lifecycle event */
+    interface SessionEventFields {
+        /** Unique session identifier */
+        session_id: string;
+        /** Type of session event */
+        event_type: "start" | "end" | "heartbeat" | "context_hydration";
+        /** Working directory path */
+        project_path?: string;
+        /** System username */
+        user?: string;
+        /** Hostname */
+        host?: string;
+        /** Claude CLI version */
+        cli_version?: string;
+        /** Total activities in session (for end event) */
+        total_activities?: number;
+        /** Total tokens used in session */
+        total_tokens?: number;
+        /** Session duration in milliseconds */
+        session_duration_ms?: number;
+        /** Prompt tokens used in session (for end event) */
+        prompt_tokens?: number;
+        /** Completion tokens used in session (for end event) */
+        completion_tokens?: number;
+        /** Distinct tool names used in session (for end event) */
+        tools_used?: unknown[];
+        /** Why the session ended (for end event) */
+        end_reason?: "inactivity" | "shutdown";
+        /** Emitted by the queue's sessionizer rather than the producer */
+        synthetic?: boolean;
+    }
+    
+    type SessionEventActivity = "claude_session_start" | "claude_session_end" | "session_heartbeat" | "claude_context_hydration";
+    
+    /** MCP (Model Context Protocol) event */
+    interface McpEventFields {
+        /** MCP method called */
+        method: "get_context" | "query" | "store_artifact" | "refresh_context";
+        /** Whether context was served from cache */
+        cache_hit?: boolean;
+        /** Age of cached context in milliseconds */
+        cache_age_ms?: number;
+        /** Method execution time in milliseconds */
+        latency_ms: number;
+        /** Whether stale-while-revalidate was used */
+        stale?: boolean;
+        /** Size of context in bytes */
+        context_size?: number;
+    }
+    
+    type McpEventActivity = "mcp_call" | "get_context" | "refresh_context" | "store_artifact";
+    
+    /** System monitoring event */
+    interface SystemEventFields {
+        /** Type of system event */
+        event_type: "backpressure" | "schema_drift" | "queue_rotation" | "artifact_cleanup" | "error_recovery";
+        /** Event severity */
+        severity?: "info" | "warning" | "error" | "critical";
+        /** Event description */
+        message?: string;
+        /** Associated metrics */
+        metrics?: Record<string, unknown>;
+        /** Automatic action taken by system */
+        action_taken?: string;
+    }
+    
+    type SystemEventActivity = "system_backpressure" | "schema_drift_detected" | "queue_rotation" | "artifact_cleanup" | "error_recovery" | "system_event";
+}
+
+export = EventSDK;
@@ -0,0 +1,152 @@
+/**
+ * Event SDK
+ * GENERATED by activity_schema/generate_sdk.js from schemas/event_schemas.json - do not edit.
+ * Run `npm run generate:sdk` after changing the schema.
+ *
+ * Schema sha256: 22a656cca2ab6ec5027f515ebbddc293e4df248a6402b7d5b835794b0649724a
+ */
+
+const EventBuilder = require('./event_builder');
+
+const SCHEMA_VERSION = '2.0.0';
+
+const EVENT_TYPES = {
+    sql_event: {
+        activities: ['query_complete', 'query_submitted', 'sql_execution', 'claude_sql_execution'],
+        defaultActivity: 'claude_sql_execution',
+        required: ['query_id', 'sql', 'success'],
+        fields: ['query_id', 'sql', 'warehouse', 'role', 'database', 'schema', 'rows', 'bytes_scanned', 'duration_ms', 'credits_used', 'success', 'error', 'error_code'],
+        defaults: {}
+    },
+    llm_event: {
+        activities: ['user_asked', 'claude_responded', 'llm_call', 'llm_response'],
+        defaultActivity: 'claude_responded',
+        required: ['model', 'prompt_tokens', 'completion_tokens'],
+        fields: ['model', 'prompt_hash', 'prompt_tokens', 'completion_tokens', 'total_tokens', 'latency_ms', 'total_latency_ms', 'cost_usd', 'temperature', 'max_tokens', 'stream'],
+        defaults: {}
+    },
+    tool_event: {
+        activities: ['claude_tool_call', 'tool_call', 'tool_execution'],
+        defaultActivity: 'claude_tool_call',
+        required: ['tool_name', 'success'],
+        fields: ['tool_name', 'tool_category', 'parameters', 'success', 'latency_ms', 'error', 'result_size', 'result_type'],
+        defaults: {}
+    },
+    file_event: {
+        activities: ['claude_file_operation', 'file_op', 'file_operation'],
+        defaultActivity: 'claude_file_operation',
+        required: ['operation', 'file_path'],
+        fields: ['operation', 'file_path', 'file_type', 'lines_affected', 'bytes_before', 'bytes_after', 'success', 'git_tracked', 'git_branch'],
+        defaults: {}
+    },
+    session_event: {
+        activities: ['claude_session_start', 'claude_session_end', 'session_heartbeat', 'claude_context_hydration'],
+        defaultActivity: {
+            by: 'event_type',
+            values: {
+                start: 'claude_session_start',
+                end: 'claude_session_end',
+                heartbeat: 'session_heartbeat',
+                context_hydration: 'claude_context_hydration'
+            }
+        },
+        required: ['session_id', 'event_type'],
+        fields: ['session_id', 'event_type', 'project_path', 'user', 'host', 'cli_version', 'total_activities', 'total_tokens', 'session_duration_ms', 'prompt_tokens', 'completion_tokens', 'tools_used', 'end_reason', 'synthetic'],
+        defaults: {}
+    },
+    mcp_event: {
+        activities: ['mcp_call', 'get_context', 'refresh_context', 'store_artifact'],
+        defaultActivity: {
+            by: 'method',
+            values: {
+                get_context: 'get_context',
+                query: 'mcp_call',
+                store_artifact: 'store_artifact',
+                refresh_context: 'refresh_context'
+            }
+        },
+        required: ['method', 'latency_ms'],
+        fields: ['method', 'cache_hit', 'cache_age_ms', 'latency_ms', 'stale', 'context_size'],
+        defaults: {}
+    },
+    system_event: {
+        activities: ['system_backpressure', 'schema_drift_detected', 'queue_rotation', 'artifact_cleanup', 'error_recovery', 'system_event'],
+        defaultActivity: {
+            by: 'event_type',
+            values: {
+                backpressure: 'system_backpressure',
+                schema_drift: 'schema_drift_detected',
+                queue_rotation: 'queue_rotation',
+                artifact_cleanup: 'artifact_cleanup',
+                error_recovery: 'error_recovery'
+            }
+        },
+        required: ['event_type'],
+        fields: ['event_type', 'severity', 'message', 'metrics', 'action_taken'],
+        defaults: {
+            severity: 'info'
+        }
+    }
+};
+
+// Common fields a caller may set through emit options
+const OPTION_FIELDS = ['activity_id', 'ts', 'customer', 'anonymous_customer_id', 'revenue_impact', 'link'];
+
+class EventSDK extends EventBuilder {
+    constructor(config = {}) {
+        super(EVENT_TYPES, OPTION_FIELDS, config);
+    }
+
+    /**
+     * SQL query execution event
+     */
+    emitSqlEvent(fields, options = {}) {
+        return this.emit('sql_event', fields, options);
+    }
+    
+    /**
+     * LLM interaction event
+     */
+    emitLlmEvent(fields, options = {}) {
+        return this.emit('llm_event', fields, options);
+    }
+    
+    /**
+     * Tool execution event
+     */
+    emitToolEvent(fields, options = {}) {
+        return this.emit('tool_event', fields, options);
+    }
+    
+    /**
+     * File operation event
+     */
+    emitFileEvent(fields, options = {}) {
+        return this.emit('file_event', fields, options);
+    }
+    
+    /**
+     * Session lifecycle event
+     */
+    emitSessionEvent(fields, options = {}) {
+        return this.emit('session_event', fields, options);
+    }
+    
+    /**
+     * MCP (Model Context Protocol) event
+     */
+    emitMcpEvent(fields, options = {}) {
+        return this.emit('mcp_event', fields, options);
+    }
+    
+    /**
+     * System monitoring event
+     */
+    emitSystemEvent(fields, options = {}) {
+        return this.emit('system_event', fields, options);
+    }
+}
+
+module.exports = EventSDK;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
@@ -0,0 +1,140 @@
+/**
+ * Event Validator
+ * Checks feature_json against schemas/event_schemas.json before events are queued
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SCHEMA_FILE = path.join(__dirname, '..', 'schemas', 'event_schemas.json');
+const POLICIES = ['reject', 'warn', 'quarantine'];
+
+class EventValidationError extends Error {
+    constructor(eventType, errors) {
+        super(`Event failed ${eventType} validation: ${errors.join('; ')}`);
+        this.name = 'EventValidationError';
+        this.eventType = eventType;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Load event schemas and map each activity name to its event type
+ */
+function loadEventSchemas(schemaFile = DEFAULT_SCHEMA_FILE) {
+    const schemas = JSON.parse(fs.readFileSync(schemaFile, 'utf8')).events;
+    const activityTypes = {};
+    for (const [eventType, schema] of Object.entries(schemas)) {
+        activityTypes[eventType] = eventType;
+        for (const activity of schema.activities || []) {
+            activityTypes[activity] = eventType;
+        }
+    }
+    return { schemas, activityTypes };
+}
+
+class EventValidator {
+    constructor(config = {}) {
+        this.schemaFile = config.schemaFile || DEFAULT_SCHEMA_FILE;
+        this.defaultPolicy = config.defaultPolicy || 'warn';
+        this.policies = config.policies || {};
+        
+        for (const policy of [this.defaultPolicy, ...Object.values(this.policies)]) {
+            if (!POLICIES.includes(policy)) {
+                throw new Error(`Unknown validation policy: ${policy}`);
+            }
+        }
+        
+        const { schemas, activityTypes } = loadEventSchemas(this.schemaFile);
+        this.schemas = schemas;
+        this.activityTypes = activityTypes;
+    }
+    
+    /**
+     * Resolve the schema event type for an event, or null if none applies
+     */
+    resolveEventType(event) {
+        return this.activityTypes[event.activity] || null;
+    }
+    
+    /**
+     * Policy to apply when an event of this type fails validation
+     */
+    policyFor(eventType) {
+        return this.policies[eventType] || this.defaultPolicy;
+    }
+    
+    /**
+     * Validate an event's feature_json against the schema for its type
+     */
+    validate(event) {
+        const eventType = this.resolveEventType(event);
+        if (!eventType) {
+            return { eventType: null, valid: true, errors: [] };
+        }
+        
+        const schema = this.schemas[eventType];
+        const featureJson = event.feature_json;
+        const errors = [];
+        
+        if (!featureJson || typeof featureJson !== 'object' || Array.isArray(featureJson)) {
+            errors.push('feature_json must be an object');
+            return { eventType, valid: false, errors };
+        }
+        
+        for (const field of schema.required || []) {
+            if (featureJson[field] === undefined) {
+                errors.push(`missing required field: ${field}`);
+            }
+        }
+        
+        for (const [field, spec] of Object.entries(schema.properties || {})) {
+            const value = featureJson[field];
+            if (value === undefined) continue;
+            
+            if (value === null) {
+                if (!spec.nullable) {
+                    errors.push(`${field} must not be null`);
+                }
+                continue;
+            }
+            
+            if (!this.matchesType(value, spec.type)) {
+                errors.push(`${field} must be of type ${spec.type}`);
+                continue;
+            }
+            
+            if (spec.enum && !spec.enum.includes(value)) {
+                errors.push(`${field} must be one of: ${spec.enum.join(', ')}`);
+            }
+        }
+        
+        return { eventType, valid: errors.length === 0, errors };
+    }
+    
+    /**
+     * Check a value against a schema type name
+     */
+    matchesType(value, type) {
+        switch (type) {
+            case 'string':
+                return typeof value === 'string';
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'object':
+                return typeof value === 'object' && !Array.isArray(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'timestamp':
+                return typeof value === 'string' && !isNaN(Date.parse(value));
+            default:
+                return true;
+        }
+    }
+}
+
+module.exports = EventValidator;
+module.exports.EventValidationError = EventValidationError;
+module.exports.loadEventSchemas = loadEventSchemas;
@@ -0,0 +1,268 @@
+/**
+ * Upload Executors
+ * Backends that run the uploader's deduplicating MERGE batches
+ *
+ * Every executor implements executeMerge({ table, sql, rows }) and resolves
+ * to { inserted }, the number of rows that were not already present. Routed
+ * targets also pass key (their key columns) and update (overwrite matches).
+ *
+ * Stage-mode loads go through executeLoad({ table, statements, history, readRows }),
+ * where statements holds the stage and merge scripts, history(inserted) builds the
+ * load-history statement and readRows() parses the source file for in-process backends.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const execAsync = promisify(exec);
+
+const DEFAULT_SNOW_CMD = 'snow'; // the Snowflake CLI on PATH
+
+/**
+ * Runs statements through the Snowflake CLI
+ */
+class SnowCliExecutor {
+    constructor(config = {}) {
+        this.snowCmd = config.snowCmd || DEFAULT_SNOW_CMD;
+        this.snowConnection = config.snowConnection || 'claude_desktop';
+        this.workDir = config.workDir || os.tmpdir();
+        this.timeoutMs = config.timeoutMs || 120000; // 2 minutes
+    }
+    
+    /**
+     * Run a SQL script and return its stdout
+     */
+    async executeSql(sql) {
+        // Write SQL to temp file (to handle large batches)
+        const tempFile = path.join(this.workDir, `batch_${Date.now()}.sql`);
+        fs.writeFileSync(tempFile, sql);
+        
+        try {
+            const { stdout } = await execAsync(
+                `${this.snowCmd} sql -c ${this.snowConnection} -f ${tempFile}`,
+                { timeout: this.timeoutMs, maxBuffer: 64 * 1024 * 1024 }
+            );
+            return stdout;
+        } catch (err) {
+            // Surface the CLI's own error text so the uploader can classify the failure
+            const detail = `${err.stderr || ''}${err.stdout || ''}`.trim();
+            throw Object.assign(new Error(detail || err.message), { code: err.code, killed: err.killed });
+        } finally {
+            fs.unlinkSync(tempFile);
+        }
+    }
+    
+    async executeMerge({ sql }) {
+        const stdout = await this.executeSql(sql);
+        
+        if (stdout.includes('number of rows inserted') || stdout.includes('0 Row(s) produced')) {
+            return { inserted: this.parseInsertedCount(stdout) };
+        }
+        throw new Error(`Unexpected output: ${stdout}`);
+    }
+    
+    async executeLoad({ statements, history }) {
+        await this.executeSql(statements.stage);
+        const { inserted } = await this.executeMerge({ sql: statements.merge });
+        await this.executeSql(history(inserted));
+        return { inserted };
+    }
+    
+    /**
+     * Parse inserted row count from Snowflake output
+     */
+    parseInsertedCount(output) {
+        const match = output.match(/(\d+)\s+Row\(s\)\s+produced/);
+        if (match) {
+            return parseInt(match[1], 10);
+        }
+        
+        const mergeMatch = output.match(/number of rows inserted:\s*(\d+)/);
+        if (mergeMatch) {
+            return parseInt(mergeMatch[1], 10);
+        }
+        
+        return 0;
+    }
+}
+
+/**
+ * Dry-run executor that writes every statement and batch to disk.
+ * With a delegate it records and then forwards to the delegate.
+ */
+class RecordingExecutor {
+    constructor(config = {}) {
+        this.outputDir = config.outputDir || path.join(os.tmpdir(), 'recorded_batches');
+        this.delegate = config.delegate || null;
+        this.batchCount = 0;
+        
+        if (!fs.existsSync(this.outputDir)) {
+            fs.mkdirSync(this.outputDir, { recursive: true });
+        }
+    }
+    
+    async executeMerge(batch) {
+        this.batchCount++;
+        const name = `batch_${Date.now()}_${String(this.batchCount).padStart(6, '0')}`;
+        
+        fs.writeFileSync(path.join(this.outputDir, `${name}.sql`), batch.sql);
+        fs.writeFileSync(
+            path.join(this.outputDir, `${name}.ndjson`),
+            batch.rows.map(row => JSON.stringify(row)).join('\n') + '\n'
+        );
+        
+        if (this.delegate) {
+            return this.delegate.executeMerge(batch);
+        }
+        
+        // Nothing was executed, so every row counts as new
+        return { inserted: batch.rows.length };
+    }
+    
+    async executeLoad(load) {
+        this.batchCount++;
+        const name = `load_${Date.now()}_${String(this.batchCount).padStart(6, '0')}`;
+        const rows = await load.readRows();
+        
+        fs.writeFileSync(
+            path.join(this.outputDir, `${name}.sql`),
+            [load.statements.stage, load.statements.merge, load.history(rows.length)].join('\n')
+        );
+        fs.writeFileSync(
+            path.join(this.outputDir, `${name}.ndjson`),
+            rows.map(row => JSON.stringify(row)).join('\n') + '\n'
+        );
+        
+        if (this.delegate) {
+            return this.delegate.executeLoad(load);
+        }
+        
+        return { inserted: rows.length };
+    }
+}
+
+/**
+ * In-process fake of the target table with MERGE-by-activity_id semantics,
+ * including the activity_repeated_at updates on earlier occurrences.
+ * Routed targets merge on their own key columns instead of activity_id.
+ * Rows are kept in memory, and appended to tableFile when one is given;
+ * a later line for the same key replaces the earlier one.
+ */
+class LocalTableExecutor {
+    constructor(config = {}) {
+        this.tableFile = config.tableFile || null;
+        this.keyColumn = config.keyColumn || 'activity_id';
+        this.tables = {};
+        this.occurrences = {};
+        
+        if (this.tableFile && fs.existsSync(this.tableFile)) {
+            const lines = fs.readFileSync(this.tableFile, 'utf8').split('\n').filter(l => l);
+            for (const line of lines) {
+                const { table, key, row } = JSON.parse(line);
+                this.setRow(table, row, key);
+            }
+        }
+    }
+    
+    getTable(table) {
+        if (!this.tables[table]) {
+            this.tables[table] = new Map();
+            this.occurrences[table] = new Map();
+        }
+        return this.tables[table];
+    }
+    
+    keyOf(row, key) {
+        return key ? JSON.stringify(key.map(column => row[column])) : row[this.keyColumn];
+    }
+    
+    /**
+     * Store a row, indexed by customer/activity/occurrence
+     */
+    setRow(table, row, key) {
+        this.getTable(table).set(this.keyOf(row, key), row);
+        if (Number.isInteger(row.activity_occurrence)) {
+            this.occurrences[table].set(`${row.customer}\u0000${row.activity}\u0000${row.activity_occurrence}`, row);
+        }
+    }
+    
+    async executeMerge({ table, rows, key, update }) {
+        const target = this.getTable(table);
+        const newRows = [];
+        const changed = new Set();
+        
+        for (const row of rows) {
+            const existing = target.get(this.keyOf(row, key));
+            if (!existing) {
+                this.setRow(table, row, key);
+                newRows.push(row);
+                changed.add(row);
+            } else if (update) {
+                Object.assign(existing, row);
+                changed.add(existing);
+            } else if (!existing.activity_repeated_at && row.activity_repeated_at) {
+                existing.activity_repeated_at = row.activity_repeated_at;
+                changed.add(existing);
+            }
+        }
+        
+        // A new occurrence sets activity_repeated_at on the previous one
+        for (const row of newRows) {
+            if (!(row.activity_occurrence > 1)) continue;
+            const previous = this.occurrences[table].get(`${row.customer}\u0000${row.activity}\u0000${row.activity_occurrence - 1}`);
+            if (previous && !previous.activity_repeated_at) {
+                previous.activity_repeated_at = row.ts;
+                changed.add(previous);
+            }
+        }
+        
+        if (this.tableFile && changed.size > 0) {
+            fs.appendFileSync(
+                this.tableFile,
+                [...changed].map(row => JSON.stringify({ table, ...(key ? { key } : {}), row })).join('\n') + '\n'
+            );
+        }
+        
+        return { inserted: newRows.length };
+    }
+    
+    async executeLoad({ table, readRows }) {
+        return this.executeMerge({ table, rows: await readRows() });
+    }
+    
+    /**
+     * Rows currently held for a table
+     */
+    getRows(table) {
+        return Array.from(this.getTable(table).values());
+    }
+}
+
+/**
+ * Build an executor from uploader configuration
+ */
+function createExecutor(config = {}) {
+    const type = config.executor || 'snow';
+    
+    switch (type) {
+        case 'snow':
+            return new SnowCliExecutor(config);
+        case 'record':
+            return new RecordingExecutor({
+                outputDir: config.recordDir || path.join(config.workDir || process.cwd(), 'recorded_batches')
+            });
+        case 'local':
+            return new LocalTableExecutor({ tableFile: config.localTableFile });
+        default:
+            throw new Error(`Unknown executor: ${type}`);
+    }
+}
+
+module.exports = {
+    SnowCliExecutor,
+    RecordingExecutor,
+    LocalTableExecutor,
+    createExecutor
+};
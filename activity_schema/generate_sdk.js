@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+/**
+ * SDK Generator
+ * Generates event_sdk.js and event_sdk.d.ts from schemas/event_schemas.json
+ *
+ *   node activity_schema/generate_sdk.js           write the SDK
+ *   node activity_schema/generate_sdk.js --check   exit 1 if the SDK is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SCHEMA_FILE = path.join(__dirname, '..', 'schemas', 'event_schemas.json');
+const SDK_FILE = path.join(__dirname, 'event_sdk.js');
+const TYPES_FILE = path.join(__dirname, 'event_sdk.d.ts');
+
+const TS_TYPES = {
+    string: 'string',
+    number: 'number',
+    boolean: 'boolean',
+    timestamp: 'string',
+    object: 'Record<string, unknown>',
+    array: 'unknown[]'
+};
+
+/**
+ * sql_event -> SqlEvent
+ */
+function typeName(eventType) {
+    return eventType.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+function tsType(property) {
+    const base = property.enum
+        ? property.enum.map(value => JSON.stringify(value)).join(' | ')
+        : TS_TYPES[property.type] || 'unknown';
+    return property.nullable ? `${base} | null` : base;
+}
+
+function header(schemaSource, comment) {
+    const hash = crypto.createHash('sha256').update(schemaSource).digest('hex');
+    return [
+        '/**',
+        ` * ${comment}`,
+        ' * GENERATED by activity_schema/generate_sdk.js from schemas/event_schemas.json - do not edit.',
+        ' * Run `npm run generate:sdk` after changing the schema.',
+        ' *',
+        ` * Schema sha256: ${hash}`,
+        ' */'
+    ].join('\n');
+}
+
+/**
+ * Per-type metadata the SDK needs at runtime
+ */
+function eventTypesTable(schema) {
+    const types = {};
+    for (const [eventType, event] of Object.entries(schema.events)) {
+        const defaults = {};
+        for (const [field, property] of Object.entries(event.properties)) {
+            if (property.default !== undefined) defaults[field] = property.default;
+        }
+        types[eventType] = {
+            activities: event.activities,
+            defaultActivity: event.default_activity || event.activities[0],
+            required: event.required || [],
+            fields: Object.keys(event.properties),
+            defaults
+        };
+    }
+    return types;
+}
+
+/**
+ * Render a value as a JavaScript literal in the repo's style: single quotes,
+ * bare keys, short arrays on one line
+ */
+function literal(value, depth = 0) {
+    const pad = '    '.repeat(depth + 1);
+    if (typeof value === 'string') {
+        return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(item => literal(item, depth)).join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value);
+        if (entries.length === 0) return '{}';
+        const lines = entries.map(([key, child]) => {
+            const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : literal(key);
+            return `${pad}${name}: ${literal(child, depth + 1)}`;
+        });
+        return `{\n${lines.join(',\n')}\n${'    '.repeat(depth)}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function generateJs(schema, schemaSource) {
+    const optionFields = Object.keys(schema.common_fields.properties).filter(field => field !== 'activity');
+    
+    const methods = Object.entries(schema.events).map(([eventType, event]) => `    /**
+     * ${event.description}
+     */
+    emit${typeName(eventType)}(fields, options = {}) {
+        return this.emit('${eventType}', fields, options);
+    }`);
+    
+    return `${header(schemaSource, 'Event SDK')}
+
+const EventBuilder = require('./event_builder');
+
+const SCHEMA_VERSION = ${literal(schema.version)};
+
+const EVENT_TYPES = ${literal(eventTypesTable(schema))};
+
+// Common fields a caller may set through emit options
+const OPTION_FIELDS = ${literal(optionFields)};
+
+class EventSDK extends EventBuilder {
+    constructor(config = {}) {
+        super(EVENT_TYPES, OPTION_FIELDS, config);
+    }
+
+${methods.join('\n    \n')}
+}
+
+module.exports = EventSDK;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
+`;
+}
+
+function generateTypes(schema, schemaSource) {
+    const blocks = [];
+    const methods = [];
+    
+    for (const [eventType, event] of Object.entries(schema.events)) {
+        const name = typeName(eventType);
+        const required = new Set(event.required || []);
+        const fields = Object.entries(event.properties).map(([field, property]) => {
+            const optional = required.has(field) ? '' : '?';
+            return `        /** ${property.description} */\n        ${field}${optional}: ${tsType(property)};`;
+        });
+        
+        blocks.push(`    /** ${event.description} */
+    interface ${name}Fields {
+${fields.join('\n')}
+    }
+    
+    type ${name}Activity = ${event.activities.map(activity => JSON.stringify(activity)).join(' | ')};`);
+        
+        methods.push(`    /** ${event.description} */
+    emit${name}(fields: EventSDK.${name}Fields, options?: EventSDK.EmitOptions<EventSDK.${name}Activity>): Promise<string | null>;`);
+    }
+    
+    const options = Object.entries(schema.common_fields.properties)
+        .filter(([field]) => field !== 'activity')
+        .map(([field, property]) => `        /** ${property.description} */\n        ${field}?: ${tsType(property)};`);
+    
+    return `${header(schemaSource, 'Event SDK type declarations')}
+
+declare class EventSDK {
+    constructor(config?: EventSDK.EventSDKConfig);
+    emit(eventType: EventSDK.EventType, fields: Record<string, unknown>, options?: EventSDK.EmitOptions): Promise<string | null>;
+${methods.join('\n')}
+}
+
+declare namespace EventSDK {
+    const SCHEMA_VERSION: string;
+    const EVENT_TYPES: Record<EventType, EventTypeInfo>;
+    
+    interface EventSDKConfig {
+        /** Anything with appendEvent(event), e.g. a DurableNDJSONQueue */
+        queue?: { appendEvent(event: Record<string, unknown>): Promise<string | null> };
+        /** Config for a DurableNDJSONQueue when no queue is given */
+        queueConfig?: Record<string, unknown>;
+        /** customer set on every event */
+        customer?: string;
+    }
+    
+    interface EmitOptions<A extends string = string> {
+        /** Activity name; defaults to the schema's default_activity */
+        activity?: A;
+${options.join('\n')}
+        /** Fields outside the schema, added to feature_json as-is */
+        extra?: Record<string, unknown>;
+    }
+    
+    type EventType = ${Object.keys(schema.events).map(eventType => JSON.stringify(eventType)).join(' | ')};
+    
+    interface EventTypeInfo {
+        activities: string[];
+        defaultActivity: string | { by: string; values: Record<string, string> };
+        required: string[];
+        fields: string[];
+        defaults: Record<string, unknown>;
+    }
+
+${blocks.join('\n    \n')}
+}
+
+export = EventSDK;
+`;
+}
+
+/**
+ * Generated SDK sources for a schema file
+ */
+function generate(schemaFile = SCHEMA_FILE) {
+    const schemaSource = fs.readFileSync(schemaFile, 'utf8');
+    const schema = JSON.parse(schemaSource);
+    return {
+        [SDK_FILE]: generateJs(schema, schemaSource),
+        [TYPES_FILE]: generateTypes(schema, schemaSource)
+    };
+}
+
+/**
+ * Files whose contents differ from what the schema generates
+ */
+function staleFiles(schemaFile = SCHEMA_FILE) {
+    return Object.entries(generate(schemaFile))
+        .filter(([file, source]) => !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== source)
+        .map(([file]) => file);
+}
+
+module.exports = { generate, staleFiles };
+
+// If run directly, write or check the SDK
+if (require.main === module) {
+    if (process.argv.includes('--check')) {
+        const stale = staleFiles();
+        if (stale.length > 0) {
+            console.error(`Event SDK is out of sync with schemas/event_schemas.json: ${stale.map(file => path.basename(file)).join(', ')}`);
+            console.error('Run `npm run generate:sdk` and commit the result.');
+            process.exit(1);
+        }
+        console.log('Event SDK is up to date');
+    } else {
+        for (const [file, source] of Object.entries(generate())) {
+            fs.writeFileSync(file, source);
+            console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+        }
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * HTTP Ingestion Server
+ * Local HTTP front end for DurableNDJSONQueue so producers need not share stdin
+ *
+ *   POST /events        single JSON event
+ *   POST /events/batch  NDJSON or JSON-array body
+ *   GET  /stats         queue getStats()
+ *   GET  /healthz       503 while backpressured
+ */
+
+const http = require('http');
+
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+    }
+}
+
+class QueueHttpServer {
+    constructor(queue, config = {}) {
+        this.queue = queue;
+        this.host = config.host || '127.0.0.1';
+        this.port = config.port !== undefined ? config.port : 8787;
+        this.maxEventBytes = config.maxEventBytes || 1024 * 1024; // 1MB
+        this.maxBatchBytes = config.maxBatchBytes || 10 * 1024 * 1024; // 10MB
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+    
+    /**
+     * Start listening; resolves with the bound port
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.removeListener('error', reject);
+                const { port } = this.server.address();
+                console.log(`HTTP ingestion listening on http://${this.host}:${port}`);
+                resolve(port);
+            });
+        });
+    }
+    
+    /**
+     * Stop accepting connections and wait for in-flight requests
+     */
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+    
+    async handle(req, res) {
+        const url = req.url.split('?')[0];
+        
+        try {
+            if (url === '/events' && req.method === 'POST') {
+                const body = await this.readBody(req, this.maxEventBytes);
+                const activityId = await this.queue.appendEvent(this.parseEvent(body));
+                return this.send(res, 202, { activity_id: activityId });
+            }
+            
+            if (url === '/events/batch' && req.method === 'POST') {
+                const body = await this.readBody(req, this.maxBatchBytes);
+                return this.send(res, 202, await this.appendBatch(body));
+            }
+            
+            if (url === '/stats' && req.method === 'GET') {
+                return this.send(res, 200, this.queue.getStats());
+            }
+            
+            if (url === '/healthz' && req.method === 'GET') {
+                const stats = this.queue.getStats();
+                return this.send(res, stats.isBackpressured ? 503 : 200, {
+                    status: stats.isBackpressured ? 'backpressured' : 'ok',
+                    reason: stats.backpressureReason,
+                    currentFileSize: stats.currentFileSize
+                });
+            }
+            
+            const known = ['/events', '/events/batch', '/stats', '/healthz'].includes(url);
+            return this.send(res, known ? 405 : 404, { error: known ? 'Method not allowed' : 'Not found' });
+        
+        } catch (err) {
+            const status = err.statusCode || (err.name === 'EventValidationError' ? 422 : 500);
+            if (status === 500) {
+                console.error('HTTP ingestion error:', err);
+            }
+            return this.send(res, status, { error: err.message, ...(err.errors ? { errors: err.errors } : {}) });
+        }
+    }
+    
+    /**
+     * Append each event of a batch body, reporting per-event results
+     */
+    async appendBatch(body) {
+        const text = body.toString('utf8').trim();
+        let items;
+        
+        if (text.startsWith('[')) {
+            items = this.parseJson(text);
+            if (!Array.isArray(items)) {
+                throw new HttpError(400, 'Batch body must be a JSON array or NDJSON');
+            }
+            items = items.map(item => ({ event: item }));
+        } else {
+            items = text.split('\n').filter(l => l.trim()).map(line => {
+                try {
+                    return { event: JSON.parse(line) };
+                } catch (err) {
+                    return { error: `Invalid JSON: ${err.message}` };
+                }
+            });
+        }
+        
+        const results = [];
+        let queued = 0;
+        for (const [index, item] of items.entries()) {
+            if (item.error) {
+                results.push({ index, error: item.error });
+                continue;
+            }
+            try {
+                results.push({ index, activity_id: await this.queue.appendEvent(this.checkEvent(item.event)) });
+                queued++;
+            } catch (err) {
+                results.push({ index, error: err.message });
+            }
+        }
+        
+        return { queued, failed: results.length - queued, results };
+    }
+    
+    parseEvent(body) {
+        return this.checkEvent(this.parseJson(body.toString('utf8')));
+    }
+    
+    parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw new HttpError(400, `Invalid JSON: ${err.message}`);
+        }
+    }
+    
+    checkEvent(event) {
+        if (!event || typeof event !== 'object' || Array.isArray(event)) {
+            throw new HttpError(400, 'Event must be a JSON object');
+        }
+        return event;
+    }
+    
+    /**
+     * Read a request body, rejecting it once it exceeds limit bytes
+     */
+    readBody(req, limit) {
+        return new Promise((resolve, reject) => {
+            const declared = parseInt(req.headers['content-length'], 10);
+            if (declared > limit) {
+                req.resume();
+                return reject(new HttpError(413, `Payload exceeds ${limit} bytes`));
+            }
+            
+            const chunks = [];
+            let size = 0;
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > limit) {
+                    req.removeAllListeners('data');
+                    req.resume();
+                    reject(new HttpError(413, `Payload exceeds ${limit} bytes`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks)));
+            req.on('error', reject);
+        });
+    }
+    
+    send(res, status, body) {
+        const payload = JSON.stringify(body);
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload)
+        });
+        res.end(payload);
+    }
+}
+
+module.exports = QueueHttpServer;
@@ -0,0 +1,77 @@
+/**
+ * Line Ingestion
+ * Reads an NDJSON stream one event per line into a DurableNDJSONQueue
+ */
+
+const readline = require('readline');
+
+/**
+ * Append every line of input to the queue. Malformed or rejected lines are
+ * reported with their line number and counted, never silently dropped.
+ */
+async function ingestLines(queue, input, options = {}) {
+    const source = options.source || 'stdin';
+    const onQueued = options.onQueued || (() => {});
+    const summary = { source, lines: 0, queued: 0, failed: 0 };
+    
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    
+    // Node 14's readline iterator ends quietly on input errors instead of throwing them
+    let inputError = null;
+    input.on('error', err => {
+        inputError = err;
+        rl.close();
+    });
+    
+    for await (const line of rl) {
+        summary.lines++;
+        if (!line.trim()) continue;
+        
+        try {
+            const event = JSON.parse(line);
+            if (!event || typeof event !== 'object' || Array.isArray(event)) {
+                throw new Error('event must be a JSON object');
+            }
+            const id = await queue.appendEvent(event);
+            summary.queued++;
+            onQueued(id, summary.lines);
+        } catch (err) {
+            summary.failed++;
+            console.error(`${source}:${summary.lines}: ${err.message}`);
+        }
+    }
+    if (inputError) throw inputError;
+    
+    return summary;
+}
+
+/**
+ * Split a byte stream into lines with the offset and length of each, counting
+ * from start, so callers can checkpoint exact positions. A \r before the
+ * newline is stripped from the line but counted in its length; a last line
+ * without a newline is yielded too.
+ */
+async function* readLines(input, start = 0) {
+    let pending = Buffer.alloc(0);
+    let position = start;
+    
+    for await (const chunk of input) {
+        pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+        let from = 0;
+        let newline;
+        while ((newline = pending.indexOf(0x0a, from)) !== -1) {
+            const end = newline > from && pending[newline - 1] === 0x0d ? newline - 1 : newline;
+            const length = newline + 1 - from;
+            yield { line: pending.toString('utf8', from, end), offset: position, length };
+            position += length;
+            from = newline + 1;
+        }
+        pending = pending.subarray(from);
+    }
+    
+    if (pending.length > 0) {
+        yield { line: pending.toString('utf8'), offset: position, length: pending.length };
+    }
+}
+
+module.exports = { ingestLines, readLines };
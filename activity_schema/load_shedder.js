@@ -0,0 +1,212 @@
+/**
+ * Load Shedder
+ * Decides what the queue keeps when it is backpressured or over its disk cap
+ *
+ *   critical  session, system and error events - never shed or truncated
+ *   normal    kept, with large fields truncated under backpressure
+ *   verbose   sampled under backpressure (tool calls, heartbeats), survivors truncated
+ *
+ * Over the disk cap only critical events are written. Every shed event is
+ * counted per reason and activity, and the queue reports each window of
+ * shedding in a system_backpressure summary event.
+ */
+
+const crypto = require('crypto');
+
+const PRIORITIES = ['critical', 'normal', 'verbose'];
+
+const DEFAULT_PRIORITIES = {
+    claude_session_start: 'critical',
+    claude_session_end: 'critical',
+    claude_context_hydration: 'critical',
+    system_backpressure: 'critical',
+    schema_drift_detected: 'critical',
+    queue_rotation: 'critical',
+    artifact_cleanup: 'critical',
+    error_recovery: 'critical',
+    system_event: 'critical',
+    claude_tool_call: 'verbose',
+    tool_call: 'verbose',
+    tool_execution: 'verbose',
+    session_heartbeat: 'verbose'
+};
+
+class LoadShedder {
+    constructor(config = {}) {
+        this.priorities = { ...DEFAULT_PRIORITIES, ...(config.priorities || {}) };
+        this.sampleRates = { verbose: 0.1, normal: 1, ...(config.sampleRates || {}) };
+        this.maxFieldChars = config.maxFieldChars || 256;
+        this.maxFeatureBytes = config.maxFeatureBytes || 4096;
+        
+        for (const [activity, priority] of Object.entries(this.priorities)) {
+            if (!PRIORITIES.includes(priority)) {
+                throw new Error(`Unknown priority for ${activity}: ${priority}`);
+            }
+        }
+        
+        this.totals = this.emptyCounters();
+        this.window = this.emptyCounters();
+        this.windowStartedAt = Date.now();
+    }
+    
+    emptyCounters() {
+        return {
+            sampled: 0,
+            diskCap: 0,
+            spilled: 0,
+            truncated: 0,
+            carriedForward: 0,
+            byActivity: {}
+        };
+    }
+    
+    /**
+     * Priority class of an event; a failed or errored event is always critical,
+     * and so are system_* events unless configured otherwise
+     */
+    priorityOf(event) {
+        const featureJson = event.feature_json || {};
+        if (featureJson.success === false || featureJson.error) {
+            return 'critical';
+        }
+        if (this.priorities[event.activity]) {
+            return this.priorities[event.activity];
+        }
+        return String(event.activity).startsWith('system_') ? 'critical' : 'normal';
+    }
+    
+    /**
+     * Keep an event at the given rate. Hashing the activity_id makes the choice
+     * stable, so a replayed event gets the same decision.
+     */
+    sampled(event, rate) {
+        if (rate >= 1) return true;
+        if (rate <= 0) return false;
+        const hash = crypto.createHash('md5').update(String(event.activity_id)).digest();
+        return hash.readUInt32BE(0) / 0x100000000 < rate;
+    }
+    
+    /**
+     * Apply the policy to an event about to be written. Returns the event to
+     * write (possibly truncated) or null if it was shed.
+     */
+    apply(event, { backpressured = false, overDiskCap = false } = {}) {
+        const priority = this.priorityOf(event);
+        if (priority === 'critical') {
+            return event;
+        }
+        
+        if (overDiskCap) {
+            this.count('diskCap', event.activity);
+            return null;
+        }
+        if (!backpressured) {
+            return event;
+        }
+        
+        const rate = this.sampleRates[priority];
+        if (!this.sampled(event, rate)) {
+            this.count('sampled', event.activity);
+            return null;
+        }
+        
+        const truncated = this.truncate(event.feature_json);
+        if (truncated) {
+            this.count('truncated', event.activity);
+        }
+        const featureJson = truncated || event.feature_json;
+        return {
+            ...event,
+            feature_json: rate < 1 ? { ...featureJson, _sample_rate: rate } : featureJson
+        };
+    }
+    
+    /**
+     * Shrink feature_json to maxFeatureBytes, or return null if it already fits.
+     * Long strings are cut first; if that is not enough the largest objects and
+     * arrays are emptied. Field types are kept, so the event still validates.
+     */
+    truncate(featureJson) {
+        if (!featureJson) return null;
+        const originalSize = Buffer.byteLength(JSON.stringify(featureJson));
+        if (originalSize <= this.maxFeatureBytes) return null;
+        
+        const fields = [];
+        const cut = (value, fieldPath) => {
+            if (typeof value === 'string' && value.length > this.maxFieldChars) {
+                fields.push(fieldPath);
+                return `${value.slice(0, this.maxFieldChars)}...[truncated]`;
+            }
+            if (Array.isArray(value)) {
+                return value.map((item, i) => cut(item, `${fieldPath}[${i}]`));
+            }
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, child]) =>
+                    [key, cut(child, fieldPath ? `${fieldPath}.${key}` : key)]));
+            }
+            return value;
+        };
+        const result = cut(featureJson, '');
+        
+        const containers = Object.keys(result)
+            .filter(key => result[key] && typeof result[key] === 'object')
+            .sort((a, b) => JSON.stringify(result[b]).length - JSON.stringify(result[a]).length);
+        for (const key of containers) {
+            if (Buffer.byteLength(JSON.stringify(result)) <= this.maxFeatureBytes) break;
+            result[key] = Array.isArray(result[key]) ? [] : {};
+            fields.push(key);
+        }
+        
+        return {
+            ...result,
+            _truncated: true,
+            _original_size: originalSize,
+            _truncated_fields: [...new Set(fields)]
+        };
+    }
+    
+    count(reason, activity, n = 1) {
+        for (const counters of [this.totals, this.window]) {
+            counters[reason] += n;
+            if (reason !== 'truncated' && reason !== 'carriedForward') {
+                counters.byActivity[activity] = (counters.byActivity[activity] || 0) + n;
+            }
+        }
+    }
+    
+    /**
+     * Record a queue file spilled to stay under the disk cap
+     */
+    recordSpill({ spilled, carriedForward }) {
+        for (const [activity, n] of Object.entries(spilled)) {
+            this.count('spilled', activity, n);
+        }
+        this.count('carriedForward', null, carriedForward);
+    }
+    
+    /**
+     * Counters since the last summary, or null if nothing was shed or truncated;
+     * starts a new window
+     */
+    takeSummary() {
+        const window = this.window;
+        const windowMs = Date.now() - this.windowStartedAt;
+        this.window = this.emptyCounters();
+        this.windowStartedAt = Date.now();
+        
+        if (window.sampled + window.diskCap + window.spilled + window.truncated === 0) {
+            return null;
+        }
+        return { ...window, windowMs };
+    }
+    
+    getStats() {
+        return {
+            ...this.totals,
+            shed: this.totals.sampled + this.totals.diskCap + this.totals.spilled
+        };
+    }
+}
+
+module.exports = LoadShedder;
+module.exports.DEFAULT_PRIORITIES = DEFAULT_PRIORITIES;
@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+/**
+ * Local Analytics
+ * Core activity metrics computed straight from a queue directory's
+ * current.ndjson, rotated files and archive/, for when Snowflake is
+ * unreachable or the events have not been uploaded yet
+ *
+ *   activities  events per activity per day
+ *   tools       tool calls and success rates per tool
+ *   llm         LLM calls and token totals per model
+ *   sql         SQL statements and error rates per warehouse
+ *   files       most touched files
+ *   report      all of the above with a summary
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const compression = require('./compression');
+const framing = require('./record_framing');
+const { loadEventSchemas } = require('./event_validator');
+
+const QUEUE_FILE_PATTERN = /^queue_.*\.ndjson(\.gz|\.zst)?$/;
+// The uploader archives files as processed_<timestamp>_queue_...
+const ARCHIVE_FILE_PATTERN = /\.ndjson(\.gz|\.zst)?$/;
+const SECTIONS = ['activities', 'tools', 'llm', 'sql', 'files'];
+
+class LocalAnalytics {
+    constructor(config = {}) {
+        this.queueDir = config.queueDir || '/var/claude/queue';
+        this.archiveDir = path.join(this.queueDir, 'archive');
+        this.currentQueueFile = path.join(this.queueDir, 'current.ndjson');
+        
+        if (!fs.existsSync(this.queueDir)) {
+            throw new Error(`Queue directory not found: ${this.queueDir}`);
+        }
+        this.activityTypes = loadEventSchemas(config.schemaFile).activityTypes;
+    }
+    
+    /**
+     * Files to read, oldest first: the archive, rotated files, then current.ndjson
+     */
+    files(options = {}) {
+        const list = (dir, pattern) => fs.readdirSync(dir)
+            .filter(name => pattern.test(name))
+            .sort()
+            .map(name => path.join(dir, name));
+        
+        return [
+            ...(options.includeArchive !== false && fs.existsSync(this.archiveDir) ? list(this.archiveDir, ARCHIVE_FILE_PATTERN) : []),
+            ...list(this.queueDir, QUEUE_FILE_PATTERN),
+            ...(fs.existsSync(this.currentQueueFile) ? [this.currentQueueFile] : [])
+        ];
+    }
+    
+    /**
+     * Events matching the filters, once per activity_id. Malformed lines and
+     * records failing their checksum are counted in scan and skipped.
+     */
+    async *events(filters = {}, options = {}, scan = {}) {
+        const since = filters.since ? Date.parse(filters.since) : null;
+        const until = filters.until ? Date.parse(filters.until) : null;
+        const seen = new Set();
+        Object.assign(scan, { files_scanned: 0, lines_scanned: 0, skipped_malformed: 0, skipped_corrupt: 0, duplicates: 0 });
+        
+        for (const file of this.files(options)) {
+            // Rotation or upload may move a file between listing and reading it
+            if (!fs.existsSync(file)) continue;
+            scan.files_scanned++;
+            
+            const rl = readline.createInterface({ input: compression.createReadStream(file), crlfDelay: Infinity });
+            for await (const line of rl) {
+                if (!line.trim()) continue;
+                scan.lines_scanned++;
+                
+                if (framing.verify(line).status === 'corrupt') {
+                    scan.skipped_corrupt++;
+                    continue;
+                }
+                let event;
+                try {
+                    event = framing.unframe(JSON.parse(line));
+                } catch (err) {
+                    scan.skipped_malformed++;
+                    continue;
+                }
+                if (!event || typeof event !== 'object' || !event.activity) {
+                    scan.skipped_malformed++;
+                    continue;
+                }
+                
+                if (event.activity_id) {
+                    if (seen.has(event.activity_id)) {
+                        scan.duplicates++;
+                        continue;
+                    }
+                    seen.add(event.activity_id);
+                }
+                
+                const at = eventTime(event);
+                if (since !== null && !(at >= since)) continue;
+                if (until !== null && !(at < until)) continue;
+                if (filters.customer && event.customer !== filters.customer) continue;
+                yield event;
+            }
+        }
+    }
+    
+    /**
+     * Compute every metric in one pass over the files
+     */
+    async report(filters = {}, options = {}) {
+        const top = options.top || 10;
+        const scan = {};
+        const summary = { events: 0, customers: new Set(), hosts: new Set(), first_ts: null, last_ts: null };
+        const activities = new Map();
+        const tools = new Map();
+        const models = new Map();
+        const warehouses = new Map();
+        const files = new Map();
+        const entry = (map, key, init) => {
+            if (!map.has(key)) map.set(key, init());
+            return map.get(key);
+        };
+        
+        for await (const event of this.events(filters, options, scan)) {
+            const at = eventTime(event);
+            const ts = Number.isNaN(at) ? null : new Date(at).toISOString();
+            const day = ts ? ts.slice(0, 10) : 'unknown';
+            const featureJson = event.feature_json || {};
+            
+            summary.events++;
+            if (event.customer) summary.customers.add(event.customer);
+            if (event.anonymous_customer_id) summary.hosts.add(event.anonymous_customer_id);
+            if (ts && (!summary.first_ts || ts < summary.first_ts)) summary.first_ts = ts;
+            if (ts && (!summary.last_ts || ts > summary.last_ts)) summary.last_ts = ts;
+            entry(activities, `${day}\u0000${event.activity}`, () => ({ day, activity: event.activity, events: 0 })).events++;
+            
+            const eventType = this.activityTypes[event.activity];
+            if (eventType === 'tool_event') {
+                const tool = entry(tools, featureJson.tool_name || 'unknown', () => ({
+                    tool_name: featureJson.tool_name || 'unknown', calls: 0, succeeded: 0, failed: 0
+                }));
+                tool.calls++;
+                if (featureJson.success === false || featureJson.error) {
+                    tool.failed++;
+                } else if (featureJson.success === true) {
+                    tool.succeeded++;
+                }
+            
+            } else if (eventType === 'llm_event') {
+                const model = entry(models, featureJson.model || 'unknown', () => ({
+                    model: featureJson.model || 'unknown', calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0
+                }));
+                const promptTokens = Number(featureJson.prompt_tokens) || 0;
+                const completionTokens = Number(featureJson.completion_tokens) || 0;
+                model.calls++;
+                model.prompt_tokens += promptTokens;
+                model.completion_tokens += completionTokens;
+                model.total_tokens += Number(featureJson.total_tokens) || promptTokens + completionTokens;
+                model.cost_usd += Number(featureJson.cost_usd) || 0;
+            
+            } else if (eventType === 'sql_event') {
+                // Only events that report an outcome count; query_submitted has none yet
+                const failed = featureJson.success === false || Boolean(featureJson.error) || Boolean(featureJson.error_code);
+                if (featureJson.success === undefined && !failed) continue;
+                const warehouse = entry(warehouses, featureJson.warehouse || 'unknown', () => ({
+                    warehouse: featureJson.warehouse || 'unknown', statements: 0, errors: 0
+                }));
+                warehouse.statements++;
+                if (failed) warehouse.errors++;
+            
+            } else if (eventType === 'file_event' && featureJson.file_path) {
+                const file = entry(files, featureJson.file_path, () => ({ file_path: featureJson.file_path, operations: 0, by_operation: {} }));
+                const operation = featureJson.operation || 'unknown';
+                file.operations++;
+                file.by_operation[operation] = (file.by_operation[operation] || 0) + 1;
+            }
+        }
+        
+        const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+        const statements = [...warehouses.values()].reduce((sum, item) => sum + item.statements, 0);
+        const errors = [...warehouses.values()].reduce((sum, item) => sum + item.errors, 0);
+        const byModel = [...models.values()]
+            .map(item => ({ ...item, cost_usd: Math.round(item.cost_usd * 1e6) / 1e6 }))
+            .sort((a, b) => b.total_tokens - a.total_tokens);
+        
+        return {
+            filters: { since: filters.since || null, until: filters.until || null, customer: filters.customer || null },
+            scan,
+            summary: {
+                events: summary.events,
+                customers: summary.customers.size,
+                hosts: summary.hosts.size,
+                first_ts: summary.first_ts,
+                last_ts: summary.last_ts
+            },
+            activities: [...activities.values()]
+                .sort((a, b) => a.day.localeCompare(b.day) || b.events - a.events || a.activity.localeCompare(b.activity)),
+            tools: [...tools.values()]
+                .map(item => ({ ...item, success_rate_pct: rate(item.succeeded, item.succeeded + item.failed) }))
+                .sort((a, b) => b.calls - a.calls),
+            llm: {
+                calls: byModel.reduce((sum, item) => sum + item.calls, 0),
+                prompt_tokens: byModel.reduce((sum, item) => sum + item.prompt_tokens, 0),
+                completion_tokens: byModel.reduce((sum, item) => sum + item.completion_tokens, 0),
+                total_tokens: byModel.reduce((sum, item) => sum + item.total_tokens, 0),
+                by_model: byModel
+            },
+            sql: {
+                statements,
+                errors,
+                error_rate_pct: rate(errors, statements),
+                by_warehouse: [...warehouses.values()]
+                    .map(item => ({ ...item, error_rate_pct: rate(item.errors, item.statements) }))
+                    .sort((a, b) => b.statements - a.statements)
+            },
+            files: [...files.values()]
+                .sort((a, b) => b.operations - a.operations || a.file_path.localeCompare(b.file_path))
+                .slice(0, top)
+        };
+    }
+}
+
+/**
+ * Event time in ms: ts, or queued_at for events written before ts was stamped
+ */
+function eventTime(event) {
+    return Date.parse(event.ts || event.queued_at);
+}
+
+/**
+ * Accept an ISO timestamp or a relative age such as 30m, 24h or 7d
+ */
+function parseTime(value, now = Date.now()) {
+    if (value === undefined) return undefined;
+    const relative = /^(\d+)([mhd])$/.exec(value);
+    if (relative) {
+        const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[relative[2]];
+        return new Date(now - parseInt(relative[1], 10) * unit).toISOString();
+    }
+    if (Number.isNaN(Date.parse(value))) {
+        throw new Error(`Invalid time: ${value} (use an ISO timestamp or an age like 24h or 7d)`);
+    }
+    return value;
+}
+
+function printTable(rows, columns) {
+    if (rows.length === 0) {
+        console.log('  (none)');
+        return;
+    }
+    const cell = value => (value === null || value === undefined ? '-' : String(value));
+    const widths = columns.map(([key, label]) => Math.max(label.length, ...rows.map(row => cell(row[key]).length)));
+    const line = values => `  ${values.map((value, i) => value.padEnd(widths[i])).join('  ')}`.trimEnd();
+    console.log(line(columns.map(([, label]) => label)));
+    rows.forEach(row => console.log(line(columns.map(([key]) => cell(row[key])))));
+}
+
+function printReport(report, sections) {
+    const { summary, scan } = report;
+    if (sections.length === SECTIONS.length) {
+        console.log(`Events         ${summary.events} (${summary.customers} customers, ${summary.hosts} hosts)`);
+        console.log(`Time range     ${summary.first_ts || '-'} .. ${summary.last_ts || '-'}`);
+        console.log(`Scanned        ${scan.files_scanned} files, ${scan.lines_scanned} lines: ${scan.duplicates} duplicates, ${scan.skipped_malformed} malformed, ${scan.skipped_corrupt} corrupt`);
+    }
+    
+    if (sections.includes('activities')) {
+        console.log('\nEvents per activity per day');
+        printTable(report.activities, [['day', 'DAY'], ['activity', 'ACTIVITY'], ['events', 'EVENTS']]);
+    }
+    if (sections.includes('tools')) {
+        console.log('\nTool success rates');
+        printTable(report.tools, [['tool_name', 'TOOL'], ['calls', 'CALLS'], ['succeeded', 'OK'], ['failed', 'FAILED'], ['success_rate_pct', 'SUCCESS %']]);
+    }
+    if (sections.includes('llm')) {
+        const { llm } = report;
+        console.log(`\nLLM tokens: ${llm.total_tokens} total (${llm.prompt_tokens} prompt, ${llm.completion_tokens} completion) over ${llm.calls} calls`);
+        printTable(llm.by_model, [['model', 'MODEL'], ['calls', 'CALLS'], ['prompt_tokens', 'PROMPT'], ['completion_tokens', 'COMPLETION'], ['total_tokens', 'TOTAL'], ['cost_usd', 'COST USD']]);
+    }
+    if (sections.includes('sql')) {
+        const { sql } = report;
+        console.log(`\nSQL errors: ${sql.errors} of ${sql.statements} statements (${sql.error_rate_pct === null ? '-' : `${sql.error_rate_pct}%`})`);
+        printTable(sql.by_warehouse, [['warehouse', 'WAREHOUSE'], ['statements', 'STATEMENTS'], ['errors', 'ERRORS'], ['error_rate_pct', 'ERROR %']]);
+    }
+    if (sections.includes('files')) {
+        console.log('\nTop files touched');
+        printTable(
+            report.files.map(item => ({
+                ...item,
+                by_operation: Object.entries(item.by_operation).map(([operation, n]) => `${operation} ${n}`).join(', ')
+            })),
+            [['file_path', 'FILE'], ['operations', 'OPERATIONS'], ['by_operation', 'BY OPERATION']]
+        );
+    }
+}
+
+module.exports = LocalAnalytics;
+module.exports.parseTime = parseTime;
+
+// If run directly, print metrics for the queue directory
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const command = args[0] && !args[0].startsWith('--') ? args[0] : 'report';
+    const json = args.includes('--json');
+    const option = name => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : undefined;
+    };
+    
+    if (![...SECTIONS, 'report'].includes(command)) {
+        console.error(`Usage: local_analytics.js [report|${SECTIONS.join('|')}] [--since <time>] [--until <time>] [--customer <id>]`);
+        console.error('                          [--top <n>] [--no-archive] [--json]');
+        console.error('  <time> is an ISO timestamp or an age such as 30m, 24h or 7d');
+        process.exit(1);
+    }
+    
+    const run = async () => {
+        const analytics = new LocalAnalytics({ queueDir: process.env.QUEUE_DIR || '/tmp/claude_queue' });
+        const report = await analytics.report(
+            { since: parseTime(option('--since')), until: parseTime(option('--until')), customer: option('--customer') },
+            {
+                includeArchive: !args.includes('--no-archive'),
+                top: option('--top') !== undefined ? parseInt(option('--top'), 10) : undefined
+            }
+        );
+        
+        if (json) {
+            console.log(JSON.stringify(command === 'report' ? report : { filters: report.filters, [command]: report[command] }));
+        } else {
+            printReport(report, command === 'report' ? SECTIONS : [command]);
+        }
+    };
+    
+    run().catch(err => {
+        console.error(`${command} failed: ${err.message}`);
+        process.exit(1);
+    });
+}
@@ -6,7 +6,25 @@
 
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
 const { v4: uuidv4 } = require('uuid');
+const EventValidator = require('./event_validator');
+const { EventValidationError } = EventValidator;
+const Redactor = require('./redactor');
+const EnrichmentPipeline = require('./enrichment');
+const LoadShedder = require('./load_shedder');
+const QueueLock = require('./queue_lock');
+const ReadyQueue = require('./ready_queue');
+const compression = require('./compression');
+const framing = require('./record_framing');
+const DeadLetterStore = require('./dead_letter');
+const ActivityOrdering = require('./activity_ordering');
+const Sessionizer = require('./sessionizer');
+
+const DURABILITY_MODES = ['os-buffered', 'group-commit', 'fsync-every-event'];
+
+// Customer on the events the queue writes about itself; the uploader needs one on every row
+const SYSTEM_CUSTOMER = 'system';
 
 class DurableNDJSONQueue {
     constructor(config = {}) {
@@ -16,33 +34,124 @@ class DurableNDJSONQueue {
         this.rotationInterval = config.rotationInterval || 60000; // 60 seconds
         this.backpressureThreshold = config.backpressureThreshold || 120000; // 2 minutes
         
+        // Cap on current and rotated queue files; null or 0 disables
+        this.maxDiskBytes = config.maxDiskBytes !== undefined ? config.maxDiskBytes : 1024 * 1024 * 1024; // 1GB
+        
+        // Durability: 'os-buffered' (default), 'group-commit' or 'fsync-every-event'
+        this.durability = config.durability || 'os-buffered';
+        this.groupCommitMs = config.groupCommitMs || 5;
+        this.groupCommitBytes = config.groupCommitBytes || 64 * 1024; // 64KB
+        if (!DURABILITY_MODES.includes(this.durability)) {
+            throw new Error(`Unknown durability mode: ${this.durability}`);
+        }
+        
+        // Per-record sequence number and CRC32: 'none' (default) or 'crc32'
+        this.framing = framing.checkFraming(config.framing || 'none');
+        
+        // Compress rotated files: null (default), 'gzip' or 'zstd'
+        this.compression = config.compression ? compression.checkFormat(config.compression) : null;
+        
         // File paths
         this.currentQueueFile = path.join(this.queueDir, 'current.ndjson');
         this.offsetFile = path.join(this.queueDir, 'offset.json');
         this.lockFile = path.join(this.queueDir, '.lock');
+        this.deadLetterDir = path.join(this.queueDir, 'dead_letter');
+        this.validationDeadLetterFile = path.join(this.deadLetterDir, 'validation.ndjson');
+        this.uploaderStateFile = path.join(this.queueDir, 'uploader_state.json');
+        this.orderingStateFile = path.join(this.queueDir, 'activity_state.json');
+        
+        // Schema validation (pass validation: false to disable)
+        this.validator = config.validation === false
+            ? null
+            : new EventValidator(config.validation || {});
+        
+        // Enrichment middleware chain (pass enrichment: false to disable)
+        this.enrichment = config.enrichment === false
+            ? null
+            : new EnrichmentPipeline(config.enrichment || {});
+        
+        // Secret/PII redaction before anything is written (pass redaction: false to disable)
+        this.redactor = config.redaction === false
+            ? null
+            : new Redactor(config.redaction || {});
+        
+        // Priority-based shedding under backpressure and over the disk cap (pass shedding: false to disable)
+        this.shedder = config.shedding === false
+            ? null
+            : new LoadShedder(config.shedding || {});
+        this.shedSummaryIntervalMs = (config.shedding && config.shedding.summaryIntervalMs) || 60000; // 1 minute
+        
+        // Event-time ts, per-customer sequence and activity_occurrence (pass ordering: false to disable)
+        this.ordering = config.ordering === false
+            ? null
+            : new ActivityOrdering({ stateFile: this.orderingStateFile });
+        
+        // Synthetic session start/end records per customer/host (pass sessionization: false to disable)
+        this.sessionizer = config.sessionization === false
+            ? null
+            : new Sessionizer(config.sessionization || {});
         
         // State
         this.currentFileHandle = null;
         this.currentFileSize = 0;
         this.lastRotation = Date.now();
         this.isBackpressured = false;
+        this.backpressureReason = null;
+        this.rotationTimer = null;
+        this.pendingCommits = [];
+        this.pendingCommitBytes = 0;
+        this.commitTimer = null;
+        this.pendingCompressions = new Set();
+        this.compressionStats = new compression.CompressionStats(this.compression);
+        this.queuedBytes = 0;
+        this.lastDiskCheck = 0;
+        this.diskCapCheck = null;
+        this.lastShedSummary = Date.now();
+        this.seq = 0;
+        this.tornTailRepair = null;
+        this.recoveryLogged = null;
         this.stats = {
             eventsQueued: 0,
             eventsUploaded: 0,
             bytesWritten: 0,
             rotations: 0,
             errors: 0,
-            backpressureEvents: 0
+            backpressureEvents: 0,
+            validationFailures: 0,
+            eventsRejected: 0,
+            eventsQuarantined: 0,
+            eventsRedacted: 0,
+            redactionsApplied: 0,
+            eventsDropped: 0,
+            eventsShed: 0,
+            eventsSpilled: 0,
+            tornTailsRepaired: 0,
+            fsyncs: 0
         };
         
         // Ensure queue directory exists
         this.ensureQueueDir();
         
+        // Only one queue process may write current.ndjson
+        this.lock = new QueueLock(this.lockFile, { role: 'queue' });
+        this.lock.acquire();
+        this.readyQueue = new ReadyQueue(this.queueDir);
+        
+        // Only read, never acquired: tells whether the uploader state file is current
+        this.uploaderLock = new QueueLock(path.join(this.queueDir, '.uploader.lock'), { role: 'uploader' });
+        
         // Recover from crash if needed
         this.recoverFromCrash();
+        this.queuedBytes = this.rotatedBytes();
         
         // Start rotation timer
         this.startRotationTimer();
+        
+        // Record a torn-tail repair now that the queue can take events; shutdown waits for it
+        if (this.tornTailRepair) {
+            this.recoveryLogged = this.logTornTailRepair(this.tornTailRepair)
+                .catch(err => console.error('Error logging torn tail repair:', err));
+        }
     }
     
     /**
@@ -62,14 +171,13 @@ class DurableNDJSONQueue {
             try {
                 const offset = JSON.parse(fs.readFileSync(this.offsetFile, 'utf8'));
                 console.log(`Recovering from offset: ${JSON.stringify(offset)}`);
+                this.seq = offset.seq || 0;
                 
-                // Check if the file still exists and has unprocessed data
+                // Check if the file still exists and has data written after the last offset update
                 if (offset.file && fs.existsSync(offset.file)) {
                     const stats = fs.statSync(offset.file);
                     if (stats.size > offset.offset) {
-                        console.log(`Found ${stats.size - offset.offset} bytes of unprocessed data`);
-                        // Mark file for processing
-                        this.markForProcessing(offset.file, offset.offset);
+                        console.log(`Found ${stats.size - offset.offset} bytes written since last offset update`);
                     }
                 }
             } catch (err) {
@@ -77,8 +185,123 @@ class DurableNDJSONQueue {
             }
         }
         
+        // Mark rotated files a previous run left unmarked, e.g. mid-compression
+        this.recoverRotatedFiles();
+        
+        // Cut a partial last record before appending, or the next event would be glued to it
+        this.repairTornTail();
+        
+        // Counters saved before the crash miss the events written after them
+        if (this.ordering) {
+            const recovered = this.ordering.recover(this.currentQueueFile);
+            if (recovered > 0) {
+                console.log(`Recovered ordering counters from ${recovered} events written since the last save`);
+            }
+        }
+        
         // Open current queue file for appending
         this.openCurrentFile();
+        
+        // Hand events left by a previous run to the uploader as a rotated file,
+        // rather than marking the live current.ndjson for processing
+        if (this.currentFileSize > 0) {
+            this.rotateQueue().catch(err => {
+                console.error('Error rotating recovered queue file:', err);
+                this.stats.errors++;
+                // Keep appending to current.ndjson; a later rotation hands it over
+                if (!this.currentFileHandle) {
+                    this.openCurrentFile();
+                }
+            });
+        }
+    }
+    
+    /**
+     * Truncate current.ndjson after its last intact record. The torn fragment
+     * and trailing records failing their checksum are quarantined as corrupt
+     * records. Also restores the sequence number from the last record.
+     */
+    repairTornTail() {
+        if (!fs.existsSync(this.currentQueueFile)) return;
+        
+        const tail = framing.scanTail(this.currentQueueFile);
+        if (tail.lastSeq !== null) {
+            this.seq = Math.max(this.seq, tail.lastSeq);
+        }
+        if (tail.validSize === tail.size) return;
+        
+        const cut = tail.torn
+            ? [...tail.corrupt, { ...tail.torn, reason: 'torn write: no newline after the last record' }]
+            : tail.corrupt;
+        const deadLetters = new DeadLetterStore({ queueDir: this.queueDir });
+        const recoveredAt = new Date().toISOString();
+        for (const record of cut) {
+            deadLetters.writeCorruptRecord(this.currentQueueFile, { offset: record.offset, raw: record.raw, error: record.reason, recoveredAt });
+        }
+        
+        const fd = fs.openSync(this.currentQueueFile, 'r+');
+        try {
+            fs.ftruncateSync(fd, tail.validSize);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        this.stats.tornTailsRepaired++;
+        this.tornTailRepair = { ...tail, quarantined: cut.length };
+        console.warn(`Truncated torn tail of ${this.currentQueueFile} from ${tail.size} to ${tail.validSize} bytes (${cut.length} records quarantined)`);
+    }
+    
+    /**
+     * Log a torn-tail repair as an error_recovery system event
+     */
+    async logTornTailRepair(repair) {
+        await this.appendEvent({
+            activity: 'error_recovery',
+            customer: SYSTEM_CUSTOMER,
+            feature_json: {
+                event_type: 'error_recovery',
+                severity: 'warning',
+                message: `Truncated torn tail of current.ndjson from ${repair.size} to ${repair.validSize} bytes`,
+                action_taken: 'truncated_torn_tail',
+                metrics: {
+                    file: path.basename(this.currentQueueFile),
+                    original_size: repair.size,
+                    truncated_to: repair.validSize,
+                    torn_bytes: repair.torn ? repair.size - repair.torn.offset : 0,
+                    corrupt_records: repair.corrupt.length,
+                    quarantined: repair.quarantined,
+                    last_seq: repair.lastSeq
+                }
+            }
+        });
+    }
+    
+    /**
+     * Find rotated files with no ready or claimed entry and mark them. A file
+     * whose compressed copy was completed is marked as the compressed copy.
+     */
+    recoverRotatedFiles() {
+        const referenced = new Set(
+            [...this.readyQueue.list(), ...this.readyQueue.listClaimed()].map(item => item.entry.file)
+        );
+        const rotated = fs.readdirSync(this.queueDir).filter(name => /^queue_.*\.ndjson(\.gz|\.zst)?$/.test(name));
+        
+        for (const name of rotated) {
+            const file = path.join(this.queueDir, name);
+            if (referenced.has(file) || !fs.existsSync(file)) continue;
+            
+            // The original is only removed after its compressed copy is renamed into place
+            const compressedCopy = Object.values(compression.EXTENSIONS)
+                .map(ext => file + ext)
+                .find(candidate => fs.existsSync(candidate));
+            if (compressedCopy) {
+                fs.unlinkSync(file);
+                continue;
+            }
+            
+            console.log(`Recovering unmarked rotated file: ${file}`);
+            this.markForProcessing(file, 0);
+        }
     }
     
     /**
@@ -89,7 +312,7 @@ class DurableNDJSONQueue {
             fs.closeSync(this.currentFileHandle);
         }
         
-        // Open in append mode with sync flag for durability
+        // Open in append mode; fsync is applied per the durability mode
         this.currentFileHandle = fs.openSync(this.currentQueueFile, 'a', 0o644);
         
         // Get current file size
@@ -97,56 +320,138 @@ class DurableNDJSONQueue {
         this.currentFileSize = stats.size;
     }
     
+    /**
+     * Register an enrichment middleware; see EnrichmentPipeline
+     */
+    use(fn, options = {}) {
+        if (!this.enrichment) {
+            throw new Error('Enrichment is disabled for this queue');
+        }
+        this.enrichment.use(fn, options);
+        return this;
+    }
+    
     /**
      * Append event to queue with durability guarantees
      */
     async appendEvent(event) {
         // Add metadata
-        const enrichedEvent = {
-            ...event,
-            activity_id: event.activity_id || uuidv4(),
-            queued_at: new Date().toISOString(),
-            queue_version: 2
-        };
+        let enrichedEvent = this.withQueueMetadata(event);
+        
+        // Run enrichment middleware; a null result means a middleware dropped the event
+        if (this.enrichment) {
+            const enriched = await this.enrichment.run(enrichedEvent);
+            if (!enriched) {
+                this.stats.eventsDropped++;
+                return null;
+            }
+            // Middleware may add context but not change the queue's own metadata
+            enrichedEvent = {
+                ...enriched,
+                activity_id: enrichedEvent.activity_id,
+                queued_at: enrichedEvent.queued_at,
+                queue_version: enrichedEvent.queue_version
+            };
+        }
+        
+        // Redact next so neither the queue nor the dead-letter files see raw secrets
+        if (this.redactor) {
+            const redacted = this.redactor.redact(enrichedEvent);
+            if (redacted !== enrichedEvent) {
+                enrichedEvent = redacted;
+                this.stats.eventsRedacted++;
+                this.stats.redactionsApplied += redacted.feature_json._redactions.reduce((sum, r) => sum + r.count, 0);
+            }
+        }
+        
+        // Validate feature_json against the event schema
+        if (this.validator) {
+            const accepted = this.applyValidation(enrichedEvent);
+            if (!accepted) {
+                return enrichedEvent.activity_id;
+            }
+        }
         
         // Check for backpressure
         if (this.isBackpressured) {
             enrichedEvent.degraded = true;
             enrichedEvent.degradation_reason = 'backpressure';
-            
-            // Sample data if too large
-            if (enrichedEvent.feature_json && JSON.stringify(enrichedEvent.feature_json).length > 1024) {
-                enrichedEvent.feature_json = {
-                    ...enrichedEvent.feature_json,
-                    _truncated: true,
-                    _original_size: JSON.stringify(enrichedEvent.feature_json).length
-                };
+        }
+        
+        // Sample, truncate or shed by priority; critical events are always written
+        if (this.shedder) {
+            const kept = this.shedder.apply(enrichedEvent, {
+                backpressured: this.isBackpressured,
+                overDiskCap: this.isOverDiskCap()
+            });
+            if (!kept) {
+                this.stats.eventsShed++;
+                return null;
             }
+            enrichedEvent = kept;
         }
         
-        // Convert to NDJSON line
-        const line = JSON.stringify(enrichedEvent) + '\n';
-        const lineBuffer = Buffer.from(line);
+        // Session boundaries this event crosses are written just before it; the queue's own events have no session
+        const boundaries = this.sessionizer && enrichedEvent.customer !== SYSTEM_CUSTOMER
+            ? this.sessionizer.observe(enrichedEvent).map(record => this.withQueueMetadata(record))
+            : [];
+        await this.writeEvents([...boundaries, enrichedEvent]);
+        return enrichedEvent.activity_id;
+    }
+    
+    /**
+     * The queue's own metadata for a new event
+     */
+    withQueueMetadata(event) {
+        return {
+            ...event,
+            activity_id: event.activity_id || uuidv4(),
+            queued_at: new Date().toISOString(),
+            queue_version: 2
+        };
+    }
+    
+    /**
+     * Stamp ordering fields and convert to an NDJSON line, framed with a
+     * sequence number and checksum if configured
+     */
+    serialize(event) {
+        const stamped = this.ordering ? this.ordering.stamp(event) : event;
+        const line = this.framing === 'crc32'
+            ? framing.frame(stamped, ++this.seq)
+            : JSON.stringify(stamped);
+        return Buffer.from(line + '\n');
+    }
+    
+    /**
+     * Write events in one write, then wait for the configured durability level
+     */
+    async writeEvents(events) {
+        const lineBuffer = Buffer.concat(events.map(event => this.serialize(event)));
+        const queuedBefore = this.stats.eventsQueued;
         
-        // Write to file with sync for durability
         try {
             fs.writeSync(this.currentFileHandle, lineBuffer);
             this.currentFileSize += lineBuffer.length;
-            this.stats.eventsQueued++;
+            this.stats.eventsQueued += events.length;
             this.stats.bytesWritten += lineBuffer.length;
             
+            if (this.durability === 'fsync-every-event') {
+                this.fsyncCurrentFile();
+            } else if (this.durability === 'group-commit') {
+                await this.waitForGroupCommit(lineBuffer.length);
+            }
+            
             // Check if rotation needed
             if (this.shouldRotate()) {
                 await this.rotateQueue();
             }
             
             // Update offset file periodically (every 10 events)
-            if (this.stats.eventsQueued % 10 === 0) {
+            if (Math.floor(this.stats.eventsQueued / 10) > Math.floor(queuedBefore / 10)) {
                 this.updateOffset();
             }
-            
-            return enrichedEvent.activity_id;
-            
+        
         } catch (err) {
             console.error('Error writing to queue:', err);
             this.stats.errors++;
@@ -154,6 +459,108 @@ class DurableNDJSONQueue {
         }
     }
     
+    /**
+     * Write end records for sessions the sessionizer closed outside appendEvent
+     */
+    async writeSessionEnds(records) {
+        if (records.length === 0) return;
+        await this.writeEvents(records.map(record => this.withQueueMetadata(record)));
+    }
+    
+    /**
+     * fsync the current queue file
+     */
+    fsyncCurrentFile() {
+        fs.fsyncSync(this.currentFileHandle);
+        this.stats.fsyncs++;
+    }
+    
+    /**
+     * Resolve once a shared fsync covers this write. Appends are coalesced
+     * until groupCommitMs has passed or groupCommitBytes are pending.
+     */
+    waitForGroupCommit(bytes) {
+        return new Promise((resolve, reject) => {
+            this.pendingCommits.push({ resolve, reject });
+            this.pendingCommitBytes += bytes;
+            
+            if (this.pendingCommitBytes >= this.groupCommitBytes) {
+                this.flushGroupCommit();
+            } else if (!this.commitTimer) {
+                this.commitTimer = setTimeout(() => this.flushGroupCommit(), this.groupCommitMs);
+            }
+        });
+    }
+    
+    /**
+     * fsync once for every pending append and settle their promises
+     */
+    flushGroupCommit() {
+        if (this.commitTimer) {
+            clearTimeout(this.commitTimer);
+            this.commitTimer = null;
+        }
+        if (this.pendingCommits.length === 0) return;
+        
+        const waiters = this.pendingCommits;
+        this.pendingCommits = [];
+        this.pendingCommitBytes = 0;
+        
+        try {
+            this.fsyncCurrentFile();
+            waiters.forEach(w => w.resolve());
+        } catch (err) {
+            console.error('Group commit fsync failed:', err);
+            this.stats.errors++;
+            waiters.forEach(w => w.reject(err));
+        }
+    }
+    
+    /**
+     * Validate an event and apply the policy for its type.
+     * Returns false if the event was quarantined and must not be queued.
+     */
+    applyValidation(event) {
+        const { eventType, valid, errors } = this.validator.validate(event);
+        if (valid) {
+            return true;
+        }
+        
+        this.stats.validationFailures++;
+        const policy = this.validator.policyFor(eventType);
+        
+        if (policy === 'warn') {
+            console.warn(`Event ${event.activity_id} failed ${eventType} validation: ${errors.join('; ')}`);
+            return true;
+        }
+        
+        this.writeDeadLetter(this.validationDeadLetterFile, {
+            event,
+            event_type: eventType,
+            policy,
+            errors,
+            failed_at: new Date().toISOString()
+        });
+        
+        if (policy === 'quarantine') {
+            this.stats.eventsQuarantined++;
+            return false;
+        }
+        
+        this.stats.eventsRejected++;
+        throw new EventValidationError(eventType, errors);
+    }
+    
+    /**
+     * Append a record to a dead-letter NDJSON file
+     */
+    writeDeadLetter(file, record) {
+        if (!fs.existsSync(this.deadLetterDir)) {
+            fs.mkdirSync(this.deadLetterDir, { recursive: true, mode: 0o755 });
+        }
+        fs.appendFileSync(file, JSON.stringify(record) + '\n');
+    }
+    
     /**
      * Check if queue rotation is needed
      */
@@ -171,19 +578,32 @@ class DurableNDJSONQueue {
     async rotateQueue() {
         console.log(`Rotating queue file (size: ${this.currentFileSize} bytes)`);
         
-        // fsync before rotation for durability
-        fs.fsyncSync(this.currentFileHandle);
+        // fsync before rotation for durability (this also settles pending group commits)
+        if (this.pendingCommits.length > 0) {
+            this.flushGroupCommit();
+        } else {
+            this.fsyncCurrentFile();
+        }
         fs.closeSync(this.currentFileHandle);
+        this.currentFileHandle = null;
         
         // Generate rotated filename with timestamp
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const rotatedFile = path.join(this.queueDir, `queue_${timestamp}.ndjson`);
+        let rotatedFile = path.join(this.queueDir, `queue_${timestamp}.ndjson`);
+        for (let n = 1; fs.existsSync(rotatedFile); n++) {
+            rotatedFile = path.join(this.queueDir, `queue_${timestamp}_${n}.ndjson`);
+        }
         
         // Rename current file
         fs.renameSync(this.currentQueueFile, rotatedFile);
+        this.queuedBytes += this.currentFileSize;
         
-        // Mark for processing
-        this.markForProcessing(rotatedFile, 0);
+        // Mark for processing, after compressing it if configured
+        if (this.compression) {
+            this.compressRotated(rotatedFile);
+        } else {
+            this.markForProcessing(rotatedFile, 0);
+        }
         
         // Open new file
         this.openCurrentFile();
@@ -192,21 +612,172 @@ class DurableNDJSONQueue {
         
         // Update offset
         this.updateOffset();
+        
+        this.enforceDiskCap();
+    }
+    
+    /**
+     * Compress a rotated file in the background so appends are not held up,
+     * then mark the compressed file. On failure the plain file is marked instead.
+     */
+    compressRotated(rotatedFile) {
+        const task = compression.compressFile(rotatedFile, this.compression)
+            .then(result => {
+                this.compressionStats.record(result);
+                this.markForProcessing(result.file, 0);
+            })
+            .catch(err => {
+                console.error(`Error compressing ${rotatedFile}, queuing it uncompressed:`, err);
+                this.compressionStats.failures++;
+                this.markForProcessing(rotatedFile, 0);
+            })
+            .finally(() => this.pendingCompressions.delete(task));
+        this.pendingCompressions.add(task);
+        return task;
+    }
+    
+    /**
+     * Bytes held by rotated queue files, compressed or not
+     */
+    rotatedBytes() {
+        let bytes = 0;
+        for (const name of fs.readdirSync(this.queueDir)) {
+            if (!/^queue_.*\.ndjson(\.gz|\.zst)?$/.test(name)) continue;
+            try {
+                bytes += fs.statSync(path.join(this.queueDir, name)).size;
+            } catch (err) {
+                // Claimed and archived by the uploader while we were counting
+            }
+        }
+        return bytes;
+    }
+    
+    /**
+     * Whether queue files exceed maxDiskBytes, as of the last count. Going over
+     * starts a spill, at most once a second.
+     */
+    isOverDiskCap() {
+        if (!this.maxDiskBytes || !this.shedder) return false;
+        const over = this.queuedBytes + this.currentFileSize > this.maxDiskBytes;
+        if (over && Date.now() - this.lastDiskCheck > 1000) {
+            this.enforceDiskCap();
+        }
+        return over;
+    }
+    
+    /**
+     * Bring queue files under maxDiskBytes by spilling the oldest unclaimed
+     * rotated files. Only one spill runs at a time.
+     */
+    enforceDiskCap() {
+        if (!this.maxDiskBytes || !this.shedder) return Promise.resolve();
+        if (!this.diskCapCheck) {
+            this.diskCapCheck = this.spillOverCap()
+                .catch(err => {
+                    console.error('Error enforcing queue disk cap:', err);
+                    this.stats.errors++;
+                })
+                .finally(() => {
+                    this.diskCapCheck = null;
+                });
+        }
+        return this.diskCapCheck;
+    }
+    
+    async spillOverCap() {
+        this.lastDiskCheck = Date.now();
+        this.queuedBytes = this.rotatedBytes();
+        
+        for (const { name, entry } of this.readyQueue.list()) {
+            if (this.queuedBytes + this.currentFileSize <= this.maxDiskBytes) break;
+            if (path.dirname(entry.file) !== this.queueDir || !fs.existsSync(entry.file)) continue;
+            
+            // Claiming keeps the uploader from picking the file up while we spill it
+            const claim = this.readyQueue.claim(name);
+            if (!claim) continue;
+            const size = fs.statSync(entry.file).size;
+            await this.spillFile(claim);
+            this.queuedBytes -= size;
+        }
+    }
+    
+    /**
+     * Drop a claimed queue file, carrying its critical events forward into the
+     * current file so they are still uploaded
+     */
+    async spillFile(claim) {
+        const file = claim.entry.file;
+        const spilled = {};
+        let carriedForward = 0;
+        
+        const input = compression.createReadStream(file, { start: claim.entry.offset || 0 });
+        const rl = readline.createInterface({ input, crlfDelay: Infinity });
+        for await (const line of rl) {
+            if (!line.trim()) continue;
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch (err) {
+                spilled.unparseable = (spilled.unparseable || 0) + 1;
+                continue;
+            }
+            
+            if (this.shedder.priorityOf(event) === 'critical') {
+                const lineBuffer = Buffer.from(line + '\n');
+                fs.writeSync(this.currentFileHandle, lineBuffer);
+                this.currentFileSize += lineBuffer.length;
+                this.stats.bytesWritten += lineBuffer.length;
+                carriedForward++;
+            } else {
+                spilled[event.activity] = (spilled[event.activity] || 0) + 1;
+            }
+        }
+        
+        fs.unlinkSync(file);
+        this.readyQueue.ack(claim);
+        
+        const count = Object.values(spilled).reduce((sum, n) => sum + n, 0);
+        this.stats.eventsSpilled += count;
+        this.shedder.recordSpill({ spilled, carriedForward });
+        console.warn(`Disk cap: spilled ${file} (${count} events dropped, ${carriedForward} critical carried forward)`);
+    }
+    
+    /**
+     * Report what was shed since the last summary as a system_backpressure event
+     */
+    async emitShedSummary() {
+        this.lastShedSummary = Date.now();
+        const summary = this.shedder.takeSummary();
+        if (!summary) return;
+        
+        const shed = summary.sampled + summary.diskCap + summary.spilled;
+        await this.appendEvent({
+            activity: 'system_backpressure',
+            customer: SYSTEM_CUSTOMER,
+            feature_json: {
+                event_type: 'backpressure',
+                severity: 'warning',
+                message: `Shed ${shed} events and truncated ${summary.truncated} in the last ${Math.round(summary.windowMs / 1000)}s`,
+                action_taken: 'load_shed',
+                ...(this.backpressureReason ? { reason: this.backpressureReason } : {}),
+                metrics: {
+                    window_ms: summary.windowMs,
+                    sampled: summary.sampled,
+                    disk_cap: summary.diskCap,
+                    spilled: summary.spilled,
+                    truncated: summary.truncated,
+                    carried_forward: summary.carriedForward,
+                    by_activity: summary.byActivity
+                }
+            }
+        });
     }
     
     /**
      * Mark file for processing by uploader
      */
     markForProcessing(file, offset) {
-        const readyFile = path.join(this.queueDir, '.ready');
-        const entry = {
-            file,
-            offset,
-            marked_at: new Date().toISOString()
-        };
-        
-        // Append to ready file
-        fs.appendFileSync(readyFile, JSON.stringify(entry) + '\n');
+        this.readyQueue.mark(file, offset);
     }
     
     /**
@@ -217,6 +788,8 @@ class DurableNDJSONQueue {
             file: this.currentQueueFile,
             offset: this.currentFileSize,
             updated_at: new Date().toISOString(),
+            backpressure: { active: this.isBackpressured, reason: this.backpressureReason },
+            seq: this.seq,
             stats: this.stats
         };
         
@@ -224,46 +797,75 @@ class DurableNDJSONQueue {
         const tempFile = this.offsetFile + '.tmp';
         fs.writeFileSync(tempFile, JSON.stringify(offset, null, 2));
         fs.renameSync(tempFile, this.offsetFile);
+        
+        if (this.ordering) {
+            this.ordering.save(this.currentQueueFile, this.currentFileSize);
+        }
     }
     
     /**
      * Check for backpressure based on upload lag
      */
     async checkBackpressure() {
-        const readyFile = path.join(this.queueDir, '.ready');
+        // Check oldest unprocessed file, including files claimed by the uploader
+        const oldest = this.readyQueue.oldest();
+        const depth = this.readyQueue.depth();
+        const age = oldest ? Date.now() - new Date(oldest.marked_at).getTime() : 0;
         
-        if (!fs.existsSync(readyFile)) {
-            this.isBackpressured = false;
-            return;
+        // A tripped or halted uploader circuit means files will pile up, so degrade now
+        // rather than waiting for the oldest file to age past the threshold
+        const uploader = this.readUploaderState();
+        let reason = null;
+        if (age > this.backpressureThreshold) {
+            reason = 'queue_age';
+        } else if (uploader && uploader.halted) {
+            reason = 'uploader_halted';
+        } else if (uploader && uploader.state === 'open') {
+            reason = 'uploader_circuit_open';
+        } else if (this.isOverDiskCap()) {
+            reason = 'disk_cap';
         }
         
-        // Check oldest unprocessed file
-        const lines = fs.readFileSync(readyFile, 'utf8').split('\n').filter(l => l);
-        if (lines.length > 0) {
-            const oldest = JSON.parse(lines[0]);
-            const age = Date.now() - new Date(oldest.marked_at).getTime();
-            
-            const wasBackpressured = this.isBackpressured;
-            this.isBackpressured = age > this.backpressureThreshold;
+        const wasBackpressured = this.isBackpressured;
+        this.isBackpressured = reason !== null;
+        this.backpressureReason = reason;
+        
+        if (!wasBackpressured && this.isBackpressured) {
+            console.warn(`Backpressure activated (${reason}): oldest queue file is ${age}ms old`);
+            this.stats.backpressureEvents++;
             
-            if (!wasBackpressured && this.isBackpressured) {
-                console.warn(`Backpressure activated: oldest queue file is ${age}ms old`);
-                this.stats.backpressureEvents++;
-                
-                // Log backpressure event
-                await this.appendEvent({
-                    activity: 'system_backpressure',
-                    feature_json: {
-                        queue_depth: lines.length,
-                        oldest_age_ms: age,
-                        threshold_ms: this.backpressureThreshold
-                    }
-                });
-            } else if (wasBackpressured && !this.isBackpressured) {
-                console.log('Backpressure deactivated');
-            }
-        } else {
-            this.isBackpressured = false;
+            // Log backpressure event
+            await this.appendEvent({
+                activity: 'system_backpressure',
+                customer: SYSTEM_CUSTOMER,
+                feature_json: {
+                    event_type: 'backpressure',
+                    severity: 'warning',
+                    reason,
+                    queue_depth: depth,
+                    oldest_age_ms: age,
+                    threshold_ms: this.backpressureThreshold,
+                    ...(uploader && uploader.last_error ? { uploader_error: uploader.last_error } : {})
+                }
+            });
+        } else if (wasBackpressured && !this.isBackpressured) {
+            console.log('Backpressure deactivated');
+        }
+    }
+    
+    /**
+     * Circuit state published by a running uploader, or null if there is none
+     */
+    readUploaderState() {
+        const owner = this.uploaderLock.readOwner();
+        if (!owner || this.uploaderLock.isStale(owner)) {
+            return null;
+        }
+        try {
+            const state = JSON.parse(fs.readFileSync(this.uploaderStateFile, 'utf8'));
+            return state.pid === owner.pid ? state : null;
+        } catch (err) {
+            return null;
         }
     }
     
@@ -271,7 +873,7 @@ class DurableNDJSONQueue {
      * Start rotation timer
      */
     startRotationTimer() {
-        setInterval(async () => {
+        this.rotationTimer = setInterval(async () => {
             // Check backpressure
             await this.checkBackpressure();
             
@@ -280,9 +882,20 @@ class DurableNDJSONQueue {
                 await this.rotateQueue();
             }
             
+            // End sessions that went quiet
+            if (this.sessionizer) {
+                await this.writeSessionEnds(this.sessionizer.expire());
+            }
+            
+            // Recount queue files against the disk cap and report shedding
+            await this.enforceDiskCap();
+            if (this.shedder && Date.now() - this.lastShedSummary >= this.shedSummaryIntervalMs) {
+                await this.emitShedSummary();
+            }
+            
             // Update offset periodically
             this.updateOffset();
-            
+        
         }, 10000); // Check every 10 seconds
     }
     
@@ -294,59 +907,167 @@ class DurableNDJSONQueue {
             ...this.stats,
             currentFileSize: this.currentFileSize,
             isBackpressured: this.isBackpressured,
-            queueDir: this.queueDir
+            backpressureReason: this.backpressureReason,
+            queueDir: this.queueDir,
+            compression: this.compressionStats.toJSON(),
+            diskUsage: {
+                queueBytes: compression.diskUsage(this.queueDir),
+                currentFileBytes: this.currentFileSize,
+                queuedBytes: this.queuedBytes,
+                maxDiskBytes: this.maxDiskBytes,
+                pendingCompressions: this.pendingCompressions.size
+            },
+            ...(this.shedder ? { shedding: this.shedder.getStats() } : {}),
+            ...(this.ordering ? { ordering: this.ordering.getStats() } : {}),
+            ...(this.sessionizer ? { sessions: this.sessionizer.getStats() } : {}),
+            ...(this.enrichment ? { enrichment: this.enrichment.getStats() } : {})
         };
     }
     
     /**
-     * Graceful shutdown
+     * Graceful shutdown; with rotate, the current file is rotated and marked
+     * ready first, so an uploader shutting down after it can drain it
      */
-    async shutdown() {
+    async shutdown(options = {}) {
         console.log('Shutting down queue...');
         
+        clearInterval(this.rotationTimer);
+        
+        if (this.recoveryLogged) {
+            await this.recoveryLogged;
+        }
+        
+        // Close open sessions
+        if (this.sessionizer && this.currentFileHandle) {
+            await this.writeSessionEnds(this.sessionizer.flush());
+        }
+        
+        // Finish any spill and report shedding not yet summarized
+        if (this.shedder && this.currentFileHandle) {
+            await this.enforceDiskCap();
+            await this.emitShedSummary();
+        }
+        
+        // With rotate, hand everything written so far to the uploader
+        if (options.rotate && this.currentFileHandle && this.currentFileSize > 0) {
+            await this.rotateQueue();
+        }
+        
         // Final fsync
         if (this.currentFileHandle) {
-            fs.fsyncSync(this.currentFileHandle);
+            this.flushGroupCommit();
+            this.fsyncCurrentFile();
             fs.closeSync(this.currentFileHandle);
+            this.currentFileHandle = null;
         }
         
+        // Let background compressions finish so their files get marked
+        await Promise.all([...this.pendingCompressions]);
+        
         // Final offset update
         this.updateOffset();
         
+        this.lock.release();
+        
         console.log('Queue shutdown complete. Stats:', this.getStats());
     }
 }
 
 // Export for use in other modules
 module.exports = DurableNDJSONQueue;
+module.exports.DURABILITY_MODES = DURABILITY_MODES;
+module.exports.SYSTEM_CUSTOMER = SYSTEM_CUSTOMER;
 
 // If run directly, start a standalone queue
 if (require.main === module) {
+    const QueueHttpServer = require('./http_ingest');
+    const { ingestLines } = require('./line_ingest');
+    
+    const args = process.argv.slice(2);
+    const fileIndex = args.indexOf('--file');
+    const importFile = fileIndex !== -1 ? args[fileIndex + 1] : null;
+    const batchMode = args.includes('--batch');
+    
+    if (fileIndex !== -1 && !importFile) {
+        console.error('Usage: ndjson_queue.js [--http] [--batch | --file <events.ndjson>]');
+        process.exit(1);
+    }
+    
     const queue = new DurableNDJSONQueue({
-        queueDir: process.env.QUEUE_DIR || '/tmp/claude_queue'
+        queueDir: process.env.QUEUE_DIR || '/tmp/claude_queue',
+        enrichment: {
+            pluginFile: process.env.QUEUE_PLUGINS_FILE,
+            git: { dir: process.env.QUEUE_GIT_DIR }
+        },
+        compression: process.env.QUEUE_COMPRESSION || null,
+        framing: process.env.QUEUE_FRAMING || 'none',
+        sessionization: process.env.QUEUE_SESSION_GAP_MS === '0'
+            ? false
+            : { gapMs: parseInt(process.env.QUEUE_SESSION_GAP_MS || '1800000', 10) },
+        maxDiskBytes: process.env.QUEUE_MAX_DISK_BYTES !== undefined ? parseInt(process.env.QUEUE_MAX_DISK_BYTES, 10) : undefined
     });
     
-    // Handle shutdown signals
-    process.on('SIGINT', async () => {
-        await queue.shutdown();
-        process.exit(0);
-    });
+    // Optional local HTTP ingestion (--http or QUEUE_HTTP_PORT)
+    let httpServer = null;
+    if (process.argv.includes('--http') || process.env.QUEUE_HTTP_PORT) {
+        httpServer = new QueueHttpServer(queue, {
+            host: process.env.QUEUE_HTTP_HOST || '127.0.0.1',
+            port: parseInt(process.env.QUEUE_HTTP_PORT || '8787', 10),
+            maxEventBytes: parseInt(process.env.QUEUE_HTTP_MAX_EVENT_BYTES, 10) || undefined,
+            maxBatchBytes: parseInt(process.env.QUEUE_HTTP_MAX_BATCH_BYTES, 10) || undefined
+        });
+        httpServer.start().catch(err => {
+            console.error('Failed to start HTTP ingestion:', err);
+            process.exit(1);
+        });
+    }
     
-    process.on('SIGTERM', async () => {
+    // Handle shutdown signals
+    const shutdown = async () => {
+        if (httpServer) {
+            await httpServer.stop();
+        }
         await queue.shutdown();
         process.exit(0);
-    });
+    };
     
-    console.log('NDJSON Queue started. Waiting for events...');
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
     
-    // Example: Accept events via stdin
-    process.stdin.on('data', async (data) => {
-        try {
-            const event = JSON.parse(data.toString());
-            const id = await queue.appendEvent(event);
-            console.log(`Queued event: ${id}`);
-        } catch (err) {
-            console.error('Error processing input:', err);
-        }
-    });
+    if (importFile || batchMode) {
+        // One-shot import: read to EOF, hand the events to the uploader, report and exit.
+        // Exit codes: 0 all lines queued, 1 fatal error, 2 some lines failed
+        const input = importFile ? fs.createReadStream(importFile) : process.stdin;
+        
+        ingestLines(queue, input, { source: importFile || 'stdin' })
+            .then(async summary => {
+                if (queue.currentFileSize > 0) {
+                    await queue.rotateQueue();
+                }
+                await queue.shutdown();
+                console.log(JSON.stringify(summary));
+                process.exit(summary.failed > 0 ? 2 : 0);
+            })
+            .catch(async err => {
+                console.error(`Import failed: ${err.message}`);
+                await queue.shutdown();
+                process.exit(1);
+            });
+    } else {
+        console.log('NDJSON Queue started. Waiting for events...');
+        
+        // Accept newline-delimited events via stdin
+        ingestLines(queue, process.stdin, {
+            onQueued: id => console.log(`Queued event: ${id}`)
+        }).then(summary => {
+            console.log(`stdin closed: ${summary.queued} queued, ${summary.failed} failed`);
+        }).catch(async err => {
+            console.error(`Reading stdin failed: ${err.message}`);
+            if (httpServer) {
+                await httpServer.stop();
+            }
+            await queue.shutdown();
+            process.exit(1);
+        });
+    }
 }
\ No newline at end of file
@@ -0,0 +1,689 @@
+#!/usr/bin/env node
+/**
+ * Pipeline Daemon
+ * Runs the queue and the uploader under one supervisor, either as child
+ * processes that are restarted with backoff when they crash, or both in this
+ * process. Shutdown rotates the queue, drains the uploader, then exits.
+ *
+ *   start    run the pipeline (default)
+ *   check    validate the config and print it with defaults and env overrides applied
+ *   status   print the status file of the running (or last) daemon
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+const DurableNDJSONQueue = require('./ndjson_queue');
+const { DURABILITY_MODES } = DurableNDJSONQueue;
+const QueueHttpServer = require('./http_ingest');
+const SnowpipeUploader = require('./snowpipe_uploader');
+const QueueLock = require('./queue_lock');
+const compression = require('./compression');
+const framing = require('./record_framing');
+const { backoffDelay } = require('./upload_errors');
+
+const MODES = ['children', 'inprocess'];
+const WORKERS = ['queue', 'uploader'];
+const HALTED_EXIT_CODE = 3; // the uploader halted on an auth or config error, which needs a human
+
+const DEFAULT_CONFIG = {
+    queueDir: '/tmp/claude_queue',
+    mode: 'children',
+    statusFile: null, // <queueDir>/pipeline_status.json
+    statusIntervalMs: 10000,
+    shutdownTimeoutMs: 60000,
+    restart: {
+        baseMs: 1000,
+        maxMs: 60000,
+        maxRestarts: 5,
+        resetAfterMs: 300000 // a worker up this long starts counting restarts afresh
+    },
+    queue: {
+        framing: 'none',
+        compression: null,
+        pluginFile: null,
+        gitDir: null,
+        sessionGapMs: 30 * 60 * 1000,
+        http: {
+            enabled: true,
+            host: '127.0.0.1',
+            port: 8787
+        }
+    },
+    uploader: {
+        snowConnection: 'poc',
+        snowCmd: 'snow', // the Snowflake CLI on PATH
+        executor: 'snow',
+        loadMode: 'merge',
+        archiveCompression: null,
+        routesFile: null,
+        archiveRetention: {}
+    }
+};
+
+// Known keys: a type, a list of allowed values, or a nested section. Any key may be null.
+const CONFIG_SCHEMA = {
+    queueDir: 'string',
+    mode: MODES,
+    statusFile: 'string',
+    statusIntervalMs: 'number',
+    shutdownTimeoutMs: 'number',
+    restart: {
+        baseMs: 'number',
+        maxMs: 'number',
+        maxRestarts: 'number',
+        resetAfterMs: 'number'
+    },
+    queue: {
+        maxQueueSize: 'number',
+        rotationInterval: 'number',
+        backpressureThreshold: 'number',
+        maxDiskBytes: 'number',
+        durability: DURABILITY_MODES,
+        framing: framing.FRAMINGS,
+        compression: Object.keys(compression.EXTENSIONS),
+        pluginFile: 'string',
+        gitDir: 'string',
+        sessionGapMs: 'number',
+        http: {
+            enabled: 'boolean',
+            host: 'string',
+            port: 'number',
+            maxEventBytes: 'number',
+            maxBatchBytes: 'number'
+        }
+    },
+    uploader: {
+        snowConnection: 'string',
+        snowCmd: 'string',
+        executor: ['snow', 'record', 'local'],
+        loadMode: ['merge', 'stage'],
+        batchSize: 'number',
+        uploadInterval: 'number',
+        maxRetries: 'number',
+        maxFileAttempts: 'number',
+        recordDir: 'string',
+        localTableFile: 'string',
+        routesFile: 'string',
+        archiveCompression: Object.keys(compression.EXTENSIONS),
+        archiveRetention: {
+            maxAgeMs: 'number',
+            maxBytes: 'number',
+            maxFiles: 'number'
+        }
+    }
+};
+
+// Environment variables that override config keys, named as the standalone commands read them
+const ENV_OVERRIDES = [
+    ['QUEUE_DIR', 'queueDir', String],
+    ['PIPELINE_MODE', 'mode', String],
+    ['PIPELINE_STATUS_FILE', 'statusFile', String],
+    ['PIPELINE_SHUTDOWN_TIMEOUT_MS', 'shutdownTimeoutMs', Number],
+    ['MAX_QUEUE_SIZE', 'queue.maxQueueSize', Number],
+    ['BACKPRESSURE_THRESHOLD', 'queue.backpressureThreshold', Number],
+    ['QUEUE_MAX_DISK_BYTES', 'queue.maxDiskBytes', Number],
+    ['QUEUE_DURABILITY', 'queue.durability', String],
+    ['QUEUE_FRAMING', 'queue.framing', String],
+    ['QUEUE_COMPRESSION', 'queue.compression', String],
+    ['QUEUE_PLUGINS_FILE', 'queue.pluginFile', String],
+    ['QUEUE_GIT_DIR', 'queue.gitDir', String],
+    ['QUEUE_SESSION_GAP_MS', 'queue.sessionGapMs', Number],
+    ['QUEUE_HTTP_HOST', 'queue.http.host', String],
+    ['QUEUE_HTTP_PORT', 'queue.http.port', Number],
+    ['QUEUE_HTTP_MAX_EVENT_BYTES', 'queue.http.maxEventBytes', Number],
+    ['QUEUE_HTTP_MAX_BATCH_BYTES', 'queue.http.maxBatchBytes', Number],
+    ['SNOW_CONNECTION', 'uploader.snowConnection', String],
+    ['SNOW_CMD', 'uploader.snowCmd', String],
+    ['UPLOADER_EXECUTOR', 'uploader.executor', String],
+    ['UPLOADER_LOAD_MODE', 'uploader.loadMode', String],
+    ['UPLOADER_RECORD_DIR', 'uploader.recordDir', String],
+    ['UPLOADER_LOCAL_TABLE', 'uploader.localTableFile', String],
+    ['UPLOADER_ROUTES_FILE', 'uploader.routesFile', String],
+    ['ARCHIVE_COMPRESSION', 'uploader.archiveCompression', String],
+    ['ARCHIVE_MAX_AGE_HOURS', 'uploader.archiveRetention.maxAgeMs', hours => Number(hours) * 60 * 60 * 1000],
+    ['ARCHIVE_MAX_BYTES', 'uploader.archiveRetention.maxBytes', Number],
+    ['ARCHIVE_MAX_FILES', 'uploader.archiveRetention.maxFiles', Number]
+];
+
+function isSection(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Drop null options so the class defaults apply
+function defined(options) {
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== null && value !== undefined));
+}
+
+function merge(base, overrides) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(overrides || {})) {
+        result[key] = isSection(value) && isSection(base[key]) ? merge(base[key], value) : value;
+    }
+    return result;
+}
+
+/**
+ * Problems with a config, as "key: message" strings
+ */
+function validateConfig(config, schema = CONFIG_SCHEMA, prefix = '') {
+    const problems = [];
+    for (const [key, value] of Object.entries(config)) {
+        const name = `${prefix}${key}`;
+        const rule = schema[key];
+        if (rule === undefined) {
+            problems.push(`${name}: unknown key`);
+        } else if (value === null || value === undefined) {
+            continue;
+        } else if (isSection(rule)) {
+            if (isSection(value)) {
+                problems.push(...validateConfig(value, rule, `${name}.`));
+            } else {
+                problems.push(`${name}: must be an object`);
+            }
+        } else if (Array.isArray(rule)) {
+            if (!rule.includes(value)) {
+                problems.push(`${name}: must be one of ${rule.join(', ')}, got ${JSON.stringify(value)}`);
+            }
+        } else if (rule === 'number' ? !(typeof value === 'number' && Number.isFinite(value) && value >= 0) : typeof value !== rule) {
+            problems.push(`${name}: must be ${rule === 'number' ? 'a non-negative number' : `a ${rule}`}, got ${typeof value === 'number' ? value : JSON.stringify(value)}`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Defaults, then the config file, then environment overrides, validated.
+ * Throws with every problem found.
+ */
+function loadConfig(configFile = null, env = process.env) {
+    let fileConfig = {};
+    if (configFile) {
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        } catch (err) {
+            throw new Error(`Cannot read pipeline config ${configFile}: ${err.message}`);
+        }
+        if (!isSection(fileConfig)) {
+            throw new Error(`Pipeline config ${configFile} must be a JSON object`);
+        }
+    }
+    
+    const config = merge(DEFAULT_CONFIG, fileConfig);
+    for (const [variable, key, parse] of ENV_OVERRIDES) {
+        if (env[variable] === undefined || env[variable] === '') continue;
+        const parts = key.split('.');
+        let section = config;
+        for (const part of parts.slice(0, -1)) {
+            section[part] = isSection(section[part]) ? { ...section[part] } : {};
+            section = section[part];
+        }
+        section[parts[parts.length - 1]] = parse(env[variable]);
+    }
+    
+    const problems = validateConfig(config);
+    if (!config.queueDir) problems.push('queueDir: is required');
+    if (!config.mode) problems.push('mode: is required');
+    if (problems.length > 0) {
+        throw new Error(`Invalid pipeline config${configFile ? ` ${configFile}` : ''}:\n  ${problems.join('\n  ')}`);
+    }
+    
+    return { ...config, statusFile: config.statusFile || path.join(config.queueDir, 'pipeline_status.json') };
+}
+
+/**
+ * Queue worker: the queue and its HTTP ingestion endpoint. stop() rotates
+ * the current file so the uploader can drain it.
+ */
+async function startQueueWorker(config) {
+    const { http, pluginFile, gitDir, sessionGapMs, ...options } = config.queue;
+    const queue = new DurableNDJSONQueue({
+        ...defined(options),
+        queueDir: config.queueDir,
+        enrichment: { pluginFile, git: { dir: gitDir } },
+        sessionization: sessionGapMs === 0 ? false : { gapMs: sessionGapMs }
+    });
+    
+    let httpServer = null;
+    if (http.enabled) {
+        httpServer = new QueueHttpServer(queue, defined(http));
+        await httpServer.start();
+    }
+    
+    return {
+        getStats: () => queue.getStats(),
+        stop: async () => {
+            if (httpServer) {
+                await httpServer.stop();
+            }
+            await queue.shutdown({ rotate: true });
+        }
+    };
+}
+
+/**
+ * Uploader worker. stop() drains ready files, unless the uploader halted.
+ */
+async function startUploaderWorker(config, { onHalt }) {
+    const uploader = new SnowpipeUploader({
+        ...defined(config.uploader),
+        queueDir: config.queueDir,
+        onHalt
+    });
+    
+    return {
+        getStats: () => uploader.getStats(),
+        stop: ({ drain = true } = {}) => uploader.shutdown({ drain, drainTimeoutMs: config.shutdownTimeoutMs })
+    };
+}
+
+const START_WORKER = {
+    queue: startQueueWorker,
+    uploader: startUploaderWorker
+};
+
+class PipelineDaemon {
+    constructor(config, options = {}) {
+        this.config = config;
+        this.configFile = options.configFile || null;
+        this.mode = config.mode;
+        this.lock = new QueueLock(path.join(config.queueDir, '.pipeline.lock'), { role: 'pipeline' });
+        this.state = 'starting';
+        this.startedAt = null;
+        this.stopReason = null;
+        this.stopping = null;
+        this.statusTimer = null;
+        this.workers = {};
+        for (const name of WORKERS) {
+            this.workers[name] = {
+                name,
+                state: 'starting',
+                pid: null,
+                startedAt: null,
+                restarts: 0,
+                totalRestarts: 0,
+                lastExit: null,
+                nextRestartAt: null,
+                restartTimer: null,
+                stats: null,
+                child: null,
+                handle: null
+            };
+        }
+    }
+    
+    /**
+     * Take the pipeline lock and start both workers, the queue first
+     */
+    async start() {
+        if (!fs.existsSync(this.config.queueDir)) {
+            fs.mkdirSync(this.config.queueDir, { recursive: true });
+        }
+        this.lock.acquire();
+        this.startedAt = new Date().toISOString();
+        
+        for (const name of WORKERS) {
+            await this.startWorker(this.workers[name]);
+        }
+        if (this.stopping) return;
+        
+        this.state = 'running';
+        this.writeStatus();
+        this.statusTimer = setInterval(() => this.refreshStatus(), this.config.statusIntervalMs);
+        console.log(`Pipeline running (${this.mode}), status in ${this.config.statusFile}`);
+    }
+    
+    async startWorker(worker) {
+        worker.nextRestartAt = null;
+        worker.startedAt = new Date().toISOString();
+        
+        if (this.mode === 'inprocess') {
+            worker.handle = await START_WORKER[worker.name](this.config, {
+                onHalt: () => setImmediate(() => this.halt(worker))
+            });
+            worker.pid = process.pid;
+            worker.state = 'running';
+        } else {
+            this.spawnWorker(worker);
+        }
+        this.writeStatus();
+    }
+    
+    /**
+     * Fork a child running one worker. Children ignore SIGINT/SIGTERM, which
+     * a terminal or service manager sends the whole process group, so that
+     * the daemon decides the order they stop in.
+     */
+    spawnWorker(worker) {
+        const child = fork(__filename, ['--worker', worker.name], { stdio: ['ignore', 'inherit', 'inherit', 'ipc'] });
+        worker.child = child;
+        worker.pid = child.pid;
+        worker.state = 'starting';
+        
+        child.on('message', message => {
+            if (message.type === 'ready') {
+                worker.state = 'running';
+                this.writeStatus();
+            } else if (message.type === 'stats') {
+                worker.stats = message.stats;
+            }
+        });
+        child.on('exit', (code, signal) => this.onWorkerExit(worker, code, signal));
+        child.send({ type: 'start', config: this.config, statusIntervalMs: this.config.statusIntervalMs });
+    }
+    
+    /**
+     * A child exited: during shutdown that is expected; exit code 3 means the
+     * uploader halted; anything else is a crash and restarts with backoff
+     */
+    onWorkerExit(worker, code, signal) {
+        const ranMs = Date.now() - Date.parse(worker.startedAt);
+        worker.child = null;
+        worker.pid = null;
+        worker.lastExit = { code, signal, at: new Date().toISOString() };
+        
+        if (this.stopping) {
+            worker.state = 'stopped';
+            return;
+        }
+        if (code === HALTED_EXIT_CODE) {
+            this.halt(worker);
+            return;
+        }
+        
+        if (ranMs >= this.config.restart.resetAfterMs) {
+            worker.restarts = 0;
+        }
+        this.scheduleRestart(worker, `exited (${signal || `code ${code}`})`);
+    }
+    
+    /**
+     * Restart a worker after a backoff delay, or give up and stop the
+     * pipeline once it has used up restart.maxRestarts. A restart that
+     * fails to start the worker counts as another crash.
+     */
+    scheduleRestart(worker, cause) {
+        if (worker.restarts >= this.config.restart.maxRestarts) {
+            console.error(`${worker.name} worker ${cause} after ${worker.restarts} restarts, giving up`);
+            worker.state = 'failed';
+            this.stop('worker_failed', 1).then(exitCode => process.exit(exitCode));
+            return;
+        }
+        
+        const { baseMs, maxMs } = this.config.restart;
+        const delay = Math.max(baseMs, backoffDelay(worker.restarts, baseMs, maxMs));
+        worker.restarts++;
+        worker.totalRestarts++;
+        worker.state = 'restarting';
+        worker.nextRestartAt = new Date(Date.now() + delay).toISOString();
+        console.error(`${worker.name} worker ${cause}, restarting in ${delay}ms`);
+        this.writeStatus();
+        
+        worker.restartTimer = setTimeout(() => {
+            worker.restartTimer = null;
+            if (this.stopping) return;
+            this.startWorker(worker).catch(err => {
+                console.error(`Error restarting ${worker.name} worker:`, err);
+                if (!this.stopping) this.scheduleRestart(worker, `failed to restart (${err.message})`);
+            });
+        }, delay);
+    }
+    
+    /**
+     * The uploader halted on an auth or config error: stop everything and
+     * exit with code 3, as the standalone uploader does
+     */
+    halt(worker) {
+        console.error(`${worker.name} worker halted; stopping the pipeline`);
+        worker.state = 'halted';
+        this.stop('uploader_halted', HALTED_EXIT_CODE).then(exitCode => process.exit(exitCode));
+    }
+    
+    /**
+     * Rotate, drain, exit: the queue stops first, rotating what it has
+     * written, then the uploader drains every ready file before stopping.
+     * Resolves to the exit code.
+     */
+    stop(reason, exitCode = 0) {
+        if (this.stopping) return this.stopping;
+        
+        this.stopping = (async () => {
+            console.log(`Stopping pipeline (${reason})...`);
+            this.state = 'stopping';
+            this.stopReason = reason;
+            clearInterval(this.statusTimer);
+            this.writeStatus();
+            
+            for (const name of WORKERS) {
+                const worker = this.workers[name];
+                clearTimeout(worker.restartTimer);
+                try {
+                    await this.stopWorker(worker);
+                } catch (err) {
+                    console.error(`Error stopping ${name} worker:`, err);
+                    exitCode = exitCode || 1;
+                }
+            }
+            
+            this.state = 'stopped';
+            this.writeStatus();
+            this.lock.release();
+            console.log('Pipeline stopped');
+            return exitCode;
+        })();
+        return this.stopping;
+    }
+    
+    async stopWorker(worker) {
+        if (worker.state === 'halted' || worker.state === 'failed') {
+            if (worker.handle) await worker.handle.stop({ drain: false });
+            return;
+        }
+        
+        if (this.mode === 'inprocess') {
+            if (worker.handle) {
+                worker.state = 'stopping';
+                await worker.handle.stop();
+                worker.state = 'stopped';
+            }
+            return;
+        }
+        
+        const { child } = worker;
+        if (!child) {
+            worker.state = 'stopped';
+            return;
+        }
+        worker.state = 'stopping';
+        this.writeStatus();
+        
+        // The uploader may need the whole drain timeout; kill children that outlast it
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        const killTimer = setTimeout(() => {
+            console.error(`${worker.name} worker did not stop in time, killing pid ${child.pid}`);
+            child.kill('SIGKILL');
+        }, this.config.shutdownTimeoutMs + 10000);
+        
+        // A disconnected child is already stopping on its own
+        if (child.connected) {
+            child.send({ type: 'stop' });
+        }
+        await exited;
+        clearTimeout(killTimer);
+    }
+    
+    refreshStatus() {
+        if (this.mode === 'inprocess') {
+            for (const worker of Object.values(this.workers)) {
+                if (worker.handle) worker.stats = worker.handle.getStats();
+            }
+        }
+        this.writeStatus();
+    }
+    
+    getStatus() {
+        const workers = {};
+        for (const worker of Object.values(this.workers)) {
+            workers[worker.name] = {
+                state: worker.state,
+                pid: worker.pid,
+                started_at: worker.startedAt,
+                restarts: worker.totalRestarts,
+                last_exit: worker.lastExit,
+                next_restart_at: worker.nextRestartAt,
+                stats: worker.stats
+            };
+        }
+        return {
+            pid: process.pid,
+            hostname: os.hostname(),
+            mode: this.mode,
+            state: this.state,
+            stop_reason: this.stopReason,
+            started_at: this.startedAt,
+            updated_at: new Date().toISOString(),
+            queue_dir: this.config.queueDir,
+            config_file: this.configFile,
+            workers
+        };
+    }
+    
+    /**
+     * Write the status file atomically
+     */
+    writeStatus() {
+        try {
+            const tempFile = this.config.statusFile + '.tmp';
+            fs.writeFileSync(tempFile, JSON.stringify(this.getStatus(), null, 2));
+            fs.renameSync(tempFile, this.config.statusFile);
+        } catch (err) {
+            console.error('Error writing pipeline status:', err.message);
+        }
+    }
+}
+
+/**
+ * Child side of a worker: start on the daemon's message, report stats, stop
+ * on its stop message or when the daemon goes away
+ */
+function runWorkerChild(name) {
+    let handle = null;
+    let stopping = false;
+    let statsTimer = null;
+    
+    const stop = async (options = {}, exitCode = 0) => {
+        if (stopping) return;
+        stopping = true;
+        clearInterval(statsTimer);
+        try {
+            if (handle) await handle.stop(options);
+        } catch (err) {
+            console.error(`Error stopping ${name} worker:`, err);
+            exitCode = exitCode || 1;
+        }
+        process.exit(exitCode);
+    };
+    
+    process.on('SIGINT', () => {});
+    process.on('SIGTERM', () => {});
+    process.on('disconnect', () => stop());
+    process.on('message', async message => {
+        if (message.type === 'stop') {
+            await stop();
+        } else if (message.type === 'start' && !handle) {
+            try {
+                handle = await START_WORKER[name](message.config, {
+                    onHalt: () => setImmediate(() => stop({ drain: false }, HALTED_EXIT_CODE))
+                });
+            } catch (err) {
+                console.error(`${name} worker failed to start:`, err);
+                process.exit(1);
+            }
+            process.send({ type: 'ready' });
+            statsTimer = setInterval(() => {
+                if (process.connected) process.send({ type: 'stats', stats: handle.getStats() });
+            }, message.statusIntervalMs);
+        }
+    });
+}
+
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+}
+
+function printStatus(status) {
+    const running = status.state !== 'stopped' && isRunning(status.pid);
+    const state = running ? status.state : status.state === 'stopped' ? 'stopped' : `not running (status left by pid ${status.pid})`;
+    console.log(`Pipeline   ${state}${running ? ` (pid ${status.pid}, ${status.mode})` : ''}${status.stop_reason ? `, stop reason ${status.stop_reason}` : ''}`);
+    console.log(`Started    ${status.started_at || '-'}`);
+    console.log(`Updated    ${status.updated_at}`);
+    for (const [name, worker] of Object.entries(status.workers)) {
+        const exit = worker.last_exit ? `, last exit ${worker.last_exit.signal || `code ${worker.last_exit.code}`} at ${worker.last_exit.at}` : '';
+        const restart = worker.next_restart_at ? `, restarting at ${worker.next_restart_at}` : '';
+        console.log(`  ${name.padEnd(9)}${worker.state}${worker.pid ? ` (pid ${worker.pid})` : ''}, ${worker.restarts} restarts${exit}${restart}`);
+    }
+}
+
+module.exports = PipelineDaemon;
+module.exports.loadConfig = loadConfig;
+module.exports.validateConfig = validateConfig;
+module.exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
+// If run directly, run the daemon, or one of its workers when forked by it
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : undefined;
+    };
+    
+    // Forked by the daemon to run one worker
+    if (option('--worker')) {
+        runWorkerChild(option('--worker'));
+    } else {
+        const command = args[0] && !args[0].startsWith('--') ? args[0] : 'start';
+        if (!['start', 'check', 'status'].includes(command)) {
+            console.error('Usage: pipeline_daemon.js [start|check|status] [--config <file>] [--json]');
+            console.error('  --config defaults to PIPELINE_CONFIG; environment variables override the file');
+            process.exit(1);
+        }
+        
+        let config;
+        const configFile = option('--config') || process.env.PIPELINE_CONFIG || null;
+        try {
+            config = loadConfig(configFile);
+        } catch (err) {
+            console.error(err.message);
+            process.exit(1);
+        }
+        
+        if (command === 'check') {
+            console.log(JSON.stringify(config, null, 2));
+        
+        } else if (command === 'status') {
+            if (!fs.existsSync(config.statusFile)) {
+                console.error(`No pipeline status at ${config.statusFile}`);
+                process.exit(1);
+            }
+            const status = JSON.parse(fs.readFileSync(config.statusFile, 'utf8'));
+            args.includes('--json') ? console.log(JSON.stringify(status)) : printStatus(status);
+        
+        } else {
+            const daemon = new PipelineDaemon(config, { configFile });
+            const shutdown = signal => daemon.stop(signal).then(exitCode => process.exit(exitCode));
+            process.on('SIGINT', () => shutdown('SIGINT'));
+            process.on('SIGTERM', () => shutdown('SIGTERM'));
+            
+            daemon.start().catch(async err => {
+                console.error(`Pipeline failed to start: ${err.message}`);
+                process.exit(daemon.lock.held ? await daemon.stop('start_failed', 1) : 1);
+            });
+        }
+    }
+}
@@ -0,0 +1,581 @@
+#!/usr/bin/env node
+/**
+ * Queue Inspector
+ * Status, tailing, verification and repair of a queue directory without
+ * hand-reading offset.json, ready entries and queue files
+ *
+ *   status    backlog files, bytes, oldest age, backpressure and process state
+ *   tail      print recent events and follow new ones, filtered by activity/customer
+ *   verify    scan queue files for malformed lines, checksum failures and duplicate activity_ids
+ *   requeue   mark a file for upload again
+ *   purge     delete backlog files, dead letters or archives, after confirmation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const QueueLock = require('./queue_lock');
+const ReadyQueue = require('./ready_queue');
+const UploadLedger = require('./upload_ledger');
+const DeadLetterStore = require('./dead_letter');
+const compression = require('./compression');
+const framing = require('./record_framing');
+
+const QUEUE_FILE_PATTERN = /^queue_.*\.ndjson(\.gz|\.zst)?$/;
+
+class QueueInspector {
+    constructor(config = {}) {
+        this.queueDir = config.queueDir || '/var/claude/queue';
+        this.backpressureThreshold = config.backpressureThreshold || 120000; // 2 minutes
+        this.currentQueueFile = path.join(this.queueDir, 'current.ndjson');
+        this.offsetFile = path.join(this.queueDir, 'offset.json');
+        this.archiveDir = path.join(this.queueDir, 'archive');
+        
+        if (!fs.existsSync(this.queueDir)) {
+            throw new Error(`Queue directory not found: ${this.queueDir}`);
+        }
+        this.readyQueue = new ReadyQueue(this.queueDir);
+        this.ledger = new UploadLedger({ queueDir: this.queueDir });
+        this.deadLetters = new DeadLetterStore({ queueDir: this.queueDir });
+    }
+    
+    /**
+     * Owner of a lock file and whether it is still running
+     */
+    process(lockName, role) {
+        const lock = new QueueLock(path.join(this.queueDir, lockName), { role });
+        const owner = lock.readOwner();
+        if (!owner) return { running: false };
+        return { running: !lock.isStale(owner), pid: owner.pid, hostname: owner.hostname, since: owner.acquired_at };
+    }
+    
+    readJson(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            return null;
+        }
+    }
+    
+    fileSize(file) {
+        try {
+            return fs.statSync(file).size;
+        } catch (err) {
+            return null;
+        }
+    }
+    
+    /**
+     * Ready and claimed entries with their file size, age and upload progress, oldest first
+     */
+    backlog() {
+        const items = [
+            ...this.readyQueue.list().map(item => ({ ...item, state: 'ready' })),
+            ...this.readyQueue.listClaimed().map(item => ({ ...item, state: 'claimed' }))
+        ];
+        return items
+            .map(({ name, entry, state }) => ({
+                name,
+                state,
+                file: entry.file,
+                bytes: this.fileSize(entry.file),
+                offset: this.ledger.resumeOffset(entry.file, entry.offset || 0),
+                marked_at: entry.marked_at,
+                age_ms: Date.now() - new Date(entry.marked_at).getTime(),
+                attempts: entry.attempts || 0,
+                last_error: entry.last_error || null,
+                ...(entry.replay ? { replay: true } : {})
+            }))
+            .sort((a, b) => b.age_ms - a.age_ms);
+    }
+    
+    /**
+     * Rotated queue files that no ready or claimed entry refers to
+     */
+    orphans(backlog = this.backlog()) {
+        const referenced = new Set(backlog.map(item => item.file));
+        return fs.readdirSync(this.queueDir)
+            .filter(name => QUEUE_FILE_PATTERN.test(name))
+            .map(name => path.join(this.queueDir, name))
+            .filter(file => !referenced.has(file));
+    }
+    
+    status() {
+        const backlog = this.backlog();
+        const offset = this.readJson(this.offsetFile);
+        const queue = this.process('.lock', 'queue');
+        const uploader = this.process('.uploader.lock', 'uploader');
+        const uploaderState = uploader.running ? this.readJson(path.join(this.queueDir, 'uploader_state.json')) : null;
+        const oldestAge = backlog.length > 0 ? backlog[0].age_ms : 0;
+        
+        // The running queue records its own state; otherwise judge by age alone
+        const backpressure = queue.running && offset && offset.backpressure
+            ? { ...offset.backpressure, as_of: offset.updated_at }
+            : { active: oldestAge > this.backpressureThreshold, reason: oldestAge > this.backpressureThreshold ? 'queue_age' : null };
+        
+        const legacyFile = path.join(this.queueDir, '.ready');
+        return {
+            queue_dir: this.queueDir,
+            queue,
+            uploader: {
+                ...uploader,
+                ...(uploaderState ? { circuit: uploaderState.state, halted: uploaderState.halted, last_error: uploaderState.last_error } : {})
+            },
+            backpressure,
+            current_file_bytes: this.fileSize(this.currentQueueFile) || 0,
+            backlog: {
+                ready: backlog.filter(item => item.state === 'ready').length,
+                claimed: backlog.filter(item => item.state === 'claimed').length,
+                bytes: backlog.reduce((sum, item) => sum + (item.bytes || 0), 0),
+                oldest_age_ms: oldestAge,
+                missing_files: backlog.filter(item => item.bytes === null).length,
+                files: backlog
+            },
+            orphan_files: this.orphans(backlog),
+            legacy_ready_lines: fs.existsSync(legacyFile)
+                ? fs.readFileSync(legacyFile, 'utf8').split('\n').filter(line => line.trim()).length
+                : 0,
+            dead_letters: this.deadLetters.getStats(),
+            archive_bytes: compression.diskUsage(this.archiveDir),
+            queue_stats: offset ? offset.stats : null
+        };
+    }
+    
+    /**
+     * Recent events from current.ndjson, then, with follow, new ones as they
+     * are written. Rotation is followed by draining the renamed file first.
+     * Following stops once options.signal.aborted is set.
+     */
+    async *tail(filters = {}, options = {}) {
+        const matches = event => (!filters.activity || event.activity === filters.activity)
+            && (!filters.customer || event.customer === filters.customer);
+        const parse = line => {
+            try {
+                return JSON.parse(line);
+            } catch (err) {
+                return null;
+            }
+        };
+        
+        let fd = null;
+        let position = 0;
+        let partial = '';
+        const open = () => {
+            try {
+                fd = fs.openSync(this.currentQueueFile, 'r');
+                position = 0;
+            } catch (err) {
+                fd = null;
+            }
+        };
+        const read = () => {
+            const size = fs.fstatSync(fd).size;
+            if (size <= position) return [];
+            const buffer = Buffer.alloc(size - position);
+            fs.readSync(fd, buffer, 0, buffer.length, position);
+            position = size;
+            const lines = (partial + buffer.toString('utf8')).split('\n');
+            partial = lines.pop();
+            return lines;
+        };
+        const events = lines => lines
+            .map(line => (line.trim() ? parse(line) : null))
+            .filter(event => event && matches(event));
+        
+        // Last n matching events already written, then follow from there
+        open();
+        try {
+            const count = options.lines !== undefined ? options.lines : 10;
+            if (fd && count > 0) {
+                yield* events(read()).slice(-count);
+            } else if (fd) {
+                read();
+            }
+            
+            while (options.follow && !(options.signal && options.signal.aborted)) {
+                if (!fd) {
+                    open();
+                } else {
+                    const lines = read();
+                    // current.ndjson was rotated away: drain the old file, then switch
+                    let rotated = false;
+                    try {
+                        rotated = fs.statSync(this.currentQueueFile).ino !== fs.fstatSync(fd).ino;
+                    } catch (err) {
+                        rotated = true;
+                    }
+                    if (rotated) {
+                        lines.push(...read());
+                        fs.closeSync(fd);
+                        fd = null;
+                        partial = '';
+                    }
+                    yield* events(lines);
+                    if (rotated) continue;
+                }
+                await new Promise(resolve => setTimeout(resolve, options.pollMs || 500));
+            }
+        } finally {
+            if (fd) fs.closeSync(fd);
+        }
+    }
+    
+    /**
+     * Scan the backlog, current.ndjson and, with includeArchive, the archive
+     * for malformed lines, framed records failing their checksum and
+     * activity_ids that appear more than once
+     */
+    async verify(options = {}) {
+        const backlog = this.backlog();
+        const files = [
+            ...new Set([
+                ...backlog.map(item => item.file),
+                ...this.orphans(backlog),
+                ...(fs.existsSync(this.currentQueueFile) ? [this.currentQueueFile] : [])
+            ])
+        ];
+        if (options.includeArchive && fs.existsSync(this.archiveDir)) {
+            files.push(...fs.readdirSync(this.archiveDir)
+                .filter(name => /\.ndjson(\.gz|\.zst)?$/.test(name))
+                .map(name => path.join(this.archiveDir, name)));
+        }
+        
+        const report = {
+            files_scanned: 0,
+            lines_scanned: 0,
+            missing_files: [],
+            malformed: [],
+            corrupt: [],
+            duplicates: []
+        };
+        const seen = new Map();     // activity_id -> first location
+        
+        for (const file of files) {
+            if (!fs.existsSync(file)) {
+                report.missing_files.push(file);
+                continue;
+            }
+            report.files_scanned++;
+            
+            let lineNumber = 0;
+            const rl = readline.createInterface({ input: compression.createReadStream(file), crlfDelay: Infinity });
+            for await (const line of rl) {
+                lineNumber++;
+                if (!line.trim()) continue;
+                report.lines_scanned++;
+                const location = `${file}:${lineNumber}`;
+                
+                const check = framing.verify(line);
+                if (check.status === 'corrupt') {
+                    report.corrupt.push({ location, error: check.reason, line: line.slice(0, 200) });
+                    continue;
+                }
+                
+                let event;
+                try {
+                    event = JSON.parse(line);
+                } catch (err) {
+                    report.malformed.push({ location, error: err.message, line: line.slice(0, 200) });
+                    continue;
+                }
+                if (!event || typeof event !== 'object' || !event.activity_id) {
+                    report.malformed.push({ location, error: 'missing activity_id', line: line.slice(0, 200) });
+                    continue;
+                }
+                
+                if (seen.has(event.activity_id)) {
+                    report.duplicates.push({ activity_id: event.activity_id, first: seen.get(event.activity_id), location });
+                } else {
+                    seen.set(event.activity_id, location);
+                }
+            }
+        }
+        
+        report.ok = report.missing_files.length === 0 && report.malformed.length === 0
+            && report.corrupt.length === 0 && report.duplicates.length === 0;
+        return report;
+    }
+    
+    /**
+     * Mark a file for upload again. Files already in the backlog are refused
+     * unless force is set, since they would be uploaded twice.
+     */
+    requeue(file, options = {}) {
+        const filePath = path.resolve(file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`File not found: ${filePath}`);
+        }
+        if (filePath === this.currentQueueFile) {
+            throw new Error('current.ndjson is still being written; it is queued when it rotates');
+        }
+        const existing = this.backlog().find(item => item.file === filePath);
+        if (existing && !options.force) {
+            throw new Error(`${filePath} is already ${existing.state} as ${existing.name}; use --force to add it again`);
+        }
+        
+        const offset = options.offset !== undefined ? options.offset : 0;
+        const name = this.readyQueue.mark(filePath, offset, { requeued: true });
+        return { file: filePath, offset, entry: name };
+    }
+    
+    /**
+     * What a purge would delete: 'backlog' (ready entries, orphans and their
+     * files), 'dead_letters', 'archive', or specific files
+     */
+    purgePlan(target, files = []) {
+        const items = [];
+        if (target === 'files') {
+            const backlog = this.backlog();
+            for (const file of files.map(f => path.resolve(f))) {
+                if (file === this.currentQueueFile) {
+                    throw new Error('current.ndjson is still being written; purge it after it rotates');
+                }
+                const entries = backlog.filter(item => item.file === file);
+                if (entries.some(item => item.state === 'claimed')) {
+                    throw new Error(`${file} is claimed by the uploader; stop it first`);
+                }
+                items.push({ file, bytes: this.fileSize(file) || 0, entries: entries.map(item => item.name) });
+            }
+        } else if (target === 'backlog') {
+            const backlog = this.backlog();
+            const byFile = new Map();
+            for (const item of backlog.filter(entry => entry.state === 'ready')) {
+                if (!byFile.has(item.file)) {
+                    byFile.set(item.file, { file: item.file, bytes: item.bytes || 0, entries: [] });
+                }
+                byFile.get(item.file).entries.push(item.name);
+            }
+            items.push(...byFile.values());
+            for (const file of this.orphans(backlog)) {
+                items.push({ file, bytes: this.fileSize(file) || 0, entries: [] });
+            }
+        } else if (target === 'dead_letters' || target === 'archive') {
+            const dir = target === 'archive' ? this.archiveDir : this.deadLetters.dir;
+            if (fs.existsSync(dir)) {
+                for (const name of fs.readdirSync(dir)) {
+                    const file = path.join(dir, name);
+                    if (fs.statSync(file).isFile()) {
+                        items.push({ file, bytes: this.fileSize(file) || 0, entries: [] });
+                    }
+                }
+            }
+        } else {
+            throw new Error(`Unknown purge target: ${target}`);
+        }
+        return { target, files: items, bytes: items.reduce((sum, item) => sum + item.bytes, 0) };
+    }
+    
+    /**
+     * Delete everything in a purge plan; ready entries are removed before their files.
+     * A file whose entries the uploader claimed since the plan was made is skipped.
+     */
+    purge(plan) {
+        let deleted = 0;
+        let bytes = 0;
+        const skipped = [];
+        for (const item of plan.files) {
+            const claims = item.entries.map(name => this.readyQueue.claim(name));
+            if (claims.some(claim => !claim)) {
+                claims.filter(Boolean).forEach(claim => this.readyQueue.release(claim));
+                skipped.push(item.file);
+                continue;
+            }
+            claims.forEach(claim => this.readyQueue.ack(claim));
+            
+            try {
+                fs.unlinkSync(item.file);
+                deleted++;
+                bytes += item.bytes;
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+            this.ledger.complete(item.file);
+        }
+        return { target: plan.target, files_deleted: deleted, bytes, skipped };
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return 'missing';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function formatAge(ms) {
+    const seconds = Math.floor(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+function formatProcess(proc) {
+    if (!proc.pid) return 'not running';
+    return proc.running ? `running (pid ${proc.pid})` : `stopped (stale lock from pid ${proc.pid})`;
+}
+
+function printStatus(status) {
+    const { backlog } = status;
+    console.log(`Queue dir      ${status.queue_dir}`);
+    console.log(`Queue          ${formatProcess(status.queue)}`);
+    console.log(`Uploader       ${formatProcess(status.uploader)}${status.uploader.circuit ? `, circuit ${status.uploader.circuit}${status.uploader.halted ? ', HALTED' : ''}` : ''}`);
+    console.log(`Backpressure   ${status.backpressure.active ? `ON (${status.backpressure.reason})` : 'off'}`);
+    console.log(`Current file   ${formatBytes(status.current_file_bytes)}`);
+    console.log(`Backlog        ${backlog.ready} ready, ${backlog.claimed} claimed, ${formatBytes(backlog.bytes)}, oldest ${formatAge(backlog.oldest_age_ms)}`);
+    console.log(`Dead letters   ${Object.entries(status.dead_letters).map(([kind, n]) => `${kind} ${n}`).join(', ')}`);
+    console.log(`Archive        ${formatBytes(status.archive_bytes)}`);
+    if (status.legacy_ready_lines > 0) {
+        console.log(`Legacy .ready  ${status.legacy_ready_lines} lines not yet imported`);
+    }
+    
+    for (const item of backlog.files) {
+        const progress = item.offset > 0 ? `  offset ${item.offset}` : '';
+        const failures = item.attempts > 0 ? `  attempts ${item.attempts}: ${item.last_error}` : '';
+        console.log(`  ${item.state.padEnd(8)}${path.basename(item.file)}  ${formatBytes(item.bytes)}  ${formatAge(item.age_ms)}${progress}${failures}`);
+    }
+    for (const file of status.orphan_files) {
+        console.log(`  orphan  ${path.basename(file)}  (no ready entry; requeue it or restart the queue)`);
+    }
+}
+
+function printVerify(report) {
+    for (const file of report.missing_files) {
+        console.log(`missing    ${file}`);
+    }
+    for (const item of report.malformed) {
+        console.log(`malformed  ${item.location}  ${item.error}`);
+    }
+    for (const item of report.corrupt) {
+        console.log(`corrupt    ${item.location}  ${item.error}`);
+    }
+    for (const item of report.duplicates) {
+        console.log(`duplicate  ${item.activity_id}  ${item.location} (first at ${item.first})`);
+    }
+    console.log(`${report.files_scanned} files, ${report.lines_scanned} lines: ${report.malformed.length} malformed, ${report.corrupt.length} corrupt, ${report.duplicates.length} duplicate activity_ids, ${report.missing_files.length} missing files`);
+}
+
+/**
+ * Ask on the terminal; resolves true only for an exact "yes"
+ */
+function confirm(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    return new Promise(resolve => {
+        rl.question(`${question} Type "yes" to continue: `, answer => {
+            rl.close();
+            resolve(answer.trim() === 'yes');
+        });
+    });
+}
+
+module.exports = QueueInspector;
+
+// If run directly, run one inspector command
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const command = args[0];
+    const json = args.includes('--json');
+    const option = name => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : undefined;
+    };
+    const options = name => args.flatMap((arg, i) => (arg === name && args[i + 1] ? [args[i + 1]] : []));
+    const output = value => console.log(JSON.stringify(value));
+    
+    const usage = () => {
+        console.error('Usage: queue_inspector.js status [--json]');
+        console.error('       queue_inspector.js tail [--activity <name>] [--customer <id>] [--lines <n>] [--follow] [--json]');
+        console.error('       queue_inspector.js verify [--archive] [--json]');
+        console.error('       queue_inspector.js requeue <file> [--offset <bytes>] [--force] [--json]');
+        console.error('       queue_inspector.js purge --backlog | --dead-letters | --archive | --file <path>... [--yes] [--json]');
+        process.exit(1);
+    };
+    if (!['status', 'tail', 'verify', 'requeue', 'purge'].includes(command)) {
+        usage();
+    }
+    
+    const run = async () => {
+        const inspector = new QueueInspector({
+            queueDir: process.env.QUEUE_DIR || '/tmp/claude_queue',
+            backpressureThreshold: parseInt(process.env.BACKPRESSURE_THRESHOLD, 10) || undefined
+        });
+        
+        if (command === 'status') {
+            const status = inspector.status();
+            json ? output(status) : printStatus(status);
+        
+        } else if (command === 'tail') {
+            // Stops --follow on Ctrl-C; AbortController needs Node 15
+            const stop = { aborted: false };
+            process.on('SIGINT', () => { stop.aborted = true; });
+            const events = inspector.tail(
+                { activity: option('--activity'), customer: option('--customer') },
+                {
+                    follow: args.includes('--follow') || args.includes('-f'),
+                    lines: option('--lines') !== undefined ? parseInt(option('--lines'), 10) : undefined,
+                    signal: stop
+                }
+            );
+            for await (const event of events) {
+                if (json) {
+                    console.log(JSON.stringify(event));
+                } else {
+                    console.log(`${event.queued_at || event.ts}  ${event.activity}  ${event.customer || '-'}  ${JSON.stringify(event.feature_json || {})}`);
+                }
+            }
+        
+        } else if (command === 'verify') {
+            const report = await inspector.verify({ includeArchive: args.includes('--archive') });
+            json ? output(report) : printVerify(report);
+            process.exitCode = report.ok ? 0 : 2;
+        
+        } else if (command === 'requeue') {
+            const file = args[1];
+            if (!file || file.startsWith('--')) usage();
+            const result = inspector.requeue(file, {
+                offset: option('--offset') !== undefined ? parseInt(option('--offset'), 10) : undefined,
+                force: args.includes('--force')
+            });
+            json ? output(result) : console.log(`Requeued ${result.file} from offset ${result.offset} (${result.entry})`);
+        
+        } else {
+            const files = options('--file');
+            const target = files.length > 0 ? 'files'
+                : args.includes('--backlog') ? 'backlog'
+                : args.includes('--dead-letters') ? 'dead_letters'
+                : args.includes('--archive') ? 'archive'
+                : usage();
+            const plan = inspector.purgePlan(target, files);
+            
+            if (plan.files.length === 0) {
+                json ? output({ target, files_deleted: 0, bytes: 0, skipped: [] }) : console.log('Nothing to purge');
+                return;
+            }
+            if (!args.includes('--yes')) {
+                if (json || !process.stdin.isTTY) {
+                    throw new Error('purge needs --yes when not run interactively');
+                }
+                plan.files.forEach(item => console.error(`  ${item.file}  ${formatBytes(item.bytes)}`));
+                if (!(await confirm(`Delete ${plan.files.length} files (${formatBytes(plan.bytes)})?`))) {
+                    console.error('Purge cancelled');
+                    process.exitCode = 1;
+                    return;
+                }
+            }
+            const result = inspector.purge(plan);
+            if (!json) {
+                result.skipped.forEach(file => console.warn(`Skipped ${file}: claimed by the uploader`));
+            }
+            json ? output(result) : console.log(`Purged ${result.files_deleted} files (${formatBytes(result.bytes)})`);
+        }
+    };
+    
+    run().catch(err => {
+        console.error(`${command} failed: ${err.message}`);
+        process.exit(1);
+    });
+}
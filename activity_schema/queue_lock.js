@@ -0,0 +1,122 @@
+/**
+ * Queue Lock
+ * Exclusive PID lock file with stale-lock detection after a crash
+ */
+
+const fs = require('fs');
+const os = require('os');
+
+class QueueLockedError extends Error {
+    constructor(lockFile, owner) {
+        super(`${lockFile} is held by pid ${owner.pid} on ${owner.hostname} since ${owner.acquired_at}`);
+        this.name = 'QueueLockedError';
+        this.lockFile = lockFile;
+        this.owner = owner;
+    }
+}
+
+class QueueLock {
+    constructor(lockFile, config = {}) {
+        this.lockFile = lockFile;
+        this.role = config.role || 'queue';
+        this.held = false;
+    }
+    
+    /**
+     * Take the lock, replacing it if its owner is no longer running
+     */
+    acquire() {
+        const info = {
+            pid: process.pid,
+            hostname: os.hostname(),
+            role: this.role,
+            acquired_at: new Date().toISOString()
+        };
+        
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                // 'wx' fails if the file exists, so only one process can create it
+                const fd = fs.openSync(this.lockFile, 'wx', 0o644);
+                fs.writeSync(fd, JSON.stringify(info));
+                fs.fsyncSync(fd);
+                fs.closeSync(fd);
+                this.held = true;
+                return info;
+            } catch (err) {
+                if (err.code !== 'EEXIST') throw err;
+            }
+            
+            const owner = this.readOwner();
+            if (owner && !this.isStale(owner)) {
+                throw new QueueLockedError(this.lockFile, owner);
+            }
+            if (!owner && this.isFresh()) {
+                // Another process has just created the lock and is still writing it
+                throw new QueueLockedError(this.lockFile, { pid: 'unknown', hostname: 'unknown', acquired_at: 'just now' });
+            }
+            
+            console.warn(`Removing stale lock ${this.lockFile}${owner ? ` left by pid ${owner.pid}` : ''}`);
+            try {
+                fs.unlinkSync(this.lockFile);
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+        }
+        
+        throw new Error(`Could not acquire lock ${this.lockFile}`);
+    }
+    
+    /**
+     * Read the current owner, or null if the lock file is missing or torn
+     */
+    readOwner() {
+        try {
+            return JSON.parse(fs.readFileSync(this.lockFile, 'utf8'));
+        } catch (err) {
+            return null;
+        }
+    }
+    
+    /**
+     * Whether the lock file was created within the last few seconds
+     */
+    isFresh() {
+        try {
+            return Date.now() - fs.statSync(this.lockFile).mtimeMs < 5000;
+        } catch (err) {
+            return false;
+        }
+    }
+    
+    /**
+     * A lock is stale when its process is gone. Locks from other hosts
+     * (shared filesystems) cannot be checked and are treated as live.
+     */
+    isStale(owner) {
+        if (owner.hostname !== os.hostname()) {
+            return false;
+        }
+        try {
+            process.kill(owner.pid, 0);
+            return false;
+        } catch (err) {
+            return err.code === 'ESRCH';
+        }
+    }
+    
+    /**
+     * Release the lock if this process holds it
+     */
+    release() {
+        if (!this.held) return;
+        
+        const owner = this.readOwner();
+        if (owner && owner.pid === process.pid) {
+            fs.unlinkSync(this.lockFile);
+        }
+        this.held = false;
+    }
+}
+
+module.exports = QueueLock;
+module.exports.QueueLockedError = QueueLockedError;
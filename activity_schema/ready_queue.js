@@ -0,0 +1,187 @@
+/**
+ * Ready Queue
+ * Per-entry marker files for rotated queue files awaiting upload
+ *
+ * Producers write ready/<name>.json atomically. A consumer claims an entry by
+ * renaming it into claimed/, which only one process can win, then acks it by
+ * deleting the claim or releases it back to ready/ on failure.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let markCounter = 0;
+
+class ReadyQueue {
+    constructor(queueDir) {
+        this.queueDir = queueDir;
+        this.readyDir = path.join(queueDir, 'ready');
+        this.claimedDir = path.join(queueDir, 'claimed');
+        this.legacyFile = path.join(queueDir, '.ready');
+        
+        for (const dir of [this.readyDir, this.claimedDir]) {
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true, mode: 0o755 });
+            }
+        }
+    }
+    
+    /**
+     * Mark a file for processing
+     */
+    mark(file, offset = 0, fields = {}) {
+        const entry = {
+            file,
+            offset,
+            marked_at: new Date().toISOString(),
+            ...fields
+        };
+        
+        // Names sort by mark time; pid and counter keep concurrent producers apart
+        markCounter = (markCounter + 1) % 1000000;
+        const name = `${String(Date.now()).padStart(15, '0')}_${process.pid}_${String(markCounter).padStart(6, '0')}.json`;
+        this.writeEntry(this.readyDir, name, entry);
+        return name;
+    }
+    
+    /**
+     * Write an entry via temp file and rename so readers never see a partial file
+     */
+    writeEntry(dir, name, entry) {
+        const tempFile = path.join(dir, `.${name}.tmp`);
+        fs.writeFileSync(tempFile, JSON.stringify(entry));
+        fs.renameSync(tempFile, path.join(dir, name));
+    }
+    
+    listNames(dir) {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .filter(name => name.endsWith('.json') && !name.startsWith('.'))
+            .sort();
+    }
+    
+    readEntry(dir, name) {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+        } catch (err) {
+            // Claimed by another consumer in the meantime, or unreadable
+            return null;
+        }
+    }
+    
+    /**
+     * Ready entries, oldest first
+     */
+    list() {
+        return this.listNames(this.readyDir)
+            .map(name => ({ name, entry: this.readEntry(this.readyDir, name) }))
+            .filter(item => item.entry);
+    }
+    
+    /**
+     * Entries currently claimed by a consumer
+     */
+    listClaimed() {
+        return this.listNames(this.claimedDir)
+            .map(name => ({ name, entry: this.readEntry(this.claimedDir, name) }))
+            .filter(item => item.entry);
+    }
+    
+    /**
+     * Claim an entry; returns null if another consumer got there first
+     */
+    claim(name) {
+        try {
+            fs.renameSync(path.join(this.readyDir, name), path.join(this.claimedDir, name));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+        const entry = this.readEntry(this.claimedDir, name);
+        return entry ? { name, entry } : null;
+    }
+    
+    /**
+     * Acknowledge a claimed entry as done
+     */
+    ack(claim) {
+        try {
+            fs.unlinkSync(path.join(this.claimedDir, claim.name));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+    
+    /**
+     * Return a claimed entry to ready/, optionally with updated fields
+     */
+    release(claim, fields = null) {
+        if (fields) {
+            this.writeEntry(this.claimedDir, claim.name, { ...claim.entry, ...fields });
+        }
+        fs.renameSync(path.join(this.claimedDir, claim.name), path.join(this.readyDir, claim.name));
+    }
+    
+    /**
+     * Move claims left behind by a crashed consumer back to ready/.
+     * Only call this while holding the consumer lock.
+     */
+    recoverClaims() {
+        const names = this.listNames(this.claimedDir);
+        for (const name of names) {
+            fs.renameSync(path.join(this.claimedDir, name), path.join(this.readyDir, name));
+        }
+        if (names.length > 0) {
+            console.log(`Recovered ${names.length} abandoned ready entries`);
+        }
+        return names.length;
+    }
+    
+    /**
+     * Convert entries appended to the legacy .ready file (e.g. by shell scripts)
+     */
+    importLegacy() {
+        if (!fs.existsSync(this.legacyFile)) return 0;
+        
+        // Renaming first means concurrent appends start a fresh .ready file
+        const importing = `${this.legacyFile}.${process.pid}.importing`;
+        try {
+            fs.renameSync(this.legacyFile, importing);
+        } catch (err) {
+            if (err.code === 'ENOENT') return 0;
+            throw err;
+        }
+        
+        const lines = fs.readFileSync(importing, 'utf8').split('\n').filter(l => l.trim());
+        let imported = 0;
+        for (const line of lines) {
+            try {
+                const { file, offset, ...fields } = JSON.parse(line);
+                this.mark(file, offset || 0, fields);
+                imported++;
+            } catch (err) {
+                console.error(`Skipping malformed .ready entry: ${line}`);
+            }
+        }
+        fs.unlinkSync(importing);
+        return imported;
+    }
+    
+    /**
+     * Oldest outstanding entry, ready or claimed
+     */
+    oldest() {
+        const all = [...this.list(), ...this.listClaimed()].map(item => item.entry);
+        if (all.length === 0) return null;
+        return all.reduce((a, b) => (new Date(a.marked_at) <= new Date(b.marked_at) ? a : b));
+    }
+    
+    /**
+     * Number of outstanding entries, ready or claimed
+     */
+    depth() {
+        return this.listNames(this.readyDir).length + this.listNames(this.claimedDir).length;
+    }
+}
+
+module.exports = ReadyQueue;
@@ -0,0 +1,157 @@
+/**
+ * Record Framing
+ * Optional per-record sequence numbers and CRC32 checksums for queue lines.
+ * A framed line is still a single JSON object, so readers that don't check
+ * framing can parse it. The queue adds "_seq" and then appends "_crc32", which
+ * is the CRC of the line as it was before "_crc32" was added:
+ *
+ *   {"activity":"claude_tool_call",...,"_seq":42,"_crc32":"1c291ca3"}
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const FRAMINGS = ['none', 'crc32'];
+const CRC_SUFFIX = /,"_crc32":"([0-9a-f]{8})"}$/;
+
+// zlib.crc32 needs Node 20.15+; older versions use a lookup table
+let crcTable = null;
+function crc32(text) {
+    const buffer = Buffer.from(text);
+    if (zlib.crc32) {
+        return zlib.crc32(buffer).toString(16).padStart(8, '0');
+    }
+    if (!crcTable) {
+        crcTable = new Int32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+    let crc = -1;
+    for (const byte of buffer) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return ((crc ^ -1) >>> 0).toString(16).padStart(8, '0');
+}
+
+function checkFraming(framing) {
+    if (!FRAMINGS.includes(framing)) {
+        throw new Error(`Unknown record framing: ${framing}`);
+    }
+    return framing;
+}
+
+/**
+ * Serialize an event as a framed line, without the trailing newline
+ */
+function frame(event, seq) {
+    const body = JSON.stringify({ ...event, _seq: seq });
+    return `${body.slice(0, -1)},"_crc32":"${crc32(body)}"}`;
+}
+
+/**
+ * Check a line's checksum. status is 'ok' for an intact framed line,
+ * 'unframed' for a line without framing (written with framing off, or
+ * replayed) and 'corrupt' otherwise.
+ */
+function verify(line) {
+    const match = CRC_SUFFIX.exec(line);
+    if (!match) {
+        return line.includes('"_crc32"')
+            ? { status: 'corrupt', reason: 'checksum field is not at the end of the record' }
+            : { status: 'unframed' };
+    }
+    const actual = crc32(`${line.slice(0, match.index)}}`);
+    return actual === match[1]
+        ? { status: 'ok' }
+        : { status: 'corrupt', reason: `checksum mismatch: record says ${match[1]}, content is ${actual}` };
+}
+
+/**
+ * Drop the framing fields from a parsed event
+ */
+function unframe(event) {
+    if (event && typeof event === 'object' && ('_seq' in event || '_crc32' in event)) {
+        const { _seq, _crc32, ...rest } = event;
+        return rest;
+    }
+    return event;
+}
+
+/**
+ * Find where the intact part of a file ends. A crash mid-write leaves a torn
+ * fragment after the last newline; trailing complete records that fail their
+ * checksum (e.g. a fragment glued to the next write) are cut as well.
+ * Returns { size, validSize, torn, corrupt, lastSeq }, where torn is the
+ * fragment and corrupt lists the cut records as { offset, raw, reason }.
+ */
+function scanTail(filePath, chunkSize = 64 * 1024) {
+    const size = fs.statSync(filePath).size;
+    const result = { size, validSize: size, torn: null, corrupt: [], lastSeq: null };
+    if (size === 0) return result;
+    
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        // Read backwards until the chunk holds at least one complete line before the end
+        let start = size;
+        let text = '';
+        let lastNewline = -1;
+        while (start > 0) {
+            const length = Math.min(chunkSize, start);
+            start -= length;
+            const buffer = Buffer.alloc(length);
+            fs.readSync(fd, buffer, 0, length, start);
+            text = buffer.toString('latin1') + text;
+            lastNewline = text.lastIndexOf('\n');
+            if (lastNewline !== -1 && text.lastIndexOf('\n', lastNewline - 1) !== -1) break;
+        }
+        
+        // Offsets are bytes; latin1 keeps one character per byte
+        let validSize = lastNewline === -1 ? 0 : start + lastNewline + 1;
+        if (validSize < size) {
+            result.torn = { offset: validSize, raw: Buffer.from(text.slice(validSize - start), 'latin1').toString('utf8') };
+        }
+        
+        // Walk back over complete trailing records that fail their checksum
+        const lines = text.slice(0, validSize - start).split('\n');
+        lines.pop();
+        const firstIsPartial = start > 0;
+        for (let i = lines.length - 1; i >= (firstIsPartial ? 1 : 0); i--) {
+            const raw = Buffer.from(lines[i], 'latin1').toString('utf8');
+            if (!raw.trim()) {
+                validSize -= lines[i].length + 1;
+                continue;
+            }
+            const check = verify(raw);
+            if (check.status !== 'corrupt') {
+                try {
+                    const seq = JSON.parse(raw)._seq;
+                    result.lastSeq = Number.isInteger(seq) ? seq : null;
+                } catch (err) {
+                    // Unparseable but unframed: the uploader will dead-letter it
+                }
+                break;
+            }
+            validSize -= lines[i].length + 1;
+            result.corrupt.unshift({ offset: validSize, raw, reason: check.reason });
+        }
+        result.validSize = validSize;
+    } finally {
+        fs.closeSync(fd);
+    }
+    return result;
+}
+
+module.exports = {
+    FRAMINGS,
+    crc32,
+    checkFraming,
+    frame,
+    verify,
+    unframe,
+    scanTail
+};
@@ -0,0 +1,135 @@
+/**
+ * Redactor
+ * Scrubs secrets and PII from feature_json before events are written to disk
+ */
+
+const { loadEventSchemas } = require('./event_validator');
+
+// Order matters: whole private keys and credentials first, so later
+// detectors never see their fragments
+const BUILT_IN_DETECTORS = [
+    {
+        name: 'private_key',
+        pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+    },
+    {
+        name: 'connection_password',
+        pattern: /([a-z][a-z0-9+.-]*:\/\/[^:/\s@]+:)[^@\s]+(@)/gi,
+        replacement: '$1[REDACTED:connection_password]$2'
+    },
+    {
+        name: 'password_assignment',
+        pattern: /\b((?:password|passwd|pwd|secret|api[_-]?key|token)\s*[=:]\s*)("[^"]*"|'[^']*'|[^\s;,&"']+)/gi,
+        replacement: '$1[REDACTED:password_assignment]'
+    },
+    {
+        name: 'bearer_token',
+        pattern: /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/g
+    },
+    {
+        name: 'aws_access_key',
+        pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g
+    },
+    {
+        name: 'aws_secret_key',
+        pattern: /(aws_secret_access_key\s*[=:]\s*)[A-Za-z0-9/+=]{40}/gi,
+        replacement: '$1[REDACTED:aws_secret_key]'
+    },
+    {
+        name: 'email',
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+    },
+    {
+        name: 'home_path',
+        pattern: /(^|[\s'"=:(])(?:\/Users|\/home)\/[^/\s'"]+/g,
+        replacement: '$1~'
+    }
+];
+
+class Redactor {
+    constructor(config = {}) {
+        const enabled = config.detectors || BUILT_IN_DETECTORS.map(d => d.name);
+        this.detectors = BUILT_IN_DETECTORS.filter(d => enabled.includes(d.name));
+        
+        // Custom rules per event type from the "redact" entries in the schema file
+        const { schemas, activityTypes } = loadEventSchemas(config.schemaFile);
+        this.activityTypes = activityTypes;
+        this.rules = {};
+        for (const [eventType, schema] of Object.entries(schemas)) {
+            this.rules[eventType] = (schema.redact || []).map(rule => ({
+                name: rule.name,
+                pattern: new RegExp(rule.pattern, rule.flags || 'g'),
+                replacement: rule.replacement
+            }));
+        }
+    }
+    
+    /**
+     * Return a copy of the event with redacted feature_json and a _redactions
+     * summary of which rules fired on which fields. Matched values are never kept.
+     */
+    redact(event) {
+        if (!event.feature_json || typeof event.feature_json !== 'object') {
+            return event;
+        }
+        
+        const eventType = this.activityTypes[event.activity];
+        const rules = [...(this.rules[eventType] || []), ...this.detectors];
+        const redactions = [];
+        
+        const featureJson = this.redactValue(event.feature_json, '', rules, redactions);
+        if (redactions.length === 0) {
+            return event;
+        }
+        
+        return {
+            ...event,
+            feature_json: { ...featureJson, _redactions: redactions }
+        };
+    }
+    
+    redactValue(value, fieldPath, rules, redactions) {
+        if (typeof value === 'string') {
+            return this.redactString(value, fieldPath, rules, redactions);
+        }
+        if (Array.isArray(value)) {
+            return value.map((item, i) => this.redactValue(item, `${fieldPath}[${i}]`, rules, redactions));
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, child] of Object.entries(value)) {
+                if (key === '_redactions') continue;
+                result[key] = this.redactValue(child, fieldPath ? `${fieldPath}.${key}` : key, rules, redactions);
+            }
+            return result;
+        }
+        return value;
+    }
+    
+    redactString(text, fieldPath, rules, redactions) {
+        let result = text;
+        for (const rule of rules) {
+            rule.pattern.lastIndex = 0;
+            let count = 0;
+            result = result.replace(rule.pattern, (...args) => {
+                // Leave text an earlier rule already redacted
+                if (args[0].includes('[REDACTED:')) {
+                    return args[0];
+                }
+                count++;
+                if (rule.replacement === undefined) {
+                    return `[REDACTED:${rule.name}]`;
+                }
+                // Expand $n group references from the match
+                return rule.replacement.replace(/\$(\d)/g, (_, n) => args[Number(n)] || '');
+            });
+            if (count > 0) {
+                redactions.push({ field: fieldPath, rule: rule.name, count });
+            }
+        }
+        return result;
+    }
+}
+
+module.exports = Redactor;
+module.exports.BUILT_IN_DETECTORS = BUILT_IN_DETECTORS.map(d => d.name);
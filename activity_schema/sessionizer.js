@@ -0,0 +1,155 @@
+/**
+ * Sessionizer
+ * Groups each customer/host's events into sessions split by an inactivity
+ * gap, and produces synthetic session_event start and end records with the
+ * session's event count, duration, tools used and token totals.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Producers' own session boundaries are left alone and not counted
+const SESSION_ACTIVITIES = ['claude_session_start', 'claude_session_end', 'session_heartbeat', 'claude_context_hydration'];
+
+class Sessionizer {
+    constructor(config = {}) {
+        this.gapMs = config.gapMs || 30 * 60 * 1000; // 30 minutes
+        this.now = config.now || (() => Date.now());
+        this.sessions = new Map();
+        this.stats = {
+            sessionsStarted: 0,
+            sessionsEnded: 0
+        };
+    }
+    
+    /**
+     * Event time in ms; the queue's clock when the event has no usable ts
+     */
+    eventTime(event) {
+        const parsed = Date.parse(event.ts || event.queued_at);
+        return Number.isNaN(parsed) ? this.now() : parsed;
+    }
+    
+    /**
+     * Track an event about to be written. Returns the boundary records to
+     * write before it: the end of the previous session if the gap was
+     * exceeded, and the start of a new one.
+     */
+    observe(event) {
+        if (!event.customer || SESSION_ACTIVITIES.includes(event.activity)) return [];
+        
+        const key = `${event.customer}\u0000${event.anonymous_customer_id || ''}`;
+        const at = this.eventTime(event);
+        const boundaries = [];
+        
+        let session = this.sessions.get(key);
+        if (session && at - session.lastAt > this.gapMs) {
+            boundaries.push(this.end(key, 'inactivity'));
+            session = null;
+        }
+        if (!session) {
+            session = this.start(key, event, at);
+            boundaries.push(this.record(session, 'start', session.startedAt));
+        }
+        
+        const featureJson = event.feature_json || {};
+        session.lastAt = Math.max(session.lastAt, at);
+        session.lastSeen = this.now();
+        session.events++;
+        if (typeof featureJson.tool_name === 'string') {
+            session.tools.add(featureJson.tool_name);
+        }
+        session.promptTokens += Number(featureJson.prompt_tokens) || 0;
+        session.completionTokens += Number(featureJson.completion_tokens) || 0;
+        session.totalTokens += Number(featureJson.total_tokens)
+            || (Number(featureJson.prompt_tokens) || 0) + (Number(featureJson.completion_tokens) || 0);
+        
+        return boundaries;
+    }
+    
+    start(key, event, at) {
+        const featureJson = event.feature_json || {};
+        const context = featureJson._context || {};
+        const session = {
+            sessionId: uuidv4(),
+            customer: event.customer,
+            host: event.anonymous_customer_id || context.hostname || null,
+            user: context.user || null,
+            projectPath: featureJson.project_path || context.cwd || null,
+            startedAt: at,
+            lastAt: at,
+            lastSeen: this.now(),
+            events: 0,
+            tools: new Set(),
+            promptTokens: 0,
+            completionTokens: 0,
+            totalTokens: 0
+        };
+        this.sessions.set(key, session);
+        this.stats.sessionsStarted++;
+        return session;
+    }
+    
+    end(key, reason) {
+        const session = this.sessions.get(key);
+        this.sessions.delete(key);
+        this.stats.sessionsEnded++;
+        return this.record(session, 'end', session.lastAt, {
+            total_activities: session.events,
+            total_tokens: session.totalTokens,
+            prompt_tokens: session.promptTokens,
+            completion_tokens: session.completionTokens,
+            session_duration_ms: session.lastAt - session.startedAt,
+            tools_used: [...session.tools].sort(),
+            end_reason: reason
+        });
+    }
+    
+    /**
+     * A session_event record for the queue to write
+     */
+    record(session, eventType, at, fields = {}) {
+        return {
+            activity: eventType === 'start' ? 'claude_session_start' : 'claude_session_end',
+            customer: session.customer,
+            ...(session.host ? { anonymous_customer_id: session.host } : {}),
+            ts: new Date(at).toISOString(),
+            feature_json: {
+                session_id: session.sessionId,
+                event_type: eventType,
+                ...(session.host ? { host: session.host } : {}),
+                ...(session.user ? { user: session.user } : {}),
+                ...(session.projectPath ? { project_path: session.projectPath } : {}),
+                ...fields,
+                synthetic: true
+            }
+        };
+    }
+    
+    /**
+     * End records for sessions idle longer than the gap, by the queue's clock
+     */
+    expire() {
+        const now = this.now();
+        return [...this.sessions.entries()]
+            .filter(([, session]) => now - session.lastSeen > this.gapMs)
+            .map(([key]) => this.end(key, 'inactivity'));
+    }
+    
+    /**
+     * End records for every open session, e.g. at shutdown
+     */
+    flush(reason = 'shutdown') {
+        return [...this.sessions.keys()].map(key => this.end(key, reason));
+    }
+    
+    getStats() {
+        return {
+            ...this.stats,
+            openSessions: this.sessions.size,
+            gapMs: this.gapMs
+        };
+    }
+}
+
+module.exports = Sessionizer;
+module.exports.SESSION_ACTIVITIES = SESSION_ACTIVITIES;
@@ -6,10 +6,22 @@
 
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const { readLines } = require('./line_ingest');
+const { createExecutor } = require('./executors');
+const StageLoader = require('./stage_loader');
+const UploadLedger = require('./upload_ledger');
+const QueueLock = require('./queue_lock');
+const ReadyQueue = require('./ready_queue');
+const DeadLetterStore = require('./dead_letter');
+const { deadLetterFileRemainder } = DeadLetterStore;
+const compression = require('./compression');
+const framing = require('./record_framing');
+const sqlLiterals = require('./sql_literals');
+const { SqlEncodingError } = sqlLiterals;
+const CircuitBreaker = require('./circuit_breaker');
+const TargetRouter = require('./target_routing');
+const { repeatedAtSql, orderingMergeActions, linkRepeats } = require('./activity_ordering');
+const { UploadHaltedError, CircuitOpenError, classifyError, backoffDelay } = require('./upload_errors');
 
 class SnowpipeUploader {
     constructor(config = {}) {
@@ -19,9 +31,80 @@ class SnowpipeUploader {
         this.batchSize = config.batchSize || 1000;
         this.uploadInterval = config.uploadInterval || 5000; // 5 seconds
         this.maxRetries = config.maxRetries || 3;
+        this.retryBaseMs = config.retryBaseMs || 1000;
+        this.retryMaxMs = config.retryMaxMs || 30000;
+        this.onHalt = config.onHalt || (() => {});
+        this.maxFileAttempts = config.maxFileAttempts || 5; // passes before a file is dead-lettered
+        this.targetTable = sqlLiterals.identifier(config.targetTable || 'CLAUDE_LOGS.ACTIVITIES.CLAUDE_STREAM_V2');
+        this.revenueImpactPolicy = config.revenueImpactPolicy || 'coerce'; // 'coerce' or 'reject'
         
-        // Snowflake CLI path
-        this.snowCmd = config.snowCmd || '/Library/Frameworks/Python.framework/Versions/3.12/bin/snow';
+        // Extra target tables and stream columns, from a routes object or file (see TargetRouter)
+        this.router = config.routes ? new TargetRouter(config.routes)
+            : config.routesFile ? TargetRouter.load(config.routesFile)
+            : null;
+        
+        // Compress archived files that are not compressed yet: null (default), 'gzip' or 'zstd'
+        this.archiveCompression = config.archiveCompression ? compression.checkFormat(config.archiveCompression) : null;
+        this.compressionStats = new compression.CompressionStats(this.archiveCompression);
+        
+        // Archive retention; each limit is optional, and null disables it
+        const retention = config.archiveRetention || {};
+        this.archiveRetention = {
+            maxAgeMs: retention.maxAgeMs !== undefined ? retention.maxAgeMs : 24 * 60 * 60 * 1000, // 24 hours
+            maxBytes: retention.maxBytes || null,
+            maxFiles: retention.maxFiles || null
+        };
+        
+        // Executor backend: 'snow' (default), 'record', 'local', or an executor instance
+        this.executor = config.executor && typeof config.executor === 'object'
+            ? config.executor
+            : createExecutor({ workDir: this.queueDir, ...config, snowConnection: this.snowConnection });
+        
+        // Load mode: 'merge' sends batched MERGE statements, 'stage' bulk-loads whole files
+        this.loadMode = config.loadMode || 'merge';
+        if (this.router && this.loadMode !== 'merge') {
+            throw new Error('Target routes need the merge load mode');
+        }
+        this.stageLoader = this.loadMode === 'stage'
+            ? new StageLoader({
+                queueDir: this.queueDir,
+                executor: this.executor,
+                targetTable: this.targetTable,
+                stage: config.stage,
+                fileFormat: config.fileFormat,
+                landingTable: config.landingTable,
+                historyTable: config.historyTable,
+                buildRow: event => this.buildRow(event),
+                onCorruptRecord: (file, record) => this.quarantineCorruptRecord(file, record)
+            })
+            : null;
+        
+        if (!fs.existsSync(this.queueDir)) {
+            fs.mkdirSync(this.queueDir, { recursive: true });
+        }
+        
+        // Only one uploader consumes ready entries; claims left by a crashed one are returned.
+        // consumeQueue: false gives an upload-only instance (e.g. for backfills) that
+        // leaves ready/ and the lock to the running uploader.
+        this.consumeQueue = config.consumeQueue !== false;
+        this.lock = new QueueLock(path.join(this.queueDir, '.uploader.lock'), { role: 'uploader' });
+        this.readyQueue = new ReadyQueue(this.queueDir);
+        if (this.consumeQueue) {
+            this.lock.acquire();
+            this.readyQueue.recoverClaims();
+        }
+        
+        // Per-file checkpoints of committed batches
+        this.ledger = new UploadLedger({ queueDir: this.queueDir });
+        
+        // Poison lines and batches that exhausted their retries
+        this.deadLetters = new DeadLetterStore({ queueDir: this.queueDir });
+        
+        // Circuit breaker; the consuming uploader publishes its state for the queue's backpressure check
+        this.circuit = new CircuitBreaker({
+            ...(config.circuitBreaker || {}),
+            stateFile: this.consumeQueue ? path.join(this.queueDir, 'uploader_state.json') : null
+        });
         
         // State
         this.isProcessing = false;
@@ -29,20 +112,34 @@ class SnowpipeUploader {
             filesProcessed: 0,
             eventsUploaded: 0,
             duplicatesSkipped: 0,
+            eventsRejected: 0,
+            poisonLines: 0,
+            corruptRecords: 0,
+            filesDeadLettered: 0,
+            eventsDeadLettered: 0,
+            archivesDeleted: 0,
+            bisections: 0,
+            errorsByClass: { transient: 0, permanent: 0, fatal: 0 },
+            halted: false,
+            targets: this.router
+                ? Object.fromEntries(this.router.routes.map(route => [route.name, { rowsUploaded: 0, duplicatesSkipped: 0, rowsRejected: 0 }]))
+                : {},
             errors: 0,
             lastUploadTime: null,
             avgUploadLatency: 0
         };
         
         // Start processing loop
-        this.startProcessingLoop();
+        if (this.consumeQueue) {
+            this.startProcessingLoop();
+        }
     }
     
     /**
      * Start the processing loop
      */
     startProcessingLoop() {
-        setInterval(async () => {
+        this.processingTimer = setInterval(async () => {
             if (!this.isProcessing) {
                 await this.processQueue();
             }
@@ -56,62 +153,56 @@ class SnowpipeUploader {
      */
     async processQueue() {
         this.isProcessing = true;
-        const readyFile = path.join(this.queueDir, '.ready');
         
         try {
-            if (!fs.existsSync(readyFile)) {
-                this.isProcessing = false;
+            if (this.circuit.halted) {
                 return;
             }
             
-            // Read all ready files
-            const lines = fs.readFileSync(readyFile, 'utf8')
-                .split('\n')
-                .filter(l => l);
+            // Pick up entries appended to the legacy .ready file
+            this.readyQueue.importLegacy();
             
-            if (lines.length === 0) {
-                this.isProcessing = false;
+            const entries = this.readyQueue.list();
+            if (entries.length === 0) {
                 return;
             }
             
-            console.log(`Processing ${lines.length} queue files...`);
+            console.log(`Processing ${entries.length} queue files...`);
             
-            // Process each file
-            const processedFiles = [];
-            for (const line of lines) {
+            // Claim, process and ack each file
+            for (const { name } of entries) {
+                if (!this.circuit.canRequest()) {
+                    console.log('Upload circuit open, leaving remaining files for later');
+                    break;
+                }
+                
+                const claim = this.readyQueue.claim(name);
+                if (!claim) continue;
+                
                 try {
-                    const entry = JSON.parse(line);
-                    const success = await this.processFile(entry.file, entry.offset || 0);
+                    const success = await this.processFile(claim.entry.file, claim.entry.offset || 0);
                     
                     if (success) {
-                        processedFiles.push(entry.file);
+                        await this.archiveProcessedFile(claim.entry.file);
+                        this.ledger.complete(claim.entry.file);
+                        this.readyQueue.ack(claim);
                         this.stats.filesProcessed++;
+                    } else {
+                        await this.handleFileFailure(claim, new Error(`File not found: ${claim.entry.file}`));
                     }
                 } catch (err) {
-                    console.error(`Error processing entry: ${line}`, err);
+                    if (err instanceof CircuitOpenError || err instanceof UploadHaltedError) {
+                        // Not the file's fault, so no attempt is counted against it
+                        console.error(`Stopping pass: ${err.message}`);
+                        this.readyQueue.release(claim);
+                        break;
+                    }
+                    console.error(`Error processing entry: ${JSON.stringify(claim.entry)}`, err);
                     this.stats.errors++;
+                    await this.handleFileFailure(claim, err);
                 }
             }
-            
-            // Remove processed entries from ready file
-            if (processedFiles.length > 0) {
-                const remainingLines = lines.filter(line => {
-                    const entry = JSON.parse(line);
-                    return !processedFiles.includes(entry.file);
-                });
-                
-                if (remainingLines.length > 0) {
-                    fs.writeFileSync(readyFile, remainingLines.join('\n') + '\n');
-                } else {
-                    fs.unlinkSync(readyFile);
-                }
-                
-                // Clean up processed files
-                for (const file of processedFiles) {
-                    this.archiveProcessedFile(file);
-                }
-            }
-            
+        
         } catch (err) {
             console.error('Error processing queue:', err);
             this.stats.errors++;
@@ -120,6 +211,55 @@ class SnowpipeUploader {
         }
     }
     
+    /**
+     * Count a failed pass over a file; retry it on the next pass until it
+     * reaches maxFileAttempts, then dead-letter whatever was not uploaded
+     */
+    async handleFileFailure(claim, err) {
+        const now = new Date().toISOString();
+        const attempts = (claim.entry.attempts || 0) + 1;
+        const firstFailedAt = claim.entry.first_failed_at || now;
+        
+        if (attempts < this.maxFileAttempts) {
+            this.readyQueue.release(claim, {
+                attempts,
+                first_failed_at: firstFailedAt,
+                last_failed_at: now,
+                last_error: err.message
+            });
+            return;
+        }
+        
+        const { file } = claim.entry;
+        const offset = this.ledger.resumeOffset(file, claim.entry.offset || 0);
+        const result = await deadLetterFileRemainder(this.deadLetters, file, offset, {
+            batchSize: this.batchSize,
+            error: err.message,
+            attempts,
+            firstFailedAt
+        });
+        console.error(`Giving up on ${file} after ${attempts} attempts: dead-lettered ${result.events} events and ${result.poisonLines} poison lines`);
+        
+        this.stats.filesDeadLettered++;
+        this.stats.eventsDeadLettered += result.events;
+        this.stats.poisonLines += result.poisonLines;
+        this.stats.corruptRecords += result.corruptRecords;
+        if (fs.existsSync(file)) {
+            await this.archiveProcessedFile(file);
+        }
+        this.ledger.complete(file);
+        this.readyQueue.ack(claim);
+    }
+    
+    /**
+     * Move a record that failed its checksum to the dead-letter area
+     */
+    quarantineCorruptRecord(filePath, { offset, raw, error }) {
+        console.error(`Quarantining corrupt record at ${filePath}:${offset}: ${error}`);
+        this.deadLetters.writeCorruptRecord(filePath, { offset, raw, error });
+        this.stats.corruptRecords++;
+    }
+    
     /**
      * Process a single queue file
      */
@@ -131,156 +271,365 @@ class SnowpipeUploader {
             return false;
         }
         
+        if (this.stageLoader) {
+            return this.loadStaged(filePath, offset);
+        }
+        
+        // Resume after the last committed batch, reading only what exists now.
+        // Offsets are in the uncompressed stream; compressed files are complete,
+        // so their size is not needed to bound the read.
+        const compressed = compression.formatOf(filePath) !== null;
+        const fileSize = compressed ? null : fs.statSync(filePath).size;
+        const startOffset = this.ledger.resumeOffset(filePath, offset);
+        if (fileSize !== null && startOffset >= fileSize) {
+            return true;
+        }
+        if (startOffset > offset) {
+            console.log(`Resuming ${filePath} from committed offset ${startOffset}`);
+        }
+        
         const events = [];
-        const fileStream = fs.createReadStream(filePath, { start: offset });
-        const rl = readline.createInterface({
-            input: fileStream,
-            crlfDelay: Infinity
+        let position = startOffset;
+        const fileStream = compression.createReadStream(filePath, {
+            start: startOffset,
+            ...(fileSize !== null ? { end: fileSize - 1 } : {})
         });
         
-        // Read events from file
-        for await (const line of rl) {
-            try {
-                const event = JSON.parse(line);
-                events.push(event);
+        try {
+            // Read events from file, tracking the byte offset after each line
+            for await (const { line, offset: lineOffset, length } of readLines(fileStream, startOffset)) {
+                position = lineOffset + length;
+                if (!line.trim()) continue;
                 
-                // Upload in batches
+                // Framed records that fail their checksum are quarantined, not uploaded
+                const check = framing.verify(line);
+                if (check.status === 'corrupt') {
+                    this.quarantineCorruptRecord(filePath, { offset: lineOffset, raw: line, error: check.reason });
+                    continue;
+                }
+                
+                try {
+                    events.push(framing.unframe(JSON.parse(line)));
+                } catch (err) {
+                    // Poison lines go to the dead-letter area instead of being dropped
+                    console.error(`Dead-lettering unparseable line at ${filePath}:${lineOffset}: ${err.message}`);
+                    this.deadLetters.writePoisonLine(filePath, { offset: lineOffset, raw: line, error: err.message });
+                    this.stats.poisonLines++;
+                    continue;
+                }
+                
+                // Upload in batches, checkpointing each one
                 if (events.length >= this.batchSize) {
-                    await this.uploadBatch(events.splice(0, this.batchSize));
+                    const batch = events.splice(0, this.batchSize);
+                    await this.uploadBatch(batch, filePath);
+                    this.ledger.commit(filePath, position, batch.length, fileSize);
                 }
-            } catch (err) {
-                console.error(`Error parsing line: ${line}`, err);
             }
+            
+            // Upload remaining events
+            if (events.length > 0) {
+                await this.uploadBatch(events, filePath);
+                this.ledger.commit(filePath, position, events.length, fileSize);
+            }
+        } catch (err) {
+            this.ledger.recordError(filePath, err);
+            fileStream.destroy();
+            throw err;
         }
         
-        // Upload remaining events
-        if (events.length > 0) {
-            await this.uploadBatch(events);
+        return true;
+    }
+    
+    /**
+     * Stage-mode load of a whole file, classified and counted by the circuit breaker
+     */
+    async loadStaged(filePath, offset) {
+        if (!this.circuit.canRequest()) {
+            throw new CircuitOpenError(this.circuit.retryAt());
         }
         
-        return true;
+        try {
+            const loaded = await this.stageLoader.loadFile(filePath, offset);
+            this.circuit.recordSuccess();
+            return loaded;
+        } catch (err) {
+            const errorClass = classifyError(err);
+            this.stats.errorsByClass[errorClass]++;
+            if (errorClass === 'fatal') {
+                this.halt(err);
+                throw new UploadHaltedError(err);
+            }
+            if (errorClass === 'transient') {
+                this.circuit.recordFailure(err);
+            }
+            throw err;
+        }
     }
     
     /**
-     * Upload a batch of events to Snowflake with deduplication
+     * Upload a batch of events to Snowflake with deduplication.
+     * sourceFile only labels dead-lettered events.
      */
-    async uploadBatch(events) {
+    async uploadBatch(events, sourceFile = null) {
         if (events.length === 0) return;
         
         const startTime = Date.now();
         console.log(`Uploading batch of ${events.length} events...`);
         
-        // Generate MERGE statement for deduplication
-        const mergeStatements = events.map(event => {
-            // Escape single quotes in JSON
-            const featureJson = JSON.stringify(event.feature_json || {}).replace(/'/g, "''");
-            
-            return `
-                SELECT 
-                    '${event.activity_id}' as activity_id,
-                    TO_TIMESTAMP_NTZ('${event.ts || new Date().toISOString()}') as ts,
-                    '${event.activity}' as activity,
-                    '${event.customer}' as customer,
-                    '${event.anonymous_customer_id || 'unknown'}' as anonymous_customer_id,
-                    PARSE_JSON('${featureJson}') as feature_json,
-                    ${event.revenue_impact || 0} as revenue_impact,
-                    ${event.link ? `'${event.link}'` : 'NULL'} as link
-            `;
-        }).join(' UNION ALL ');
+        // Map events to target table rows, dead-lettering any that cannot be encoded safely.
+        // Rows are linked to their next occurrence in the batch before they are encoded.
+        const skip = (event, err) => {
+            if (!(err instanceof SqlEncodingError)) throw err;
+            console.error(`Dead-lettering event ${event.activity_id}: ${err.message}`);
+            this.deadLetters.writeRejectedEvent(sourceFile, { event, error: err.message });
+            this.stats.eventsRejected++;
+        };
+        const streamEvents = this.router ? events.filter(event => this.router.includeInStream(event)) : events;
+        const built = [];
+        for (const event of streamEvents) {
+            try {
+                built.push({ event, row: this.buildRow(event) });
+            } catch (err) {
+                skip(event, err);
+            }
+        }
+        linkRepeats(built.map(item => item.row));
+        const items = built.filter(item => {
+            try {
+                item.select = this.encodeRow(item.row);
+                return true;
+            } catch (err) {
+                skip(item.event, err);
+                return false;
+            }
+        });
         
-        const sql = `
-            MERGE INTO CLAUDE_LOGS.ACTIVITIES.CLAUDE_STREAM_V2 target
-            USING (
-                ${mergeStatements}
-            ) source
-            ON target.activity_id = source.activity_id
-            WHEN NOT MATCHED THEN
-                INSERT (
-                    activity_id, ts, activity, customer, 
-                    anonymous_customer_id, feature_json, 
-                    revenue_impact, link
-                ) VALUES (
-                    source.activity_id, source.ts, source.activity, 
-                    source.customer, source.anonymous_customer_id, 
-                    source.feature_json, source.revenue_impact, source.link
-                );
-        `;
+        if (items.length > 0) {
+            await this.mergeItems(items, sourceFile);
+        }
         
-        // Execute with retries
-        let retries = 0;
-        let success = false;
+        // Each routed target gets its own MERGE of the events it takes
+        if (this.router) {
+            for (const route of this.router.routes) {
+                await this.uploadRoute(route, events, sourceFile);
+            }
+        }
+        
+        // Update latency stats
+        const latency = Date.now() - startTime;
+        this.stats.lastUploadTime = new Date().toISOString();
+        this.stats.avgUploadLatency = this.stats.avgUploadLatency * 0.9 + latency * 0.1;
         
-        while (retries < this.maxRetries && !success) {
+        return true;
+    }
+    
+    /**
+     * MERGE a batch's events into one routed target, once per key. Within the
+     * batch the first event for a key wins, or the last with on_match "update".
+     */
+    async uploadRoute(route, events, sourceFile) {
+        const stats = this.stats.targets[route.name];
+        const items = new Map();
+        
+        for (const event of events) {
+            if (!route.matches(event)) continue;
+            let row;
+            let select;
             try {
-                // Write SQL to temp file (to handle large batches)
-                const tempFile = path.join(this.queueDir, `batch_${Date.now()}.sql`);
-                fs.writeFileSync(tempFile, sql);
-                
-                // Execute via Snowflake CLI
-                const { stdout, stderr } = await execAsync(
-                    `${this.snowCmd} sql -c ${this.snowConnection} -f ${tempFile} 2>/dev/null`
-                );
-                
-                // Clean up temp file
-                fs.unlinkSync(tempFile);
+                row = route.buildRow(event);
+                select = route.encodeRow(row);
+            } catch (err) {
+                if (!(err instanceof SqlEncodingError)) throw err;
+                console.error(`Dead-lettering event ${event.activity_id} for ${route.name}: ${err.message}`);
+                this.deadLetters.writeRejectedEvent(sourceFile, { event, error: err.message, target: route.name });
+                stats.rowsRejected++;
+                continue;
+            }
+            
+            // Rows sharing a key would make the MERGE insert both
+            const key = route.keyOf(row);
+            if (items.has(key)) {
+                stats.duplicatesSkipped++;
+                if (route.onMatch !== 'update') continue;
+            }
+            items.set(key, { event, row, select });
+        }
+        
+        if (items.size > 0) {
+            await this.mergeItems([...items.values()], sourceFile, route);
+        }
+    }
+    
+    /**
+     * MERGE items, bisecting on permanent errors until the events Snowflake
+     * refuses are isolated and dead-lettered; the rest of the batch still loads.
+     * route is the routed target, or null for the activity stream.
+     */
+    async mergeItems(items, sourceFile, route = null) {
+        try {
+            await this.executeMergeWithRetry(items, route);
+        } catch (err) {
+            if (classifyError(err) !== 'permanent') throw err;
+            
+            if (items.length === 1) {
+                const [{ event }] = items;
+                console.error(`Dead-lettering event ${event.activity_id}${route ? ` for ${route.name}` : ''}: ${err.message}`);
+                this.deadLetters.writeRejectedEvent(sourceFile, { event, error: err.message, target: route ? route.name : null });
+                this.stats.eventsDeadLettered++;
+                return;
+            }
+            
+            this.stats.bisections++;
+            const middle = Math.ceil(items.length / 2);
+            await this.mergeItems(items.slice(0, middle), sourceFile, route);
+            await this.mergeItems(items.slice(middle), sourceFile, route);
+        }
+    }
+    
+    /**
+     * Run one MERGE, retrying transient errors with jittered backoff while the
+     * circuit allows it. Permanent errors are returned at once for bisection;
+     * fatal ones halt the uploader.
+     */
+    async executeMergeWithRetry(items, route = null) {
+        const rows = items.map(item => item.row);
+        const selects = items.map(item => item.select);
+        const sql = route ? route.buildMergeSql(selects) : this.buildMergeSql(selects);
+        
+        for (let attempt = 0; ; attempt++) {
+            if (!this.circuit.canRequest()) {
+                throw this.circuit.halted
+                    ? new UploadHaltedError(new Error(this.circuit.lastError))
+                    : new CircuitOpenError(this.circuit.retryAt());
+            }
+            
+            try {
+                const { inserted } = await this.executor.executeMerge({
+                    table: route ? route.table : this.targetTable,
+                    sql,
+                    rows,
+                    ...(route ? { key: route.key, update: route.onMatch === 'update' } : {})
+                });
+                this.circuit.recordSuccess();
                 
-                // Parse result
-                if (stdout.includes('number of rows inserted') || stdout.includes('0 Row(s) produced')) {
-                    const inserted = this.parseInsertedCount(stdout);
-                    const skipped = events.length - inserted;
-                    
+                const skipped = rows.length - inserted;
+                if (route) {
+                    this.stats.targets[route.name].rowsUploaded += inserted;
+                    this.stats.targets[route.name].duplicatesSkipped += skipped;
+                    console.log(`Uploaded ${inserted} rows to ${route.table}, skipped ${skipped} duplicates`);
+                } else {
                     this.stats.eventsUploaded += inserted;
                     this.stats.duplicatesSkipped += skipped;
-                    
                     console.log(`Uploaded ${inserted} events, skipped ${skipped} duplicates`);
-                    success = true;
-                } else {
-                    throw new Error(`Unexpected output: ${stdout}`);
                 }
-                
+                return;
+            
             } catch (err) {
-                retries++;
-                console.error(`Upload attempt ${retries} failed:`, err.message);
+                const errorClass = classifyError(err);
+                this.stats.errorsByClass[errorClass]++;
+                console.error(`Upload attempt ${attempt + 1} failed (${errorClass}):`, err.message);
                 
-                if (retries < this.maxRetries) {
-                    // Exponential backoff
-                    await new Promise(resolve => setTimeout(resolve, Math.pow(2, retries) * 1000));
-                } else {
+                if (errorClass === 'fatal') {
+                    this.halt(err);
+                    throw new UploadHaltedError(err);
+                }
+                if (errorClass === 'permanent') {
+                    // The statement reached Snowflake, so the service itself is up
+                    this.circuit.recordSuccess();
+                    throw err;
+                }
+                
+                this.circuit.recordFailure(err);
+                if (attempt + 1 >= this.maxRetries) {
                     this.stats.errors++;
                     throw err;
                 }
+                await new Promise(resolve => setTimeout(resolve, backoffDelay(attempt + 1, this.retryBaseMs, this.retryMaxMs)));
             }
         }
-        
-        // Update latency stats
-        const latency = Date.now() - startTime;
-        this.stats.lastUploadTime = new Date().toISOString();
-        this.stats.avgUploadLatency = this.stats.avgUploadLatency * 0.9 + latency * 0.1;
-        
-        return success;
     }
     
     /**
-     * Parse inserted row count from Snowflake output
+     * MERGE statement for deduplication on activity_id, which also sets
+     * activity_repeated_at on earlier occurrences already in the table
      */
-    parseInsertedCount(output) {
-        const match = output.match(/(\d+)\s+Row\(s\)\s+produced/);
-        if (match) {
-            return parseInt(match[1], 10);
-        }
-        
-        const mergeMatch = output.match(/number of rows inserted:\s*(\d+)/);
-        if (mergeMatch) {
-            return parseInt(mergeMatch[1], 10);
-        }
-        
-        return 0;
+    buildMergeSql(selects) {
+        const extraColumns = this.router ? this.router.getStreamColumnNames() : [];
+        return `
+            MERGE INTO ${this.targetTable} target
+            USING (
+                WITH batch AS (
+                    ${selects.join(' UNION ALL ')}
+                )
+                SELECT * FROM batch
+                UNION ALL ${repeatedAtSql(this.targetTable, 'batch', extraColumns)}
+            ) source
+            ON target.activity_id = source.activity_id${orderingMergeActions(extraColumns)};
+        `;
+    }
+    
+    /**
+     * Stop uploading after an auth or configuration error; files stay ready
+     * for the next start once the problem is fixed
+     */
+    halt(err) {
+        console.error(`Halting uploader: ${err.message}`);
+        this.circuit.halt(err);
+        this.stats.halted = true;
+        clearInterval(this.processingTimer);
+        this.onHalt(err);
+    }
+    
+    /**
+     * Map a queued event to a target table row
+     */
+    buildRow(event) {
+        return {
+            activity_id: event.activity_id,
+            ts: event.ts || event.queued_at || new Date().toISOString(),
+            activity: event.activity,
+            customer: event.customer,
+            anonymous_customer_id: event.anonymous_customer_id || 'unknown',
+            feature_json: event.feature_json || {},
+            revenue_impact: Number(sqlLiterals.numberLiteral('revenue_impact', event.revenue_impact, {
+                coerce: this.revenueImpactPolicy === 'coerce'
+            })),
+            link: event.link || null,
+            customer_sequence: Number.isInteger(event.customer_sequence) ? event.customer_sequence : null,
+            activity_occurrence: Number.isInteger(event.activity_occurrence) ? event.activity_occurrence : null,
+            activity_repeated_at: event.activity_repeated_at || null,
+            ...(this.router ? this.router.buildStreamColumns(event) : {})
+        };
+    }
+    
+    /**
+     * Encode a row as a SELECT of type-checked literals; routed stream
+     * columns go before is_repeat, matching repeatedAtSql
+     */
+    encodeRow(row) {
+        const routedColumns = this.router ? this.router.encodeStreamColumns(row) : [];
+        return `
+                SELECT 
+                    ${sqlLiterals.stringLiteral('activity_id', row.activity_id)} as activity_id,
+                    ${sqlLiterals.timestampLiteral('ts', row.ts)} as ts,
+                    ${sqlLiterals.stringLiteral('activity', row.activity)} as activity,
+                    ${sqlLiterals.stringLiteral('customer', row.customer)} as customer,
+                    ${sqlLiterals.stringLiteral('anonymous_customer_id', row.anonymous_customer_id)} as anonymous_customer_id,
+                    ${sqlLiterals.jsonLiteral('feature_json', row.feature_json)} as feature_json,
+                    ${sqlLiterals.numberLiteral('revenue_impact', row.revenue_impact)} as revenue_impact,
+                    ${sqlLiterals.nullableStringLiteral('link', row.link)} as link,
+                    ${sqlLiterals.nullableIntegerLiteral('customer_sequence', row.customer_sequence)} as customer_sequence,
+                    ${sqlLiterals.nullableIntegerLiteral('activity_occurrence', row.activity_occurrence)} as activity_occurrence,
+                    ${sqlLiterals.nullableTimestampLiteral('activity_repeated_at', row.activity_repeated_at)} as activity_repeated_at,${routedColumns.map(item => `
+                    ${item},`).join('')}
+                    FALSE as is_repeat
+            `;
     }
     
     /**
      * Archive processed file
      */
-    archiveProcessedFile(filePath) {
+    async archiveProcessedFile(filePath) {
         const archiveDir = path.join(this.queueDir, 'archive');
         
         // Create archive directory if needed
@@ -296,7 +645,11 @@ class SnowpipeUploader {
             fs.renameSync(filePath, archivePath);
             console.log(`Archived processed file: ${archivePath}`);
             
-            // Clean up old archives (keep last 24 hours)
+            if (this.archiveCompression && !compression.formatOf(archivePath)) {
+                await this.compressArchive(archivePath);
+            }
+            
+            // Enforce archive retention
             this.cleanOldArchives(archiveDir);
         } catch (err) {
             console.error(`Error archiving file ${filePath}:`, err);
@@ -310,20 +663,52 @@ class SnowpipeUploader {
     }
     
     /**
-     * Clean up old archive files
+     * Compress an archived file in place; on failure it stays uncompressed
+     */
+    async compressArchive(archivePath) {
+        try {
+            this.compressionStats.record(await compression.compressFile(archivePath, this.archiveCompression));
+        } catch (err) {
+            console.error(`Error compressing archive ${archivePath}:`, err);
+            this.compressionStats.failures++;
+        }
+    }
+    
+    /**
+     * Delete archives past the age limit, then the oldest ones beyond the
+     * file count or total byte limits
      */
     cleanOldArchives(archiveDir) {
-        const maxAge = 24 * 60 * 60 * 1000; // 24 hours
+        const { maxAgeMs, maxBytes, maxFiles } = this.archiveRetention;
         const now = Date.now();
         
-        const files = fs.readdirSync(archiveDir);
-        for (const file of files) {
-            const filePath = path.join(archiveDir, file);
-            const stats = fs.statSync(filePath);
+        // Newest first, so anything over the count or byte budget is the oldest
+        const archives = fs.readdirSync(archiveDir)
+            .map(file => {
+                const stats = fs.statSync(path.join(archiveDir, file));
+                return { file, size: stats.size, mtime: stats.mtime.getTime() };
+            })
+            .sort((a, b) => b.mtime - a.mtime);
+        
+        let keptFiles = 0;
+        let keptBytes = 0;
+        for (const archive of archives) {
+            let reason = null;
+            if (maxAgeMs && now - archive.mtime > maxAgeMs) {
+                reason = 'age';
+            } else if (maxFiles && keptFiles >= maxFiles) {
+                reason = 'file count';
+            } else if (maxBytes && keptBytes + archive.size > maxBytes) {
+                reason = 'total size';
+            }
             
-            if (now - stats.mtime.getTime() > maxAge) {
-                fs.unlinkSync(filePath);
-                console.log(`Deleted old archive: ${file}`);
+            if (reason) {
+                fs.unlinkSync(path.join(archiveDir, archive.file));
+                this.stats.archivesDeleted++;
+                console.log(`Deleted old archive: ${archive.file} (${reason})`);
+            } else {
+                keptFiles++;
+                keptBytes += archive.size;
             }
         }
     }
@@ -334,22 +719,64 @@ class SnowpipeUploader {
     getStats() {
         return {
             ...this.stats,
+            loadMode: this.loadMode,
+            fileProgress: this.ledger.getProgress(),
+            deadLetters: this.deadLetters.getStats(),
+            circuit: this.circuit.getStats(),
+            compression: this.compressionStats.toJSON(),
+            diskUsage: {
+                queueBytes: compression.diskUsage(this.queueDir),
+                archiveBytes: compression.diskUsage(path.join(this.queueDir, 'archive'))
+            },
+            ...(this.stageLoader ? { stageLoads: this.stageLoader.getStats() } : {}),
             isProcessing: this.isProcessing,
             queueDir: this.queueDir
         };
     }
     
     /**
-     * Graceful shutdown
+     * Upload ready files pass after pass until none are left. Stops early when
+     * a pass makes no progress (circuit open, halted or files failing) or
+     * timeoutMs has passed; files left over stay ready for the next start.
+     */
+    async drain(options = {}) {
+        const deadline = options.timeoutMs ? Date.now() + options.timeoutMs : Infinity;
+        while (this.isProcessing) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        
+        let remaining = this.readyQueue.list().length;
+        while (remaining > 0 && Date.now() < deadline && !this.circuit.halted) {
+            await this.processQueue();
+            const left = this.readyQueue.list().length;
+            if (left >= remaining) break;
+            remaining = left;
+        }
+        
+        remaining = this.readyQueue.list().length;
+        return { drained: remaining === 0, remaining };
+    }
+    
+    /**
+     * Graceful shutdown; with drain, ready files are uploaded first (see drain)
      */
-    async shutdown() {
+    async shutdown(options = {}) {
         console.log('Shutting down uploader...');
         
+        clearInterval(this.processingTimer);
+        
         // Wait for current processing to complete
         while (this.isProcessing) {
             await new Promise(resolve => setTimeout(resolve, 100));
         }
         
+        if (options.drain && this.consumeQueue) {
+            const { drained, remaining } = await this.drain({ timeoutMs: options.drainTimeoutMs });
+            console.log(drained ? 'Drained all ready files' : `Stopped draining with ${remaining} files still ready`);
+        }
+        
+        this.lock.release();
+        
         console.log('Uploader shutdown complete. Stats:', this.getStats());
     }
 }
@@ -361,7 +788,23 @@ module.exports = SnowpipeUploader;
 if (require.main === module) {
     const uploader = new SnowpipeUploader({
         queueDir: process.env.QUEUE_DIR || '/tmp/claude_queue',
-        snowConnection: process.env.SNOW_CONNECTION || 'poc'
+        snowConnection: process.env.SNOW_CONNECTION || 'poc',
+        executor: process.env.UPLOADER_EXECUTOR || 'snow',
+        loadMode: process.env.UPLOADER_LOAD_MODE || 'merge',
+        recordDir: process.env.UPLOADER_RECORD_DIR,
+        localTableFile: process.env.UPLOADER_LOCAL_TABLE,
+        routesFile: process.env.UPLOADER_ROUTES_FILE,
+        archiveCompression: process.env.ARCHIVE_COMPRESSION || null,
+        // Auth/config errors need a human; exit non-zero once the current pass ends
+        onHalt: () => setImmediate(async () => {
+            await uploader.shutdown();
+            process.exit(3);
+        }),
+        archiveRetention: {
+            maxAgeMs: process.env.ARCHIVE_MAX_AGE_HOURS ? parseFloat(process.env.ARCHIVE_MAX_AGE_HOURS) * 60 * 60 * 1000 : undefined,
+            maxBytes: parseInt(process.env.ARCHIVE_MAX_BYTES, 10) || null,
+            maxFiles: parseInt(process.env.ARCHIVE_MAX_FILES, 10) || null
+        }
     });
     
     // Handle shutdown signals
@@ -0,0 +1,132 @@
+/**
+ * SQL Literal Encoding
+ * Type-checked Snowflake literals and identifiers for generated statements
+ */
+
+const IDENTIFIER_PART = /^[A-Za-z_][A-Za-z0-9_$]*$/;
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d{1,9})?(Z|[+-]\d{2}:?\d{2})?$/;
+
+class SqlEncodingError extends Error {
+    constructor(column, message) {
+        super(`${column}: ${message}`);
+        this.name = 'SqlEncodingError';
+        this.column = column;
+    }
+}
+
+/**
+ * Validate a (possibly qualified) identifier such as DB.SCHEMA.TABLE
+ */
+function identifier(name) {
+    const parts = String(name).split('.');
+    for (const part of parts) {
+        if (!IDENTIFIER_PART.test(part)) {
+            throw new SqlEncodingError('identifier', `invalid identifier: ${name}`);
+        }
+    }
+    return parts.join('.');
+}
+
+/**
+ * Quote a string; backslashes are escapes inside Snowflake string literals
+ */
+function quote(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+}
+
+function stringLiteral(column, value) {
+    if (typeof value !== 'string' || value.length === 0) {
+        throw new SqlEncodingError(column, 'must be a non-empty string');
+    }
+    return quote(value);
+}
+
+function nullableStringLiteral(column, value) {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    if (typeof value !== 'string') {
+        throw new SqlEncodingError(column, 'must be a string or null');
+    }
+    return quote(value);
+}
+
+/**
+ * Numeric literal. With coerce, numeric strings are parsed and anything
+ * else becomes 0; without it, non-numeric values are rejected.
+ */
+function numberLiteral(column, value, { coerce = false } = {}) {
+    if (value === null || value === undefined) {
+        return '0';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return String(value);
+    }
+    if (coerce) {
+        const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+        return Number.isFinite(parsed) ? String(parsed) : '0';
+    }
+    throw new SqlEncodingError(column, `must be numeric, got ${JSON.stringify(value)}`);
+}
+
+function nullableNumberLiteral(column, value) {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    return numberLiteral(column, value);
+}
+
+function nullableBooleanLiteral(column, value) {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    if (typeof value !== 'boolean') {
+        throw new SqlEncodingError(column, `must be a boolean or null, got ${JSON.stringify(value)}`);
+    }
+    return value ? 'TRUE' : 'FALSE';
+}
+
+function timestampLiteral(column, value) {
+    if (typeof value !== 'string' || !ISO_TIMESTAMP.test(value) || isNaN(Date.parse(value))) {
+        throw new SqlEncodingError(column, `must be an ISO 8601 timestamp, got ${JSON.stringify(value)}`);
+    }
+    return `TO_TIMESTAMP_NTZ(${quote(value)})`;
+}
+
+function nullableTimestampLiteral(column, value) {
+    return value === null || value === undefined ? 'NULL' : timestampLiteral(column, value);
+}
+
+function nullableIntegerLiteral(column, value) {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    if (!Number.isInteger(value)) {
+        throw new SqlEncodingError(column, `must be an integer or null, got ${JSON.stringify(value)}`);
+    }
+    return String(value);
+}
+
+function jsonLiteral(column, value) {
+    let json;
+    try {
+        json = JSON.stringify(value === undefined ? {} : value);
+    } catch (err) {
+        throw new SqlEncodingError(column, `not serializable: ${err.message}`);
+    }
+    return `PARSE_JSON(${quote(json)})`;
+}
+
+module.exports = {
+    SqlEncodingError,
+    identifier,
+    stringLiteral,
+    nullableStringLiteral,
+    numberLiteral,
+    nullableNumberLiteral,
+    nullableBooleanLiteral,
+    timestampLiteral,
+    nullableTimestampLiteral,
+    nullableIntegerLiteral,
+    jsonLiteral
+};
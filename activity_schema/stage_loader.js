@@ -0,0 +1,302 @@
+/**
+ * Stage Loader
+ * Bulk-loads rotated queue files with gzip + PUT + COPY INTO a landing table,
+ * then MERGEs into the target table on activity_id
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { promisify } = require('util');
+const stream = require('stream');
+const { Transform } = stream;
+const pipeline = promisify(stream.pipeline);
+const compression = require('./compression');
+const framing = require('./record_framing');
+const { repeatedAtSql, orderingMergeActions, linkRepeats } = require('./activity_ordering');
+const sqlLiterals = require('./sql_literals');
+
+class StageLoader {
+    constructor(config = {}) {
+        this.queueDir = config.queueDir || '/var/claude/queue';
+        this.executor = config.executor;
+        this.buildRow = config.buildRow;
+        // Called with (filePath, { offset, raw, error }) for records failing their checksum
+        this.onCorruptRecord = config.onCorruptRecord || (() => {});
+        this.targetTable = sqlLiterals.identifier(config.targetTable || 'CLAUDE_LOGS.ACTIVITIES.CLAUDE_STREAM_V2');
+        this.stage = sqlLiterals.identifier(config.stage || 'CLAUDE_LOGS.ACTIVITIES.CLAUDE_QUEUE_STAGE');
+        this.fileFormat = sqlLiterals.identifier(config.fileFormat || 'CLAUDE_LOGS.ACTIVITIES.CLAUDE_QUEUE_NDJSON');
+        this.landingTable = sqlLiterals.identifier(config.landingTable || 'CLAUDE_LOGS.ACTIVITIES.CLAUDE_STREAM_LANDING');
+        this.historyTable = sqlLiterals.identifier(config.historyTable || 'CLAUDE_LOGS.ACTIVITIES.CLAUDE_QUEUE_LOAD_HISTORY');
+        
+        this.stagingDir = path.join(this.queueDir, 'staging');
+        this.historyFile = path.join(this.queueDir, 'load_history.json');
+        this.history = this.readHistory();
+        
+        this.stats = {
+            filesLoaded: 0,
+            filesSkipped: 0,
+            rowsInserted: 0,
+            loadFailures: 0
+        };
+    }
+    
+    /**
+     * Read the local load history ledger
+     */
+    readHistory() {
+        if (!fs.existsSync(this.historyFile)) {
+            return { files: {} };
+        }
+        return JSON.parse(fs.readFileSync(this.historyFile, 'utf8'));
+    }
+    
+    /**
+     * Write the load history atomically by writing to temp file and renaming
+     */
+    writeHistory() {
+        const tempFile = this.historyFile + '.tmp';
+        fs.writeFileSync(tempFile, JSON.stringify(this.history, null, 2));
+        fs.renameSync(tempFile, this.historyFile);
+    }
+    
+    /**
+     * Record status for a staged file
+     */
+    setStatus(stagedName, fields) {
+        this.history.files[stagedName] = {
+            ...this.history.files[stagedName],
+            ...fields,
+            updated_at: new Date().toISOString()
+        };
+        this.writeHistory();
+    }
+    
+    /**
+     * Hash the file contents from offset; the staged name is derived from it
+     * so a replayed .ready entry maps to the same history record
+     */
+    async hashFile(filePath, offset) {
+        const hash = crypto.createHash('sha256');
+        await pipeline(compression.createReadStream(filePath, { start: offset }), hash);
+        return hash.digest('hex');
+    }
+    
+    /**
+     * Load one queue file through the stage. Returns true once the file is loaded.
+     */
+    async loadFile(filePath, offset = 0) {
+        const sha256 = await this.hashFile(filePath, offset);
+        const baseName = path.basename(filePath).replace(/\.ndjson(\.gz|\.zst)?$/, '');
+        const stagedName = `${baseName}_${sha256.slice(0, 16)}.ndjson.gz`;
+        const record = this.history.files[stagedName];
+        
+        if (record && record.status === 'loaded') {
+            console.log(`Skipping ${filePath}: already loaded as ${stagedName}`);
+            this.stats.filesSkipped++;
+            return true;
+        }
+        
+        // Compress into the local staging directory
+        if (!fs.existsSync(this.stagingDir)) {
+            fs.mkdirSync(this.stagingDir, { recursive: true });
+        }
+        const stagedFile = path.join(this.stagingDir, stagedName);
+        await pipeline(
+            compression.createReadStream(filePath, { start: offset }),
+            this.corruptRecordFilter(filePath, offset),
+            zlib.createGzip(),
+            fs.createWriteStream(stagedFile)
+        );
+        this.setStatus(stagedName, {
+            source_file: filePath,
+            offset,
+            sha256,
+            status: 'staged',
+            attempts: (record ? record.attempts : 0) + 1
+        });
+        
+        try {
+            const { inserted } = await this.executor.executeLoad({
+                table: this.targetTable,
+                statements: {
+                    stage: this.buildStageSql(stagedFile, stagedName),
+                    merge: this.buildMergeSql(stagedName)
+                },
+                history: inserted => this.buildHistorySql(stagedName, sha256, filePath, inserted),
+                readRows: () => this.readRows(filePath, offset)
+            });
+            
+            this.setStatus(stagedName, { status: 'loaded', rows_inserted: inserted, error: null });
+            this.stats.filesLoaded++;
+            this.stats.rowsInserted += inserted;
+            fs.unlinkSync(stagedFile);
+            
+            console.log(`Loaded ${filePath} via stage: ${inserted} new rows`);
+            return true;
+        
+        } catch (err) {
+            this.setStatus(stagedName, { status: 'failed', error: err.message });
+            this.stats.loadFailures++;
+            throw err;
+        }
+    }
+    
+    /**
+     * Transform that drops framed lines failing their checksum, reporting each
+     * to onCorruptRecord, so they never reach the landing table
+     */
+    corruptRecordFilter(filePath, offset) {
+        let position = offset;
+        let pending = Buffer.alloc(0);
+        
+        const filterLine = (transform, lineBuffer) => {
+            const lineOffset = position;
+            position += lineBuffer.length;
+            const line = lineBuffer.toString('utf8').replace(/\r?\n$/, '');
+            const check = line.trim() ? framing.verify(line) : { status: 'unframed' };
+            if (check.status === 'corrupt') {
+                this.onCorruptRecord(filePath, { offset: lineOffset, raw: line, error: check.reason });
+            } else {
+                transform.push(lineBuffer);
+            }
+        };
+        
+        return new Transform({
+            transform(chunk, encoding, callback) {
+                pending = Buffer.concat([pending, chunk]);
+                let newline;
+                while ((newline = pending.indexOf(0x0a)) !== -1) {
+                    filterLine(this, pending.subarray(0, newline + 1));
+                    pending = pending.subarray(newline + 1);
+                }
+                callback();
+            },
+            flush(callback) {
+                if (pending.length > 0) filterLine(this, pending);
+                callback();
+            }
+        });
+    }
+    
+    /**
+     * PUT the compressed file and COPY it into the landing table
+     */
+    buildStageSql(stagedFile, stagedName) {
+        return `
+            PUT ${sqlLiterals.stringLiteral('staged_file', 'file://' + stagedFile)} @${this.stage}
+                AUTO_COMPRESS = FALSE OVERWRITE = TRUE;
+            
+            COPY INTO ${this.landingTable} (raw, source_file, source_row)
+            FROM (
+                SELECT $1, METADATA$FILENAME, METADATA$FILE_ROW_NUMBER
+                FROM @${this.stage}
+            )
+            FILES = (${sqlLiterals.stringLiteral('staged_name', stagedName)})
+            FILE_FORMAT = (FORMAT_NAME = '${this.fileFormat}')
+            ON_ERROR = 'CONTINUE';
+        `;
+    }
+    
+    /**
+     * Deduplicating MERGE from the landing rows of one staged file. Each row's
+     * activity_repeated_at is the ts of its next occurrence in the file; earlier
+     * occurrences already in the table are updated.
+     */
+    buildMergeSql(stagedName) {
+        const source = sqlLiterals.stringLiteral('staged_name', stagedName);
+        return `
+            MERGE INTO ${this.targetTable} target
+            USING (
+                WITH landed AS (
+                    SELECT
+                        raw:activity_id::STRING as activity_id,
+                        COALESCE(TRY_TO_TIMESTAMP_NTZ(raw:ts::STRING), TRY_TO_TIMESTAMP_NTZ(raw:queued_at::STRING)) as ts,
+                        raw:activity::STRING as activity,
+                        raw:customer::STRING as customer,
+                        COALESCE(raw:anonymous_customer_id::STRING, 'unknown') as anonymous_customer_id,
+                        COALESCE(raw:feature_json, OBJECT_CONSTRUCT()) as feature_json,
+                        COALESCE(TRY_TO_DOUBLE(raw:revenue_impact::STRING), 0) as revenue_impact,
+                        raw:link::STRING as link,
+                        TRY_TO_NUMBER(raw:customer_sequence::STRING) as customer_sequence,
+                        TRY_TO_NUMBER(raw:activity_occurrence::STRING) as activity_occurrence
+                    FROM ${this.landingTable}
+                    WHERE source_file = ${source}
+                      AND raw:activity_id IS NOT NULL
+                      AND raw:customer IS NOT NULL
+                    QUALIFY ROW_NUMBER() OVER (PARTITION BY raw:activity_id::STRING ORDER BY source_row) = 1
+                ),
+                batch AS (
+                    SELECT
+                        landed.*,
+                        IFF(
+                            LEAD(activity_occurrence) OVER (PARTITION BY customer, activity ORDER BY activity_occurrence) = activity_occurrence + 1,
+                            LEAD(ts) OVER (PARTITION BY customer, activity ORDER BY activity_occurrence),
+                            NULL
+                        ) as activity_repeated_at,
+                        FALSE as is_repeat
+                    FROM landed
+                )
+                SELECT * FROM batch
+                UNION ALL ${repeatedAtSql(this.targetTable, 'batch')}
+            ) source
+            ON target.activity_id = source.activity_id${orderingMergeActions()};
+            
+            DELETE FROM ${this.landingTable} WHERE source_file = ${source};
+        `;
+    }
+    
+    /**
+     * Record the completed load in Snowflake
+     */
+    buildHistorySql(stagedName, sha256, filePath, inserted) {
+        return `
+            INSERT INTO ${this.historyTable} (
+                staged_name, content_sha256, source_file, rows_inserted, status
+            ) VALUES (
+                ${sqlLiterals.stringLiteral('staged_name', stagedName)},
+                ${sqlLiterals.stringLiteral('content_sha256', sha256)},
+                ${sqlLiterals.stringLiteral('source_file', filePath)},
+                ${sqlLiterals.numberLiteral('rows_inserted', inserted)},
+                'loaded'
+            );
+        `;
+    }
+    
+    /**
+     * Read a queue file as target table rows, for executors that load in-process
+     */
+    async readRows(filePath, offset = 0) {
+        const rows = [];
+        const rl = readline.createInterface({
+            input: compression.createReadStream(filePath, { start: offset }),
+            crlfDelay: Infinity
+        });
+        
+        for await (const line of rl) {
+            // Corrupt records were reported when the file was staged
+            if (!line || framing.verify(line).status === 'corrupt') continue;
+            try {
+                rows.push(this.buildRow(JSON.parse(line)));
+            } catch (err) {
+                console.error(`Error reading line for stage load: ${line}`, err.message);
+            }
+        }
+        return linkRepeats(rows);
+    }
+    
+    /**
+     * Count files in the load history by status
+     */
+    getStats() {
+        const byStatus = {};
+        for (const record of Object.values(this.history.files)) {
+            byStatus[record.status] = (byStatus[record.status] || 0) + 1;
+        }
+        return { ...this.stats, historyByStatus: byStatus };
+    }
+}
+
+module.exports = StageLoader;
@@ -0,0 +1,307 @@
+/**
+ * Target Routing
+ * Maps activities to extra target tables, each with its own column list
+ * filled from paths into the event, and extra columns on the activity
+ * stream (e.g. the legacy feature_1..3). The uploader runs one
+ * deduplicating MERGE per target for every batch.
+ *
+ * Routes file:
+ *
+ *   {
+ *     "stream": { "columns": { "feature_1": { "path": ["feature_json.feature_1", "feature_json.tool_name"] } } },
+ *     "targets": [{
+ *       "name": "artifacts",
+ *       "table": "CLAUDE_LOGS.ACTIVITIES.ARTIFACTS",
+ *       "activities": ["store_artifact"],
+ *       "key": "artifact_id",
+ *       "columns": {
+ *         "artifact_id": { "path": ["feature_json.artifact_id", "activity_id"] },
+ *         "row_count": { "path": "feature_json.row_count", "type": "integer" }
+ *       }
+ *     }]
+ *   }
+ */
+
+const fs = require('fs');
+const sqlLiterals = require('./sql_literals');
+const { SqlEncodingError } = sqlLiterals;
+
+const COLUMN_TYPES = ['string', 'number', 'integer', 'boolean', 'timestamp', 'variant', 'array'];
+const ON_MATCH = ['ignore', 'update'];
+
+// Columns the uploader already writes to the activity stream
+const STREAM_COLUMNS = [
+    'activity_id', 'ts', 'activity', 'customer', 'anonymous_customer_id', 'feature_json', 'revenue_impact',
+    'link', 'customer_sequence', 'activity_occurrence', 'activity_repeated_at', 'is_repeat'
+];
+
+/**
+ * Normalize a column spec; a bare string is a path to a string column
+ */
+function parseColumn(owner, name, spec) {
+    const column = typeof spec === 'string' ? { path: spec } : { ...spec };
+    sqlLiterals.identifier(name);
+    if (name.includes('.')) {
+        throw new Error(`${owner}: column ${name} must not be qualified`);
+    }
+    
+    const paths = column.path === undefined ? [] : [].concat(column.path);
+    if (paths.some(item => typeof item !== 'string' || item.trim() === '')) {
+        throw new Error(`${owner}: column ${name} has an invalid path`);
+    }
+    if (paths.length === 0 && column.default === undefined) {
+        throw new Error(`${owner}: column ${name} needs a path or a default`);
+    }
+    
+    const type = column.type || 'string';
+    if (!COLUMN_TYPES.includes(type)) {
+        throw new Error(`${owner}: column ${name} has unknown type ${type}`);
+    }
+    
+    return {
+        name,
+        type,
+        paths: paths.map(item => item.replace(/^\$\.?/, '').split('.')),
+        required: Boolean(column.required),
+        default: column.default === undefined ? null : column.default
+    };
+}
+
+/**
+ * Value at a dot path from the event root; array elements are numeric segments
+ */
+function extract(event, segments) {
+    let value = event;
+    for (const segment of segments) {
+        if (value === null || typeof value !== 'object') return null;
+        value = value[segment];
+    }
+    return value === undefined ? null : value;
+}
+
+/**
+ * Convert an extracted value to the column's type, or throw SqlEncodingError
+ */
+function convert(column, value) {
+    if (value === null) {
+        if (column.required) {
+            throw new SqlEncodingError(column.name, 'is required');
+        }
+        return null;
+    }
+    
+    switch (column.type) {
+        case 'string':
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        case 'number':
+        case 'integer': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number) || (column.type === 'integer' && !Number.isInteger(number))) {
+                throw new SqlEncodingError(column.name, `must be ${column.type === 'integer' ? 'an integer' : 'numeric'}, got ${JSON.stringify(value)}`);
+            }
+            return number;
+        }
+        case 'boolean':
+            if (value === 'true' || value === 'false') return value === 'true';
+            if (typeof value !== 'boolean') {
+                throw new SqlEncodingError(column.name, `must be a boolean, got ${JSON.stringify(value)}`);
+            }
+            return value;
+        case 'array':
+            if (!Array.isArray(value)) {
+                throw new SqlEncodingError(column.name, `must be an array, got ${JSON.stringify(value)}`);
+            }
+            return value;
+        default:
+            return value;
+    }
+}
+
+/**
+ * Type-checked literal for a converted value
+ */
+function literal(column, value) {
+    switch (column.type) {
+        case 'string':
+            return sqlLiterals.nullableStringLiteral(column.name, value);
+        case 'number':
+        case 'integer':
+            return sqlLiterals.nullableNumberLiteral(column.name, value);
+        case 'boolean':
+            return sqlLiterals.nullableBooleanLiteral(column.name, value);
+        case 'timestamp':
+            return sqlLiterals.nullableTimestampLiteral(column.name, value);
+        case 'array':
+            return value === null ? 'NULL' : `${sqlLiterals.jsonLiteral(column.name, value)}::ARRAY`;
+        default:
+            return value === null ? 'NULL' : sqlLiterals.jsonLiteral(column.name, value);
+    }
+}
+
+/**
+ * Fill a row from columns: the first path with a value wins, then the default
+ */
+function buildColumns(columns, event) {
+    const row = {};
+    for (const column of columns) {
+        let value = null;
+        for (const segments of column.paths) {
+            value = extract(event, segments);
+            if (value !== null) break;
+        }
+        row[column.name] = convert(column, value === null ? column.default : value);
+    }
+    return row;
+}
+
+/**
+ * One extra target table
+ */
+class Route {
+    constructor(spec = {}) {
+        this.name = spec.name || spec.table;
+        const owner = `Route ${this.name}`;
+        if (!spec.table) {
+            throw new Error(`${owner}: table is required`);
+        }
+        this.table = sqlLiterals.identifier(spec.table);
+        
+        if (!Array.isArray(spec.activities) || spec.activities.length === 0) {
+            throw new Error(`${owner}: activities must be a non-empty array`);
+        }
+        this.activities = new Set(spec.activities);
+        
+        // Whether routed events are still written to the activity stream
+        this.stream = spec.stream !== false;
+        
+        this.onMatch = spec.on_match || 'ignore';
+        if (!ON_MATCH.includes(this.onMatch)) {
+            throw new Error(`${owner}: on_match must be one of ${ON_MATCH.join(', ')}`);
+        }
+        
+        this.columns = Object.entries(spec.columns || {}).map(([name, column]) => parseColumn(owner, name, column));
+        if (this.columns.length === 0) {
+            throw new Error(`${owner}: columns are required`);
+        }
+        
+        // Key columns are required, since MERGE deduplicates on them
+        this.key = [].concat(spec.key || []);
+        if (this.key.length === 0) {
+            throw new Error(`${owner}: key is required`);
+        }
+        for (const name of this.key) {
+            const column = this.columns.find(item => item.name === name);
+            if (!column) {
+                throw new Error(`${owner}: key column ${name} is not in columns`);
+            }
+            column.required = true;
+        }
+    }
+    
+    matches(event) {
+        return this.activities.has(event.activity);
+    }
+    
+    buildRow(event) {
+        return buildColumns(this.columns, event);
+    }
+    
+    keyOf(row) {
+        return JSON.stringify(this.key.map(name => row[name]));
+    }
+    
+    /**
+     * Encode a row as a SELECT of type-checked literals
+     */
+    encodeRow(row) {
+        return `
+                SELECT ${this.columns.map(column => `${literal(column, row[column.name])} as ${column.name}`).join(', ')}`;
+    }
+    
+    /**
+     * MERGE that inserts rows whose key is not in the table yet, and with
+     * on_match "update" overwrites the other columns of rows that are
+     */
+    buildMergeSql(selects) {
+        const names = this.columns.map(column => column.name);
+        const updates = names.filter(name => !this.key.includes(name));
+        const update = this.onMatch === 'update' && updates.length > 0
+            ? `
+            WHEN MATCHED THEN
+                UPDATE SET ${updates.map(name => `${name} = source.${name}`).join(', ')}`
+            : '';
+        
+        return `
+            MERGE INTO ${this.table} target
+            USING (
+                ${selects.join(' UNION ALL ')}
+            ) source
+            ON ${this.key.map(name => `target.${name} = source.${name}`).join(' AND ')}${update}
+            WHEN NOT MATCHED THEN
+                INSERT (${names.join(', ')})
+                VALUES (${names.map(name => `source.${name}`).join(', ')});
+        `;
+    }
+}
+
+class TargetRouter {
+    constructor(config = {}) {
+        const stream = config.stream || {};
+        this.streamColumns = Object.entries(stream.columns || {}).map(([name, column]) => {
+            if (STREAM_COLUMNS.includes(name.toLowerCase())) {
+                throw new Error(`Stream column ${name} is already written by the uploader`);
+            }
+            return parseColumn('Stream', name, column);
+        });
+        
+        this.routes = (config.targets || []).map(spec => new Route(spec));
+        const names = this.routes.map(route => route.name);
+        const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+        if (duplicate) {
+            throw new Error(`Route ${duplicate} is defined more than once`);
+        }
+    }
+    
+    /**
+     * Load a routes file
+     */
+    static load(routesFile) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(routesFile, 'utf8'));
+        } catch (err) {
+            throw new Error(`Cannot read routes file ${routesFile}: ${err.message}`);
+        }
+        return new TargetRouter(config);
+    }
+    
+    /**
+     * Whether an event goes to the activity stream; only routes with
+     * "stream": false take their events out of it
+     */
+    includeInStream(event) {
+        return !this.routes.some(route => route.matches(event) && !route.stream);
+    }
+    
+    /**
+     * Values of the extra stream columns for an event
+     */
+    buildStreamColumns(event) {
+        return buildColumns(this.streamColumns, event);
+    }
+    
+    /**
+     * Extra stream columns as "<literal> as <name>" select items
+     */
+    encodeStreamColumns(row) {
+        return this.streamColumns.map(column => `${literal(column, row[column.name])} as ${column.name}`);
+    }
+    
+    getStreamColumnNames() {
+        return this.streamColumns.map(column => column.name);
+    }
+}
+
+module.exports = TargetRouter;
+module.exports.Route = Route;
+module.exports.COLUMN_TYPES = COLUMN_TYPES;
@@ -0,0 +1,90 @@
+/**
+ * Upload Errors
+ * Classifies executor failures so the uploader can decide whether to retry,
+ * bisect the batch or halt
+ *
+ *   transient  network trouble, timeouts, throttling, warehouse unavailable - retry with backoff
+ *   permanent  Snowflake refuses a value, usually in one event - bisect the batch
+ *   fatal      auth, configuration or statement problems no retry can fix - halt the uploader
+ *
+ * Every value reaches the MERGE as an encoded literal, so a compilation error
+ * (e.g. an invalid identifier after a schema change) is the statement's fault,
+ * not an event's; bisecting it would dead-letter every event in the file.
+ */
+
+const FATAL_PATTERNS = [
+    /incorrect username or password/i,
+    /authentication (failed|token|error)/i,
+    /jwt token is invalid/i,
+    /\b390(100|144|318|195)\b/,            // Snowflake login/token errors
+    /connection .* (is not configured|not found)/i,
+    /does not exist or not authorized/i,
+    /insufficient privileges/i,
+    /sql compilation error|invalid identifier/i,
+    /\b(001003|000904)\b/,                 // syntax error, invalid identifier
+    /command not found|ENOENT/
+];
+
+const PERMANENT_PATTERNS = [
+    /\b(002262|100069|100038|100035)\b/,         // type and JSON parsing errors
+    /error parsing json/i,
+    /is not recognized/i,                        // numeric/timestamp literal rejected
+    /numeric value .* out of range/i,
+    /invalid (utf8|character)/i
+];
+
+const TRANSIENT_PATTERNS = [
+    /ETIMEDOUT|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|EPIPE/,
+    /timed? ?out/i,
+    /\b(?:HTTP|status)\s*(?:code\s*)?(?:429|50[0234])\b/i,
+    /service unavailable|too many requests|throttl/i,
+    /warehouse .* (suspended|is not running)/i,
+    /could not connect|connection (reset|closed)/i
+];
+
+class UploadHaltedError extends Error {
+    constructor(cause) {
+        super(`Uploader halted: ${cause.message}`);
+        this.name = 'UploadHaltedError';
+        this.cause = cause;
+    }
+}
+
+class CircuitOpenError extends Error {
+    constructor(retryAt) {
+        super(`Circuit breaker open until ${new Date(retryAt).toISOString()}`);
+        this.name = 'CircuitOpenError';
+        this.retryAt = retryAt;
+    }
+}
+
+/**
+ * Classify an error as 'transient', 'permanent' or 'fatal'. Executors can
+ * set err.errorClass to decide for themselves; unknown errors are transient
+ * so the circuit breaker, not a halt, handles anything unexpected.
+ */
+function classifyError(err) {
+    if (err.errorClass) return err.errorClass;
+    if (err instanceof CircuitOpenError) return 'transient';
+    if (err.killed) return 'transient';                  // exec timeout
+    
+    const text = `${err.code || ''} ${err.message || ''}`;
+    if (err.code === 127 || FATAL_PATTERNS.some(p => p.test(text))) return 'fatal';
+    if (PERMANENT_PATTERNS.some(p => p.test(text))) return 'permanent';
+    if (TRANSIENT_PATTERNS.some(p => p.test(text))) return 'transient';
+    return 'transient';
+}
+
+/**
+ * Full-jitter exponential backoff: a random delay up to min(maxMs, baseMs * 2^attempt)
+ */
+function backoffDelay(attempt, baseMs, maxMs) {
+    return Math.floor(Math.random() * Math.min(maxMs, baseMs * Math.pow(2, attempt)));
+}
+
+module.exports = {
+    UploadHaltedError,
+    CircuitOpenError,
+    classifyError,
+    backoffDelay
+};
@@ -0,0 +1,111 @@
+/**
+ * Upload Ledger
+ * Persistent per-file checkpoints of the last committed upload batch
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class UploadLedger {
+    constructor(config = {}) {
+        this.queueDir = config.queueDir || '/var/claude/queue';
+        this.ledgerFile = config.ledgerFile || path.join(this.queueDir, 'upload_ledger.json');
+        this.files = this.read();
+    }
+    
+    /**
+     * Read the ledger, starting empty if it is missing or unreadable
+     */
+    read() {
+        if (!fs.existsSync(this.ledgerFile)) {
+            return {};
+        }
+        try {
+            return JSON.parse(fs.readFileSync(this.ledgerFile, 'utf8')).files || {};
+        } catch (err) {
+            console.error('Error reading upload ledger, starting fresh:', err);
+            return {};
+        }
+    }
+    
+    /**
+     * Write the ledger atomically by writing to temp file and renaming
+     */
+    write() {
+        const tempFile = this.ledgerFile + '.tmp';
+        fs.writeFileSync(tempFile, JSON.stringify({
+            files: this.files,
+            updated_at: new Date().toISOString()
+        }, null, 2));
+        fs.renameSync(tempFile, this.ledgerFile);
+    }
+    
+    /**
+     * Offset to resume a file from; never earlier than the offset it was queued with
+     */
+    resumeOffset(filePath, offset = 0) {
+        const entry = this.files[filePath];
+        return entry ? Math.max(entry.offset, offset) : offset;
+    }
+    
+    /**
+     * Record that everything before offset has been uploaded
+     */
+    commit(filePath, offset, eventCount, size) {
+        const entry = this.files[filePath] || { events_committed: 0, batches_committed: 0 };
+        this.files[filePath] = {
+            ...entry,
+            offset,
+            size,
+            events_committed: entry.events_committed + eventCount,
+            batches_committed: entry.batches_committed + 1,
+            committed_at: new Date().toISOString(),
+            last_error: null
+        };
+        this.write();
+    }
+    
+    /**
+     * Record a failed batch without moving the committed offset
+     */
+    recordError(filePath, err) {
+        this.files[filePath] = {
+            offset: 0,
+            events_committed: 0,
+            batches_committed: 0,
+            ...this.files[filePath],
+            last_error: err.message,
+            failed_at: new Date().toISOString()
+        };
+        this.write();
+    }
+    
+    /**
+     * Forget a file once it has been fully uploaded
+     */
+    complete(filePath) {
+        if (this.files[filePath]) {
+            delete this.files[filePath];
+            this.write();
+        }
+    }
+    
+    /**
+     * Per-file progress for stats
+     */
+    getProgress() {
+        const progress = {};
+        for (const [file, entry] of Object.entries(this.files)) {
+            progress[file] = {
+                offset: entry.offset,
+                size: entry.size,
+                percent: entry.size ? Math.round((entry.offset / entry.size) * 100) : null,
+                events_committed: entry.events_committed,
+                last_error: entry.last_error || null
+            };
+        }
+        return progress;
+    }
+}
+
+module.exports = UploadLedger;
@@ -3,13 +3,22 @@
 
 QUEUE_DIR="/tmp/claude_queue"
 CURRENT_FILE="$QUEUE_DIR/current.ndjson"
-READY_FILE="$QUEUE_DIR/.ready"
+READY_DIR="$QUEUE_DIR/ready"
 
 if [ ! -f "$CURRENT_FILE" ]; then
     echo "No queue file found at $CURRENT_FILE"
     exit 0
 fi
 
+# Refuse to rotate underneath a running queue process
+if [ -f "$QUEUE_DIR/.lock" ]; then
+    LOCK_PID=$(grep -o '"pid":[0-9]*' "$QUEUE_DIR/.lock" | cut -d: -f2)
+    if [ -n "$LOCK_PID" ] && kill -0 "$LOCK_PID" 2>/dev/null; then
+        echo "Queue process $LOCK_PID is running; it rotates files itself"
+        exit 1
+    fi
+fi
+
 # Rotate current file
 TIMESTAMP=$(date +%Y%m%d_%H%M%S)
 ROTATED_FILE="$QUEUE_DIR/queue_${TIMESTAMP}.ndjson"
@@ -17,9 +26,12 @@ ROTATED_FILE="$QUEUE_DIR/queue_${TIMESTAMP}.ndjson"
 mv "$CURRENT_FILE" "$ROTATED_FILE"
 echo "Rotated queue to: $ROTATED_FILE"
 
-# Mark for processing
-echo "{\"file\":\"$ROTATED_FILE\",\"offset\":0,\"marked_at\":\"$(date -u +%Y-%m-%dT%H:%M:%S.%3NZ)\"}" >> "$READY_FILE"
-echo "Marked for processing in: $READY_FILE"
+# Mark for processing (write then rename so the uploader never reads a partial entry)
+mkdir -p "$READY_DIR"
+ENTRY_NAME="$(printf '%015d' "$(date +%s)000")_$$_000000.json"
+echo "{\"file\":\"$ROTATED_FILE\",\"offset\":0,\"marked_at\":\"$(date -u +%Y-%m-%dT%H:%M:%S.%3NZ)\"}" > "$READY_DIR/.$ENTRY_NAME.tmp"
+mv "$READY_DIR/.$ENTRY_NAME.tmp" "$READY_DIR/$ENTRY_NAME"
+echo "Marked for processing in: $READY_DIR/$ENTRY_NAME"
 
 # Count events
 EVENT_COUNT=$(wc -l < "$ROTATED_FILE")
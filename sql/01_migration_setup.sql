@@ -61,6 +61,7 @@ CREATE TABLE IF NOT EXISTS CLAUDE_STREAM_V2 (
     link STRING, -- artifact_id or external reference
     
     -- Occurrence tracking
+    customer_sequence INT, -- per-customer enqueue order, stamped by the queue
     activity_occurrence INT DEFAULT 1,
     activity_repeated_at TIMESTAMP_NTZ,
     
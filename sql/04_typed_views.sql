@@ -261,6 +261,14 @@ SELECT
     TRY_TO_NUMBER(feature_json:total_activities) as total_activities,
     TRY_TO_NUMBER(feature_json:total_tokens) as total_tokens,
     TRY_TO_NUMBER(feature_json:session_duration_ms) as session_duration_ms,
+    TRY_TO_NUMBER(feature_json:prompt_tokens) as prompt_tokens,
+    TRY_TO_NUMBER(feature_json:completion_tokens) as completion_tokens,
+    AS_ARRAY(feature_json:tools_used) as tools_used,
+    TRY_TO_VARCHAR(feature_json:end_reason) as end_reason,
+    
+    -- Sessions cut by the queue's inactivity gap rather than reported by the producer
+    TRY_TO_VARCHAR(feature_json:session_id) as boundary_session_id,
+    COALESCE(TRY_TO_BOOLEAN(feature_json:synthetic), FALSE) as is_synthetic,
     
     -- Session status
     CASE 
@@ -0,0 +1,84 @@
+-- ============================================================================
+-- PHASE 5: Stage-Based Bulk Loading
+-- Internal stage, landing table and load history for PUT + COPY INTO uploads
+-- ============================================================================
+
+USE DATABASE CLAUDE_LOGS;
+USE SCHEMA ACTIVITIES;
+
+-- Log migration start
+INSERT INTO ACTIVITY_SCHEMA_VERSION (
+    git_sha,
+    migration_name,
+    status,
+    rollback_sql
+) VALUES (
+    'v2.0.0',
+    '05_stage_loading',
+    'running',
+    'DROP STAGE IF EXISTS CLAUDE_QUEUE_STAGE; DROP FILE FORMAT IF EXISTS CLAUDE_QUEUE_NDJSON; DROP TABLE IF EXISTS CLAUDE_STREAM_LANDING; DROP TABLE IF EXISTS CLAUDE_QUEUE_LOAD_HISTORY;'
+);
+
+-- ============================================================================
+-- STAGE AND FILE FORMAT
+-- ============================================================================
+
+-- Rotated queue files are gzipped locally before PUT
+CREATE FILE FORMAT IF NOT EXISTS CLAUDE_QUEUE_NDJSON
+    TYPE = JSON
+    COMPRESSION = GZIP
+    STRIP_OUTER_ARRAY = FALSE
+    COMMENT = 'Gzipped NDJSON queue files from the local uploader';
+
+CREATE STAGE IF NOT EXISTS CLAUDE_QUEUE_STAGE
+    FILE_FORMAT = CLAUDE_QUEUE_NDJSON
+    COMMENT = 'Landing stage for rotated queue_*.ndjson files';
+
+-- ============================================================================
+-- LANDING TABLE
+-- ============================================================================
+
+-- One row per raw event, kept until merged into CLAUDE_STREAM_V2
+CREATE TABLE IF NOT EXISTS CLAUDE_STREAM_LANDING (
+    raw VARIANT NOT NULL,
+    source_file STRING NOT NULL,
+    source_row INT,
+    loaded_at TIMESTAMP_NTZ DEFAULT CURRENT_TIMESTAMP()
+) CLUSTER BY (source_file);
+
+-- ============================================================================
+-- LOAD HISTORY
+-- ============================================================================
+
+-- Per-file status recorded by the uploader after each load
+CREATE TABLE IF NOT EXISTS CLAUDE_QUEUE_LOAD_HISTORY (
+    staged_name STRING NOT NULL,
+    content_sha256 STRING NOT NULL,
+    source_file STRING,
+    rows_loaded INT,
+    rows_inserted INT,
+    status STRING, -- staged, loaded, failed
+    loaded_at TIMESTAMP_NTZ DEFAULT CURRENT_TIMESTAMP(),
+    CONSTRAINT pk_staged_name PRIMARY KEY (staged_name)
+);
+
+-- ============================================================================
+-- MIGRATION COMPLETION
+-- ============================================================================
+
+UPDATE ACTIVITY_SCHEMA_VERSION
+SET status = 'completed',
+    checksum_after = OBJECT_CONSTRUCT(
+        'stages_created', 1,
+        'file_formats_created', 1,
+        'tables_created', 2
+    )
+WHERE migration_name = '05_stage_loading'
+  AND status = 'running';
+
+-- Display summary
+SELECT
+    'Stage Loading Setup Complete' as status,
+    (SELECT COUNT(*) FROM information_schema.tables
+     WHERE table_schema = 'ACTIVITIES'
+     AND table_name IN ('CLAUDE_STREAM_LANDING', 'CLAUDE_QUEUE_LOAD_HISTORY')) as tables_created;
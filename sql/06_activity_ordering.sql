@@ -0,0 +1,48 @@
+-- ============================================================================
+-- PHASE 6: Activity Ordering
+-- Per-customer sequence column for CLAUDE_STREAM_V2 tables created before it.
+-- The queue stamps ts, customer_sequence and activity_occurrence at enqueue;
+-- the uploader fills activity_repeated_at when the next occurrence arrives.
+-- ============================================================================
+
+USE DATABASE CLAUDE_LOGS;
+USE SCHEMA ACTIVITIES;
+
+-- Log migration start
+INSERT INTO ACTIVITY_SCHEMA_VERSION (
+    git_sha,
+    migration_name,
+    status,
+    rollback_sql
+) VALUES (
+    'v2.0.0',
+    '06_activity_ordering',
+    'running',
+    'ALTER TABLE CLAUDE_STREAM_V2 DROP COLUMN IF EXISTS customer_sequence;'
+);
+
+-- ============================================================================
+-- ORDERING COLUMNS
+-- ============================================================================
+
+ALTER TABLE CLAUDE_STREAM_V2 ADD COLUMN IF NOT EXISTS customer_sequence INT;
+
+-- ============================================================================
+-- MIGRATION COMPLETION
+-- ============================================================================
+
+UPDATE ACTIVITY_SCHEMA_VERSION
+SET status = 'completed',
+    checksum_after = OBJECT_CONSTRUCT(
+        'columns_added', 1
+    )
+WHERE migration_name = '06_activity_ordering'
+  AND status = 'running';
+
+-- Display summary
+SELECT
+    'Activity Ordering Setup Complete' as status,
+    (SELECT COUNT(*) FROM information_schema.columns
+     WHERE table_schema = 'ACTIVITIES'
+     AND table_name = 'CLAUDE_STREAM_V2'
+     AND column_name IN ('CUSTOMER_SEQUENCE', 'ACTIVITY_OCCURRENCE', 'ACTIVITY_REPEATED_AT')) as ordering_columns;
@@ -1,18 +1,16 @@
 #!/bin/bash
-# Start the ActivitySchema v2 pipeline
+# Start the ActivitySchema v2 pipeline: the queue and the Snowpipe uploader
+# under one supervisor (activity_schema/pipeline_daemon.js).
+#
+# Settings come from PIPELINE_CONFIG (default: pipeline.json if present)
+# with environment overrides such as QUEUE_DIR and SNOW_CONNECTION.
+
+cd "$(dirname "$0")"
 
 echo "========================================"
 echo "Starting ActivitySchema v2 Pipeline"
 echo "========================================"
 
-# Configuration
-export QUEUE_DIR=/tmp/claude_queue
-export SNOW_CONNECTION=claude_desktop
-
-# Ensure queue directory exists
-mkdir -p $QUEUE_DIR
-echo "✅ Queue directory: $QUEUE_DIR"
-
 # Check Node.js
 if ! command -v node &> /dev/null; then
     echo "❌ Node.js not found. Please install Node.js first."
@@ -25,42 +23,23 @@ if [ ! -d "node_modules" ]; then
     npm install
 fi
 
-echo ""
-echo "Starting services..."
-echo ""
-
-# Start NDJSON queue in background
-echo "🔄 Starting NDJSON queue..."
-QUEUE_DIR=$QUEUE_DIR node activity_schema/ndjson_queue.js &
-QUEUE_PID=$!
-echo "   PID: $QUEUE_PID"
+if [ -z "$PIPELINE_CONFIG" ] && [ -f pipeline.json ]; then
+    export PIPELINE_CONFIG=pipeline.json
+fi
 
-# Start uploader in background
-echo "📤 Starting Snowpipe uploader..."
-QUEUE_DIR=$QUEUE_DIR node activity_schema/snowpipe_uploader.js &
-UPLOADER_PID=$!
-echo "   PID: $UPLOADER_PID"
+# Refuse to start with an invalid config
+node activity_schema/pipeline_daemon.js check > /dev/null || exit 1
 
-echo ""
-echo "========================================"
-echo "✅ Pipeline started successfully!"
-echo "========================================"
-echo ""
-echo "Queue directory: $QUEUE_DIR"
-echo "Queue PID: $QUEUE_PID"
-echo "Uploader PID: $UPLOADER_PID"
+echo "✅ Config: ${PIPELINE_CONFIG:-defaults}"
 echo ""
 echo "To test:"
 echo "  claude-v2 'What is 2+2'"
 echo ""
-echo "To check logs:"
-echo "  snow sql -c poc -q 'SELECT * FROM CLAUDE_STREAM_V2 ORDER BY ts DESC LIMIT 5;'"
+echo "To check status:"
+echo "  npm run pipeline -- status"
 echo ""
-echo "To stop:"
-echo "  kill $QUEUE_PID $UPLOADER_PID"
-echo ""
-
-# Keep script running and show logs
-echo "Showing logs (Ctrl+C to stop)..."
+echo "To stop: Ctrl+C, or kill the daemon's pid from the status file"
+echo "(the queue rotates and the uploader drains before it exits)"
 echo "----------------------------------------"
-tail -f $QUEUE_DIR/current.ndjson 2>/dev/null
\ No newline at end of file
+
+exec node activity_schema/pipeline_daemon.js start
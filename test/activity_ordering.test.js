@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const ActivityOrdering = require('../activity_schema/activity_ordering');
+const { repeatedAtSql, orderingMergeActions, linkRepeats } = ActivityOrdering;
+const { makeTempDir, removeDir, quietConsole, createQueue, queuedEvents, createUploader, writeReadyFile, makeEvent } = require('./helpers');
+
+const TABLE = 'CLAUDE_LOGS.ACTIVITIES.CLAUDE_STREAM_V2';
+
+describe('activity ordering', () => {
+    let dir;
+    
+    beforeEach(() => {
+        quietConsole();
+        dir = makeTempDir();
+    });
+    
+    afterEach(() => {
+        removeDir(dir);
+    });
+    
+    test('stamps a per-customer sequence and per-activity occurrence', () => {
+        const ordering = new ActivityOrdering();
+        const stamped = [
+            ordering.stamp({ customer: 'c1', activity: 'tool_call' }),
+            ordering.stamp({ customer: 'c1', activity: 'prompt' }),
+            ordering.stamp({ customer: 'c1', activity: 'tool_call' }),
+            ordering.stamp({ customer: 'c2', activity: 'tool_call' })
+        ];
+        
+        expect(stamped.map(event => [event.customer_sequence, event.activity_occurrence])).toEqual([[1, 1], [2, 1], [3, 2], [1, 1]]);
+        expect(ordering.getStats()).toEqual({ customers: 2, pairs: 3 });
+    });
+    
+    test('keeps producer timestamps and sequences, and skips events without a customer', () => {
+        const ordering = new ActivityOrdering();
+        
+        expect(ordering.stamp({ activity: 'a', queued_at: '2026-01-02T00:00:00.000Z' })).toEqual({ activity: 'a', queued_at: '2026-01-02T00:00:00.000Z', ts: '2026-01-02T00:00:00.000Z' });
+        expect(ordering.stamp({ customer: 'c1', activity: 'a', ts: '2026-01-01T00:00:00.000Z' }).ts).toBe('2026-01-01T00:00:00.000Z');
+        
+        const replayed = { customer: 'c1', activity: 'a', ts: 't', customer_sequence: 10, activity_occurrence: 4 };
+        expect(ordering.stamp(replayed)).toBe(replayed);
+        expect(ordering.stamp({ customer: 'c1', activity: 'a', ts: 't' })).toMatchObject({ customer_sequence: 11, activity_occurrence: 5 });
+    });
+    
+    test('saves counters with the queue position and recovers events written after it', () => {
+        const stateFile = path.join(dir, 'activity_state.json');
+        const queueFile = path.join(dir, 'current.ndjson');
+        const ordering = new ActivityOrdering({ stateFile });
+        const first = ordering.stamp({ customer: 'c1', activity: 'a', ts: 't' });
+        fs.writeFileSync(queueFile, JSON.stringify(first) + '\n');
+        ordering.save(queueFile, fs.statSync(queueFile).size);
+        
+        // Written after the save, as before a crash
+        const second = ordering.stamp({ customer: 'c1', activity: 'a', ts: 't' });
+        fs.appendFileSync(queueFile, JSON.stringify(second) + '\nnot json\n');
+        
+        const restarted = new ActivityOrdering({ stateFile });
+        expect(restarted.state.customers.c1).toEqual({ sequence: 1, activities: { a: 1 } });
+        expect(restarted.recover(queueFile)).toBe(1);
+        expect(restarted.stamp({ customer: 'c1', activity: 'a', ts: 't' })).toMatchObject({ customer_sequence: 3, activity_occurrence: 3 });
+    });
+    
+    test('reads all of a rotated current.ndjson, and starts over from an unreadable state file', () => {
+        const stateFile = path.join(dir, 'activity_state.json');
+        const queueFile = path.join(dir, 'current.ndjson');
+        fs.writeFileSync(stateFile, JSON.stringify({ file: { ino: -1, offset: 1000 }, customers: {} }));
+        fs.writeFileSync(queueFile, JSON.stringify({ customer: 'c1', activity: 'a', customer_sequence: 5, activity_occurrence: 2 }) + '\n');
+        
+        expect(new ActivityOrdering({ stateFile }).recover(queueFile)).toBe(1);
+        
+        fs.writeFileSync(stateFile, '{');
+        expect(new ActivityOrdering({ stateFile }).state).toEqual({ file: null, customers: {} });
+    });
+    
+    test('linkRepeats sets activity_repeated_at from the next occurrence in a batch', () => {
+        const rows = linkRepeats([
+            { customer: 'c1', activity: 'a', activity_occurrence: 1, ts: 't1' },
+            { customer: 'c1', activity: 'a', activity_occurrence: 2, ts: 't2' },
+            { customer: 'c2', activity: 'a', activity_occurrence: 2, ts: 't3' },
+            { customer: 'c1', activity: 'b', activity_occurrence: null, ts: 't4' }
+        ]);
+        
+        expect(rows.map(row => row.activity_repeated_at)).toEqual(['t2', undefined, undefined, undefined]);
+    });
+    
+    test('the MERGE fills activity_repeated_at on earlier occurrences in the target', () => {
+        const sql = repeatedAtSql(TABLE, 'batch', ['tool_name']);
+        
+        expect(sql).toContain(`JOIN ${TABLE} previous`);
+        expect(sql).toContain('previous.activity_occurrence = batch.activity_occurrence - 1');
+        expect(sql).toContain('NULL as tool_name,');
+        expect(orderingMergeActions(['tool_name'])).toContain('UPDATE SET activity_repeated_at = source.activity_repeated_at');
+        expect(orderingMergeActions(['tool_name'])).toContain('source.activity_repeated_at, source.tool_name');
+    });
+});
+
+describe('ordered queue and uploader', () => {
+    let queueDir;
+    let queue;
+    let uploader;
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(async () => {
+        if (queue) await queue.shutdown();
+        if (uploader) await uploader.shutdown();
+        queue = null;
+        uploader = null;
+        removeDir(queueDir);
+    });
+    
+    test('the queue stamps events and keeps counters in activity_state.json across restarts', async () => {
+        queue = createQueue(queueDir);
+        await queue.appendEvent({ activity: 'tool_call', customer: 'c1' });
+        await queue.appendEvent({ activity: 'tool_call', customer: 'c1' });
+        await queue.shutdown();
+        
+        const state = JSON.parse(fs.readFileSync(path.join(queueDir, 'activity_state.json'), 'utf8'));
+        expect(state.customers.c1).toEqual({ sequence: 2, activities: { tool_call: 2 } });
+        
+        queue = createQueue(queueDir);
+        await queue.appendEvent({ activity: 'tool_call', customer: 'c1' });
+        const [event] = queuedEvents(queueDir);
+        expect(event).toMatchObject({ customer_sequence: 3, activity_occurrence: 3, ts: expect.any(String) });
+        expect(queue.getStats().ordering).toEqual({ customers: 1, pairs: 1 });
+    });
+    
+    test('ordering: false leaves events unstamped', async () => {
+        queue = createQueue(queueDir, { ordering: false });
+        await queue.appendEvent({ activity: 'tool_call', customer: 'c1' });
+        
+        expect(queuedEvents(queueDir)[0].customer_sequence).toBeUndefined();
+        expect(fs.existsSync(path.join(queueDir, 'activity_state.json'))).toBe(false);
+    });
+    
+    test('the uploader sets activity_repeated_at within a batch and across batches', async () => {
+        uploader = createUploader(queueDir);
+        const occurrence = (n, ts) => makeEvent({ activity_id: `o${n}`, ts, customer_sequence: n, activity_occurrence: n });
+        writeReadyFile(queueDir, [occurrence(1, '2026-01-01T00:00:01.000Z'), occurrence(2, '2026-01-01T00:00:02.000Z')], 'queue_1.ndjson');
+        await uploader.processQueue();
+        writeReadyFile(queueDir, [occurrence(3, '2026-01-01T00:00:03.000Z')], 'queue_2.ndjson');
+        await uploader.processQueue();
+        
+        const rows = uploader.executor.getRows(TABLE);
+        expect(rows.map(row => [row.activity_id, row.activity_repeated_at])).toEqual([
+            ['o1', '2026-01-01T00:00:02.000Z'],
+            ['o2', '2026-01-01T00:00:03.000Z'],
+            ['o3', null]
+        ]);
+    });
+});
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const ArchiveBackfill = require('../activity_schema/archive_backfill');
+const DeadLetterStore = require('../activity_schema/dead_letter');
+const framing = require('../activity_schema/record_framing');
+const { makeTempDir, removeDir, quietConsole, writeNdjson, createUploader, writeReadyFile, makeEvent } = require('./helpers');
+
+const TABLE = 'CLAUDE_LOGS.ACTIVITIES.CLAUDE_STREAM_V2';
+const HOUR = 60 * 60 * 1000;
+
+describe('archive retention', () => {
+    let queueDir;
+    let archiveDir;
+    let uploader;
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+        archiveDir = path.join(queueDir, 'archive');
+        fs.mkdirSync(archiveDir);
+    });
+    
+    afterEach(async () => {
+        await uploader.shutdown();
+        removeDir(queueDir);
+    });
+    
+    // Archives named by age in hours, each `size` bytes
+    const writeArchives = (ages, size = 10) => {
+        for (const age of ages) {
+            const file = path.join(archiveDir, `processed_${age}h.ndjson`);
+            fs.writeFileSync(file, 'x'.repeat(size));
+            const mtime = new Date(Date.now() - age * HOUR);
+            fs.utimesSync(file, mtime, mtime);
+        }
+    };
+    const archives = () => fs.readdirSync(archiveDir).sort();
+    
+    test('deletes archives past maxAgeMs, 24 hours by default', () => {
+        uploader = createUploader(queueDir);
+        writeArchives([1, 23, 25, 48]);
+        
+        uploader.cleanOldArchives(archiveDir);
+        
+        expect(archives()).toEqual(['processed_1h.ndjson', 'processed_23h.ndjson']);
+        expect(uploader.stats.archivesDeleted).toBe(2);
+    });
+    
+    test('maxAgeMs 0 disables the age limit', () => {
+        uploader = createUploader(queueDir, { archiveRetention: { maxAgeMs: 0 } });
+        writeArchives([1, 1000]);
+        
+        uploader.cleanOldArchives(archiveDir);
+        expect(archives()).toHaveLength(2);
+    });
+    
+    test('keeps the newest archives within maxFiles', () => {
+        uploader = createUploader(queueDir, { archiveRetention: { maxAgeMs: 0, maxFiles: 2 } });
+        writeArchives([3, 1, 2, 4]);
+        
+        uploader.cleanOldArchives(archiveDir);
+        expect(archives()).toEqual(['processed_1h.ndjson', 'processed_2h.ndjson']);
+    });
+    
+    test('keeps the newest archives within maxBytes', () => {
+        uploader = createUploader(queueDir, { archiveRetention: { maxAgeMs: 0, maxBytes: 25 } });
+        writeArchives([1, 2, 3], 10);
+        
+        uploader.cleanOldArchives(archiveDir);
+        expect(archives()).toEqual(['processed_1h.ndjson', 'processed_2h.ndjson']);
+    });
+    
+    test('uploaded files are archived and retention runs after each one', async () => {
+        uploader = createUploader(queueDir, { archiveRetention: { maxAgeMs: 0, maxFiles: 1 } });
+        // Archives keep the queue file's mtime, so make queue_1 the older one
+        const older = writeReadyFile(queueDir, [makeEvent()], 'queue_1.ndjson');
+        fs.utimesSync(older, new Date(Date.now() - HOUR), new Date(Date.now() - HOUR));
+        writeReadyFile(queueDir, [makeEvent()], 'queue_2.ndjson');
+        
+        await uploader.processQueue();
+        
+        expect(archives()).toEqual([expect.stringMatching(/^processed_.*_queue_2\.ndjson$/)]);
+        expect(fs.existsSync(path.join(queueDir, 'queue_1.ndjson'))).toBe(false);
+    });
+});
+
+describe('ArchiveBackfill', () => {
+    let queueDir;
+    let archiveDir;
+    let backfill;
+    
+    const event = (id, fields = {}) => makeEvent({ activity_id: id, queued_at: '2026-01-10T12:00:00.000Z', ...fields });
+    const writeArchive = (name, events, mtime = new Date()) => {
+        const file = path.join(archiveDir, name);
+        writeNdjson(file, events);
+        fs.utimesSync(file, mtime, mtime);
+        return file;
+    };
+    const rows = () => backfill.uploader.executor.getRows(TABLE).map(row => row.activity_id).sort();
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+        archiveDir = path.join(queueDir, 'archive');
+        fs.mkdirSync(archiveDir);
+        backfill = new ArchiveBackfill({ queueDir, executor: 'local', batchSize: 2 });
+    });
+    
+    afterEach(async () => {
+        await backfill.uploader.shutdown();
+        removeDir(queueDir);
+    });
+    
+    test('filters by time range, activity and customer', () => {
+        const matches = backfill.matcher({
+            from: '2026-01-10T00:00:00Z',
+            to: '2026-01-11T00:00:00Z',
+            activities: ['tool_call'],
+            customers: ['c1']
+        });
+        
+        expect(matches(event('a'))).toBe(true);
+        expect(matches(event('b', { queued_at: '2026-01-11T00:00:01Z' }))).toBe(false);
+        expect(matches(event('c', { queued_at: 'not a time' }))).toBe(false);
+        expect(matches(event('d', { activity: 'custom' }))).toBe(false);
+        expect(matches(event('e', { customer: 'c2' }))).toBe(false);
+        
+        const byTs = backfill.matcher({ from: '2026-01-01T00:00:00Z', to: '2026-01-01T00:00:00Z', timeField: 'ts' });
+        expect(byTs(event('f'))).toBe(true);
+    });
+    
+    test('rejects bad filters', () => {
+        expect(() => backfill.matcher({ from: 'yesterday' })).toThrow('from and to must be ISO timestamps');
+        expect(() => backfill.matcher({ timeField: 'uploaded_at' })).toThrow('Unknown time field: uploaded_at');
+    });
+    
+    test('skips archives last modified before a queued_at range starts', () => {
+        writeArchive('processed_old_queue_1.ndjson', [], new Date('2026-01-01T00:00:00Z'));
+        const recent = writeArchive('processed_new_queue_2.ndjson', [], new Date('2026-01-12T00:00:00Z'));
+        fs.writeFileSync(path.join(archiveDir, 'notes.txt'), '');
+        
+        expect(backfill.archiveFiles({ from: '2026-01-10T00:00:00Z' })).toEqual([recent]);
+        expect(backfill.archiveFiles({ from: '2026-01-10T00:00:00Z', timeField: 'ts' })).toHaveLength(2);
+    });
+    
+    test('re-uploads matching events once and reports what was already present', async () => {
+        writeArchive('processed_1_queue_1.ndjson', [event('a'), event('b'), event('x', { activity: 'custom' })]);
+        const file = path.join(archiveDir, 'processed_2_queue_2.ndjson.gz');
+        fs.writeFileSync(file, zlib.gzipSync([event('b'), event('c')].map(e => JSON.stringify(e)).join('\n') + '\n{torn'));
+        await backfill.uploader.executor.executeMerge({ table: TABLE, rows: [{ activity_id: 'a' }] });
+        
+        const report = await backfill.run({ activities: ['tool_call'] });
+        
+        expect(report).toEqual({
+            filesScanned: 2,
+            eventsScanned: 6,
+            eventsMatched: 3,
+            inserted: 2,
+            alreadyPresent: 1,
+            rejected: 0,
+            unparseableLines: 1,
+            corruptRecords: 0,
+            dryRun: false
+        });
+        expect(rows()).toEqual(['a', 'b', 'c']);
+    });
+    
+    test('unframes archived records and quarantines those failing their checksum', async () => {
+        const good = framing.frame(event('good'), 1);
+        const bad = framing.frame(event('bad'), 2).replace('"bad"', '"bax"');
+        const file = path.join(archiveDir, 'processed_1_queue_1.ndjson');
+        fs.writeFileSync(file, `${good}\n${bad}\n`);
+        
+        expect(await backfill.run({}, { dryRun: true })).toMatchObject({ eventsMatched: 1, corruptRecords: 1 });
+        expect(new DeadLetterStore({ queueDir }).list()).toEqual([]);
+        
+        expect(await backfill.run({})).toMatchObject({ eventsMatched: 1, inserted: 1, corruptRecords: 1 });
+        expect(rows()).toEqual(['good']);
+        expect(new DeadLetterStore({ queueDir }).list()).toEqual([
+            expect.objectContaining({ kind: 'corrupt_record', source_file: file, offset: good.length + 1 })
+        ]);
+    });
+    
+    test('a dry run counts matches without uploading', async () => {
+        writeArchive('processed_1_queue_1.ndjson', [event('a'), event('b')]);
+        
+        expect(await backfill.run({}, { dryRun: true })).toMatchObject({ eventsMatched: 2, inserted: 0, dryRun: true });
+        expect(rows()).toEqual([]);
+    });
+    
+    test('does not consume the ready queue', async () => {
+        writeReadyFile(queueDir, [event('queued')], 'queue_9.ndjson');
+        writeArchive('processed_1_queue_1.ndjson', [event('a')]);
+        
+        await backfill.run({});
+        
+        expect(rows()).toEqual(['a']);
+        expect(fs.existsSync(path.join(queueDir, 'queue_9.ndjson'))).toBe(true);
+    });
+});
@@ -0,0 +1,226 @@
+const http = require('http');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const ClaudeStreamAdapter = require('../activity_schema/claude_stream_adapter');
+const QueueHttpServer = require('../activity_schema/http_ingest');
+const EventValidator = require('../activity_schema/event_validator');
+const { loadEventSchemas } = EventValidator;
+const { makeTempDir, removeDir, quietConsole, createQueue, queuedEvents } = require('./helpers');
+
+const { HttpQueueClient, modelFamily } = ClaudeStreamAdapter;
+
+const SCRIPT = path.join(__dirname, '..', 'activity_schema', 'claude_stream_adapter.js');
+
+const MODELS = [
+    ['claude-3-opus-20240229', 'claude-3-opus'],
+    ['claude-3-haiku-20240307', 'claude-3-haiku'],
+    ['claude-3-5-sonnet-20241022', 'claude-3-5-sonnet'],
+    ['claude-3-5-haiku-20241022', 'claude-3-5-haiku'],
+    ['claude-3-7-sonnet-20250219', 'claude-3-7-sonnet'],
+    ['claude-opus-4-20250514', 'claude-opus-4'],
+    ['claude-opus-4-1-20250805', 'claude-opus-4'],
+    ['claude-sonnet-4-5-20250929', 'claude-sonnet-4'],
+    ['claude-haiku-4-5', 'claude-haiku-4'],
+    ['us.anthropic.claude-sonnet-4-20250514-v1:0', 'claude-sonnet-4'],
+    ['anthropic.claude-3-5-sonnet-20240620-v1:0', 'claude-3-5-sonnet'],
+    ['gpt-4o', 'gpt-4'],
+    ['gpt-3.5-turbo-0125', 'gpt-3.5-turbo'],
+    ['claude-opus-9', 'other'],
+    ['<synthetic>', 'other'],
+    [undefined, 'other']
+];
+
+describe('modelFamily', () => {
+    test.each(MODELS)('%s is %s', (modelId, family) => {
+        expect(modelFamily(modelId)).toBe(family);
+    });
+    
+    test('every family is in the llm_event model enum', () => {
+        const { schemas } = loadEventSchemas();
+        expect(schemas.llm_event.properties.model.enum).toEqual(expect.arrayContaining(MODELS.map(([, family]) => family)));
+    });
+});
+
+describe('ClaudeStreamAdapter', () => {
+    let events;
+    let now;
+    let adapter;
+    
+    const feed = async messages => {
+        for (const message of messages) {
+            await adapter.handleLine(typeof message === 'string' ? message : JSON.stringify(message));
+        }
+    };
+    const byActivity = activity => events.filter(event => event.activity === activity).map(event => event.feature_json);
+    
+    beforeEach(() => {
+        quietConsole();
+        events = [];
+        now = 1000;
+        adapter = new ClaudeStreamAdapter({
+            queue: { appendEvent: async event => { events.push(event); } },
+            now: () => now
+        });
+    });
+    
+    const assistant = (content, usage, model = 'claude-sonnet-4-5-20250929') => ({
+        type: 'assistant',
+        session_id: 's1',
+        message: { id: 'msg_1', model, content, usage }
+    });
+    
+    test('turns a session into start, llm, tool, file and end events', async () => {
+        await feed([
+            { type: 'system', subtype: 'init', session_id: 's1', cwd: '/work', model: 'claude-sonnet-4-5-20250929', claude_code_version: '2.0.0' },
+            assistant([{ type: 'text', text: 'Reading' }], { input_tokens: 10, output_tokens: 1 }),
+            assistant([{ type: 'tool_use', id: 't1', name: 'Read', input: { file_path: '/work/a.js' } }],
+                { input_tokens: 10, cache_read_input_tokens: 5, output_tokens: 20 })
+        ]);
+        now = 1250;
+        await feed([
+            { type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: 't1', content: 'one\ntwo' }] }, tool_use_result: { file: { numLines: 2 } } },
+            { type: 'result', duration_ms: 5000, num_turns: 1, total_cost_usd: 0.01, is_error: false }
+        ]);
+        
+        expect(events.map(event => event.activity)).toEqual([
+            'claude_session_start', 'claude_responded', 'claude_tool_call', 'claude_file_operation', 'claude_session_end'
+        ]);
+        expect(events.every(event => event.customer === 's1')).toBe(true);
+        expect(byActivity('claude_session_start')[0]).toMatchObject({ project_path: '/work', cli_version: '2.0.0' });
+        expect(byActivity('claude_responded')[0]).toMatchObject({
+            model: 'claude-sonnet-4',
+            model_id: 'claude-sonnet-4-5-20250929',
+            prompt_tokens: 15,
+            completion_tokens: 20,
+            total_tokens: 35,
+            cache_read_tokens: 5
+        });
+        expect(byActivity('claude_tool_call')[0]).toMatchObject({ tool_name: 'Read', tool_category: 'file', success: true, latency_ms: 250, result_size: 7 });
+        expect(byActivity('claude_file_operation')[0]).toEqual({ operation: 'read', file_path: '/work/a.js', file_type: 'js', success: true, lines_affected: 2 });
+        expect(byActivity('claude_session_end')[0]).toMatchObject({ total_activities: 4, total_tokens: 35, session_duration_ms: 5000, num_turns: 1, success: true });
+    });
+    
+    test('emitted events pass schema validation', async () => {
+        const validator = new EventValidator();
+        await feed([
+            { type: 'system', subtype: 'init', session_id: 's1', model: 'claude-opus-4-1-20250805' },
+            assistant([{ type: 'tool_use', id: 't1', name: 'Write', input: { file_path: '/w/b.py', content: 'x\ny' } }], { output_tokens: 3 }, 'claude-opus-4-1-20250805'),
+            { type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: 't1', content: [{ type: 'text', text: 'ok' }] }] }, tool_use_result: { type: 'create' } }
+        ]);
+        await adapter.finish();
+        
+        expect(events.map(event => validator.validate(event)).filter(result => !result.valid)).toEqual([]);
+        expect(byActivity('claude_file_operation')[0]).toMatchObject({ operation: 'create', lines_affected: 2, bytes_after: 3 });
+    });
+    
+    test('failed tools record the error and unfinished tools fail at the end', async () => {
+        await feed([
+            assistant([
+                { type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'false' } },
+                { type: 'tool_use', id: 't2', name: 'Grep', input: { pattern: 'x' } }
+            ], {}),
+            { type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: 't1', is_error: true, content: 'exit 1' }] } }
+        ]);
+        await adapter.finish();
+        await adapter.finish();
+        
+        expect(byActivity('claude_tool_call')).toEqual([
+            expect.objectContaining({ tool_name: 'Bash', success: false, error: 'exit 1' }),
+            expect.objectContaining({ tool_name: 'Grep', success: false, error: 'no tool_result received before the stream ended' })
+        ]);
+        expect(byActivity('claude_session_end')).toHaveLength(1);
+    });
+    
+    test('long parameters are shortened and non-JSON lines skipped', async () => {
+        await feed([
+            'not json',
+            '',
+            { type: 'stream_event' },
+            assistant([{ type: 'tool_use', id: 't1', name: 'Edit', input: { file_path: 'a', new_string: 'x'.repeat(300) } }], {})
+        ]);
+        await adapter.finish();
+        
+        expect(byActivity('claude_tool_call')[0].parameters.new_string).toBe(`${'x'.repeat(256)}...[44 more chars]`);
+        expect(adapter.stats).toMatchObject({ linesRead: 4, linesSkipped: 2 });
+    });
+    
+    test('a rejected event is counted, not fatal', async () => {
+        adapter.queue = { appendEvent: async () => { throw new Error('queue full'); } };
+        await adapter.finish();
+        
+        expect(adapter.stats).toMatchObject({ emitErrors: 1, eventsEmitted: 0 });
+    });
+});
+
+describe('HttpQueueClient', () => {
+    let server;
+    let url;
+    
+    const listen = async handler => {
+        server = http.createServer(handler);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+    };
+    
+    afterEach(async () => {
+        await (server instanceof QueueHttpServer ? server.stop() : new Promise(resolve => server.close(resolve)));
+    });
+    
+    test('appends to a queue over HTTP', async () => {
+        quietConsole();
+        const queueDir = makeTempDir();
+        const queue = createQueue(queueDir);
+        server = new QueueHttpServer(queue, { port: 0 });
+        const port = await server.start();
+        
+        const id = await new HttpQueueClient(`http://127.0.0.1:${port}`).appendEvent({ activity: 'custom', customer: 'c1' });
+        
+        expect(queuedEvents(queueDir)).toEqual([expect.objectContaining({ activity_id: id })]);
+        await queue.shutdown();
+        removeDir(queueDir);
+    });
+    
+    test('rejects with the server error', async () => {
+        await listen((req, res) => {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'invalid event' }));
+        });
+        
+        await expect(new HttpQueueClient(url).appendEvent({})).rejects.toThrow('invalid event');
+    });
+    
+    test('rejects when the response is not JSON', async () => {
+        await listen((req, res) => {
+            res.writeHead(502, { 'Content-Type': 'text/html' });
+            res.end('<html>Bad Gateway</html>');
+        });
+        
+        await expect(new HttpQueueClient(url).appendEvent({})).rejects.toThrow('HTTP 502: response is not JSON: <html>Bad Gateway</html>');
+    });
+});
+
+describe('standalone adapter', () => {
+    test('passes stdin through to stdout byte for byte while owning the queue', () => {
+        const queueDir = makeTempDir();
+        try {
+            const input = [
+                JSON.stringify({ type: 'system', subtype: 'init', session_id: 's1', cwd: '/work', model: 'claude-sonnet-4-5-20250929' }),
+                'not json\r',
+                JSON.stringify({ type: 'result', subtype: 'success', session_id: 's1', duration_ms: 10 })
+            ].join('\n');
+            const result = spawnSync(process.execPath, [SCRIPT], {
+                input,
+                env: { ...process.env, QUEUE_DIR: queueDir, QUEUE_HTTP_URL: '' },
+                encoding: 'utf8',
+                timeout: 30000
+            });
+            
+            expect(result.status).toBe(0);
+            expect(result.stdout).toBe(input);
+            expect(result.stderr).toContain('Rotating queue file');
+            expect(result.stderr).toContain('Claude stream adapter: ');
+        } finally {
+            removeDir(queueDir);
+        }
+    });
+});
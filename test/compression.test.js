@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { spawnSync } = require('child_process');
+const compression = require('../activity_schema/compression');
+const ReadyQueue = require('../activity_schema/ready_queue');
+const { makeTempDir, removeDir, quietConsole, createQueue, createUploader, writeReadyFile, makeEvent } = require('./helpers');
+
+const TABLE = 'CLAUDE_LOGS.ACTIVITIES.CLAUDE_STREAM_V2';
+const hasZstd = !!zlib.createZstdCompress || spawnSync('zstd', ['--version']).status === 0;
+
+const readAll = async stream => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+};
+
+describe('compression', () => {
+    let dir;
+    
+    beforeEach(() => {
+        dir = makeTempDir();
+    });
+    
+    afterEach(() => {
+        removeDir(dir);
+    });
+    
+    const writeFile = (name, contents) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, contents);
+        return file;
+    };
+    
+    test('formats come from the file extension', () => {
+        expect(compression.formatOf('queue_1.ndjson.gz')).toBe('gzip');
+        expect(compression.formatOf('queue_1.ndjson.zst')).toBe('zstd');
+        expect(compression.formatOf('queue_1.ndjson')).toBeNull();
+        expect(() => compression.checkFormat('brotli')).toThrow('Unknown compression format: brotli');
+        expect(compression.checkFormat('gzip')).toBe('gzip');
+    });
+    
+    test.each([
+        ['gzip', '.gz'],
+        ...(hasZstd ? [['zstd', '.zst']] : [])
+    ])('%s files compress in place and read back from any offset', async (format, ext) => {
+        const contents = 'line one\nline two\n'.repeat(1000);
+        const file = writeFile('queue_1.ndjson', contents);
+        
+        const result = await compression.compressFile(file, format);
+        
+        expect(result).toEqual({ file: file + ext, bytesIn: contents.length, bytesOut: fs.statSync(file + ext).size });
+        expect(result.bytesOut).toBeLessThan(result.bytesIn);
+        expect(fs.readdirSync(dir)).toEqual([`queue_1.ndjson${ext}`]);
+        expect(await readAll(compression.createReadStream(result.file))).toBe(contents);
+        expect(await readAll(compression.createReadStream(result.file, { start: 9 }))).toBe(contents.slice(9));
+    });
+    
+    test('plain files read with start and end', async () => {
+        const file = writeFile('queue_1.ndjson', 'abcdef');
+        expect(await readAll(compression.createReadStream(file, { start: 1, end: 3 }))).toBe('bcd');
+    });
+    
+    test('a damaged compressed file fails the read', async () => {
+        const file = writeFile('queue_1.ndjson.gz', 'not gzip');
+        await expect(readAll(compression.createReadStream(file))).rejects.toThrow();
+    });
+    
+    (hasZstd && !zlib.createZstdCompress ? test : test.skip)('a failing zstd process fails the read', async () => {
+        const file = writeFile('queue_1.ndjson.zst', 'not zstd');
+        await expect(readAll(compression.createReadStream(file))).rejects.toThrow(/zstd exited with 1/);
+    });
+    
+    test('a failed compression removes its temp file', async () => {
+        const unreadable = path.join(dir, 'queue_1.ndjson');
+        fs.mkdirSync(unreadable);
+        
+        await expect(compression.compressFile(unreadable, 'gzip')).rejects.toThrow(/EISDIR/);
+        expect(fs.readdirSync(dir)).toEqual(['queue_1.ndjson']);
+    });
+    
+    test('stats report the ratio and disk usage counts nested files', () => {
+        const stats = new compression.CompressionStats('gzip');
+        stats.record({ bytesIn: 300, bytesOut: 100 });
+        stats.record({ bytesIn: 100, bytesOut: 100 });
+        expect(stats.toJSON()).toEqual({ format: 'gzip', filesCompressed: 2, bytesIn: 400, bytesOut: 200, ratio: 2, failures: 0 });
+        expect(new compression.CompressionStats().toJSON().ratio).toBeNull();
+        
+        writeFile('a', '12345');
+        fs.mkdirSync(path.join(dir, 'sub'));
+        fs.writeFileSync(path.join(dir, 'sub', 'b'), '123');
+        expect(compression.diskUsage(dir)).toBe(8);
+        expect(compression.diskUsage(path.join(dir, 'missing'))).toBe(0);
+    });
+});
+
+describe('compressed queue files', () => {
+    let queueDir;
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(() => {
+        removeDir(queueDir);
+    });
+    
+    test('the queue compresses rotated files before marking them ready', async () => {
+        const queue = createQueue(queueDir, { compression: 'gzip' });
+        await queue.appendEvent(makeEvent({ activity_id: 'a' }));
+        await queue.shutdown({ rotate: true });
+        
+        const [{ entry }] = new ReadyQueue(queueDir).list();
+        expect(entry.file).toMatch(/queue_.*\.ndjson\.gz$/);
+        expect(fs.readdirSync(queueDir).filter(file => file.startsWith('queue_'))).toEqual([path.basename(entry.file)]);
+        expect(queue.getStats().compression).toMatchObject({ format: 'gzip', filesCompressed: 1 });
+    });
+    
+    test('the uploader loads compressed files and resumes inside them', async () => {
+        const events = ['a', 'b', 'c'].map(id => makeEvent({ activity_id: id }));
+        const file = writeReadyFile(queueDir, events, 'queue_1.ndjson');
+        const compressed = (await compression.compressFile(file, 'gzip')).file;
+        const readyQueue = new ReadyQueue(queueDir);
+        const [{ name }] = readyQueue.list();
+        fs.unlinkSync(path.join(queueDir, 'ready', name));
+        readyQueue.mark(compressed, Buffer.byteLength(JSON.stringify(events[0]) + '\n'));
+        
+        const uploader = createUploader(queueDir, { archiveCompression: 'gzip' });
+        await uploader.processQueue();
+        await uploader.shutdown();
+        
+        expect(uploader.executor.getRows(TABLE).map(row => row.activity_id)).toEqual(['b', 'c']);
+        expect(fs.readdirSync(path.join(queueDir, 'archive'))).toEqual([expect.stringMatching(/_queue_1\.ndjson\.gz$/)]);
+        expect(uploader.getStats().compression.filesCompressed).toBe(0);
+    });
+    
+    test('plain archives are compressed when archiveCompression is set', async () => {
+        writeReadyFile(queueDir, [makeEvent()], 'queue_1.ndjson');
+        
+        const uploader = createUploader(queueDir, { archiveCompression: 'gzip' });
+        await uploader.processQueue();
+        await uploader.shutdown();
+        
+        expect(fs.readdirSync(path.join(queueDir, 'archive'))).toEqual([expect.stringMatching(/_queue_1\.ndjson\.gz$/)]);
+        expect(uploader.getStats().compression).toMatchObject({ format: 'gzip', filesCompressed: 1 });
+    });
+});
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const DeadLetterStore = require('../activity_schema/dead_letter');
+const ReadyQueue = require('../activity_schema/ready_queue');
+const { makeTempDir, removeDir, quietConsole, readNdjson, writeNdjson, createUploader, writeReadyFile, makeEvent } = require('./helpers');
+
+const { deadLetterFileRemainder } = DeadLetterStore;
+
+describe('DeadLetterStore', () => {
+    let queueDir;
+    let store;
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+        store = new DeadLetterStore({ queueDir });
+    });
+    
+    afterEach(() => {
+        removeDir(queueDir);
+    });
+    
+    const replayedEvents = summary => readNdjson(summary.file);
+    const writeValidationRecords = records => {
+        fs.mkdirSync(store.dir, { recursive: true });
+        writeNdjson(store.files.validation, records);
+    };
+    
+    test('lists every kind once, oldest first', () => {
+        const source = path.join(queueDir, 'queue_1.ndjson');
+        store.writePoisonLine(source, { offset: 0, raw: '{bad', error: 'Unexpected token' });
+        store.writePoisonLine(source, { offset: 0, raw: '{bad', error: 'Unexpected token' });
+        store.writeCorruptRecord(source, { offset: 5, raw: '{"_crc32":1}', error: 'checksum mismatch' });
+        store.writeFailedBatch(source, { startOffset: 10, endOffset: 20, events: [makeEvent()], error: 'x', attempts: 5 });
+        writeValidationRecords([{ event: makeEvent({ activity_id: 'v1' }), errors: ['a', 'b'], failed_at: 't' }]);
+        
+        expect(store.list().map(record => record.id)).toEqual([
+            'poison_line:queue_1.ndjson:0',
+            'corrupt_record:queue_1.ndjson:5',
+            'failed_batch:queue_1.ndjson:10-20',
+            'validation:v1'
+        ]);
+        expect(store.list({ kind: 'validation' })[0]).toMatchObject({ kind: 'validation', error: 'a; b', dead_lettered_at: 't' });
+        expect(store.getStats()).toEqual({ poison_line: 1, corrupt_record: 1, failed_batch: 1, validation: 1 });
+    });
+    
+    test('replays events as a ready file and hides the replayed records', () => {
+        const events = [makeEvent({ activity_id: 'a' }), makeEvent({ activity_id: 'b' })];
+        store.writeFailedBatch('queue_1.ndjson', { startOffset: 0, endOffset: 9, events, error: 'x', attempts: 5 });
+        
+        const summary = store.replay();
+        
+        expect(summary).toMatchObject({ records: 1, replayed: 1, events: 2, skipped: 0, invalid: 0 });
+        expect(replayedEvents(summary)).toEqual(events.map(event => ({
+            ...event,
+            queued_at: expect.any(String),
+            queue_version: 2,
+            replayed_from: 'failed_batch:queue_1.ndjson:0-9'
+        })));
+        expect(new ReadyQueue(queueDir).list().map(({ entry }) => entry.file)).toEqual([summary.file]);
+        expect(store.list()).toEqual([]);
+        expect(store.list({ includeReplayed: true })).toHaveLength(1);
+        expect(store.replay()).toMatchObject({ records: 0, file: null });
+    });
+    
+    test('poison lines replay only through an edit that rebuilds them', () => {
+        store.writePoisonLine('queue_1.ndjson', { offset: 0, raw: '{"activity":"tool_call"', error: 'Unexpected end' });
+        
+        expect(store.replay()).toMatchObject({ replayed: 0, skipped: 1, file: null });
+        
+        const edit = (event, record) => makeEvent({ activity_id: 'fixed', raw_length: record.raw.length });
+        const summary = store.replay({ edit });
+        expect(summary).toMatchObject({ replayed: 1, events: 1 });
+        expect(replayedEvents(summary)[0]).toMatchObject({ activity_id: 'fixed', raw_length: 23 });
+    });
+    
+    test('an edit returning null leaves the record dead-lettered', () => {
+        store.writeFailedBatch('queue_1.ndjson', { startOffset: 0, endOffset: 9, events: [makeEvent()], error: 'x', attempts: 5 });
+        
+        expect(store.replay({ edit: () => null })).toMatchObject({ replayed: 0, skipped: 1 });
+        expect(store.list()).toHaveLength(1);
+    });
+    
+    test('edits get a copy of the dead-lettered event', () => {
+        writeValidationRecords([{ event: makeEvent({ activity_id: 'v1' }), errors: [] }]);
+        const [record] = store.list();
+        
+        store.replay({ edit: event => Object.assign(event, { customer: 'edited' }), dryRun: true });
+        
+        expect(record.event.customer).toBe('c1');
+    });
+    
+    test('events that still fail validation under reject stay dead-lettered', () => {
+        const validation = { defaultPolicy: 'reject' };
+        const invalid = makeEvent({ activity_id: 'v1', feature_json: { tool_name: 42, success: true } });
+        writeValidationRecords([{ event: invalid, errors: ['tool_name: expected string'] }]);
+        
+        expect(store.replay({ validation })).toMatchObject({ replayed: 0, invalid: 1, file: null });
+        expect(store.list().map(record => record.id)).toEqual(['validation:v1']);
+        
+        const fixed = store.replay({ validation, edit: event => ({ ...event, feature_json: { ...event.feature_json, tool_name: 'Read' } }) });
+        expect(fixed).toMatchObject({ replayed: 1, invalid: 0 });
+        expect(store.list()).toEqual([]);
+    });
+    
+    test('replay applies the validation policies used at enqueue', () => {
+        const invalid = makeEvent({ activity_id: 'v1', feature_json: { tool_name: 42, success: true } });
+        writeValidationRecords([{ event: invalid, errors: ['tool_name: expected string'] }]);
+        
+        expect(store.replay({ validation: { defaultPolicy: 'warn', policies: { tool_event: 'quarantine' } }, dryRun: true })).toMatchObject({ replayed: 0, invalid: 1 });
+        
+        const summary = store.replay();
+        expect(summary).toMatchObject({ replayed: 1, invalid: 0 });
+        expect(replayedEvents(summary)[0].activity_id).toBe('v1');
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Replayed event v1 failed tool_event validation'));
+    });
+    
+    test('only the invalid events of a batch stay dead-lettered', () => {
+        const events = [
+            makeEvent({ activity_id: 'good' }),
+            makeEvent({ activity_id: 'bad', feature_json: { tool_name: 42, success: true } }),
+            makeEvent({ activity_id: 'also-good' })
+        ];
+        store.writeFailedBatch('queue_1.ndjson', { startOffset: 0, endOffset: 9, events, error: 'x', attempts: 5 });
+        
+        const summary = store.replay({ validation: { defaultPolicy: 'reject' } });
+        expect(summary).toMatchObject({ records: 1, replayed: 1, events: 2, invalid: 1 });
+        expect(replayedEvents(summary).map(event => event.activity_id)).toEqual(['good', 'also-good']);
+        expect(store.list()).toEqual([expect.objectContaining({
+            id: 'failed_batch:queue_1.ndjson:0-9:invalid',
+            kind: 'failed_batch',
+            source_file: 'queue_1.ndjson',
+            error: expect.stringContaining('bad: '),
+            events: [events[1]]
+        })]);
+        
+        expect(store.replay({ validate: false })).toMatchObject({ replayed: 1, events: 1 });
+        expect(store.list()).toEqual([]);
+    });
+    
+    test('edited events are redacted before they are written', () => {
+        store.writePoisonLine('queue_1.ndjson', { offset: 0, raw: 'token=abc123', error: 'Unexpected token' });
+        
+        const summary = store.replay({ edit: (event, record) => makeEvent({ feature_json: { tool_name: 'Bash', success: true, note: record.raw } }) });
+        
+        expect(fs.readFileSync(summary.file, 'utf8')).not.toContain('abc123');
+        expect(replayedEvents(summary)[0].feature_json.note).toBe('token=[REDACTED:password_assignment]');
+    });
+    
+    test('a dry run reports without writing', () => {
+        store.writeFailedBatch('queue_1.ndjson', { startOffset: 0, endOffset: 9, events: [makeEvent()], error: 'x', attempts: 5 });
+        
+        expect(store.replay({ dryRun: true })).toMatchObject({ replayed: 1, events: 1, file: null });
+        expect(new ReadyQueue(queueDir).list()).toEqual([]);
+        expect(store.list()).toHaveLength(1);
+    });
+    
+    test('deadLetterFileRemainder batches events from the offset and keeps poison lines apart', async () => {
+        const file = path.join(queueDir, 'queue_1.ndjson');
+        const first = JSON.stringify(makeEvent({ activity_id: 'uploaded' })) + '\n';
+        fs.writeFileSync(file, first + ['a', 'b', 'c'].map(id => JSON.stringify(makeEvent({ activity_id: id }))).join('\n') + '\n{oops\n');
+        
+        const summary = await deadLetterFileRemainder(store, file, Buffer.byteLength(first), { batchSize: 2, error: 'boom', attempts: 5 });
+        
+        expect(summary).toEqual({ events: 3, poisonLines: 1, corruptRecords: 0 });
+        const batches = store.list({ kind: 'failed_batch' });
+        expect(batches.map(batch => batch.events.map(event => event.activity_id))).toEqual([['a', 'b'], ['c']]);
+        expect(batches[0]).toMatchObject({ start_offset: Buffer.byteLength(first), error: 'boom', attempts: 5 });
+        expect(batches[1].start_offset).toBe(batches[0].end_offset);
+        expect(store.list({ kind: 'poison_line' })[0]).toMatchObject({ raw: '{oops' });
+    });
+});
+
+describe('uploader dead letters', () => {
+    let queueDir;
+    let uploader;
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(async () => {
+        await uploader.shutdown();
+        removeDir(queueDir);
+    });
+    
+    test('a file that keeps failing is dead-lettered and archived', async () => {
+        const executor = { executeMerge: async () => { throw new Error('Connection reset by peer'); } };
+        uploader = createUploader(queueDir, { executor, maxRetries: 1, maxFileAttempts: 2 });
+        writeReadyFile(queueDir, [makeEvent({ activity_id: 'a' })]);
+        
+        await uploader.processQueue();
+        expect(new ReadyQueue(queueDir).list()[0].entry).toMatchObject({ attempts: 1, last_error: 'Connection reset by peer' });
+        
+        await uploader.processQueue();
+        const store = new DeadLetterStore({ queueDir });
+        expect(store.list()).toEqual([expect.objectContaining({ kind: 'failed_batch', attempts: 2, events: [expect.objectContaining({ activity_id: 'a' })] })]);
+        expect(new ReadyQueue(queueDir).list()).toEqual([]);
+        expect(fs.readdirSync(path.join(queueDir, 'archive'))).toHaveLength(1);
+        expect(uploader.stats).toMatchObject({ filesDeadLettered: 1, eventsDeadLettered: 1 });
+    });
+    
+    test('unparseable lines are dead-lettered and the rest of the file loads', async () => {
+        uploader = createUploader(queueDir);
+        const file = path.join(queueDir, 'queue_1.ndjson');
+        fs.writeFileSync(file, `${JSON.stringify(makeEvent({ activity_id: 'a' }))}\n{not json\n`);
+        new ReadyQueue(queueDir).mark(file, 0);
+        
+        await uploader.processQueue();
+        
+        const offset = Buffer.byteLength(fs.readFileSync(path.join(queueDir, 'archive', fs.readdirSync(path.join(queueDir, 'archive'))[0]), 'utf8').split('\n')[0]) + 1;
+        expect(new DeadLetterStore({ queueDir }).list()).toEqual([
+            expect.objectContaining({ id: `poison_line:queue_1.ndjson:${offset}`, raw: '{not json' })
+        ]);
+        expect(uploader.stats.poisonLines).toBe(1);
+    });
+});
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const { DURABILITY_MODES } = require('../activity_schema/ndjson_queue');
+const { makeTempDir, removeDir, quietConsole, createQueue, queuedEvents } = require('./helpers');
+
+describe('durability modes', () => {
+    let queueDir;
+    let queue;
+    
+    const appendMany = count => Promise.all(
+        Array.from({ length: count }, (_, i) => queue.appendEvent({ activity: 'custom', customer: 'c1', feature_json: { i } }))
+    );
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(async () => {
+        if (queue) await queue.shutdown();
+        queue = null;
+        removeDir(queueDir);
+    });
+    
+    test('defaults to os-buffered, which never fsyncs per append', async () => {
+        queue = createQueue(queueDir);
+        const fsync = jest.spyOn(fs, 'fsyncSync');
+        await appendMany(5);
+        
+        expect(queue.durability).toBe('os-buffered');
+        expect(fsync).not.toHaveBeenCalled();
+        expect(queuedEvents(queueDir)).toHaveLength(5);
+    });
+    
+    test('fsync-every-event fsyncs before each append resolves', async () => {
+        queue = createQueue(queueDir, { durability: 'fsync-every-event' });
+        const fsync = jest.spyOn(fs, 'fsyncSync');
+        await appendMany(5);
+        
+        expect(fsync).toHaveBeenCalledTimes(5);
+        expect(queue.stats.fsyncs).toBe(5);
+    });
+    
+    test('group-commit shares one fsync between concurrent appends', async () => {
+        queue = createQueue(queueDir, { durability: 'group-commit', groupCommitMs: 20 });
+        const fsync = jest.spyOn(fs, 'fsyncSync');
+        await appendMany(10);
+        
+        expect(fsync).toHaveBeenCalledTimes(1);
+        expect(queuedEvents(queueDir)).toHaveLength(10);
+    });
+    
+    test('group-commit flushes early once groupCommitBytes are pending', async () => {
+        queue = createQueue(queueDir, { durability: 'group-commit', groupCommitMs: 60000, groupCommitBytes: 1 });
+        await appendMany(3);
+        
+        expect(queue.stats.fsyncs).toBe(3);
+    });
+    
+    test('a failed group fsync rejects every waiting append', async () => {
+        queue = createQueue(queueDir, { durability: 'group-commit', groupCommitMs: 20 });
+        jest.spyOn(fs, 'fsyncSync').mockImplementationOnce(() => {
+            throw new Error('EIO: fsync failed');
+        });
+        const results = await Promise.allSettled([
+            queue.appendEvent({ activity: 'a' }),
+            queue.appendEvent({ activity: 'b' })
+        ]);
+        
+        expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+        expect(queue.stats.errors).toBeGreaterThanOrEqual(1);
+    });
+    
+    test('rejects unknown modes', () => {
+        expect(DURABILITY_MODES).toEqual(['os-buffered', 'group-commit', 'fsync-every-event']);
+        expect(() => createQueue(queueDir, { durability: 'sometimes' })).toThrow('Unknown durability mode: sometimes');
+    });
+});
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const EnrichmentPipeline = require('../activity_schema/enrichment');
+const { makeTempDir, removeDir, quietConsole, createQueue, queuedEvents } = require('./helpers');
+
+const event = (featureJson = {}) => ({ activity: 'custom', feature_json: featureJson });
+
+describe('built-in enrichers', () => {
+    let dir;
+    
+    beforeEach(() => {
+        dir = makeTempDir();
+    });
+    
+    afterEach(() => {
+        removeDir(dir);
+    });
+    
+    test('session and host fill missing identity without overwriting it', async () => {
+        const pipeline = new EnrichmentPipeline({ session: { sessionId: 's1' }, host: { hostname: 'h1', user: 'u1' } });
+        
+        const filled = await pipeline.run(event());
+        expect(filled).toMatchObject({ customer: 's1', anonymous_customer_id: 'h1' });
+        expect(filled.feature_json._context).toEqual({ hostname: 'h1', user: 'u1' });
+        
+        const kept = await pipeline.run({ ...event({ _context: { user: 'producer' } }), customer: 'c1', anonymous_customer_id: 'a1' });
+        expect(kept).toMatchObject({ customer: 'c1', anonymous_customer_id: 'a1' });
+        expect(kept.feature_json._context.user).toBe('producer');
+    });
+    
+    test('payloads that are not plain objects are left as they are', async () => {
+        const pipeline = new EnrichmentPipeline({ session: { sessionId: 's1' }, host: { hostname: 'h1', user: 'u1' } });
+        
+        expect((await pipeline.run(event('plain text'))).feature_json).toBe('plain text');
+        expect((await pipeline.run(event(['a', 'b']))).feature_json).toEqual(['a', 'b']);
+        expect((await pipeline.run({ activity: 'custom' })).feature_json).toEqual({ _context: { hostname: 'h1', user: 'u1' } });
+    });
+    
+    test('git is off unless a directory is configured', () => {
+        expect(new EnrichmentPipeline().getStats().map(mw => mw.name)).toEqual(['session', 'host']);
+        expect(new EnrichmentPipeline({ git: { dir } }).getStats().map(mw => mw.name)).toEqual(['session', 'host', 'git']);
+        expect(() => new EnrichmentPipeline({ builtins: ['git'] })).toThrow('enrichment.git.dir');
+        expect(() => new EnrichmentPipeline({ builtins: ['nope'] })).toThrow('Unknown built-in enricher: nope');
+    });
+    
+    test('git reads the configured directory and ignores producer paths', async () => {
+        const git = (...args) => execFileSync('git', args, { cwd: dir, stdio: 'ignore' });
+        git('init', '-q', '-b', 'trunk');
+        git('-c', 'user.email=a@b.c', '-c', 'user.name=a', 'commit', '-q', '--allow-empty', '-m', 'x');
+        const elsewhere = makeTempDir();
+        
+        const pipeline = new EnrichmentPipeline({ builtins: ['git'], git: { dir } });
+        const enriched = await pipeline.run(event({ project_path: elsewhere, cwd: '/' }));
+        removeDir(elsewhere);
+        
+        expect(enriched.feature_json.project_path).toBe(elsewhere);
+        expect(enriched.feature_json._context).toMatchObject({
+            cwd: dir,
+            git_repo: path.basename(dir),
+            git_branch: 'trunk',
+            git_commit: expect.stringMatching(/^[0-9a-f]{12}$/)
+        });
+    });
+    
+    test('git records only the directory when it is not a repo', async () => {
+        const pipeline = new EnrichmentPipeline({ builtins: ['git'], git: { dir } });
+        expect((await pipeline.run(event())).feature_json._context).toEqual({ cwd: dir });
+    });
+});
+
+describe('middleware chain', () => {
+    let pipeline;
+    
+    beforeEach(() => {
+        quietConsole();
+        pipeline = new EnrichmentPipeline({ builtins: [] });
+    });
+    
+    test('a returned event replaces it, undefined keeps it and null drops it', async () => {
+        pipeline.use(async e => ({ ...e, team: 'data' }), { name: 'team' });
+        pipeline.use(async e => (e.activity === 'noise' ? null : undefined), { name: 'filter' });
+        
+        expect(await pipeline.run(event())).toMatchObject({ team: 'data' });
+        expect(await pipeline.run({ activity: 'noise' })).toBeNull();
+        expect(pipeline.getStats()).toEqual([
+            { name: 'team', disabled: false, errors: 0, dropped: 0 },
+            { name: 'filter', disabled: false, errors: 0, dropped: 1 }
+        ]);
+    });
+    
+    test('a failing middleware leaves no half-applied changes', async () => {
+        pipeline.use(async e => {
+            e.feature_json.partial = true;
+            throw new Error('boom');
+        }, { name: 'broken' });
+        
+        const original = event({ a: 1 });
+        expect(await pipeline.run(original)).toEqual(event({ a: 1 }));
+        expect(original.feature_json).toEqual({ a: 1 });
+        expect(pipeline.getStats()[0].errors).toBe(1);
+    });
+    
+    test('a middleware past its timeout is skipped', async () => {
+        pipeline.use(() => new Promise(resolve => setTimeout(() => resolve({ late: true }), 200)), { name: 'slow', timeoutMs: 10 });
+        
+        expect(await pipeline.run(event())).toEqual(event());
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('timed out after 10ms'));
+    });
+    
+    test('a middleware is disabled after consecutive failures', async () => {
+        pipeline = new EnrichmentPipeline({ builtins: [], maxConsecutiveErrors: 2 });
+        pipeline.use(async () => 'not an event', { name: 'bad' });
+        
+        await pipeline.run(event());
+        await pipeline.run(event());
+        
+        expect(pipeline.getStats()[0]).toMatchObject({ disabled: true, errors: 2 });
+        expect(console.error).toHaveBeenCalledTimes(2);
+    });
+    
+    test('plugins load relative to their config file and bad ones are skipped', async () => {
+        const dir = makeTempDir();
+        fs.writeFileSync(path.join(dir, 'team.js'), 'module.exports = options => async e => ({ ...e, team: options.team });');
+        fs.writeFileSync(path.join(dir, 'plugins.json'), JSON.stringify({
+            plugins: [
+                { name: 'team', module: './team.js', options: { team: 'data' } },
+                { name: 'missing', module: './missing.js' },
+                { name: 'off', module: './team.js', enabled: false }
+            ]
+        }));
+        
+        pipeline = new EnrichmentPipeline({ builtins: [], pluginFile: path.join(dir, 'plugins.json') });
+        removeDir(dir);
+        
+        expect(pipeline.getStats().map(mw => mw.name)).toEqual(['team']);
+        expect(await pipeline.run(event())).toMatchObject({ team: 'data' });
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to load enrichment plugin missing'));
+    });
+});
+
+describe('enrichment at enqueue', () => {
+    let queueDir;
+    let queue;
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(async () => {
+        await queue.shutdown();
+        removeDir(queueDir);
+    });
+    
+    test('middleware cannot change the queue metadata', async () => {
+        queue = createQueue(queueDir, { enrichment: { builtins: [] } });
+        queue.use(async e => ({ ...e, activity_id: 'forged', team: 'data' }));
+        
+        const id = await queue.appendEvent({ activity: 'custom', customer: 'c1', feature_json: {} });
+        
+        expect(queuedEvents(queueDir)).toEqual([expect.objectContaining({ activity_id: id, team: 'data' })]);
+        expect(id).not.toBe('forged');
+    });
+    
+    test('a dropped event is not written', async () => {
+        queue = createQueue(queueDir, { enrichment: { builtins: [] } });
+        queue.use(async () => null);
+        
+        await queue.appendEvent({ activity: 'custom', customer: 'c1', feature_json: {} });
+        expect(queuedEvents(queueDir)).toEqual([]);
+    });
+});
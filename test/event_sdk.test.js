@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const EventSDK = require('../activity_schema/event_sdk');
+const EventValidator = require('../activity_schema/event_validator');
+const { generate, staleFiles } = require('../activity_schema/generate_sdk');
+const { makeTempDir, removeDir } = require('./helpers');
+
+const SCHEMA_FILE = path.join(__dirname, '..', 'schemas', 'event_schemas.json');
+
+describe('EventSDK', () => {
+    let events;
+    let sdk;
+    
+    beforeEach(() => {
+        events = [];
+        sdk = new EventSDK({
+            queue: { appendEvent: async event => { events.push(event); return `id-${events.length}`; } },
+            customer: 's1'
+        });
+    });
+    
+    test('has one method per schema event type', () => {
+        const { events: types } = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+        expect(Object.keys(EventSDK.EVENT_TYPES)).toEqual(Object.keys(types));
+        const methods = ['emitSqlEvent', 'emitLlmEvent', 'emitToolEvent', 'emitFileEvent', 'emitSessionEvent', 'emitMcpEvent', 'emitSystemEvent'];
+        expect(methods.filter(method => typeof sdk[method] !== 'function')).toEqual([]);
+    });
+    
+    test('builds events that pass schema validation', async () => {
+        const validator = new EventValidator();
+        
+        expect(await sdk.emitSqlEvent({ query_id: 'q1', sql: 'SELECT 1', success: true, duration_ms: 420 })).toBe('id-1');
+        await sdk.emitLlmEvent({ model: 'claude-sonnet-4', prompt_tokens: 10, completion_tokens: 5 });
+        await sdk.emitSessionEvent({ session_id: 's1', event_type: 'end' });
+        await sdk.emitSystemEvent({ event_type: 'error_recovery', severity: 'error' });
+        
+        expect(events.map(event => event.activity)).toEqual(['claude_sql_execution', 'claude_responded', 'claude_session_end', 'error_recovery']);
+        expect(events.every(event => event.customer === 's1')).toBe(true);
+        expect(events.map(event => validator.validate(event)).filter(result => !result.valid)).toEqual([]);
+    });
+    
+    test('options set the activity and common fields, extra adds unknown fields', async () => {
+        await sdk.emitToolEvent({ tool_name: 'Read', success: true }, {
+            activity: 'tool_call',
+            ts: '2026-01-01T00:00:00.000Z',
+            activity_id: 'a1',
+            extra: { attempt: 2 },
+            unrelated: 'ignored'
+        });
+        
+        expect(events[0]).toEqual({
+            activity: 'tool_call',
+            customer: 's1',
+            ts: '2026-01-01T00:00:00.000Z',
+            activity_id: 'a1',
+            feature_json: { tool_name: 'Read', success: true, attempt: 2 }
+        });
+    });
+    
+    test('rejects unknown fields, missing required fields and foreign activities', async () => {
+        await expect(sdk.emitSqlEvent({ query_id: 'q', sql: 's', success: true, latency_ms: 1 })).rejects.toThrow('Unknown sql_event field(s): latency_ms');
+        await expect(sdk.emitSqlEvent({ query_id: 'q' })).rejects.toThrow('Missing required sql_event field(s): sql, success');
+        await expect(sdk.emitToolEvent({ tool_name: 'Read', success: true }, { activity: 'claude_responded' }))
+            .rejects.toThrow('claude_responded is not a tool_event activity');
+        await expect(sdk.emitSessionEvent({ session_id: 's1', event_type: 'restart' })).rejects.toThrow('pass options.activity');
+        await expect(sdk.emit('made_up_event', {})).rejects.toThrow('Unknown event type: made_up_event');
+        expect(events).toEqual([]);
+    });
+});
+
+describe('generate_sdk', () => {
+    let dir;
+    
+    beforeEach(() => {
+        dir = makeTempDir();
+    });
+    
+    afterEach(() => {
+        removeDir(dir);
+    });
+    
+    test('the committed SDK matches the schema', () => {
+        expect(staleFiles()).toEqual([]);
+    });
+    
+    test('a schema change makes both files stale', () => {
+        const schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+        schema.events.llm_event.properties.model.enum.push('claude-next');
+        const schemaFile = path.join(dir, 'event_schemas.json');
+        fs.writeFileSync(schemaFile, JSON.stringify(schema, null, 2));
+        
+        expect(staleFiles(schemaFile).map(file => path.basename(file)).sort()).toEqual(['event_sdk.d.ts', 'event_sdk.js']);
+        
+        const types = Object.entries(generate(schemaFile)).find(([file]) => file.endsWith('.d.ts'))[1];
+        expect(types).toContain('"gpt-3.5-turbo" | "other" | "claude-next"');
+        expect(types).toContain('interface LlmEventFields');
+    });
+});
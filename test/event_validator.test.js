@@ -0,0 +1,147 @@
+const path = require('path');
+const EventValidator = require('../activity_schema/event_validator');
+const { EventValidationError } = EventValidator;
+const { makeTempDir, removeDir, quietConsole, readNdjson, createQueue, queuedEvents } = require('./helpers');
+
+const toolEvent = featureJson => ({ activity: 'tool_call', customer: 'c1', feature_json: featureJson });
+
+describe('EventValidator', () => {
+    const validator = new EventValidator();
+    
+    test('accepts an event matching its schema', () => {
+        const result = validator.validate(toolEvent({ tool_name: 'Read', success: true, latency_ms: 12 }));
+        expect(result).toEqual({ eventType: 'tool_event', valid: true, errors: [] });
+    });
+    
+    test('resolves activities to their event type', () => {
+        expect(validator.resolveEventType({ activity: 'query_complete' })).toBe('sql_event');
+        expect(validator.resolveEventType({ activity: 'tool_event' })).toBe('tool_event');
+        expect(validator.resolveEventType({ activity: 'custom_thing' })).toBeNull();
+    });
+    
+    test('passes activities without a schema', () => {
+        expect(validator.validate({ activity: 'custom_thing', feature_json: 'anything' }).valid).toBe(true);
+    });
+    
+    test('reports missing required fields', () => {
+        const result = validator.validate(toolEvent({ tool_name: 'Read' }));
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual(['missing required field: success']);
+    });
+    
+    test('requires feature_json to be an object', () => {
+        expect(validator.validate(toolEvent(['Read'])).errors).toEqual(['feature_json must be an object']);
+        expect(validator.validate({ activity: 'tool_call' }).errors).toEqual(['feature_json must be an object']);
+    });
+    
+    test('checks field types', () => {
+        const result = validator.validate(toolEvent({ tool_name: 7, success: 'yes', latency_ms: Infinity, parameters: [] }));
+        expect(result.errors).toEqual([
+            'tool_name must be of type string',
+            'parameters must be of type object',
+            'success must be of type boolean',
+            'latency_ms must be of type number'
+        ]);
+    });
+    
+    test('checks array fields', () => {
+        const sessionEnd = toolsUsed => ({
+            activity: 'claude_session_end',
+            customer: 'c1',
+            feature_json: { session_id: 's1', event_type: 'end', tools_used: toolsUsed }
+        });
+        
+        expect(validator.validate(sessionEnd(['Edit', 'Read'])).valid).toBe(true);
+        expect(validator.validate(sessionEnd('Read')).errors).toEqual(['tools_used must be of type array']);
+        expect(validator.validate(sessionEnd({ 0: 'Read' })).errors).toEqual(['tools_used must be of type array']);
+    });
+    
+    test('checks enums', () => {
+        const result = validator.validate(toolEvent({ tool_name: 'Read', success: true, tool_category: 'teleport' }));
+        expect(result.errors).toEqual(['tool_category must be one of: file, search, execute, analyze, transform']);
+    });
+    
+    test('allows null only for nullable fields', () => {
+        expect(validator.validate(toolEvent({ tool_name: 'Read', success: false, error: null })).valid).toBe(true);
+        expect(validator.validate(toolEvent({ tool_name: 'Read', success: false, latency_ms: null })).errors)
+            .toEqual(['latency_ms must not be null']);
+    });
+    
+    test('rejects unknown policies', () => {
+        expect(() => new EventValidator({ defaultPolicy: 'ignore' })).toThrow('Unknown validation policy: ignore');
+        expect(() => new EventValidator({ policies: { tool_event: 'drop' } })).toThrow('Unknown validation policy: drop');
+    });
+    
+    test('uses per-type policies over the default', () => {
+        const configured = new EventValidator({ defaultPolicy: 'reject', policies: { tool_event: 'quarantine' } });
+        expect(configured.policyFor('tool_event')).toBe('quarantine');
+        expect(configured.policyFor('sql_event')).toBe('reject');
+    });
+});
+
+describe('validation policies at enqueue', () => {
+    let queueDir;
+    let queue;
+    const deadLetters = () => readNdjson(path.join(queueDir, 'dead_letter', 'validation.ndjson'));
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(async () => {
+        await queue.shutdown();
+        removeDir(queueDir);
+    });
+    
+    test('warn queues the event without a dead letter', async () => {
+        queue = createQueue(queueDir, { validation: { defaultPolicy: 'warn' } });
+        const id = await queue.appendEvent(toolEvent({ tool_name: 'Read' }));
+        
+        expect(queuedEvents(queueDir).map(event => event.activity_id)).toEqual([id]);
+        expect(deadLetters()).toEqual([]);
+        expect(queue.stats.validationFailures).toBe(1);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('missing required field: success'));
+    });
+    
+    test('reject throws and writes a dead letter', async () => {
+        queue = createQueue(queueDir, { validation: { defaultPolicy: 'reject' } });
+        
+        const error = await queue.appendEvent(toolEvent({ tool_name: 'Read' })).catch(err => err);
+        expect(error).toBeInstanceOf(EventValidationError);
+        expect(error.eventType).toBe('tool_event');
+        expect(error.errors).toEqual(['missing required field: success']);
+        
+        expect(queuedEvents(queueDir)).toEqual([]);
+        const [record] = deadLetters();
+        expect(record).toMatchObject({ event_type: 'tool_event', policy: 'reject', errors: ['missing required field: success'] });
+        expect(record.event.feature_json).toEqual({ tool_name: 'Read' });
+        expect(queue.stats.eventsRejected).toBe(1);
+    });
+    
+    test('quarantine keeps the event out of the queue and returns its id', async () => {
+        queue = createQueue(queueDir, { validation: { policies: { tool_event: 'quarantine' } } });
+        const id = await queue.appendEvent(toolEvent({ tool_name: 'Read', success: 'no' }));
+        
+        expect(queuedEvents(queueDir)).toEqual([]);
+        const [record] = deadLetters();
+        expect(record).toMatchObject({ policy: 'quarantine', errors: ['success must be of type boolean'] });
+        expect(record.event.activity_id).toBe(id);
+        expect(queue.stats.eventsQuarantined).toBe(1);
+    });
+    
+    test('valid events are queued under any policy', async () => {
+        queue = createQueue(queueDir, { validation: { defaultPolicy: 'reject' } });
+        await queue.appendEvent(toolEvent({ tool_name: 'Read', success: true }));
+        
+        expect(queuedEvents(queueDir)).toHaveLength(1);
+        expect(deadLetters()).toEqual([]);
+    });
+    
+    test('validation: false queues anything', async () => {
+        queue = createQueue(queueDir, { validation: false });
+        await queue.appendEvent(toolEvent('not an object'));
+        
+        expect(queuedEvents(queueDir)).toHaveLength(1);
+    });
+});
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { SnowCliExecutor, RecordingExecutor, LocalTableExecutor, createExecutor } = require('../activity_schema/executors');
+const { makeTempDir, removeDir, quietConsole, readNdjson, createUploader, writeReadyFile, makeEvent } = require('./helpers');
+
+const TABLE = 'CLAUDE_LOGS.ACTIVITIES.CLAUDE_STREAM_V2';
+
+describe('LocalTableExecutor', () => {
+    let dir;
+    
+    beforeEach(() => {
+        dir = makeTempDir();
+    });
+    
+    afterEach(() => removeDir(dir));
+    
+    test('merges on activity_id and counts only new rows', async () => {
+        const executor = new LocalTableExecutor();
+        expect(await executor.executeMerge({ table: TABLE, rows: [{ activity_id: 'a' }, { activity_id: 'b' }] })).toEqual({ inserted: 2 });
+        expect(await executor.executeMerge({ table: TABLE, rows: [{ activity_id: 'b' }, { activity_id: 'c' }] })).toEqual({ inserted: 1 });
+        expect(executor.getRows(TABLE).map(row => row.activity_id)).toEqual(['a', 'b', 'c']);
+    });
+    
+    test('keeps tables apart', async () => {
+        const executor = new LocalTableExecutor();
+        await executor.executeMerge({ table: 'A', rows: [{ activity_id: 'x' }] });
+        expect(await executor.executeMerge({ table: 'B', rows: [{ activity_id: 'x' }] })).toEqual({ inserted: 1 });
+    });
+    
+    test('persists rows to the table file and reloads them', async () => {
+        const tableFile = path.join(dir, 'table.ndjson');
+        await new LocalTableExecutor({ tableFile }).executeMerge({ table: TABLE, rows: [{ activity_id: 'a', customer: 'c1' }] });
+        
+        const reloaded = new LocalTableExecutor({ tableFile });
+        expect(reloaded.getRows(TABLE)).toEqual([{ activity_id: 'a', customer: 'c1' }]);
+        expect(await reloaded.executeMerge({ table: TABLE, rows: [{ activity_id: 'a' }] })).toEqual({ inserted: 0 });
+    });
+    
+    test('sets activity_repeated_at on the previous occurrence', async () => {
+        const executor = new LocalTableExecutor();
+        const row = (id, occurrence, ts) => ({ activity_id: id, customer: 'c1', activity: 'tool_call', activity_occurrence: occurrence, ts, activity_repeated_at: null });
+        await executor.executeMerge({ table: TABLE, rows: [row('a', 1, '2026-01-01T00:00:00Z')] });
+        await executor.executeMerge({ table: TABLE, rows: [row('b', 2, '2026-01-01T00:05:00Z')] });
+        
+        const [first, second] = executor.getRows(TABLE);
+        expect(first.activity_repeated_at).toBe('2026-01-01T00:05:00Z');
+        expect(second.activity_repeated_at).toBeNull();
+    });
+    
+    test('merges on key columns and updates matches when asked', async () => {
+        const executor = new LocalTableExecutor();
+        const key = ['kb_id'];
+        await executor.executeMerge({ table: 'KB', key, rows: [{ kb_id: 'k1', rating: 1 }] });
+        
+        expect(await executor.executeMerge({ table: 'KB', key, rows: [{ kb_id: 'k1', rating: 2 }] })).toEqual({ inserted: 0 });
+        expect(executor.getRows('KB')).toEqual([{ kb_id: 'k1', rating: 1 }]);
+        
+        await executor.executeMerge({ table: 'KB', key, update: true, rows: [{ kb_id: 'k1', rating: 3 }] });
+        expect(executor.getRows('KB')).toEqual([{ kb_id: 'k1', rating: 3 }]);
+    });
+});
+
+describe('RecordingExecutor', () => {
+    let dir;
+    
+    beforeEach(() => {
+        dir = makeTempDir();
+    });
+    
+    afterEach(() => removeDir(dir));
+    
+    test('writes each statement and its rows', async () => {
+        const executor = new RecordingExecutor({ outputDir: dir });
+        const result = await executor.executeMerge({ table: TABLE, sql: 'MERGE 1;', rows: [{ activity_id: 'a' }, { activity_id: 'b' }] });
+        
+        expect(result).toEqual({ inserted: 2 });
+        const files = fs.readdirSync(dir).sort();
+        expect(files).toHaveLength(2);
+        expect(fs.readFileSync(path.join(dir, files[1]), 'utf8')).toBe('MERGE 1;');
+        expect(readNdjson(path.join(dir, files[0]))).toEqual([{ activity_id: 'a' }, { activity_id: 'b' }]);
+    });
+    
+    test('forwards to a delegate after recording', async () => {
+        const delegate = new LocalTableExecutor();
+        const executor = new RecordingExecutor({ outputDir: dir, delegate });
+        await executor.executeMerge({ table: TABLE, sql: 'MERGE;', rows: [{ activity_id: 'a' }] });
+        
+        expect(await executor.executeMerge({ table: TABLE, sql: 'MERGE;', rows: [{ activity_id: 'a' }] })).toEqual({ inserted: 0 });
+        expect(fs.readdirSync(dir)).toHaveLength(4);
+    });
+});
+
+describe('SnowCliExecutor', () => {
+    let dir;
+    
+    // A stand-in for the snow CLI that prints the given output and exits with the given code
+    const fakeSnow = (output, exitCode = 0) => {
+        const script = path.join(dir, 'snow');
+        fs.writeFileSync(script, `#!/bin/sh\ncat <<'OUT'${exitCode ? ' >&2' : ''}\n${output}\nOUT\nexit ${exitCode}\n`, { mode: 0o755 });
+        return new SnowCliExecutor({ snowCmd: script, snowConnection: 'test', workDir: dir });
+    };
+    
+    beforeEach(() => {
+        dir = makeTempDir();
+    });
+    
+    afterEach(() => removeDir(dir));
+    
+    test('defaults to the snow CLI on PATH', () => {
+        expect(new SnowCliExecutor().snowCmd).toBe('snow');
+    });
+    
+    test('parses the inserted row count', async () => {
+        const executor = fakeSnow('+-------------------------+\n| number of rows inserted: 3 |');
+        expect(await executor.executeMerge({ sql: 'MERGE;' })).toEqual({ inserted: 3 });
+        expect(executor.parseInsertedCount('0 Row(s) produced')).toBe(0);
+    });
+    
+    test('removes its temporary SQL file', async () => {
+        await fakeSnow('number of rows inserted: 1').executeMerge({ sql: 'MERGE;' });
+        expect(fs.readdirSync(dir)).toEqual(['snow']);
+    });
+    
+    test('surfaces the CLI error text', async () => {
+        const executor = fakeSnow('002003 (42S02): Table does not exist', 1);
+        await expect(executor.executeMerge({ sql: 'MERGE;' })).rejects.toThrow('002003 (42S02): Table does not exist');
+    });
+    
+    test('rejects unexpected output', async () => {
+        await expect(fakeSnow('hello').executeMerge({ sql: 'MERGE;' })).rejects.toThrow('Unexpected output: hello');
+    });
+});
+
+describe('createExecutor', () => {
+    test('builds each backend', () => {
+        expect(createExecutor({})).toBeInstanceOf(SnowCliExecutor);
+        expect(createExecutor({ executor: 'local' })).toBeInstanceOf(LocalTableExecutor);
+        expect(() => createExecutor({ executor: 'bogus' })).toThrow('Unknown executor: bogus');
+    });
+    
+    test('records to recordDir', () => {
+        const dir = makeTempDir();
+        try {
+            expect(createExecutor({ executor: 'record', recordDir: dir }).outputDir).toBe(dir);
+        } finally {
+            removeDir(dir);
+        }
+    });
+});
+
+describe('uploader with the local executor', () => {
+    let queueDir;
+    let uploader;
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(async () => {
+        await uploader.shutdown();
+        removeDir(queueDir);
+    });
+    
+    test('uploads ready files, archives them and skips duplicates', async () => {
+        const executor = new LocalTableExecutor();
+        uploader = createUploader(queueDir, { executor });
+        const events = [makeEvent({ activity_id: 'a' }), makeEvent({ activity_id: 'b' })];
+        
+        writeReadyFile(queueDir, events, 'queue_1.ndjson');
+        await uploader.processQueue();
+        writeReadyFile(queueDir, events, 'queue_2.ndjson');
+        await uploader.processQueue();
+        
+        expect(executor.getRows(uploader.targetTable).map(row => row.activity_id)).toEqual(['a', 'b']);
+        expect(uploader.stats).toMatchObject({ filesProcessed: 2, eventsUploaded: 2, duplicatesSkipped: 2 });
+        expect(fs.readdirSync(path.join(queueDir, 'archive'))).toHaveLength(2);
+        expect(uploader.readyQueue.list()).toEqual([]);
+    });
+    
+    test('selects the local backend by name', async () => {
+        const tableFile = path.join(queueDir, 'table.ndjson');
+        uploader = createUploader(queueDir, { executor: 'local', localTableFile: tableFile });
+        writeReadyFile(queueDir, [makeEvent({ activity_id: 'a' })]);
+        await uploader.processQueue();
+        
+        expect(readNdjson(tableFile).map(line => line.row.activity_id)).toEqual(['a']);
+    });
+});
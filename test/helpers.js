@@ -0,0 +1,100 @@
+/**
+ * Shared helpers for the jest specs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DurableNDJSONQueue = require('../activity_schema/ndjson_queue');
+const SnowpipeUploader = require('../activity_schema/snowpipe_uploader');
+const ReadyQueue = require('../activity_schema/ready_queue');
+
+/**
+ * Fresh directory under the OS temp dir
+ */
+function makeTempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'activity-schema-'));
+}
+
+function removeDir(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Silence the modules' progress logging for the current test
+ */
+function quietConsole() {
+    for (const method of ['log', 'warn', 'error']) {
+        jest.spyOn(console, method).mockImplementation(() => {});
+    }
+}
+
+/**
+ * Parsed records of an NDJSON file; a missing file has none
+ */
+function readNdjson(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line).map(line => JSON.parse(line));
+}
+
+function writeNdjson(file, records) {
+    fs.writeFileSync(file, records.map(record => JSON.stringify(record) + '\n').join(''));
+}
+
+/**
+ * Queue with enrichment and sessionization off, so only the feature under test writes records
+ */
+function createQueue(queueDir, config = {}) {
+    return new DurableNDJSONQueue({ queueDir, enrichment: false, sessionization: false, ...config });
+}
+
+/**
+ * Events written to current.ndjson
+ */
+function queuedEvents(queueDir) {
+    return readNdjson(path.join(queueDir, 'current.ndjson'));
+}
+
+/**
+ * Uploader whose processing loop never fires on its own; tests call processQueue()
+ */
+function createUploader(queueDir, config = {}) {
+    return new SnowpipeUploader({ queueDir, executor: 'local', uploadInterval: 60 * 60 * 1000, ...config });
+}
+
+/**
+ * Write events as a rotated queue file and mark it ready for the uploader
+ */
+function writeReadyFile(queueDir, events, name = `queue_${Date.now()}.ndjson`) {
+    const file = path.join(queueDir, name);
+    writeNdjson(file, events);
+    new ReadyQueue(queueDir).mark(file, 0);
+    return file;
+}
+
+/**
+ * A minimal valid event
+ */
+function makeEvent(fields = {}) {
+    return {
+        activity_id: fields.activity_id || `evt-${Math.random().toString(36).slice(2)}`,
+        ts: '2026-01-01T00:00:00.000Z',
+        activity: 'tool_call',
+        customer: 'c1',
+        feature_json: { tool_name: 'Read', success: true },
+        ...fields
+    };
+}
+
+module.exports = {
+    makeTempDir,
+    removeDir,
+    quietConsole,
+    readNdjson,
+    writeNdjson,
+    createQueue,
+    queuedEvents,
+    createUploader,
+    writeReadyFile,
+    makeEvent
+};
@@ -0,0 +1,108 @@
+const http = require('http');
+const QueueHttpServer = require('../activity_schema/http_ingest');
+const { makeTempDir, removeDir, quietConsole, createQueue, queuedEvents } = require('./helpers');
+
+describe('QueueHttpServer', () => {
+    let queueDir;
+    let queue;
+    let server;
+    let port;
+    
+    const request = (method, path, body) => new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+    
+    const start = async (config = {}, queueConfig = {}) => {
+        queue = createQueue(queueDir, queueConfig);
+        server = new QueueHttpServer(queue, { port: 0, ...config });
+        port = await server.start();
+    };
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(async () => {
+        await server.stop();
+        await queue.shutdown();
+        removeDir(queueDir);
+    });
+    
+    test('queues a single event and returns its id', async () => {
+        await start();
+        const res = await request('POST', '/events', JSON.stringify({ activity: 'custom', customer: 'c1' }));
+        
+        expect(res.status).toBe(202);
+        expect(queuedEvents(queueDir)).toEqual([expect.objectContaining({ activity_id: res.body.activity_id, customer: 'c1' })]);
+    });
+    
+    test('rejects bodies that are not a JSON object', async () => {
+        await start();
+        expect(await request('POST', '/events', '{nope')).toMatchObject({ status: 400, body: { error: expect.stringMatching(/^Invalid JSON/) } });
+        expect(await request('POST', '/events', '[1]')).toEqual({ status: 400, body: { error: 'Event must be a JSON object' } });
+        expect(queuedEvents(queueDir)).toEqual([]);
+    });
+    
+    test('answers schema rejections with 422 and the errors', async () => {
+        await start({}, { validation: { defaultPolicy: 'reject' } });
+        const res = await request('POST', '/events', JSON.stringify({ activity: 'tool_call', customer: 'c1', feature_json: { tool_name: 'Read' } }));
+        
+        expect(res.status).toBe(422);
+        expect(res.body.errors).toEqual(['missing required field: success']);
+    });
+    
+    test('queues NDJSON batches with per-line results', async () => {
+        await start();
+        const body = '{"activity":"a","customer":"c1"}\n\nnot json\n"text"\n{"activity":"b","customer":"c1"}\n';
+        const res = await request('POST', '/events/batch', body);
+        
+        expect(res.status).toBe(202);
+        expect(res.body).toMatchObject({ queued: 2, failed: 2 });
+        expect(res.body.results.map(result => Object.keys(result).sort())).toEqual([
+            ['activity_id', 'index'], ['error', 'index'], ['error', 'index'], ['activity_id', 'index']
+        ]);
+        expect(queuedEvents(queueDir).map(event => event.activity)).toEqual(['a', 'b']);
+    });
+    
+    test('queues JSON array batches', async () => {
+        await start();
+        const res = await request('POST', '/events/batch', JSON.stringify([{ activity: 'a' }, { activity: 'b' }]));
+        
+        expect(res.body).toMatchObject({ queued: 2, failed: 0 });
+        expect(await request('POST', '/events/batch', '[1')).toMatchObject({ status: 400 });
+    });
+    
+    test('enforces the body size limits', async () => {
+        await start({ maxEventBytes: 64, maxBatchBytes: 128 });
+        const big = JSON.stringify({ activity: 'a', pad: 'x'.repeat(100) });
+        
+        expect(await request('POST', '/events', big)).toEqual({ status: 413, body: { error: 'Payload exceeds 64 bytes' } });
+        expect((await request('POST', '/events/batch', `${big}\n${big}\n`)).status).toBe(413);
+        expect(queuedEvents(queueDir)).toEqual([]);
+    });
+    
+    test('reports stats and health', async () => {
+        await start();
+        await request('POST', '/events', JSON.stringify({ activity: 'a' }));
+        
+        expect((await request('GET', '/stats')).body).toMatchObject({ eventsQueued: 1 });
+        expect(await request('GET', '/healthz')).toMatchObject({ status: 200, body: { status: 'ok', reason: null } });
+        
+        queue.isBackpressured = true;
+        queue.backpressureReason = 'queue_age';
+        expect(await request('GET', '/healthz')).toMatchObject({ status: 503, body: { status: 'backpressured', reason: 'queue_age' } });
+    });
+    
+    test('answers unknown routes and methods', async () => {
+        await start();
+        expect(await request('GET', '/nope')).toEqual({ status: 404, body: { error: 'Not found' } });
+        expect(await request('GET', '/events')).toEqual({ status: 405, body: { error: 'Method not allowed' } });
+    });
+});
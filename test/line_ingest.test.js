@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Readable } = require('stream');
+const { ingestLines } = require('../activity_schema/line_ingest');
+const { makeTempDir, removeDir, quietConsole, readNdjson, createQueue, queuedEvents } = require('./helpers');
+
+const QUEUE_SCRIPT = path.join(__dirname, '..', 'activity_schema', 'ndjson_queue.js');
+
+describe('ingestLines', () => {
+    let queueDir;
+    let queue;
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+        queue = createQueue(queueDir);
+    });
+    
+    afterEach(async () => {
+        await queue.shutdown();
+        removeDir(queueDir);
+    });
+    
+    test('joins lines split across chunks', async () => {
+        const input = Readable.from(['{"activity":"a","cust', 'omer":"c1"}\n{"activity"', ':"b"}\n']);
+        const summary = await ingestLines(queue, input, { source: 'test' });
+        
+        expect(summary).toEqual({ source: 'test', lines: 2, queued: 2, failed: 0 });
+        expect(queuedEvents(queueDir).map(event => [event.activity, event.customer])).toEqual([['a', 'c1'], ['b', undefined]]);
+    });
+    
+    test('queues a last line without a newline and accepts CRLF', async () => {
+        const summary = await ingestLines(queue, Readable.from(['{"activity":"a"}\r\n{"activity":"b"}']));
+        
+        expect(summary).toMatchObject({ lines: 2, queued: 2, failed: 0 });
+    });
+    
+    test('skips blank lines without counting them as failures', async () => {
+        const summary = await ingestLines(queue, Readable.from(['\n   \n{"activity":"a"}\n\n']));
+        
+        expect(summary).toMatchObject({ lines: 4, queued: 1, failed: 0 });
+    });
+    
+    test('reports malformed lines by line number and keeps going', async () => {
+        const onQueued = jest.fn();
+        const input = Readable.from(['{"activity":"a"}\n{broken\n[1,2]\nnull\n{"activity":"b"}\n']);
+        const summary = await ingestLines(queue, input, { source: 'events.ndjson', onQueued });
+        
+        expect(summary).toMatchObject({ lines: 5, queued: 2, failed: 3 });
+        expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/^events\.ndjson:2: /));
+        expect(console.error).toHaveBeenCalledWith('events.ndjson:3: event must be a JSON object');
+        expect(console.error).toHaveBeenCalledWith('events.ndjson:4: event must be a JSON object');
+        expect(onQueued.mock.calls.map(([, line]) => line)).toEqual([1, 5]);
+    });
+    
+    test('counts events the queue rejects as failed', async () => {
+        await queue.shutdown();
+        queue = createQueue(queueDir, { validation: { defaultPolicy: 'reject' } });
+        const summary = await ingestLines(queue, Readable.from(['{"activity":"tool_call","feature_json":{}}\n']));
+        
+        expect(summary).toMatchObject({ queued: 0, failed: 1 });
+    });
+    
+    test('rejects when the input stream fails', async () => {
+        const input = new Readable({ read() {} });
+        const ingest = ingestLines(queue, input);
+        input.destroy(new Error('EIO: read failed'));
+        
+        await expect(ingest).rejects.toThrow('EIO: read failed');
+    });
+});
+
+describe('ndjson_queue.js import modes', () => {
+    let queueDir;
+    
+    const run = (args, input) => spawnSync(process.execPath, [QUEUE_SCRIPT, ...args], {
+        input,
+        env: { ...process.env, QUEUE_DIR: queueDir, QUEUE_SESSION_GAP_MS: '0' },
+        encoding: 'utf8',
+        timeout: 30000
+    });
+    
+    // Events the import handed to the uploader as rotated files
+    const importedEvents = () => fs.readdirSync(queueDir)
+        .filter(name => /^queue_.*\.ndjson$/.test(name))
+        .flatMap(name => readNdjson(path.join(queueDir, name)));
+    
+    beforeEach(() => {
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(() => removeDir(queueDir));
+    
+    test('--batch reads stdin to EOF, rotates and exits 0', () => {
+        const result = run(['--batch'], '{"activity":"a","customer":"c1"}\n{"activity":"b","customer":"c1"}');
+        
+        expect(result.status).toBe(0);
+        expect(JSON.parse(result.stdout.trim().split('\n').pop())).toEqual({ source: 'stdin', lines: 2, queued: 2, failed: 0 });
+        expect(importedEvents().map(event => event.activity)).toEqual(['a', 'b']);
+        expect(fs.readdirSync(path.join(queueDir, 'ready'))).toHaveLength(1);
+    });
+    
+    test('--file exits 2 when some lines failed', () => {
+        const file = path.join(queueDir, 'events.ndjson');
+        fs.writeFileSync(file, '{"activity":"a"}\nnot json\n');
+        const result = run(['--file', file]);
+        
+        expect(result.status).toBe(2);
+        expect(result.stderr).toContain(`${file}:2: `);
+        expect(importedEvents().map(event => event.activity)).toEqual(['a']);
+    });
+    
+    test('--file exits 1 when the file cannot be read', () => {
+        const result = run(['--file', path.join(queueDir, 'missing.ndjson')]);
+        
+        expect(result.status).toBe(1);
+        expect(result.stderr).toContain('Import failed: ENOENT');
+    });
+    
+    test('--file without a path prints usage', () => {
+        const result = run(['--file']);
+        
+        expect(result.status).toBe(1);
+        expect(result.stderr).toContain('Usage: ndjson_queue.js');
+    });
+});
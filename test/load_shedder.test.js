@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const LoadShedder = require('../activity_schema/load_shedder');
+const ReadyQueue = require('../activity_schema/ready_queue');
+const { SYSTEM_CUSTOMER } = require('../activity_schema/ndjson_queue');
+const { makeTempDir, removeDir, quietConsole, createQueue, queuedEvents, createUploader, writeReadyFile, makeEvent } = require('./helpers');
+
+const event = (activity, featureJson = {}, id = 'e1') => ({ activity_id: id, activity, feature_json: featureJson });
+const ids = n => Array.from({ length: n }, (_, i) => `evt-${i}`);
+
+describe('LoadShedder', () => {
+    let shedder;
+    
+    beforeEach(() => {
+        shedder = new LoadShedder();
+    });
+    
+    test('classes events by activity, with failures always critical', () => {
+        expect(shedder.priorityOf(event('claude_session_start'))).toBe('critical');
+        expect(shedder.priorityOf(event('system_anything'))).toBe('critical');
+        expect(shedder.priorityOf(event('tool_call'))).toBe('verbose');
+        expect(shedder.priorityOf(event('tool_call', { success: false }))).toBe('critical');
+        expect(shedder.priorityOf(event('custom', { error: 'boom' }))).toBe('critical');
+        expect(shedder.priorityOf(event('custom'))).toBe('normal');
+        
+        const custom = new LoadShedder({ priorities: { custom: 'verbose', system_debug: 'verbose' } });
+        expect(custom.priorityOf(event('custom'))).toBe('verbose');
+        expect(custom.priorityOf(event('system_debug'))).toBe('verbose');
+        expect(() => new LoadShedder({ priorities: { custom: 'low' } })).toThrow('Unknown priority for custom: low');
+    });
+    
+    test('keeps everything without backpressure', () => {
+        const verbose = event('tool_call', { text: 'x'.repeat(10000) });
+        expect(shedder.apply(verbose)).toBe(verbose);
+        expect(shedder.getStats().shed).toBe(0);
+    });
+    
+    test('samples verbose events by activity_id under backpressure', () => {
+        const kept = ids(1000).filter(id => shedder.apply(event('tool_call', {}, id), { backpressured: true }));
+        
+        expect(kept.length).toBeGreaterThan(50);
+        expect(kept.length).toBeLessThan(150);
+        expect(ids(1000).filter(id => new LoadShedder().apply(event('tool_call', {}, id), { backpressured: true }))).toEqual(kept);
+        expect(shedder.apply(event('tool_call', {}, kept[0]), { backpressured: true }).feature_json._sample_rate).toBe(0.1);
+        expect(shedder.getStats()).toMatchObject({ sampled: 1000 - kept.length, shed: 1000 - kept.length, byActivity: { tool_call: 1000 - kept.length } });
+    });
+    
+    test('truncates large normal events under backpressure, keeping field types', () => {
+        const featureJson = { long: 'y'.repeat(300), short: 'ok', nested: { big: Array.from({ length: 1500 }, (_, i) => i) }, n: 1 };
+        
+        const kept = shedder.apply(event('custom', featureJson), { backpressured: true });
+        
+        expect(kept.feature_json).toEqual({
+            long: `${'y'.repeat(256)}...[truncated]`,
+            short: 'ok',
+            nested: {},
+            n: 1,
+            _truncated: true,
+            _original_size: Buffer.byteLength(JSON.stringify(featureJson)),
+            _truncated_fields: ['long', 'nested']
+        });
+        expect(Buffer.byteLength(JSON.stringify(kept.feature_json))).toBeLessThan(4096);
+        expect(shedder.truncate({ small: 'x' })).toBeNull();
+        expect(shedder.getStats().truncated).toBe(1);
+    });
+    
+    test('keeps only critical events over the disk cap', () => {
+        const critical = event('claude_session_end');
+        
+        expect(shedder.apply(critical, { overDiskCap: true })).toBe(critical);
+        expect(shedder.apply(event('custom'), { overDiskCap: true })).toBeNull();
+        expect(shedder.getStats()).toMatchObject({ diskCap: 1, shed: 1 });
+    });
+    
+    test('summaries cover one window each', () => {
+        expect(shedder.takeSummary()).toBeNull();
+        
+        shedder.apply(event('custom'), { overDiskCap: true });
+        shedder.recordSpill({ spilled: { tool_call: 3 }, carriedForward: 2 });
+        
+        expect(shedder.takeSummary()).toEqual({
+            sampled: 0,
+            diskCap: 1,
+            spilled: 3,
+            truncated: 0,
+            carriedForward: 2,
+            byActivity: { custom: 1, tool_call: 3 },
+            windowMs: expect.any(Number)
+        });
+        expect(shedder.takeSummary()).toBeNull();
+        expect(shedder.getStats().shed).toBe(4);
+    });
+});
+
+describe('shedding in the queue', () => {
+    let queueDir;
+    let queue;
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(async () => {
+        await queue.shutdown();
+        removeDir(queueDir);
+    });
+    
+    test('sheds by priority under backpressure and reports a summary', async () => {
+        queue = createQueue(queueDir, { validation: false, shedding: { sampleRates: { verbose: 0 } } });
+        queue.isBackpressured = true;
+        queue.backpressureReason = 'queue_age';
+        
+        expect(await queue.appendEvent(makeEvent({ activity: 'tool_call' }))).toBeNull();
+        await queue.appendEvent(makeEvent({ activity: 'tool_call', activity_id: 'failed', feature_json: { success: false } }));
+        await queue.appendEvent(makeEvent({ activity: 'custom', activity_id: 'normal' }));
+        await queue.emitShedSummary();
+        
+        const written = queuedEvents(queueDir);
+        expect(written.slice(0, 2)).toEqual([
+            expect.objectContaining({ activity_id: 'failed', degraded: true, degradation_reason: 'backpressure' }),
+            expect.objectContaining({ activity_id: 'normal', degraded: true })
+        ]);
+        expect(written[2]).toMatchObject({
+            activity: 'system_backpressure',
+            feature_json: { action_taken: 'load_shed', reason: 'queue_age', metrics: { sampled: 1, by_activity: { tool_call: 1 } } }
+        });
+        expect(queue.stats.eventsShed).toBe(1);
+    });
+    
+    test('system events carry the system customer and upload', async () => {
+        queue = createQueue(queueDir, { validation: false, sessionization: {}, shedding: { sampleRates: { verbose: 0 } } });
+        queue.readUploaderState = () => ({ halted: true });
+        await queue.checkBackpressure();
+        await queue.appendEvent(makeEvent({ activity: 'tool_call' }));
+        await queue.emitShedSummary();
+        
+        const written = queuedEvents(queueDir);
+        expect(written.map(e => [e.activity, e.customer])).toEqual([
+            ['system_backpressure', SYSTEM_CUSTOMER],
+            ['system_backpressure', SYSTEM_CUSTOMER]
+        ]);
+        
+        const merges = [];
+        const uploader = createUploader(queueDir, {
+            executor: { executeMerge: async ({ sql, rows }) => {
+                merges.push({ sql, rows });
+                return { inserted: rows.length };
+            } }
+        });
+        try {
+            await uploader.uploadBatch(written, 'current.ndjson');
+        } finally {
+            await uploader.shutdown();
+        }
+        expect(uploader.stats.eventsRejected).toBe(0);
+        expect(merges).toHaveLength(1);
+        expect(merges[0].rows.map(row => row.activity_id)).toEqual(written.map(e => e.activity_id));
+        expect(merges[0].sql).toContain(`'${written[1].activity_id}' as activity_id`);
+        expect(merges[0].sql).toContain("'system' as customer");
+    });
+    
+    test('spills the oldest ready files over the disk cap, carrying critical events forward', async () => {
+        const old = writeReadyFile(queueDir, [
+            makeEvent({ activity_id: 'verbose' }),
+            makeEvent({ activity: 'claude_session_end', activity_id: 'critical' })
+        ], 'queue_1.ndjson');
+        // Smaller than the carried-forward event alone, so the queue stays over the cap afterwards
+        queue = createQueue(queueDir, { validation: false, maxDiskBytes: 50 });
+        
+        await queue.enforceDiskCap();
+        
+        expect(fs.existsSync(old)).toBe(false);
+        expect(new ReadyQueue(queueDir).list()).toEqual([]);
+        expect(queuedEvents(queueDir).map(e => e.activity_id)).toEqual(['critical']);
+        expect(queue.stats.eventsSpilled).toBe(1);
+        expect(queue.shedder.getStats()).toMatchObject({ spilled: 1, carriedForward: 1 });
+        
+        expect(await queue.appendEvent(makeEvent({ activity: 'custom', feature_json: { text: 'x'.repeat(200) } }))).toBeNull();
+        expect(queue.getStats().shedding.diskCap).toBe(1);
+    });
+    
+    test('shedding: false writes everything', async () => {
+        queue = createQueue(queueDir, { validation: false, shedding: false });
+        queue.isBackpressured = true;
+        
+        await queue.appendEvent(makeEvent({ activity: 'tool_call', feature_json: { text: 'x'.repeat(5000) } }));
+        expect(queuedEvents(queueDir)[0].feature_json.text).toHaveLength(5000);
+    });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { spawnSync } = require('child_process');
+const LocalAnalytics = require('../activity_schema/local_analytics');
+const { parseTime } = LocalAnalytics;
+const framing = require('../activity_schema/record_framing');
+const { makeTempDir, removeDir, quietConsole, writeNdjson, createUploader, writeReadyFile, makeEvent } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '..', 'activity_schema', 'local_analytics.js');
+
+describe('local analytics', () => {
+    let queueDir;
+    let archiveDir;
+    let uploader;
+    
+    const report = (filters, options) => new LocalAnalytics({ queueDir }).report(filters, options);
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+        archiveDir = path.join(queueDir, 'archive');
+    });
+    
+    afterEach(async () => {
+        if (uploader) await uploader.shutdown();
+        uploader = null;
+        removeDir(queueDir);
+    });
+    
+    test('reads archived, rotated and current events, oldest first', async () => {
+        fs.mkdirSync(archiveDir);
+        writeNdjson(path.join(archiveDir, 'processed_2026-01-01T00-00-00-000Z_queue_1.ndjson'), [makeEvent({ activity_id: 'archived' })]);
+        fs.writeFileSync(
+            path.join(archiveDir, 'processed_2026-01-01T00-00-01-000Z_queue_2.ndjson.gz'),
+            zlib.gzipSync(JSON.stringify(makeEvent({ activity_id: 'archived-gz' })) + '\n')
+        );
+        fs.writeFileSync(path.join(archiveDir, 'notes.txt'), 'not events');
+        writeNdjson(path.join(queueDir, 'queue_3.ndjson'), [makeEvent({ activity_id: 'rotated' })]);
+        writeNdjson(path.join(queueDir, 'current.ndjson'), [makeEvent({ activity_id: 'current' })]);
+        
+        const analytics = new LocalAnalytics({ queueDir });
+        const ids = [];
+        for await (const event of analytics.events()) ids.push(event.activity_id);
+        
+        expect(ids).toEqual(['archived', 'archived-gz', 'rotated', 'current']);
+        expect(analytics.files({ includeArchive: false }).map(file => path.basename(file))).toEqual(['queue_3.ndjson', 'current.ndjson']);
+    });
+    
+    test('counts events the uploader archived', async () => {
+        uploader = createUploader(queueDir);
+        writeReadyFile(queueDir, [makeEvent({ activity_id: 'a' }), makeEvent({ activity_id: 'b' })], 'queue_1.ndjson');
+        await uploader.processQueue();
+        expect(fs.readdirSync(archiveDir)).toEqual([expect.stringMatching(/^processed_.*_queue_1\.ndjson$/)]);
+        
+        const result = await report();
+        expect(result.summary.events).toBe(2);
+        expect(result.tools).toEqual([{ tool_name: 'Read', calls: 2, succeeded: 2, failed: 0, success_rate_pct: 100 }]);
+        expect((await report({}, { includeArchive: false })).summary.events).toBe(0);
+    });
+    
+    test('skips duplicates, malformed lines and corrupt records', async () => {
+        const framed = framing.frame(makeEvent({ activity_id: 'framed' }), 1);
+        fs.writeFileSync(path.join(queueDir, 'current.ndjson'), [
+            JSON.stringify(makeEvent({ activity_id: 'a' })),
+            JSON.stringify(makeEvent({ activity_id: 'a' })),
+            'not json',
+            '{"no_activity":true}',
+            framed,
+            framed.replace('"framed"', '"frames"'),
+            ''
+        ].join('\n'));
+        
+        const { scan, summary } = await report();
+        expect(scan).toEqual({ files_scanned: 1, lines_scanned: 6, skipped_malformed: 2, skipped_corrupt: 1, duplicates: 1 });
+        expect(summary.events).toBe(2);
+    });
+    
+    test('computes each section and applies the filters', async () => {
+        writeNdjson(path.join(queueDir, 'current.ndjson'), [
+            makeEvent({ ts: '2026-01-01T10:00:00.000Z', feature_json: { tool_name: 'Bash', success: false } }),
+            makeEvent({ ts: '2026-01-01T11:00:00.000Z', anonymous_customer_id: 'h1', feature_json: { tool_name: 'Bash', success: true } }),
+            makeEvent({ ts: '2026-01-02T10:00:00.000Z', activity: 'llm_call', feature_json: { model: 'claude-sonnet-4', prompt_tokens: 10, completion_tokens: 5, cost_usd: 0.25 } }),
+            makeEvent({ ts: '2026-01-02T11:00:00.000Z', activity: 'query_complete', feature_json: { warehouse: 'WH', success: false, error_code: '100' } }),
+            makeEvent({ ts: '2026-01-02T12:00:00.000Z', activity: 'query_submitted', feature_json: { warehouse: 'WH' } }),
+            makeEvent({ ts: '2026-01-02T13:00:00.000Z', activity: 'file_op', customer: 'c2', feature_json: { file_path: '/a.js', operation: 'edit' } })
+        ]);
+        
+        const all = await report();
+        expect(all.summary).toEqual({ events: 6, customers: 2, hosts: 1, first_ts: '2026-01-01T10:00:00.000Z', last_ts: '2026-01-02T13:00:00.000Z' });
+        expect(all.activities[0]).toEqual({ day: '2026-01-01', activity: 'tool_call', events: 2 });
+        expect(all.tools).toEqual([{ tool_name: 'Bash', calls: 2, succeeded: 1, failed: 1, success_rate_pct: 50 }]);
+        expect(all.llm).toMatchObject({ calls: 1, total_tokens: 15, by_model: [{ model: 'claude-sonnet-4', cost_usd: 0.25 }] });
+        expect(all.sql).toMatchObject({ statements: 1, errors: 1, error_rate_pct: 100 });
+        expect(all.files).toEqual([{ file_path: '/a.js', operations: 1, by_operation: { edit: 1 } }]);
+        
+        const filtered = await report({ since: '2026-01-02T00:00:00.000Z', until: '2026-01-02T12:00:00.000Z', customer: 'c1' });
+        expect(filtered.filters).toEqual({ since: '2026-01-02T00:00:00.000Z', until: '2026-01-02T12:00:00.000Z', customer: 'c1' });
+        expect(filtered.summary.events).toBe(2);
+    });
+    
+    test('parseTime accepts ISO timestamps and relative ages', () => {
+        const now = Date.parse('2026-01-08T00:00:00.000Z');
+        
+        expect(parseTime('7d', now)).toBe('2026-01-01T00:00:00.000Z');
+        expect(parseTime('90m', now)).toBe('2026-01-07T22:30:00.000Z');
+        expect(parseTime('2026-01-01T00:00:00Z')).toBe('2026-01-01T00:00:00Z');
+        expect(parseTime(undefined)).toBeUndefined();
+        expect(() => parseTime('yesterday')).toThrow('Invalid time: yesterday');
+    });
+    
+    test('rejects a missing queue directory', () => {
+        expect(() => new LocalAnalytics({ queueDir: path.join(queueDir, 'missing') })).toThrow('Queue directory not found');
+    });
+    
+    test('the CLI prints a section as JSON, including archived events', () => {
+        fs.mkdirSync(archiveDir);
+        writeNdjson(path.join(archiveDir, 'processed_2026-01-01T00-00-00-000Z_queue_1.ndjson'), [makeEvent()]);
+        const run = args => spawnSync(process.execPath, [SCRIPT, ...args], {
+            env: { ...process.env, QUEUE_DIR: queueDir },
+            encoding: 'utf8',
+            timeout: 30000
+        });
+        
+        const result = run(['tools', '--json']);
+        expect(result.status).toBe(0);
+        expect(JSON.parse(result.stdout).tools).toEqual([{ tool_name: 'Read', calls: 1, succeeded: 1, failed: 0, success_rate_pct: 100 }]);
+        expect(JSON.parse(run(['tools', '--json', '--no-archive']).stdout).tools).toEqual([]);
+        
+        const usage = run(['bogus']);
+        expect(usage.status).toBe(1);
+        expect(usage.stderr).toContain('Usage: local_analytics.js');
+    });
+});
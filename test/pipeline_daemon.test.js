@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const PipelineDaemon = require('../activity_schema/pipeline_daemon');
+const { loadConfig, validateConfig, DEFAULT_CONFIG } = PipelineDaemon;
+const { makeTempDir, removeDir, quietConsole } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '..', 'activity_schema', 'pipeline_daemon.js');
+
+const waitFor = async (predicate, timeoutMs = 5000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+
+describe('pipeline config', () => {
+    let dir;
+    
+    const writeConfig = config => {
+        const file = path.join(dir, 'pipeline.json');
+        fs.writeFileSync(file, typeof config === 'string' ? config : JSON.stringify(config));
+        return file;
+    };
+    
+    beforeEach(() => {
+        dir = makeTempDir();
+    });
+    
+    afterEach(() => {
+        removeDir(dir);
+    });
+    
+    test('defaults run the Snowflake CLI from PATH and keep status in the queue directory', () => {
+        const config = loadConfig(null, {});
+        
+        expect(config.uploader.snowCmd).toBe('snow');
+        expect(config.statusFile).toBe(path.join(DEFAULT_CONFIG.queueDir, 'pipeline_status.json'));
+        expect(config.queue.http).toEqual({ enabled: true, host: '127.0.0.1', port: 8787 });
+    });
+    
+    test('the config file is merged over the defaults section by section', () => {
+        const config = loadConfig(writeConfig({ queueDir: dir, restart: { maxRestarts: 2 }, queue: { http: { port: 9000 } } }), {});
+        
+        expect(config.restart).toEqual({ ...DEFAULT_CONFIG.restart, maxRestarts: 2 });
+        expect(config.queue.http).toEqual({ enabled: true, host: '127.0.0.1', port: 9000 });
+        expect(config.statusFile).toBe(path.join(dir, 'pipeline_status.json'));
+    });
+    
+    test('environment variables override the file', () => {
+        const config = loadConfig(writeConfig({ queueDir: dir, uploader: { snowConnection: 'file' } }), {
+            QUEUE_DIR: path.join(dir, 'env'),
+            SNOW_CONNECTION: 'env',
+            SNOW_CMD: '/opt/snow/bin/snow',
+            QUEUE_HTTP_PORT: '9001',
+            ARCHIVE_MAX_AGE_HOURS: '2',
+            QUEUE_FRAMING: ''
+        });
+        
+        expect(config.queueDir).toBe(path.join(dir, 'env'));
+        expect(config.uploader).toMatchObject({ snowConnection: 'env', snowCmd: '/opt/snow/bin/snow', archiveRetention: { maxAgeMs: 2 * 60 * 60 * 1000 } });
+        expect(config.queue.http.port).toBe(9001);
+        expect(config.queue.framing).toBe('none');
+        expect(DEFAULT_CONFIG.queue.http.port).toBe(8787);
+    });
+    
+    test('lists every problem in an invalid config', () => {
+        const file = writeConfig({ mode: 'threads', restart: { maxRestarts: -1 }, queue: { http: true }, extra: 1 });
+        
+        expect(() => loadConfig(file, { QUEUE_COMPRESSION: 'lz4' })).toThrow([
+            `Invalid pipeline config ${file}:`,
+            '  mode: must be one of children, inprocess, got "threads"',
+            '  restart.maxRestarts: must be a non-negative number, got -1',
+            '  queue.compression: must be one of gzip, zstd, got "lz4"',
+            '  queue.http: must be an object',
+            '  extra: unknown key'
+        ].join('\n'));
+        expect(validateConfig({ queue: { port: 1 }, statusFile: 5 })).toEqual([
+            'queue.port: unknown key',
+            'statusFile: must be a string, got 5'
+        ]);
+        expect(() => loadConfig(null, { PIPELINE_SHUTDOWN_TIMEOUT_MS: 'soon' })).toThrow('shutdownTimeoutMs: must be a non-negative number, got NaN');
+    });
+    
+    test('rejects unreadable and non-object config files', () => {
+        expect(() => loadConfig(path.join(dir, 'missing.json'), {})).toThrow(`Cannot read pipeline config ${path.join(dir, 'missing.json')}`);
+        expect(() => loadConfig(writeConfig('{'), {})).toThrow('Cannot read pipeline config');
+        expect(() => loadConfig(writeConfig('[]'), {})).toThrow('must be a JSON object');
+    });
+    
+    test('the check command prints the effective config and fails on an invalid one', () => {
+        const run = (args, env = {}) => spawnSync(process.execPath, [SCRIPT, ...args], {
+            env: { ...process.env, PIPELINE_CONFIG: '', ...env },
+            encoding: 'utf8',
+            timeout: 30000
+        });
+        
+        const check = run(['check', '--config', writeConfig({ queueDir: dir })], { PIPELINE_MODE: 'inprocess' });
+        expect(check.status).toBe(0);
+        expect(JSON.parse(check.stdout)).toMatchObject({ queueDir: dir, mode: 'inprocess', uploader: { snowCmd: 'snow' } });
+        
+        const invalid = run(['check', '--config', writeConfig({ mode: 'threads' })]);
+        expect(invalid.status).toBe(1);
+        expect(invalid.stderr).toContain('mode: must be one of children, inprocess');
+    });
+});
+
+describe('pipeline daemon', () => {
+    let queueDir;
+    let daemon;
+    
+    const createDaemon = (config = {}) => new PipelineDaemon({ ...loadConfig(null, { QUEUE_DIR: queueDir }), ...config });
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(async () => {
+        if (daemon) {
+            for (const worker of Object.values(daemon.workers)) clearTimeout(worker.restartTimer);
+        }
+        daemon = null;
+        removeDir(queueDir);
+    });
+    
+    test('runs both workers in process and drains them on stop', async () => {
+        daemon = createDaemon({
+            mode: 'inprocess',
+            queue: { ...DEFAULT_CONFIG.queue, http: { enabled: false } },
+            uploader: { ...DEFAULT_CONFIG.uploader, executor: 'local' }
+        });
+        await daemon.start();
+        
+        const status = JSON.parse(fs.readFileSync(path.join(queueDir, 'pipeline_status.json'), 'utf8'));
+        expect(status).toMatchObject({ state: 'running', mode: 'inprocess', workers: { queue: { state: 'running' }, uploader: { state: 'running' } } });
+        expect(daemon.lock.held).toBe(true);
+        
+        expect(await daemon.stop('test')).toBe(0);
+        expect(daemon.lock.held).toBe(false);
+        expect(daemon.getStatus()).toMatchObject({ state: 'stopped', stop_reason: 'test' });
+    });
+    
+    test('a restart that fails to start the worker is logged and scheduled again', async () => {
+        daemon = createDaemon({ restart: { baseMs: 1, maxMs: 1, maxRestarts: 5, resetAfterMs: 60000 } });
+        daemon.startWorker = jest.fn()
+            .mockRejectedValueOnce(new Error('fork failed'))
+            .mockResolvedValueOnce();
+        const worker = daemon.workers.queue;
+        worker.startedAt = new Date().toISOString();
+        
+        daemon.onWorkerExit(worker, 1, null);
+        await waitFor(() => daemon.startWorker.mock.calls.length === 2);
+        
+        expect(console.error).toHaveBeenCalledWith('Error restarting queue worker:', expect.objectContaining({ message: 'fork failed' }));
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('queue worker failed to restart (fork failed), restarting in'));
+        expect(worker).toMatchObject({ restarts: 2, totalRestarts: 2, lastExit: { code: 1, signal: null } });
+    });
+    
+    test('gives up once restarts that fail to start use up maxRestarts', async () => {
+        daemon = createDaemon({ restart: { baseMs: 1, maxMs: 1, maxRestarts: 2, resetAfterMs: 60000 } });
+        daemon.startWorker = jest.fn().mockRejectedValue(new Error('fork failed'));
+        daemon.stop = jest.fn().mockResolvedValue(1);
+        const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+        const worker = daemon.workers.uploader;
+        worker.startedAt = new Date().toISOString();
+        
+        daemon.onWorkerExit(worker, null, 'SIGKILL');
+        await waitFor(() => exit.mock.calls.length > 0);
+        
+        expect(daemon.startWorker).toHaveBeenCalledTimes(2);
+        expect(worker.state).toBe('failed');
+        expect(daemon.stop).toHaveBeenCalledWith('worker_failed', 1);
+        expect(exit).toHaveBeenCalledWith(1);
+        expect(console.error).toHaveBeenCalledWith('uploader worker failed to restart (fork failed) after 2 restarts, giving up');
+    });
+    
+    test('does not schedule another restart once the pipeline is stopping', async () => {
+        daemon = createDaemon({ restart: { baseMs: 1, maxMs: 1, maxRestarts: 5, resetAfterMs: 60000 } });
+        daemon.startWorker = jest.fn(async () => {
+            daemon.stopping = Promise.resolve(0);
+            throw new Error('fork failed');
+        });
+        const worker = daemon.workers.queue;
+        worker.startedAt = new Date().toISOString();
+        
+        daemon.onWorkerExit(worker, 1, null);
+        await waitFor(() => daemon.startWorker.mock.calls.length === 1);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        
+        expect(daemon.startWorker).toHaveBeenCalledTimes(1);
+        expect(worker.restartTimer).toBeNull();
+        expect(worker.restarts).toBe(1);
+    });
+});
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const QueueInspector = require('../activity_schema/queue_inspector');
+const ReadyQueue = require('../activity_schema/ready_queue');
+const DeadLetterStore = require('../activity_schema/dead_letter');
+const framing = require('../activity_schema/record_framing');
+const { makeTempDir, removeDir, quietConsole, writeNdjson, createQueue, writeReadyFile, makeEvent } = require('./helpers');
+
+const INSPECTOR_SCRIPT = path.join(__dirname, '..', 'activity_schema', 'queue_inspector.js');
+
+describe('QueueInspector', () => {
+    let queueDir;
+    let inspector;
+    
+    const collect = async iterator => {
+        const events = [];
+        for await (const event of iterator) events.push(event);
+        return events;
+    };
+    const writeCurrent = events => writeNdjson(path.join(queueDir, 'current.ndjson'), events);
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+        inspector = new QueueInspector({ queueDir });
+    });
+    
+    afterEach(() => {
+        removeDir(queueDir);
+    });
+    
+    test('refuses a missing queue directory', () => {
+        expect(() => new QueueInspector({ queueDir: path.join(queueDir, 'nope') })).toThrow('Queue directory not found');
+    });
+    
+    test('status reports the backlog, orphans, dead letters and processes', () => {
+        const ready = writeReadyFile(queueDir, [makeEvent(), makeEvent()], 'queue_1.ndjson');
+        writeNdjson(path.join(queueDir, 'queue_2.ndjson'), [makeEvent()]);
+        new DeadLetterStore({ queueDir }).writePoisonLine(ready, { offset: 0, raw: '{', error: 'x' });
+        writeCurrent([makeEvent()]);
+        
+        const status = inspector.status();
+        
+        expect(status).toMatchObject({
+            queue: { running: false },
+            uploader: { running: false },
+            backpressure: { active: false, reason: null },
+            backlog: { ready: 1, claimed: 0, bytes: fs.statSync(ready).size, missing_files: 0 },
+            orphan_files: [path.join(queueDir, 'queue_2.ndjson')],
+            dead_letters: { poison_line: 1 },
+            current_file_bytes: expect.any(Number)
+        });
+        expect(status.backlog.files[0]).toMatchObject({ file: ready, state: 'ready', offset: 0, attempts: 0 });
+    });
+    
+    test('status shows a running queue and judges age when it is not running', async () => {
+        const queue = createQueue(queueDir);
+        expect(inspector.status().queue).toMatchObject({ running: true, pid: process.pid });
+        await queue.shutdown();
+        
+        inspector = new QueueInspector({ queueDir, backpressureThreshold: 1 });
+        writeReadyFile(queueDir, [makeEvent()], 'queue_1.ndjson');
+        await new Promise(resolve => setTimeout(resolve, 5));
+        expect(inspector.status().backpressure).toEqual({ active: true, reason: 'queue_age' });
+    });
+    
+    test('tail yields the last matching events', async () => {
+        writeCurrent([
+            makeEvent({ activity_id: 'a', activity: 'x' }),
+            makeEvent({ activity_id: 'b', activity: 'y' }),
+            makeEvent({ activity_id: 'c', activity: 'x', customer: 'c2' }),
+            makeEvent({ activity_id: 'd', activity: 'x' })
+        ]);
+        fs.appendFileSync(path.join(queueDir, 'current.ndjson'), '{torn');
+        
+        const ids = async (filters, options) => (await collect(inspector.tail(filters, options))).map(event => event.activity_id);
+        expect(await ids({ activity: 'x' }, { lines: 2 })).toEqual(['c', 'd']);
+        expect(await ids({ activity: 'x', customer: 'c1' })).toEqual(['a', 'd']);
+        expect(await ids({}, { lines: 0 })).toEqual([]);
+    });
+    
+    test('tail follows new events across a rotation until stopped', async () => {
+        writeCurrent([makeEvent({ activity_id: 'old' })]);
+        const signal = { aborted: false };
+        const seen = [];
+        const following = (async () => {
+            for await (const event of inspector.tail({}, { follow: true, lines: 0, pollMs: 10, signal })) {
+                seen.push(event.activity_id);
+                if (seen.length === 2) signal.aborted = true;
+            }
+        })();
+        
+        await new Promise(resolve => setTimeout(resolve, 30));
+        fs.appendFileSync(path.join(queueDir, 'current.ndjson'), JSON.stringify(makeEvent({ activity_id: 'before-rotation' })) + '\n');
+        fs.renameSync(path.join(queueDir, 'current.ndjson'), path.join(queueDir, 'queue_1.ndjson'));
+        writeCurrent([makeEvent({ activity_id: 'after-rotation' })]);
+        await following;
+        
+        expect(seen).toEqual(['before-rotation', 'after-rotation']);
+    });
+    
+    test('verify reports malformed lines, corrupt records, duplicates and missing files', async () => {
+        const file = path.join(queueDir, 'queue_1.ndjson');
+        const framed = framing.frame(makeEvent({ activity_id: 'f' }), 1);
+        fs.writeFileSync(file, [
+            JSON.stringify(makeEvent({ activity_id: 'a' })),
+            '{oops',
+            JSON.stringify({ activity: 'no id' }),
+            framed,
+            framed.replace('"Read"', '"Edit"'),
+            ''
+        ].join('\n'));
+        writeCurrent([makeEvent({ activity_id: 'a' })]);
+        new ReadyQueue(queueDir).mark(path.join(queueDir, 'queue_gone.ndjson'), 0);
+        
+        const report = await inspector.verify();
+        
+        expect(report).toMatchObject({ ok: false, files_scanned: 2, lines_scanned: 6, missing_files: [path.join(queueDir, 'queue_gone.ndjson')] });
+        expect(report.malformed.map(item => [item.location, item.error])).toEqual([
+            [`${file}:2`, expect.any(String)],
+            [`${file}:3`, 'missing activity_id']
+        ]);
+        expect(report.corrupt).toEqual([expect.objectContaining({ location: `${file}:5`, error: expect.stringContaining('checksum mismatch') })]);
+        expect(report.duplicates).toEqual([{ activity_id: 'a', first: `${file}:1`, location: `${path.join(queueDir, 'current.ndjson')}:1` }]);
+    });
+    
+    test('verify includes archived files on request', async () => {
+        fs.mkdirSync(path.join(queueDir, 'archive'));
+        writeNdjson(path.join(queueDir, 'archive', 'processed_1_queue_1.ndjson'), [makeEvent({ activity_id: 'a' })]);
+        writeCurrent([makeEvent({ activity_id: 'a' })]);
+        
+        expect(await inspector.verify()).toMatchObject({ ok: true, files_scanned: 1 });
+        expect(await inspector.verify({ includeArchive: true })).toMatchObject({ ok: false, files_scanned: 2, duplicates: [expect.anything()] });
+    });
+    
+    test('requeue marks a file unless it is already in the backlog', () => {
+        const file = path.join(queueDir, 'queue_1.ndjson');
+        writeNdjson(file, [makeEvent()]);
+        writeCurrent([]);
+        
+        expect(inspector.requeue(file, { offset: 5 })).toMatchObject({ file, offset: 5 });
+        expect(() => inspector.requeue(file)).toThrow('is already ready');
+        expect(inspector.requeue(file, { force: true }).offset).toBe(0);
+        expect(new ReadyQueue(queueDir).list().map(({ entry }) => entry.requeued)).toEqual([true, true]);
+        expect(() => inspector.requeue(path.join(queueDir, 'current.ndjson'))).toThrow('still being written');
+        expect(() => inspector.requeue(path.join(queueDir, 'nope.ndjson'))).toThrow('File not found');
+    });
+    
+    test('purge deletes the backlog with its ready entries', () => {
+        const ready = writeReadyFile(queueDir, [makeEvent()], 'queue_1.ndjson');
+        const orphan = path.join(queueDir, 'queue_2.ndjson');
+        writeNdjson(orphan, [makeEvent()]);
+        
+        const plan = inspector.purgePlan('backlog');
+        expect(plan.files.map(item => item.file)).toEqual([ready, orphan]);
+        
+        expect(inspector.purge(plan)).toEqual({ target: 'backlog', files_deleted: 2, bytes: plan.bytes, skipped: [] });
+        expect(new ReadyQueue(queueDir).list()).toEqual([]);
+        expect(fs.existsSync(ready) || fs.existsSync(orphan)).toBe(false);
+    });
+    
+    test('purge refuses files the uploader has claimed', () => {
+        const ready = writeReadyFile(queueDir, [makeEvent()], 'queue_1.ndjson');
+        const readyQueue = new ReadyQueue(queueDir);
+        readyQueue.claim(readyQueue.list()[0].name);
+        
+        expect(() => inspector.purgePlan('files', [ready])).toThrow('is claimed by the uploader');
+        expect(() => inspector.purgePlan('files', [path.join(queueDir, 'current.ndjson')])).toThrow('still being written');
+        expect(() => inspector.purgePlan('everything')).toThrow('Unknown purge target: everything');
+    });
+    
+    test('purge skips files the uploader claimed after the plan was made', () => {
+        const claimed = writeReadyFile(queueDir, [makeEvent()], 'queue_1.ndjson');
+        const other = writeReadyFile(queueDir, [makeEvent()], 'queue_2.ndjson');
+        const plan = inspector.purgePlan('files', [claimed, other]);
+        const readyQueue = new ReadyQueue(queueDir);
+        readyQueue.claim(readyQueue.list()[0].name);
+        
+        expect(inspector.purge(plan)).toEqual({ target: 'files', files_deleted: 1, bytes: plan.files[1].bytes, skipped: [claimed] });
+        expect(fs.existsSync(claimed)).toBe(true);
+        expect(fs.existsSync(other)).toBe(false);
+        expect(readyQueue.listClaimed().map(({ entry }) => entry.file)).toEqual([claimed]);
+    });
+});
+
+describe('queue_inspector.js', () => {
+    let queueDir;
+    
+    const run = args => spawnSync(process.execPath, [INSPECTOR_SCRIPT, ...args], {
+        env: { ...process.env, QUEUE_DIR: queueDir },
+        encoding: 'utf8',
+        timeout: 30000
+    });
+    
+    beforeEach(() => {
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(() => removeDir(queueDir));
+    
+    test('status --json prints the status', () => {
+        const result = run(['status', '--json']);
+        expect(result.status).toBe(0);
+        expect(JSON.parse(result.stdout)).toMatchObject({ queue_dir: queueDir, backlog: { ready: 0 } });
+    });
+    
+    test('verify exits 2 when it finds problems', () => {
+        fs.writeFileSync(path.join(queueDir, 'current.ndjson'), '{oops\n');
+        
+        const result = run(['verify', '--json']);
+        expect(result.status).toBe(2);
+        expect(JSON.parse(result.stdout).malformed).toHaveLength(1);
+    });
+    
+    test('tail prints events as JSON lines', () => {
+        writeNdjson(path.join(queueDir, 'current.ndjson'), [makeEvent({ activity_id: 'a' })]);
+        
+        const result = run(['tail', '--json']);
+        expect(result.status).toBe(0);
+        expect(JSON.parse(result.stdout).activity_id).toBe('a');
+    });
+    
+    test('purge needs --yes when not interactive', () => {
+        writeNdjson(path.join(queueDir, 'queue_1.ndjson'), [makeEvent()]);
+        
+        expect(run(['purge', '--backlog', '--json']).status).toBe(1);
+        expect(fs.existsSync(path.join(queueDir, 'queue_1.ndjson'))).toBe(true);
+        
+        const result = run(['purge', '--backlog', '--yes', '--json']);
+        expect(JSON.parse(result.stdout)).toMatchObject({ target: 'backlog', files_deleted: 1 });
+    });
+    
+    test('unknown commands print usage and exit 1', () => {
+        const result = run(['explode']);
+        expect(result.status).toBe(1);
+        expect(result.stderr).toContain('Usage: queue_inspector.js status');
+    });
+});
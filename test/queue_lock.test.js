@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const QueueLock = require('../activity_schema/queue_lock');
+const { QueueLockedError } = QueueLock;
+const ReadyQueue = require('../activity_schema/ready_queue');
+const { makeTempDir, removeDir, quietConsole, readNdjson, createQueue, createUploader } = require('./helpers');
+
+// pid of a process that has already exited
+const deadPid = () => spawnSync(process.execPath, ['-e', '']).pid;
+
+describe('QueueLock', () => {
+    let dir;
+    let lockFile;
+    
+    const writeOwner = owner => fs.writeFileSync(lockFile, JSON.stringify({ role: 'queue', acquired_at: '2026-01-01T00:00:00Z', ...owner }));
+    
+    beforeEach(() => {
+        quietConsole();
+        dir = makeTempDir();
+        lockFile = path.join(dir, '.lock');
+    });
+    
+    afterEach(() => removeDir(dir));
+    
+    test('is held by one owner at a time', () => {
+        const first = new QueueLock(lockFile);
+        expect(first.acquire()).toMatchObject({ pid: process.pid, hostname: os.hostname(), role: 'queue' });
+        
+        const second = new QueueLock(lockFile, { role: 'queue' });
+        expect(() => second.acquire()).toThrow(QueueLockedError);
+        
+        first.release();
+        expect(fs.existsSync(lockFile)).toBe(false);
+        second.acquire();
+        expect(second.held).toBe(true);
+        second.release();
+    });
+    
+    test('replaces a lock whose process is gone', () => {
+        writeOwner({ pid: deadPid(), hostname: os.hostname() });
+        const lock = new QueueLock(lockFile, { role: 'uploader' });
+        
+        expect(lock.acquire()).toMatchObject({ pid: process.pid, role: 'uploader' });
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Removing stale lock'));
+        lock.release();
+    });
+    
+    test('treats locks from other hosts as live', () => {
+        writeOwner({ pid: deadPid(), hostname: 'some-other-host' });
+        expect(() => new QueueLock(lockFile).acquire()).toThrow(/held by pid \d+ on some-other-host/);
+    });
+    
+    test('treats a fresh unreadable lock as being written', () => {
+        fs.writeFileSync(lockFile, '{"pid":');
+        expect(() => new QueueLock(lockFile).acquire()).toThrow(QueueLockedError);
+        
+        const old = new Date(Date.now() - 60000);
+        fs.utimesSync(lockFile, old, old);
+        const lock = new QueueLock(lockFile);
+        lock.acquire();
+        lock.release();
+    });
+    
+    test('release leaves a lock another process took over', () => {
+        const lock = new QueueLock(lockFile);
+        lock.acquire();
+        writeOwner({ pid: process.pid + 1, hostname: os.hostname() });
+        lock.release();
+        
+        expect(fs.existsSync(lockFile)).toBe(true);
+        expect(lock.held).toBe(false);
+    });
+    
+    test('a second queue or uploader on the same directory is refused', async () => {
+        const queue = createQueue(dir);
+        const uploader = createUploader(dir);
+        try {
+            expect(() => createQueue(dir)).toThrow(QueueLockedError);
+            expect(() => createUploader(dir)).toThrow(QueueLockedError);
+        } finally {
+            await uploader.shutdown();
+            await queue.shutdown();
+        }
+        expect(fs.existsSync(path.join(dir, '.lock'))).toBe(false);
+        expect(fs.existsSync(path.join(dir, '.uploader.lock'))).toBe(false);
+    });
+    
+    test('a failed rotation of events left by a previous run is logged and counted', async () => {
+        quietConsole();
+        fs.writeFileSync(path.join(dir, 'current.ndjson'), JSON.stringify({ activity: 'left', customer: 'c1' }) + '\n');
+        jest.spyOn(fs, 'renameSync').mockImplementationOnce(() => {
+            throw new Error('EACCES: rename failed');
+        });
+        const queue = createQueue(dir);
+        try {
+            await new Promise(resolve => setImmediate(resolve));
+            
+            expect(console.error).toHaveBeenCalledWith('Error rotating recovered queue file:', expect.objectContaining({ message: 'EACCES: rename failed' }));
+            expect(queue.stats.errors).toBe(1);
+            await queue.appendEvent({ activity: 'next', customer: 'c1' });
+        } finally {
+            await queue.shutdown();
+        }
+        expect(readNdjson(path.join(dir, 'current.ndjson')).map(event => event.activity)).toEqual(['left', 'next']);
+    });
+});
+
+describe('ReadyQueue', () => {
+    let dir;
+    let ready;
+    
+    beforeEach(() => {
+        quietConsole();
+        dir = makeTempDir();
+        ready = new ReadyQueue(dir);
+    });
+    
+    afterEach(() => removeDir(dir));
+    
+    test('lists entries in the order they were marked', () => {
+        ready.mark('/q/a.ndjson');
+        ready.mark('/q/b.ndjson', 10, { attempts: 1 });
+        
+        expect(ready.list().map(item => item.entry)).toEqual([
+            expect.objectContaining({ file: '/q/a.ndjson', offset: 0 }),
+            expect.objectContaining({ file: '/q/b.ndjson', offset: 10, attempts: 1 })
+        ]);
+        expect(ready.depth()).toBe(2);
+        expect(ready.oldest().file).toBe('/q/a.ndjson');
+    });
+    
+    test('lets only one consumer claim an entry', () => {
+        const name = ready.mark('/q/a.ndjson');
+        const other = new ReadyQueue(dir);
+        
+        expect(ready.claim(name)).toMatchObject({ name, entry: { file: '/q/a.ndjson' } });
+        expect(other.claim(name)).toBeNull();
+        expect(ready.list()).toEqual([]);
+        expect(ready.depth()).toBe(1);
+    });
+    
+    test('acks and releases claims', () => {
+        const first = ready.claim(ready.mark('/q/a.ndjson'));
+        const second = ready.claim(ready.mark('/q/b.ndjson'));
+        
+        ready.ack(first);
+        ready.release(second, { attempts: 1, last_error: 'boom' });
+        
+        expect(ready.listClaimed()).toEqual([]);
+        expect(ready.list().map(item => item.entry)).toEqual([expect.objectContaining({ file: '/q/b.ndjson', attempts: 1, last_error: 'boom' })]);
+    });
+    
+    test('returns abandoned claims to ready', () => {
+        ready.claim(ready.mark('/q/a.ndjson'));
+        
+        expect(ready.recoverClaims()).toBe(1);
+        expect(ready.list()).toHaveLength(1);
+    });
+    
+    test('imports the legacy .ready file, skipping malformed lines', () => {
+        fs.writeFileSync(path.join(dir, '.ready'), '{"file":"/q/a.ndjson","offset":5}\nnot json\n{"file":"/q/b.ndjson"}\n');
+        
+        expect(ready.importLegacy()).toBe(2);
+        expect(ready.list().map(item => [item.entry.file, item.entry.offset])).toEqual([['/q/a.ndjson', 5], ['/q/b.ndjson', 0]]);
+        expect(fs.readdirSync(dir).filter(name => name.startsWith('.ready'))).toEqual([]);
+    });
+    
+    test('the uploader recovers claims left by a crashed uploader', async () => {
+        ready.claim(ready.mark(path.join(dir, 'queue_1.ndjson')));
+        const uploader = createUploader(dir);
+        await uploader.shutdown();
+        
+        expect(ready.listClaimed()).toEqual([]);
+        expect(ready.list()).toHaveLength(1);
+    });
+});
@@ -14,6 +14,7 @@ CREATE TABLE IF NOT EXISTS CLAUDE_STREAM_V2 (
     feature_json VARIANT,
     revenue_impact FLOAT DEFAULT 0,
     link STRING,
+    customer_sequence INT,
     activity_occurrence INT DEFAULT 1,
     activity_repeated_at TIMESTAMP_NTZ,
     PRIMARY KEY (activity_id)
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const framing = require('../activity_schema/record_framing');
+const ReadyQueue = require('../activity_schema/ready_queue');
+const { SYSTEM_CUSTOMER } = require('../activity_schema/ndjson_queue');
+const { makeTempDir, removeDir, quietConsole, readNdjson, createQueue, queuedEvents, createUploader, makeEvent } = require('./helpers');
+
+describe('record framing', () => {
+    let dir;
+    
+    const writeLines = (name, lines) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, lines.join(''));
+        return file;
+    };
+    
+    beforeEach(() => {
+        dir = makeTempDir();
+    });
+    
+    afterEach(() => {
+        removeDir(dir);
+    });
+    
+    test('crc32 matches the standard check value', () => {
+        expect(framing.crc32('123456789')).toBe('cbf43926');
+        expect(framing.crc32('')).toBe('00000000');
+    });
+    
+    test('frame appends _seq and a checksum of the line without it', () => {
+        const line = framing.frame({ activity: 'tool_call' }, 7);
+        const body = '{"activity":"tool_call","_seq":7}';
+        
+        expect(line).toBe(`{"activity":"tool_call","_seq":7,"_crc32":"${framing.crc32(body)}"}`);
+        expect(JSON.parse(line)).toMatchObject({ activity: 'tool_call', _seq: 7 });
+    });
+    
+    test('verify tells intact, unframed and corrupt lines apart', () => {
+        const line = framing.frame({ activity: 'tool_call', customer: 'c1' }, 1);
+        
+        expect(framing.verify(line)).toEqual({ status: 'ok' });
+        expect(framing.verify('{"activity":"tool_call"}')).toEqual({ status: 'unframed' });
+        expect(framing.verify(line.replace('c1', 'c2'))).toMatchObject({ status: 'corrupt', reason: expect.stringContaining('checksum mismatch') });
+        expect(framing.verify(line.replace(/}$/, ',"x":1}'))).toEqual({
+            status: 'corrupt',
+            reason: 'checksum field is not at the end of the record'
+        });
+    });
+    
+    test('unframe drops only the framing fields', () => {
+        const event = { activity: 'tool_call' };
+        
+        expect(framing.unframe(JSON.parse(framing.frame(event, 3)))).toEqual(event);
+        expect(framing.unframe(event)).toBe(event);
+        expect(framing.unframe(null)).toBeNull();
+    });
+    
+    test('checkFraming rejects unknown values', () => {
+        expect(framing.FRAMINGS).toEqual(['none', 'crc32']);
+        expect(framing.checkFraming('crc32')).toBe('crc32');
+        expect(() => framing.checkFraming('md5')).toThrow('Unknown record framing: md5');
+    });
+    
+    describe('scanTail', () => {
+        const record = seq => `${framing.frame({ activity: 'tool_call', n: seq }, seq)}\n`;
+        
+        test('leaves an intact file alone and reports the last sequence number', () => {
+            const file = writeLines('intact.ndjson', [record(1), record(2)]);
+            
+            expect(framing.scanTail(file)).toEqual({
+                size: fs.statSync(file).size,
+                validSize: fs.statSync(file).size,
+                torn: null,
+                corrupt: [],
+                lastSeq: 2
+            });
+        });
+        
+        test('finds a torn fragment after the last newline', () => {
+            const fragment = record(3).slice(0, 20);
+            const file = writeLines('torn.ndjson', [record(1), record(2), fragment]);
+            const intact = record(1).length + record(2).length;
+            
+            const tail = framing.scanTail(file);
+            expect(tail.validSize).toBe(intact);
+            expect(tail.torn).toEqual({ offset: intact, raw: fragment });
+            expect(tail.corrupt).toEqual([]);
+            expect(tail.lastSeq).toBe(2);
+        });
+        
+        test('cuts trailing complete records that fail their checksum', () => {
+            const glued = `${record(3).slice(0, 15)}${record(4)}`;
+            const file = writeLines('glued.ndjson', [record(1), record(2), glued]);
+            
+            const tail = framing.scanTail(file);
+            expect(tail.validSize).toBe(record(1).length + record(2).length);
+            expect(tail.torn).toBeNull();
+            expect(tail.corrupt).toEqual([
+                { offset: tail.validSize, raw: glued.trimEnd(), reason: expect.any(String) }
+            ]);
+            expect(tail.lastSeq).toBe(2);
+        });
+        
+        test('reads back across chunks and stops at unframed records', () => {
+            const file = writeLines('mixed.ndjson', ['{"activity":"old"}\n', record(1), record(2), 'partial']);
+            
+            const tail = framing.scanTail(file, 16);
+            expect(tail.validSize).toBe(fs.statSync(file).size - 'partial'.length);
+            expect(tail.lastSeq).toBe(2);
+            expect(framing.scanTail(writeLines('old.ndjson', ['{"activity":"old"}\n'])).lastSeq).toBeNull();
+        });
+        
+        test('handles an empty file', () => {
+            const file = writeLines('empty.ndjson', []);
+            
+            expect(framing.scanTail(file)).toEqual({ size: 0, validSize: 0, torn: null, corrupt: [], lastSeq: null });
+        });
+    });
+});
+
+describe('framed queue', () => {
+    let queueDir;
+    let queue;
+    let uploader;
+    
+    const currentFile = () => path.join(queueDir, 'current.ndjson');
+    const corruptRecords = () => readNdjson(path.join(queueDir, 'dead_letter', 'corrupt.ndjson'));
+    const rotatedFiles = () => fs.readdirSync(queueDir).filter(name => /^queue_.*\.ndjson$/.test(name));
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(async () => {
+        if (queue) await queue.shutdown();
+        if (uploader) await uploader.shutdown();
+        queue = null;
+        uploader = null;
+        removeDir(queueDir);
+    });
+    
+    test('writes framed records with increasing sequence numbers', async () => {
+        queue = createQueue(queueDir, { framing: 'crc32' });
+        await queue.appendEvent(makeEvent({ activity_id: 'a' }));
+        await queue.appendEvent(makeEvent({ activity_id: 'b' }));
+        
+        const lines = fs.readFileSync(currentFile(), 'utf8').split('\n').filter(line => line);
+        expect(lines.map(line => framing.verify(line).status)).toEqual(['ok', 'ok']);
+        expect(queuedEvents(queueDir).map(event => event._seq)).toEqual([1, 2]);
+    });
+    
+    test('rejects an unknown framing', () => {
+        expect(() => createQueue(queueDir, { framing: 'md5' })).toThrow('Unknown record framing: md5');
+    });
+    
+    test('truncates a torn tail on startup, dead-letters it and logs the repair', async () => {
+        fs.writeFileSync(currentFile(), [
+            framing.frame(makeEvent({ activity_id: 'a' }), 1),
+            framing.frame(makeEvent({ activity_id: 'b' }), 2),
+            '{"activity_id":"c","act'
+        ].join('\n'));
+        
+        queue = createQueue(queueDir, { framing: 'crc32' });
+        await queue.recoveryLogged;
+        
+        expect(queue.stats.tornTailsRepaired).toBe(1);
+        const [rotated] = rotatedFiles();
+        expect(readNdjson(path.join(queueDir, rotated)).map(event => event.activity_id)).toEqual(['a', 'b']);
+        
+        const [corrupt] = corruptRecords();
+        expect(corrupt).toMatchObject({
+            kind: 'corrupt_record',
+            source_file: currentFile(),
+            raw: '{"activity_id":"c","act',
+            error: 'torn write: no newline after the last record'
+        });
+        
+        const [recovery] = queuedEvents(queueDir);
+        expect(recovery.activity).toBe('error_recovery');
+        expect(recovery._seq).toBe(3);
+        expect(recovery.feature_json).toMatchObject({
+            action_taken: 'truncated_torn_tail',
+            metrics: { file: 'current.ndjson', torn_bytes: 23, corrupt_records: 0, quarantined: 1, last_seq: 2 }
+        });
+        
+        // The recovery event carries a customer, so the uploader can load it
+        expect(recovery.customer).toBe(SYSTEM_CUSTOMER);
+        uploader = createUploader(queueDir);
+        await uploader.uploadBatch([framing.unframe(recovery)], currentFile());
+        expect(uploader.stats.eventsRejected).toBe(0);
+        expect(uploader.executor.getRows(uploader.targetTable).map(row => row.activity)).toEqual(['error_recovery']);
+    });
+    
+    test('continues the sequence across restarts', async () => {
+        queue = createQueue(queueDir, { framing: 'crc32' });
+        await queue.appendEvent(makeEvent());
+        await queue.appendEvent(makeEvent());
+        await queue.shutdown();
+        
+        queue = createQueue(queueDir, { framing: 'crc32' });
+        await queue.appendEvent(makeEvent({ activity_id: 'next' }));
+        
+        expect(queuedEvents(queueDir).find(event => event.activity_id === 'next')._seq).toBeGreaterThan(2);
+    });
+    
+    test('the uploader quarantines corrupt records and uploads the rest without framing fields', async () => {
+        const merges = [];
+        const executor = {
+            executeMerge: async merge => {
+                merges.push(merge);
+                return { inserted: merge.rows.length };
+            }
+        };
+        const good = framing.frame(makeEvent({ activity_id: 'good' }), 1);
+        const bad = framing.frame(makeEvent({ activity_id: 'bad' }), 2).replace('"bad"', '"bax"');
+        const file = path.join(queueDir, 'queue_1.ndjson');
+        fs.writeFileSync(file, `${good}\n${bad}\n`);
+        new ReadyQueue(queueDir).mark(file, 0);
+        
+        uploader = createUploader(queueDir, { executor });
+        await uploader.processQueue();
+        
+        expect(merges).toHaveLength(1);
+        expect(merges[0].rows.map(row => row.activity_id)).toEqual(['good']);
+        expect(merges[0].sql).not.toContain('_crc32');
+        expect(merges[0].sql).not.toMatch(/\b_seq\b/);
+        expect(uploader.stats.corruptRecords).toBe(1);
+        expect(corruptRecords()).toEqual([expect.objectContaining({ source_file: file, offset: good.length + 1 })]);
+    });
+});
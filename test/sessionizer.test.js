@@ -0,0 +1,145 @@
+const Sessionizer = require('../activity_schema/sessionizer');
+const { SESSION_ACTIVITIES } = Sessionizer;
+const { makeTempDir, removeDir, quietConsole, createQueue, queuedEvents } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+const at = minutes => new Date(Date.UTC(2026, 0, 1) + minutes * MINUTE).toISOString();
+
+describe('sessionizer', () => {
+    let clock;
+    let sessionizer;
+    
+    const event = (minutes, fields = {}) => ({ customer: 'c1', activity: 'tool_call', ts: at(minutes), ...fields });
+    
+    beforeEach(() => {
+        clock = Date.UTC(2026, 0, 1);
+        sessionizer = new Sessionizer({ gapMs: 30 * MINUTE, now: () => clock });
+    });
+    
+    test('starts a session on a customer\'s first event', () => {
+        const [start] = sessionizer.observe(event(0, {
+            anonymous_customer_id: 'host-1',
+            feature_json: { project_path: '/work', _context: { user: 'dev' } }
+        }));
+        
+        expect(start).toEqual({
+            activity: 'claude_session_start',
+            customer: 'c1',
+            anonymous_customer_id: 'host-1',
+            ts: at(0),
+            feature_json: {
+                session_id: expect.any(String),
+                event_type: 'start',
+                host: 'host-1',
+                user: 'dev',
+                project_path: '/work',
+                synthetic: true
+            }
+        });
+        expect(sessionizer.observe(event(5, { anonymous_customer_id: 'host-1' }))).toEqual([]);
+    });
+    
+    test('ends the session after an inactivity gap with its totals', () => {
+        const [start] = sessionizer.observe(event(0, { feature_json: { tool_name: 'Read', prompt_tokens: 10, completion_tokens: 5 } }));
+        sessionizer.observe(event(10, { feature_json: { tool_name: 'Edit', total_tokens: 100 } }));
+        sessionizer.observe(event(20, { feature_json: { tool_name: 'Read' } }));
+        const [end, next] = sessionizer.observe(event(51));
+        
+        expect(end).toMatchObject({ activity: 'claude_session_end', ts: at(20) });
+        expect(end.feature_json).toEqual({
+            session_id: start.feature_json.session_id,
+            event_type: 'end',
+            total_activities: 3,
+            total_tokens: 115,
+            prompt_tokens: 10,
+            completion_tokens: 5,
+            session_duration_ms: 20 * MINUTE,
+            tools_used: ['Edit', 'Read'],
+            end_reason: 'inactivity',
+            synthetic: true
+        });
+        expect(next.activity).toBe('claude_session_start');
+        expect(next.feature_json.session_id).not.toBe(start.feature_json.session_id);
+    });
+    
+    test('keeps separate sessions per customer and host', () => {
+        expect(sessionizer.observe(event(0))).toHaveLength(1);
+        expect(sessionizer.observe(event(0, { customer: 'c2' }))).toHaveLength(1);
+        expect(sessionizer.observe(event(0, { anonymous_customer_id: 'host-2' }))).toHaveLength(1);
+        expect(sessionizer.getStats()).toEqual({ sessionsStarted: 3, sessionsEnded: 0, openSessions: 3, gapMs: 30 * MINUTE });
+    });
+    
+    test('ignores events without a customer and producer session records', () => {
+        expect(sessionizer.observe({ activity: 'tool_call', ts: at(0) })).toEqual([]);
+        for (const activity of SESSION_ACTIVITIES) {
+            expect(sessionizer.observe(event(0, { activity }))).toEqual([]);
+        }
+        expect(sessionizer.getStats().openSessions).toBe(0);
+    });
+    
+    test('uses the queue clock for events without a usable ts', () => {
+        clock += 7 * MINUTE;
+        const [start] = sessionizer.observe(event(0, { ts: 'not a date' }));
+        
+        expect(start.ts).toBe(at(7));
+    });
+    
+    test('expire ends sessions idle past the gap by the queue clock', () => {
+        sessionizer.observe(event(0));
+        sessionizer.observe(event(0, { customer: 'c2' }));
+        clock += 20 * MINUTE;
+        sessionizer.observe(event(20, { customer: 'c2' }));
+        clock += 15 * MINUTE;
+        
+        const ended = sessionizer.expire();
+        expect(ended.map(record => [record.customer, record.feature_json.end_reason])).toEqual([['c1', 'inactivity']]);
+        expect(sessionizer.getStats()).toMatchObject({ sessionsEnded: 1, openSessions: 1 });
+    });
+    
+    test('flush ends every open session', () => {
+        sessionizer.observe(event(0));
+        sessionizer.observe(event(0, { customer: 'c2' }));
+        
+        expect(sessionizer.flush().map(record => record.feature_json.end_reason)).toEqual(['shutdown', 'shutdown']);
+        expect(sessionizer.getStats().openSessions).toBe(0);
+    });
+});
+
+describe('sessionized queue', () => {
+    let queueDir;
+    let queue;
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(async () => {
+        if (queue) await queue.shutdown();
+        queue = null;
+        removeDir(queueDir);
+    });
+    
+    test('writes the start before the first event and the end at shutdown', async () => {
+        queue = createQueue(queueDir, { sessionization: {} });
+        await queue.appendEvent({ activity: 'tool_call', customer: 'c1', feature_json: { tool_name: 'Read', success: true } });
+        await queue.appendEvent({ activity: 'tool_call', customer: 'c1', feature_json: { tool_name: 'Bash', success: true } });
+        expect(queue.getStats().sessions).toMatchObject({ sessionsStarted: 1, openSessions: 1, gapMs: 30 * MINUTE });
+        await queue.shutdown();
+        
+        const events = queuedEvents(queueDir);
+        expect(events.map(event => event.activity)).toEqual(['claude_session_start', 'tool_call', 'tool_call', 'claude_session_end']);
+        expect(events[0]).toMatchObject({ activity_id: expect.any(String), queue_version: 2 });
+        expect(events[3].feature_json).toMatchObject({ total_activities: 2, tools_used: ['Bash', 'Read'], end_reason: 'shutdown' });
+        queue = null;
+    });
+    
+    test('sessionization: false writes no session records', async () => {
+        queue = createQueue(queueDir, { sessionization: false });
+        await queue.appendEvent({ activity: 'tool_call', customer: 'c1', feature_json: { tool_name: 'Read', success: true } });
+        await queue.shutdown();
+        
+        expect(queuedEvents(queueDir).map(event => event.activity)).toEqual(['tool_call']);
+        queue = null;
+    });
+});
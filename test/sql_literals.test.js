@@ -0,0 +1,124 @@
+const sqlLiterals = require('../activity_schema/sql_literals');
+const { SqlEncodingError } = sqlLiterals;
+const { LocalTableExecutor } = require('../activity_schema/executors');
+const DeadLetterStore = require('../activity_schema/dead_letter');
+const { makeTempDir, removeDir, quietConsole, createUploader, makeEvent } = require('./helpers');
+
+describe('sql literals', () => {
+    test('quotes strings, doubling quotes and escaping backslashes', () => {
+        expect(sqlLiterals.stringLiteral('c', "it's")).toBe("'it''s'");
+        expect(sqlLiterals.stringLiteral('c', 'a\\b')).toBe("'a\\\\b'");
+        expect(sqlLiterals.stringLiteral('c', "x'); DROP TABLE t; --")).toBe("'x''); DROP TABLE t; --'");
+    });
+    
+    test('requires non-empty strings where a value is mandatory', () => {
+        expect(() => sqlLiterals.stringLiteral('customer', '')).toThrow(new SqlEncodingError('customer', 'must be a non-empty string'));
+        expect(() => sqlLiterals.stringLiteral('customer', 42)).toThrow(SqlEncodingError);
+        expect(sqlLiterals.nullableStringLiteral('link', null)).toBe('NULL');
+        expect(() => sqlLiterals.nullableStringLiteral('link', {})).toThrow('link: must be a string or null');
+    });
+    
+    test('encodes numbers, coercing only when asked', () => {
+        expect(sqlLiterals.numberLiteral('n', 1.5)).toBe('1.5');
+        expect(sqlLiterals.numberLiteral('n', undefined)).toBe('0');
+        expect(sqlLiterals.numberLiteral('n', ' 12 ', { coerce: true })).toBe('12');
+        expect(sqlLiterals.numberLiteral('n', 'abc', { coerce: true })).toBe('0');
+        expect(() => sqlLiterals.numberLiteral('n', '12')).toThrow('n: must be numeric, got "12"');
+        expect(() => sqlLiterals.numberLiteral('n', NaN)).toThrow(SqlEncodingError);
+        expect(sqlLiterals.nullableNumberLiteral('n', null)).toBe('NULL');
+    });
+    
+    test('encodes integers and booleans', () => {
+        expect(sqlLiterals.nullableIntegerLiteral('i', 3)).toBe('3');
+        expect(() => sqlLiterals.nullableIntegerLiteral('i', 3.5)).toThrow(SqlEncodingError);
+        expect(sqlLiterals.nullableBooleanLiteral('b', false)).toBe('FALSE');
+        expect(() => sqlLiterals.nullableBooleanLiteral('b', 'true')).toThrow(SqlEncodingError);
+    });
+    
+    test('accepts only ISO 8601 timestamps', () => {
+        expect(sqlLiterals.timestampLiteral('ts', '2026-01-01T00:00:00.123Z')).toBe("TO_TIMESTAMP_NTZ('2026-01-01T00:00:00.123Z')");
+        expect(sqlLiterals.timestampLiteral('ts', '2026-01-01 00:00:00+02:00')).toContain('2026-01-01 00:00:00+02:00');
+        expect(() => sqlLiterals.timestampLiteral('ts', 'yesterday')).toThrow(SqlEncodingError);
+        expect(() => sqlLiterals.timestampLiteral('ts', '2026-13-45T00:00:00Z')).toThrow(SqlEncodingError);
+        expect(sqlLiterals.nullableTimestampLiteral('ts', undefined)).toBe('NULL');
+    });
+    
+    test('encodes JSON through PARSE_JSON', () => {
+        expect(sqlLiterals.jsonLiteral('f', { q: "it's" })).toBe(`PARSE_JSON('{"q":"it''s"}')`);
+        expect(sqlLiterals.jsonLiteral('f', undefined)).toBe("PARSE_JSON('{}')");
+        const cyclic = {};
+        cyclic.self = cyclic;
+        expect(() => sqlLiterals.jsonLiteral('f', cyclic)).toThrow(/^f: not serializable/);
+    });
+    
+    test('validates qualified identifiers', () => {
+        expect(sqlLiterals.identifier('DB.SCHEMA.T_1')).toBe('DB.SCHEMA.T_1');
+        expect(() => sqlLiterals.identifier('DB.SCHEMA.T; DROP')).toThrow('identifier: invalid identifier: DB.SCHEMA.T; DROP');
+        expect(() => sqlLiterals.identifier('DB..T')).toThrow(SqlEncodingError);
+    });
+});
+
+describe('uploader row encoding', () => {
+    let queueDir;
+    let uploader;
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(async () => {
+        await uploader.shutdown();
+        removeDir(queueDir);
+    });
+    
+    test('encodes every column as a literal', () => {
+        uploader = createUploader(queueDir);
+        const select = uploader.encodeRow(uploader.buildRow(makeEvent({ activity_id: "a'1", customer: "o'brien", link: 'https://x' })));
+        
+        expect(select).toContain("'a''1' as activity_id");
+        expect(select).toContain("'o''brien' as customer");
+        expect(select).toContain("'unknown' as anonymous_customer_id");
+        expect(select).toContain("TO_TIMESTAMP_NTZ('2026-01-01T00:00:00.000Z') as ts");
+        expect(select).toContain("'https://x' as link");
+        expect(select).toContain('0 as revenue_impact');
+        expect(select).toContain('NULL as customer_sequence');
+    });
+    
+    test('dead-letters events that cannot be encoded and uploads the rest', async () => {
+        const executor = new LocalTableExecutor();
+        uploader = createUploader(queueDir, { executor });
+        await uploader.uploadBatch([
+            makeEvent({ activity_id: 'good' }),
+            makeEvent({ activity_id: 'no-customer', customer: '' }),
+            makeEvent({ activity_id: 'bad-ts', ts: 'not a time' }),
+            makeEvent({ activity_id: 'bad-link', link: 5 })
+        ], 'queue_1.ndjson');
+        
+        expect(executor.getRows(uploader.targetTable).map(row => row.activity_id)).toEqual(['good']);
+        expect(uploader.stats.eventsRejected).toBe(3);
+        expect(new DeadLetterStore({ queueDir }).list().map(record => [record.id, record.source_file, record.events[0].activity_id])).toEqual([
+            ['failed_batch:no-customer', 'queue_1.ndjson', 'no-customer'],
+            ['failed_batch:bad-ts', 'queue_1.ndjson', 'bad-ts'],
+            ['failed_batch:bad-link', 'queue_1.ndjson', 'bad-link']
+        ]);
+    });
+    
+    test('coerces revenue_impact by default and rejects it under the reject policy', async () => {
+        const executor = new LocalTableExecutor();
+        uploader = createUploader(queueDir, { executor });
+        expect(uploader.buildRow(makeEvent({ revenue_impact: '2.5' })).revenue_impact).toBe(2.5);
+        expect(uploader.buildRow(makeEvent({ revenue_impact: 'lots' })).revenue_impact).toBe(0);
+        await uploader.shutdown();
+        
+        uploader = createUploader(queueDir, { executor, revenueImpactPolicy: 'reject' });
+        await uploader.uploadBatch([makeEvent({ activity_id: 'r', revenue_impact: 'lots' })]);
+        expect(uploader.stats.eventsRejected).toBe(1);
+        expect(executor.getRows(uploader.targetTable)).toEqual([]);
+    });
+    
+    test('rejects an invalid target table name', () => {
+        expect(() => createUploader(queueDir, { targetTable: 'T; DROP TABLE X' })).toThrow(SqlEncodingError);
+        uploader = createUploader(queueDir);
+    });
+});
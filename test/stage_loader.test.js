@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { RecordingExecutor, LocalTableExecutor } = require('../activity_schema/executors');
+const framing = require('../activity_schema/record_framing');
+const { makeTempDir, removeDir, quietConsole, readNdjson, createUploader, writeReadyFile, makeEvent } = require('./helpers');
+
+describe('stage load mode', () => {
+    let queueDir;
+    let recordDir;
+    let uploader;
+    
+    const recordedSql = () => fs.readdirSync(recordDir)
+        .filter(name => name.endsWith('.sql'))
+        .map(name => fs.readFileSync(path.join(recordDir, name), 'utf8'));
+    const history = () => JSON.parse(fs.readFileSync(path.join(queueDir, 'load_history.json'), 'utf8')).files;
+    const staged = () => fs.readdirSync(path.join(queueDir, 'staging'));
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+        recordDir = path.join(queueDir, 'recorded');
+    });
+    
+    afterEach(async () => {
+        await uploader.shutdown();
+        removeDir(queueDir);
+    });
+    
+    test('PUTs, COPYs and MERGEs from the landing rows of the staged file', async () => {
+        uploader = createUploader(queueDir, { loadMode: 'stage', executor: new RecordingExecutor({ outputDir: recordDir }) });
+        writeReadyFile(queueDir, [makeEvent({ activity_id: 'a' })], 'queue_1.ndjson');
+        await uploader.processQueue();
+        
+        const [stagedName] = Object.keys(history());
+        expect(stagedName).toMatch(/^queue_1_[0-9a-f]{16}\.ndjson\.gz$/);
+        
+        const [sql] = recordedSql();
+        expect(sql).toContain(`PUT 'file://${path.join(queueDir, 'staging', stagedName)}' @CLAUDE_LOGS.ACTIVITIES.CLAUDE_QUEUE_STAGE`);
+        expect(sql).toContain('COPY INTO CLAUDE_LOGS.ACTIVITIES.CLAUDE_STREAM_LANDING (raw, source_file, source_row)');
+        expect(sql).toContain(`FILES = ('${stagedName}')`);
+        expect(sql).toContain('MERGE INTO CLAUDE_LOGS.ACTIVITIES.CLAUDE_STREAM_V2 target');
+        expect(sql).toContain(`WHERE source_file = '${stagedName}'`);
+        expect(sql).toContain('QUALIFY ROW_NUMBER() OVER (PARTITION BY raw:activity_id::STRING ORDER BY source_row) = 1');
+        expect(sql).toContain('ON target.activity_id = source.activity_id');
+        expect(sql).toContain(`DELETE FROM CLAUDE_LOGS.ACTIVITIES.CLAUDE_STREAM_LANDING WHERE source_file = '${stagedName}'`);
+        expect(sql).toContain('INSERT INTO CLAUDE_LOGS.ACTIVITIES.CLAUDE_QUEUE_LOAD_HISTORY');
+    });
+    
+    test('removes the staged file once loaded and records the load', async () => {
+        uploader = createUploader(queueDir, { loadMode: 'stage', executor: new RecordingExecutor({ outputDir: recordDir }) });
+        writeReadyFile(queueDir, [makeEvent({ activity_id: 'a' }), makeEvent({ activity_id: 'b' })]);
+        await uploader.processQueue();
+        
+        expect(staged()).toEqual([]);
+        expect(Object.values(history())).toEqual([expect.objectContaining({ status: 'loaded', rows_inserted: 2, attempts: 1, error: null })]);
+        expect(uploader.getStats().stageLoads).toMatchObject({ filesLoaded: 1, rowsInserted: 2, historyByStatus: { loaded: 1 } });
+    });
+    
+    test('skips a file whose contents were already loaded', async () => {
+        uploader = createUploader(queueDir, { loadMode: 'stage', executor: new RecordingExecutor({ outputDir: recordDir }) });
+        const events = [makeEvent({ activity_id: 'a' })];
+        writeReadyFile(queueDir, events, 'queue_1.ndjson');
+        await uploader.processQueue();
+        writeReadyFile(queueDir, events, 'queue_1.ndjson');
+        await uploader.processQueue();
+        
+        expect(recordedSql()).toHaveLength(1);
+        expect(uploader.stageLoader.stats).toMatchObject({ filesLoaded: 1, filesSkipped: 1 });
+    });
+    
+    test('keeps a failed load for retry and cleans up after it succeeds', async () => {
+        const executor = new LocalTableExecutor();
+        const executeLoad = jest.spyOn(executor, 'executeLoad').mockRejectedValueOnce(new Error('Connection reset'));
+        uploader = createUploader(queueDir, { loadMode: 'stage', executor, retryBaseMs: 1, circuitBreaker: { failureThreshold: 10 } });
+        writeReadyFile(queueDir, [makeEvent({ activity_id: 'a' })]);
+        
+        await uploader.processQueue();
+        expect(Object.values(history())).toEqual([expect.objectContaining({ status: 'failed', error: 'Connection reset' })]);
+        expect(uploader.readyQueue.list()).toHaveLength(1);
+        
+        await uploader.processQueue();
+        expect(executeLoad).toHaveBeenCalledTimes(2);
+        expect(Object.values(history())).toEqual([expect.objectContaining({ status: 'loaded', attempts: 2 })]);
+        expect(staged()).toEqual([]);
+        expect(executor.getRows(uploader.targetTable).map(row => row.activity_id)).toEqual(['a']);
+    });
+    
+    test('loads rows in-process for the local executor, linking repeats', async () => {
+        const executor = new LocalTableExecutor();
+        uploader = createUploader(queueDir, { loadMode: 'stage', executor });
+        writeReadyFile(queueDir, [
+            makeEvent({ activity_id: 'a', activity_occurrence: 1, ts: '2026-01-01T00:00:00.000Z' }),
+            makeEvent({ activity_id: 'b', activity_occurrence: 2, ts: '2026-01-01T00:01:00.000Z' })
+        ]);
+        await uploader.processQueue();
+        
+        const rows = executor.getRows(uploader.targetTable);
+        expect(rows.map(row => [row.activity_id, row.activity_repeated_at])).toEqual([['a', '2026-01-01T00:01:00.000Z'], ['b', null]]);
+    });
+    
+    test('leaves corrupt framed records out of the staged file', async () => {
+        const loads = [];
+        const executor = {
+            executeLoad: async load => {
+                const stagedFile = load.statements.stage.match(/file:\/\/([^']+)/)[1];
+                loads.push(zlib.gunzipSync(fs.readFileSync(stagedFile)).toString('utf8'));
+                return { inserted: 1 };
+            }
+        };
+        uploader = createUploader(queueDir, { loadMode: 'stage', executor });
+        const good = framing.frame(makeEvent({ activity_id: 'good' }), 1);
+        const bad = framing.frame(makeEvent({ activity_id: 'bad' }), 2).replace('bad', 'b4d');
+        const file = path.join(queueDir, 'queue_1.ndjson');
+        fs.writeFileSync(file, `${good}\n${bad}\n`);
+        uploader.readyQueue.mark(file, 0);
+        await uploader.processQueue();
+        
+        expect(loads).toEqual([`${good}\n`]);
+        expect(uploader.stats.corruptRecords).toBe(1);
+        expect(readNdjson(path.join(queueDir, 'dead_letter', 'corrupt.ndjson'))).toEqual([
+            expect.objectContaining({ offset: good.length + 1, raw: bad })
+        ]);
+    });
+    
+    test('cannot be combined with target routes', () => {
+        expect(() => createUploader(queueDir, { loadMode: 'stage', routes: { targets: [] } })).toThrow('Target routes need the merge load mode');
+        uploader = createUploader(queueDir);
+    });
+});
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const TargetRouter = require('../activity_schema/target_routing');
+const { Route, COLUMN_TYPES } = TargetRouter;
+const { SqlEncodingError } = require('../activity_schema/sql_literals');
+const DeadLetterStore = require('../activity_schema/dead_letter');
+const { makeTempDir, removeDir, quietConsole, createUploader, writeReadyFile, makeEvent } = require('./helpers');
+
+const STREAM = 'CLAUDE_LOGS.ACTIVITIES.CLAUDE_STREAM_V2';
+const ARTIFACTS = 'CLAUDE_LOGS.ACTIVITIES.ARTIFACTS';
+
+const artifactRoute = (fields = {}) => ({
+    name: 'artifacts',
+    table: ARTIFACTS,
+    activities: ['store_artifact'],
+    key: 'artifact_id',
+    columns: {
+        artifact_id: { path: ['feature_json.artifact_id', 'activity_id'] },
+        row_count: { path: 'feature_json.row_count', type: 'integer' },
+        tags: { path: '$.feature_json.tags', type: 'array' }
+    },
+    ...fields
+});
+
+const artifact = (id, fields = {}) => makeEvent({
+    activity_id: `evt-${id}`,
+    activity: 'store_artifact',
+    feature_json: { artifact_id: id, row_count: 1, ...fields }
+});
+
+describe('target routes', () => {
+    test('builds typed rows from the first path with a value, then the default', () => {
+        const route = new Route({
+            ...artifactRoute(),
+            columns: {
+                ...artifactRoute().columns,
+                kind: { path: 'feature_json.kind', default: 'table' },
+                enabled: { path: 'feature_json.enabled', type: 'boolean' },
+                size: { path: 'feature_json.size', type: 'number' },
+                first_tag: 'feature_json.tags.0'
+            }
+        });
+        const row = route.buildRow(makeEvent({
+            activity_id: 'evt-1',
+            feature_json: { row_count: '42', tags: ['a', 'b'], enabled: 'true', size: 1.5 }
+        }));
+        
+        expect(row).toEqual({ artifact_id: 'evt-1', row_count: 42, tags: ['a', 'b'], kind: 'table', enabled: true, size: 1.5, first_tag: 'a' });
+        expect(route.encodeRow(row)).toContain("'evt-1' as artifact_id, 42 as row_count");
+        expect(COLUMN_TYPES).toContain('variant');
+    });
+    
+    test('rejects values of the wrong type and missing key values', () => {
+        const route = new Route(artifactRoute());
+        
+        expect(() => route.buildRow(artifact('a', { row_count: 1.5 }))).toThrow(SqlEncodingError);
+        expect(() => route.buildRow(artifact('a', { row_count: 'many' }))).toThrow('must be an integer');
+        expect(() => route.buildRow(artifact('a', { tags: 'x' }))).toThrow('must be an array');
+        expect(() => route.buildRow({ activity: 'store_artifact', feature_json: {} })).toThrow('is required');
+    });
+    
+    test('validates route definitions', () => {
+        const invalid = [
+            [{ table: undefined }, 'Route artifacts: table is required'],
+            [{ table: 'bad table' }, 'invalid identifier: bad table'],
+            [{ activities: [] }, 'activities must be a non-empty array'],
+            [{ on_match: 'replace' }, 'on_match must be one of ignore, update'],
+            [{ columns: {} }, 'columns are required'],
+            [{ key: [] }, 'key is required'],
+            [{ key: 'missing' }, 'key column missing is not in columns'],
+            [{ columns: { a: { type: 'string' } } }, 'column a needs a path or a default'],
+            [{ columns: { a: { path: 'x', type: 'json' } } }, 'column a has unknown type json'],
+            [{ columns: { a: { path: [''] } } }, 'column a has an invalid path'],
+            [{ columns: { 'a.b': 'x' } }, 'must not be qualified']
+        ];
+        for (const [fields, message] of invalid) {
+            expect(() => new Route(artifactRoute(fields))).toThrow(message);
+        }
+    });
+    
+    test('the MERGE deduplicates on the key and updates only with on_match update', () => {
+        const ignore = new Route(artifactRoute()).buildMergeSql(['SELECT 1']);
+        const update = new Route(artifactRoute({ on_match: 'update' })).buildMergeSql(['SELECT 1']);
+        
+        expect(ignore).toContain(`MERGE INTO ${ARTIFACTS} target`);
+        expect(ignore).toContain('ON target.artifact_id = source.artifact_id');
+        expect(ignore).not.toContain('WHEN MATCHED');
+        expect(update).toContain('UPDATE SET row_count = source.row_count, tags = source.tags');
+    });
+    
+    test('the router rejects duplicate routes and stream columns the uploader writes', () => {
+        expect(() => new TargetRouter({ targets: [artifactRoute(), artifactRoute()] })).toThrow('Route artifacts is defined more than once');
+        expect(() => new TargetRouter({ stream: { columns: { TS: 'feature_json.ts' } } })).toThrow('Stream column TS is already written by the uploader');
+    });
+    
+    test('load reads a routes file and reports unreadable ones', () => {
+        const dir = makeTempDir();
+        try {
+            const file = path.join(dir, 'routes.json');
+            fs.writeFileSync(file, JSON.stringify({ targets: [artifactRoute()] }));
+            expect(TargetRouter.load(file).routes.map(route => route.name)).toEqual(['artifacts']);
+            
+            fs.writeFileSync(file, '{');
+            expect(() => TargetRouter.load(file)).toThrow(`Cannot read routes file ${file}`);
+        } finally {
+            removeDir(dir);
+        }
+    });
+    
+    test('only routes with stream: false take events out of the stream', () => {
+        const router = new TargetRouter({ targets: [artifactRoute({ stream: false })] });
+        
+        expect(router.includeInStream(artifact('a'))).toBe(false);
+        expect(router.includeInStream(makeEvent())).toBe(true);
+        expect(new TargetRouter({ targets: [artifactRoute()] }).includeInStream(artifact('a'))).toBe(true);
+    });
+});
+
+describe('routed uploads', () => {
+    let queueDir;
+    let uploader;
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(async () => {
+        if (uploader) await uploader.shutdown();
+        uploader = null;
+        removeDir(queueDir);
+    });
+    
+    test('merges routed events into their target once per key', async () => {
+        uploader = createUploader(queueDir, { routes: { targets: [artifactRoute()] } });
+        writeReadyFile(queueDir, [artifact('a'), artifact('a', { row_count: 2 }), artifact('b', { row_count: 'x' }), makeEvent({ activity_id: 'other' })], 'queue_1.ndjson');
+        await uploader.processQueue();
+        writeReadyFile(queueDir, [artifact('a', { row_count: 3 })], 'queue_2.ndjson');
+        await uploader.processQueue();
+        
+        expect(uploader.executor.getRows(ARTIFACTS)).toEqual([{ artifact_id: 'a', row_count: 1, tags: null }]);
+        expect(uploader.stats.targets.artifacts).toEqual({ rowsUploaded: 1, duplicatesSkipped: 2, rowsRejected: 1 });
+        expect(uploader.executor.getRows(STREAM).map(row => row.activity_id)).toEqual(['evt-a', 'evt-b', 'other']);
+        expect(new DeadLetterStore({ queueDir }).list()).toEqual([
+            expect.objectContaining({ id: 'failed_batch:evt-b:artifacts', target: 'artifacts', error: expect.stringContaining('must be an integer') })
+        ]);
+    });
+    
+    test('on_match update keeps the last value for a key', async () => {
+        uploader = createUploader(queueDir, { routes: { targets: [artifactRoute({ on_match: 'update' })] } });
+        writeReadyFile(queueDir, [artifact('a'), artifact('a', { row_count: 2 })], 'queue_1.ndjson');
+        await uploader.processQueue();
+        writeReadyFile(queueDir, [artifact('a', { row_count: 3 })], 'queue_2.ndjson');
+        await uploader.processQueue();
+        
+        expect(uploader.executor.getRows(ARTIFACTS)).toEqual([{ artifact_id: 'a', row_count: 3, tags: null }]);
+    });
+    
+    test('fills stream columns and leaves stream: false events out of the stream', async () => {
+        uploader = createUploader(queueDir, {
+            routes: {
+                stream: { columns: { feature_1: { path: ['feature_json.feature_1', 'feature_json.tool_name'] } } },
+                targets: [artifactRoute({ stream: false })]
+            }
+        });
+        writeReadyFile(queueDir, [makeEvent({ activity_id: 'tool' }), artifact('a')], 'queue_1.ndjson');
+        await uploader.processQueue();
+        
+        expect(uploader.executor.getRows(STREAM)).toEqual([expect.objectContaining({ activity_id: 'tool', feature_1: 'Read' })]);
+        expect(uploader.executor.getRows(ARTIFACTS)).toHaveLength(1);
+    });
+    
+    test('routes need the merge load mode', () => {
+        expect(() => createUploader(queueDir, { loadMode: 'stage', routes: { targets: [artifactRoute()] } })).toThrow('Target routes need the merge load mode');
+    });
+});
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { classifyError, backoffDelay, CircuitOpenError } = require('../activity_schema/upload_errors');
+const CircuitBreaker = require('../activity_schema/circuit_breaker');
+const ReadyQueue = require('../activity_schema/ready_queue');
+const DeadLetterStore = require('../activity_schema/dead_letter');
+const { makeTempDir, removeDir, quietConsole, createQueue, createUploader, writeReadyFile, makeEvent } = require('./helpers');
+
+describe('classifyError', () => {
+    test.each([
+        ['Incorrect username or password was specified', 'fatal'],
+        ['390144 (08004): JWT token is invalid', 'fatal'],
+        ['Connection "poc" is not configured', 'fatal'],
+        ["Object 'CLAUDE_STREAM_V2' does not exist or not authorized", 'fatal'],
+        ['spawn snow ENOENT', 'fatal'],
+        ['001003 (42000): SQL compilation error: syntax error', 'fatal'],
+        ["000904 (42000): SQL compilation error: error line 1 at position 7 invalid identifier 'CUSTOMER_SEQUENCE'", 'fatal'],
+        ["Error parsing JSON: unknown keyword 'x'", 'permanent'],
+        ["Timestamp 'later' is not recognized", 'permanent'],
+        ['Connection reset by peer', 'transient'],
+        ['read ETIMEDOUT', 'transient'],
+        ['HTTP 503 Service Unavailable', 'transient'],
+        ['Warehouse COMPUTE_WH is suspended', 'transient'],
+        ['something nobody anticipated', 'transient']
+    ])('%s is %s', (message, errorClass) => {
+        expect(classifyError(new Error(message))).toBe(errorClass);
+    });
+    
+    test('exit codes, timeouts and executor hints decide first', () => {
+        expect(classifyError(Object.assign(new Error('failed'), { code: 127 }))).toBe('fatal');
+        expect(classifyError(Object.assign(new Error('Incorrect username or password'), { killed: true }))).toBe('transient');
+        expect(classifyError(Object.assign(new Error('Connection reset'), { errorClass: 'permanent' }))).toBe('permanent');
+        expect(classifyError(new CircuitOpenError(Date.now()))).toBe('transient');
+    });
+});
+
+describe('backoffDelay', () => {
+    test('is a random delay up to the capped exponential bound', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.999);
+        
+        expect(backoffDelay(1, 1000, 30000)).toBe(1998);
+        expect(backoffDelay(3, 1000, 30000)).toBe(7992);
+        expect(backoffDelay(10, 1000, 30000)).toBe(29970);
+        
+        Math.random.mockReturnValue(0);
+        expect(backoffDelay(3, 1000, 30000)).toBe(0);
+    });
+});
+
+describe('CircuitBreaker', () => {
+    let dir;
+    let now;
+    
+    beforeEach(() => {
+        quietConsole();
+        dir = makeTempDir();
+        now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+    
+    afterEach(() => {
+        removeDir(dir);
+    });
+    
+    test('opens after consecutive failures, then lets one trial through', () => {
+        const stateFile = path.join(dir, 'uploader_state.json');
+        const circuit = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 100, stateFile });
+        
+        circuit.recordFailure(new Error('reset'));
+        circuit.recordSuccess();
+        circuit.recordFailure(new Error('reset'));
+        expect(circuit.canRequest()).toBe(true);
+        circuit.recordFailure(new Error('timeout'));
+        
+        expect(circuit.canRequest()).toBe(false);
+        expect(circuit.retryAt()).toBe(now + 100);
+        expect(JSON.parse(fs.readFileSync(stateFile, 'utf8'))).toMatchObject({ pid: process.pid, state: 'open', last_error: 'timeout' });
+        
+        now += 100;
+        expect(circuit.canRequest()).toBe(true);
+        expect(circuit.state).toBe('half_open');
+        circuit.recordFailure(new Error('still down'));
+        expect(circuit.state).toBe('open');
+        
+        now += 100;
+        circuit.canRequest();
+        circuit.recordSuccess();
+        expect(circuit.getStats()).toEqual({ state: 'closed', halted: false, failures: 0, lastError: 'still down', opened: 2, rejected: 1 });
+    });
+    
+    test('a halt refuses every request', () => {
+        const circuit = new CircuitBreaker();
+        circuit.halt(new Error('bad password'));
+        
+        expect(circuit.canRequest()).toBe(false);
+        expect(circuit.getStats()).toMatchObject({ halted: true, lastError: 'bad password' });
+    });
+});
+
+describe('uploader error handling', () => {
+    let queueDir;
+    let uploader;
+    let merges;
+    
+    // Executor whose MERGE throws whatever error fail(rows, call) returns
+    const failingExecutor = fail => ({
+        executeMerge: async ({ rows }) => {
+            merges.push(rows.map(row => row.activity_id));
+            const err = fail(rows, merges.length);
+            if (err) throw err;
+            return { inserted: rows.length };
+        }
+    });
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+        merges = [];
+    });
+    
+    afterEach(async () => {
+        await uploader.shutdown();
+        removeDir(queueDir);
+    });
+    
+    test('transient errors are retried', async () => {
+        const executor = failingExecutor((rows, call) => (call < 3 ? new Error('Connection reset') : null));
+        uploader = createUploader(queueDir, { executor, maxRetries: 3, retryBaseMs: 1 });
+        writeReadyFile(queueDir, [makeEvent({ activity_id: 'a' })]);
+        
+        await uploader.processQueue();
+        
+        expect(merges).toHaveLength(3);
+        expect(uploader.stats).toMatchObject({ eventsUploaded: 1, filesProcessed: 1, errorsByClass: { transient: 2, permanent: 0, fatal: 0 } });
+        expect(uploader.circuit.state).toBe('closed');
+    });
+    
+    test('permanent errors bisect the batch and dead-letter only the bad events', async () => {
+        const executor = failingExecutor(rows => (rows.some(row => row.activity_id === 'c') ? new Error('100069: Error parsing JSON') : null));
+        uploader = createUploader(queueDir, { executor });
+        writeReadyFile(queueDir, ['a', 'b', 'c', 'd'].map(id => makeEvent({ activity_id: id })), 'queue_1.ndjson');
+        
+        await uploader.processQueue();
+        
+        expect(merges).toEqual([['a', 'b', 'c', 'd'], ['a', 'b'], ['c', 'd'], ['c'], ['d']]);
+        expect(uploader.stats).toMatchObject({ eventsUploaded: 3, eventsDeadLettered: 1, bisections: 2, filesProcessed: 1 });
+        expect(new DeadLetterStore({ queueDir }).list()).toEqual([
+            expect.objectContaining({ id: 'failed_batch:c', error: '100069: Error parsing JSON' })
+        ]);
+    });
+    
+    test('fatal errors halt the uploader and leave the file ready', async () => {
+        const onHalt = jest.fn();
+        uploader = createUploader(queueDir, { executor: failingExecutor(() => new Error('Incorrect username or password')), onHalt });
+        writeReadyFile(queueDir, [makeEvent()]);
+        
+        await uploader.processQueue();
+        await uploader.processQueue();
+        
+        expect(merges).toHaveLength(1);
+        expect(onHalt).toHaveBeenCalledWith(expect.objectContaining({ message: 'Incorrect username or password' }));
+        expect(uploader.stats.halted).toBe(true);
+        expect(new ReadyQueue(queueDir).list()[0].entry.attempts).toBeUndefined();
+    });
+    
+    test('a compilation error halts the uploader instead of dead-lettering every event', async () => {
+        const error = new Error("000904 (42000): SQL compilation error: error line 1 at position 7 invalid identifier 'CUSTOMER_SEQUENCE'");
+        uploader = createUploader(queueDir, { executor: failingExecutor(() => error) });
+        writeReadyFile(queueDir, ['a', 'b', 'c', 'd'].map(id => makeEvent({ activity_id: id })), 'queue_1.ndjson');
+        
+        await uploader.processQueue();
+        
+        expect(merges).toEqual([['a', 'b', 'c', 'd']]);
+        expect(uploader.stats).toMatchObject({ halted: true, bisections: 0, eventsDeadLettered: 0, filesProcessed: 0 });
+        expect(new DeadLetterStore({ queueDir }).list()).toEqual([]);
+        expect(new ReadyQueue(queueDir).list().map(({ entry }) => path.basename(entry.file))).toEqual(['queue_1.ndjson']);
+        expect(fs.existsSync(path.join(queueDir, 'archive'))).toBe(false);
+    });
+    
+    test('an open circuit ends the pass without counting attempts', async () => {
+        const executor = failingExecutor(() => new Error('Connection reset'));
+        uploader = createUploader(queueDir, { executor, maxRetries: 5, retryBaseMs: 1, circuitBreaker: { failureThreshold: 2 } });
+        writeReadyFile(queueDir, [makeEvent()], 'queue_1.ndjson');
+        writeReadyFile(queueDir, [makeEvent()], 'queue_2.ndjson');
+        
+        await uploader.processQueue();
+        
+        expect(merges).toHaveLength(2);
+        expect(uploader.circuit.state).toBe('open');
+        expect(new ReadyQueue(queueDir).list().map(({ entry }) => entry.attempts)).toEqual([undefined, undefined]);
+    });
+    
+    test('the queue goes into backpressure when the uploader circuit opens', async () => {
+        uploader = createUploader(queueDir, { executor: failingExecutor(() => new Error('Connection reset')), maxRetries: 1, circuitBreaker: { failureThreshold: 1 } });
+        const queue = createQueue(queueDir);
+        writeReadyFile(queueDir, [makeEvent()]);
+        
+        await queue.checkBackpressure();
+        expect(queue.backpressureReason).toBeNull();
+        
+        await uploader.processQueue();
+        await queue.checkBackpressure();
+        expect(queue.getStats().backpressureReason).toBe('uploader_circuit_open');
+        
+        uploader.halt(new Error('Incorrect username or password'));
+        await queue.checkBackpressure();
+        expect(queue.backpressureReason).toBe('uploader_halted');
+        await queue.shutdown();
+    });
+});
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const UploadLedger = require('../activity_schema/upload_ledger');
+const { LocalTableExecutor } = require('../activity_schema/executors');
+const { readLines } = require('../activity_schema/line_ingest');
+const { makeTempDir, removeDir, quietConsole, createUploader, makeEvent } = require('./helpers');
+
+async function collect(input, start) {
+    const lines = [];
+    for await (const line of readLines(input, start)) lines.push(line);
+    return lines;
+}
+
+describe('readLines', () => {
+    test('reports the byte offset and length of each line', async () => {
+        expect(await collect(Readable.from([Buffer.from('a\nbb\n\nccc')]))).toEqual([
+            { line: 'a', offset: 0, length: 2 },
+            { line: 'bb', offset: 2, length: 3 },
+            { line: '', offset: 5, length: 1 },
+            { line: 'ccc', offset: 6, length: 3 }
+        ]);
+    });
+    
+    test('strips CRLF line endings but counts both bytes', async () => {
+        expect(await collect(Readable.from([Buffer.from('a\r\nbb\r\n')]), 10)).toEqual([
+            { line: 'a', offset: 10, length: 3 },
+            { line: 'bb', offset: 13, length: 4 }
+        ]);
+    });
+    
+    test('joins lines and multibyte characters split across chunks', async () => {
+        const bytes = Buffer.from('é1\r\nx\n');
+        const chunks = [bytes.subarray(0, 1), bytes.subarray(1, 4), bytes.subarray(4)];
+        expect(await collect(Readable.from(chunks))).toEqual([
+            { line: 'é1', offset: 0, length: 5 },
+            { line: 'x', offset: 5, length: 2 }
+        ]);
+    });
+});
+
+describe('UploadLedger', () => {
+    let dir;
+    
+    beforeEach(() => {
+        dir = makeTempDir();
+    });
+    
+    afterEach(() => removeDir(dir));
+    
+    test('resumes after the last committed batch, never before the queued offset', () => {
+        const ledger = new UploadLedger({ queueDir: dir });
+        expect(ledger.resumeOffset('/q/a.ndjson', 5)).toBe(5);
+        
+        ledger.commit('/q/a.ndjson', 100, 10, 400);
+        expect(ledger.resumeOffset('/q/a.ndjson', 5)).toBe(100);
+        expect(ledger.resumeOffset('/q/a.ndjson', 150)).toBe(150);
+    });
+    
+    test('persists checkpoints and progress across instances', () => {
+        const ledger = new UploadLedger({ queueDir: dir });
+        ledger.commit('/q/a.ndjson', 100, 10, 400);
+        ledger.commit('/q/a.ndjson', 200, 10, 400);
+        ledger.recordError('/q/a.ndjson', new Error('boom'));
+        
+        const reloaded = new UploadLedger({ queueDir: dir });
+        expect(reloaded.resumeOffset('/q/a.ndjson')).toBe(200);
+        expect(reloaded.getProgress()).toEqual({
+            '/q/a.ndjson': { offset: 200, size: 400, percent: 50, events_committed: 20, last_error: 'boom' }
+        });
+        
+        reloaded.complete('/q/a.ndjson');
+        expect(new UploadLedger({ queueDir: dir }).getProgress()).toEqual({});
+    });
+    
+    test('starts fresh from an unreadable ledger', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        fs.writeFileSync(path.join(dir, 'upload_ledger.json'), '{not json');
+        expect(new UploadLedger({ queueDir: dir }).files).toEqual({});
+    });
+});
+
+describe('uploader checkpoints', () => {
+    let queueDir;
+    let uploader;
+    
+    // Local executor that fails with a transient error on the given call numbers
+    const flakyExecutor = failOn => {
+        const executor = new LocalTableExecutor();
+        const merge = executor.executeMerge.bind(executor);
+        let calls = 0;
+        executor.executeMerge = jest.fn(batch => {
+            calls++;
+            return failOn.includes(calls) ? Promise.reject(new Error('Connection reset')) : merge(batch);
+        });
+        return executor;
+    };
+    
+    const writeQueueFile = (events, eol) => {
+        const file = path.join(queueDir, 'queue_1.ndjson');
+        fs.writeFileSync(file, events.map(event => JSON.stringify(event) + eol).join(''));
+        uploader.readyQueue.mark(file, 0);
+        return file;
+    };
+    
+    beforeEach(() => {
+        quietConsole();
+        queueDir = makeTempDir();
+    });
+    
+    afterEach(async () => {
+        await uploader.shutdown();
+        removeDir(queueDir);
+    });
+    
+    test.each([['\n'], ['\r\n']])('resumes after the committed batch with %j line endings', async eol => {
+        const executor = flakyExecutor([2]);
+        uploader = createUploader(queueDir, { executor, batchSize: 2, maxRetries: 1 });
+        const events = ['a', 'b', 'c', 'd'].map(id => makeEvent({ activity_id: id }));
+        const file = writeQueueFile(events, eol);
+        const lineBytes = events.map(event => Buffer.byteLength(JSON.stringify(event) + eol));
+        
+        await uploader.processQueue();
+        expect(uploader.ledger.resumeOffset(file)).toBe(lineBytes[0] + lineBytes[1]);
+        expect(uploader.ledger.files[file]).toMatchObject({ events_committed: 2, last_error: 'Connection reset' });
+        
+        await uploader.processQueue();
+        const uploaded = executor.executeMerge.mock.calls.map(([batch]) => batch.rows.map(row => row.activity_id));
+        expect(uploaded).toEqual([['a', 'b'], ['c', 'd'], ['c', 'd']]);
+        expect(executor.getRows(uploader.targetTable).map(row => row.activity_id)).toEqual(['a', 'b', 'c', 'd']);
+        expect(uploader.stats.poisonLines).toBe(0);
+        expect(uploader.ledger.files[file]).toBeUndefined();
+    });
+    
+    test('a fully committed file is archived without uploading again', async () => {
+        const executor = flakyExecutor([]);
+        uploader = createUploader(queueDir, { executor });
+        const file = writeQueueFile([makeEvent({ activity_id: 'a' })], '\n');
+        uploader.ledger.commit(file, fs.statSync(file).size, 1, fs.statSync(file).size);
+        
+        await uploader.processQueue();
+        expect(executor.executeMerge).not.toHaveBeenCalled();
+        expect(uploader.stats.filesProcessed).toBe(1);
+    });
+});